@@ -0,0 +1,402 @@
+// MAVLink bridge: listens for autopilots (ArduPilot, PX4, SITL or the
+// stand-in in sim-vehicle.mjs) over UDP and forwards their state to the
+// browser as the JSON telemetry web/js/telemetry.js consumes. Commands from
+// the browser (goto, rtl, land, mission upload, mission start) go back to the
+// vehicle as MAVLink.
+//
+//   node mavlink/bridge.mjs
+//
+// Environment:
+//   MAVLINK_PORT     UDP port vehicles send to (default 14550, the usual GCS port)
+//   PORT             WebSocket port for browsers (default 8766)
+//   HOST             Address the WebSocket listens on (default 127.0.0.1, this machine only)
+//   ALLOWED_ORIGINS  Comma separated origins of the pages that may send commands
+//                    (default http://localhost:9998,http://127.0.0.1:9998, the webserver)
+//
+// Browser -> bridge messages:
+//   {"type": "command", "id": "mav-1", "command": "goto", "longitude": .., "latitude": .., "altitude": .., "altitudeMode": "AMSL"|"AGL", "speed": ..}
+//   {"type": "command", "id": "mav-1", "command": "rtl"}
+//   {"type": "command", "id": "mav-1", "command": "land"}
+//   {"type": "command", "id": "mav-1", "command": "mission", "items": [{"longitude", "latitude", "altitude", "speed", "hold"}]}
+//   {"type": "command", "id": "mav-1", "command": "start"}
+// Mission altitudes are AMSL. Results come back as
+//   {"type": "ack", "id": "mav-1", "command": "goto", "result": "accepted"|"failed"|..., "message": ".."}
+// Commands with missing or out of range values are not sent to the vehicle,
+// the browser that sent them gets a "failed" ack saying why.
+import { createSocket } from 'node:dgram';
+import { createServer } from 'node:http';
+import { WebSocketServer } from '../telemetry/websocket.mjs';
+import {
+    MavlinkParser, MavlinkSender,
+    MAV_TYPE_GCS, MAV_AUTOPILOT_INVALID, MAV_AUTOPILOT_ARDUPILOTMEGA, MAV_MODE_FLAG_SAFETY_ARMED, MAV_STATE_ACTIVE,
+    MAV_FRAME_GLOBAL, MAV_FRAME_GLOBAL_RELATIVE_ALT,
+    MAV_CMD_NAV_WAYPOINT, MAV_CMD_NAV_RETURN_TO_LAUNCH, MAV_CMD_NAV_LAND, MAV_CMD_DO_CHANGE_SPEED,
+    MAV_CMD_DO_REPOSITION, MAV_CMD_MISSION_START, MAV_DO_REPOSITION_FLAGS_CHANGE_MODE
+} from './mavlink.mjs';
+
+const MAVLINK_PORT = Number(process.env.MAVLINK_PORT || 14550);
+const PORT = Number(process.env.PORT || 8766);
+const HOST = process.env.HOST || '127.0.0.1';
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || 'http://localhost:9998,http://127.0.0.1:9998')
+    .split(',').map(origin => origin.trim()).filter(Boolean);
+const GCS_SYSTEM_ID = 255;          // conventional ground station id
+const GCS_COMPONENT_ID = 190;       // MAV_COMP_ID_MISSIONPLANNER
+const HEARTBEAT_INTERVAL = 1000;    // ms between ground station heartbeats
+const SEND_INTERVAL = 100;          // ms, at most 10 telemetry messages per vehicle per second
+const MISSION_TIMEOUT = 5000;       // ms to wait for the vehicle during an upload
+const HEADING_UNKNOWN = 0xFFFF;     // GLOBAL_POSITION_INT hdg when not known
+
+// Accepted ranges of the values in browser commands
+const LATITUDE_RANGE = [-90, 90];           // degrees
+const LONGITUDE_RANGE = [-180, 180];        // degrees
+const ALTITUDE_RANGE = [-500, 10000];       // meters
+const SPEED_RANGE = [0.1, 100];             // m/s
+const HOLD_RANGE = [0, 3600];               // seconds
+const MAX_MISSION_ITEMS = 0xFFFF;           // MISSION_COUNT count is a uint16
+
+const RESULTS = ['accepted', 'temporarily rejected', 'denied', 'unsupported', 'failed', 'in progress', 'cancelled'];
+const MISSION_RESULTS = ['accepted', 'error', 'unsupported frame', 'unsupported', 'no space', 'invalid', 'invalid param1',
+    'invalid param2', 'invalid param3', 'invalid param4', 'invalid param5', 'invalid param6', 'invalid param7',
+    'invalid sequence', 'denied', 'operation cancelled'];
+const COMMAND_NAMES = {
+    [MAV_CMD_DO_REPOSITION]: 'goto',
+    [MAV_CMD_NAV_RETURN_TO_LAUNCH]: 'rtl',
+    [MAV_CMD_NAV_LAND]: 'land',
+    [MAV_CMD_MISSION_START]: 'start'
+};
+
+const udp = createSocket('udp4');
+// A send to a vanished vehicle, e.g. a stopped SITL, must not end the bridge
+udp.on('error', (error) => console.error('MAVLink UDP error:', error.message));
+const parser = new MavlinkParser();
+const sender = new MavlinkSender(GCS_SYSTEM_ID, GCS_COMPONENT_ID);
+const server = createServer((request, response) => {
+    response.writeHead(200, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+    response.end(JSON.stringify({ clients: sockets.clients.size, vehicles: [...vehicles.values()].map(v => v.state) }));
+});
+// Browsers connect from any page the operator opens, only the viewer may command vehicles
+const sockets = new WebSocketServer(server, { allowedOrigins: ALLOWED_ORIGINS });
+
+/**
+ * Known vehicles by MAVLink system id
+ * @type {Map<number, {address: string, port: number, componentId: number, autopilot: number, state: Object, lastSent: number, upload: Object|null}>}
+ */
+const vehicles = new Map();
+
+udp.on('message', (data, remote) => {
+    for (const message of parser.push(data)) {
+        // Ignore other ground stations and our own traffic
+        if (message.name === 'HEARTBEAT' && message.values.type === MAV_TYPE_GCS) continue;
+        const vehicle = vehicleFor(message, remote);
+        if (vehicle) handleMessage(vehicle, message);
+    }
+});
+
+function vehicleFor(message, remote) {
+    let vehicle = vehicles.get(message.systemId);
+    if (!vehicle) {
+        // Only a heartbeat introduces a vehicle
+        if (message.name !== 'HEARTBEAT') return null;
+        vehicle = {
+            systemId: message.systemId,
+            componentId: message.componentId,
+            autopilot: message.values.autopilot,
+            address: remote.address,
+            port: remote.port,
+            state: { id: `mav-${message.systemId}`, altitudeMode: 'AMSL' },
+            lastSent: 0,
+            upload: null
+        };
+        vehicles.set(message.systemId, vehicle);
+        console.log(`Vehicle ${vehicle.state.id} found at ${remote.address}:${remote.port} (autopilot ${vehicle.autopilot})`);
+    }
+    // Follow the vehicle if its address changes, e.g. a restarted SITL
+    vehicle.address = remote.address;
+    vehicle.port = remote.port;
+    return vehicle;
+}
+
+function handleMessage(vehicle, { name, values }) {
+    const state = vehicle.state;
+    switch (name) {
+        case 'HEARTBEAT':
+            state.armed = (values.base_mode & MAV_MODE_FLAG_SAFETY_ARMED) !== 0;
+            state.active = values.system_status === MAV_STATE_ACTIVE;
+            state.customMode = values.custom_mode;
+            break;
+        case 'SYS_STATUS':
+            if (values.battery_remaining >= 0) state.battery = values.battery_remaining;
+            if (values.voltage_battery !== 0xFFFF) state.voltage = values.voltage_battery / 1000;
+            break;
+        case 'GLOBAL_POSITION_INT':
+            state.latitude = values.lat / 1e7;
+            state.longitude = values.lon / 1e7;
+            state.altitude = values.alt / 1000;
+            state.relativeAltitude = values.relative_alt / 1000;
+            state.speed = Math.hypot(values.vx, values.vy) / 100;
+            state.verticalSpeed = -values.vz / 100;
+            if (values.hdg !== HEADING_UNKNOWN) state.heading = values.hdg / 100;
+            forward(vehicle);
+            break;
+        case 'RADIO_STATUS':
+            // SiK radios scale RSSI to 0-254, 255 is unknown
+            if (values.rssi !== 255) state.signal = Math.round(values.rssi / 254 * 100);
+            break;
+        case 'ATTITUDE':
+            state.roll = toDegrees(values.roll);
+            state.pitch = toDegrees(values.pitch);
+            state.yaw = (toDegrees(values.yaw) + 360) % 360;
+            if (state.heading === undefined) state.heading = state.yaw;
+            forward(vehicle);
+            break;
+        case 'COMMAND_ACK':
+            acknowledge(vehicle, COMMAND_NAMES[values.command] ?? `command ${values.command}`, RESULTS[values.result] ?? `result ${values.result}`);
+            break;
+        case 'MISSION_REQUEST_INT':
+        case 'MISSION_REQUEST':
+            sendMissionItem(vehicle, values.seq);
+            break;
+        case 'MISSION_ACK':
+            if (vehicle.upload) {
+                clearTimeout(vehicle.upload.timer);
+                vehicle.upload = null;
+                acknowledge(vehicle, 'mission', MISSION_RESULTS[values.type] ?? `result ${values.type}`);
+            }
+            break;
+        case 'MISSION_CURRENT':
+            state.missionItem = values.seq;
+            break;
+        default:
+            break;
+    }
+}
+
+/**
+ * Send the vehicle state to the browsers, at most every SEND_INTERVAL
+ */
+function forward(vehicle) {
+    const { state } = vehicle;
+    const now = Date.now();
+    if (state.latitude === undefined || now - vehicle.lastSent < SEND_INTERVAL) return;
+    vehicle.lastSent = now;
+    sockets.broadcast({ type: 'telemetry', ...state, time: now });
+}
+
+function acknowledge(vehicle, command, result, message = '') {
+    console.log(`${vehicle.state.id} ${command}: ${result}${message ? ` (${message})` : ''}`);
+    sockets.broadcast({ type: 'ack', id: vehicle.state.id, command, result, message });
+}
+
+function send(vehicle, name, values) {
+    const frame = sender.encode(name, {
+        target_system: vehicle.systemId,
+        target_component: vehicle.componentId,
+        ...values
+    });
+    udp.send(frame, vehicle.port, vehicle.address);
+}
+
+function sendCommandLong(vehicle, command, params = []) {
+    const values = { command };
+    params.forEach((value, index) => { values[`param${index + 1}`] = value; });
+    send(vehicle, 'COMMAND_LONG', values);
+}
+
+/**
+ * @param {*} value - Value from a browser command
+ * @param {string} name - Field name for the error message
+ * @param {[number, number]} range - Inclusive [min, max]
+ * @returns {number}
+ * @throws {RangeError} When the value is not a finite number in the range
+ */
+function requireNumber(value, name, [min, max]) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+        throw new RangeError(`${name} must be a number from ${min} to ${max}`);
+    }
+    return value;
+}
+
+/**
+ * Like requireNumber, but a missing value (undefined or null) gives the fallback
+ */
+function optionalNumber(value, name, range, fallback) {
+    return value === undefined || value === null ? fallback : requireNumber(value, name, range);
+}
+
+/**
+ * Check the waypoints of a mission command before any of it goes to the vehicle
+ * @param {*} items - The command's items
+ * @returns {{longitude: number, latitude: number, altitude: number, speed: number|null, hold: number}[]}
+ * @throws {RangeError|TypeError} Naming the first bad waypoint
+ */
+function validateWaypoints(items) {
+    if (!Array.isArray(items)) throw new TypeError('items must be an array');
+    // Speed changes and ArduPilot's home item need room too
+    if (items.length * 2 + 1 > MAX_MISSION_ITEMS) throw new RangeError(`too many waypoints (${items.length})`);
+    return items.map((item, index) => {
+        const name = (field) => `waypoint ${index + 1} ${field}`;
+        if (item === null || typeof item !== 'object') throw new TypeError(`waypoint ${index + 1} must be an object`);
+        return {
+            longitude: requireNumber(item.longitude, name('longitude'), LONGITUDE_RANGE),
+            latitude: requireNumber(item.latitude, name('latitude'), LATITUDE_RANGE),
+            altitude: requireNumber(item.altitude, name('altitude'), ALTITUDE_RANGE),
+            speed: optionalNumber(item.speed, name('speed'), SPEED_RANGE, null),
+            hold: optionalNumber(item.hold, name('hold'), HOLD_RANGE, 0)
+        };
+    });
+}
+
+/**
+ * Handle a command from the browser
+ * @param {Object} request - See the message formats at the top of this file
+ * @throws {RangeError|TypeError} When the command has bad values, nothing is sent then
+ */
+function handleCommand(request) {
+    const vehicle = [...vehicles.values()].find(v => v.state.id === request.id);
+    if (!vehicle) {
+        sockets.broadcast({ type: 'ack', id: request.id, command: request.command, result: 'failed', message: 'unknown vehicle' });
+        return;
+    }
+
+    switch (request.command) {
+        case 'goto': {
+            const latitude = requireNumber(request.latitude, 'latitude', LATITUDE_RANGE);
+            const longitude = requireNumber(request.longitude, 'longitude', LONGITUDE_RANGE);
+            const altitude = requireNumber(request.altitude, 'altitude', ALTITUDE_RANGE);
+            const speed = optionalNumber(request.speed, 'speed', SPEED_RANGE, -1);
+            if (request.altitudeMode !== undefined && request.altitudeMode !== 'AMSL' && request.altitudeMode !== 'AGL') {
+                throw new RangeError('altitudeMode must be "AMSL" or "AGL"');
+            }
+            // DO_REPOSITION moves the vehicle in guided mode on both ArduPilot and PX4
+            const frame = request.altitudeMode === 'AGL' ? MAV_FRAME_GLOBAL_RELATIVE_ALT : MAV_FRAME_GLOBAL;
+            send(vehicle, 'COMMAND_INT', {
+                command: MAV_CMD_DO_REPOSITION,
+                frame,
+                param1: speed,
+                param2: MAV_DO_REPOSITION_FLAGS_CHANGE_MODE,
+                param4: NaN,
+                x: Math.round(latitude * 1e7),
+                y: Math.round(longitude * 1e7),
+                z: altitude
+            });
+            break;
+        }
+        case 'rtl':
+            sendCommandLong(vehicle, MAV_CMD_NAV_RETURN_TO_LAUNCH);
+            break;
+        case 'land':
+            // NaN position lands where the vehicle is
+            sendCommandLong(vehicle, MAV_CMD_NAV_LAND, [0, 0, 0, NaN, NaN, NaN, 0]);
+            break;
+        case 'start':
+            sendCommandLong(vehicle, MAV_CMD_MISSION_START, [0, 0]);
+            break;
+        case 'mission':
+            startMissionUpload(vehicle, validateWaypoints(request.items ?? []));
+            break;
+        default:
+            acknowledge(vehicle, request.command, 'unsupported');
+    }
+}
+
+/**
+ * Begin the MAVLink mission upload handshake: MISSION_COUNT, then the
+ * vehicle requests every item and finishes with MISSION_ACK
+ * @param {Object} vehicle
+ * @param {Object[]} waypoints - Checked by validateWaypoints
+ */
+function startMissionUpload(vehicle, waypoints) {
+    if (waypoints.length === 0) {
+        acknowledge(vehicle, 'mission', 'failed', 'no waypoints');
+        return;
+    }
+
+    const items = [];
+    // ArduPilot keeps the home position in item 0
+    if (vehicle.autopilot === MAV_AUTOPILOT_ARDUPILOTMEGA) {
+        const { longitude = 0, latitude = 0, altitude = 0 } = vehicle.state;
+        items.push({ command: MAV_CMD_NAV_WAYPOINT, x: latitude, y: longitude, z: altitude });
+    }
+    let speed = null;
+    for (const waypoint of waypoints) {
+        if (waypoint.speed && waypoint.speed !== speed) {
+            speed = waypoint.speed;
+            items.push({ command: MAV_CMD_DO_CHANGE_SPEED, params: [1, speed, -1, 0] });
+        }
+        items.push({
+            command: MAV_CMD_NAV_WAYPOINT,
+            params: [waypoint.hold, 0, 0, NaN],
+            x: waypoint.latitude,
+            y: waypoint.longitude,
+            z: waypoint.altitude
+        });
+    }
+
+    if (vehicle.upload) clearTimeout(vehicle.upload.timer);
+    vehicle.upload = { items, timer: null };
+    armUploadTimeout(vehicle);
+    send(vehicle, 'MISSION_COUNT', { count: items.length });
+    console.log(`${vehicle.state.id}: uploading ${items.length} mission items`);
+}
+
+function sendMissionItem(vehicle, seq) {
+    const upload = vehicle.upload;
+    const item = upload && upload.items[seq];
+    if (!item) return;
+
+    const [param1 = 0, param2 = 0, param3 = 0, param4 = 0] = item.params || [];
+    send(vehicle, 'MISSION_ITEM_INT', {
+        seq,
+        command: item.command,
+        frame: MAV_FRAME_GLOBAL,
+        current: seq === 0 ? 1 : 0,
+        autocontinue: 1,
+        param1, param2, param3, param4,
+        x: Math.round((item.x ?? 0) * 1e7),
+        y: Math.round((item.y ?? 0) * 1e7),
+        z: item.z ?? 0
+    });
+    armUploadTimeout(vehicle);
+}
+
+function armUploadTimeout(vehicle) {
+    clearTimeout(vehicle.upload.timer);
+    vehicle.upload.timer = setTimeout(() => {
+        vehicle.upload = null;
+        acknowledge(vehicle, 'mission', 'failed', 'vehicle stopped requesting items');
+    }, MISSION_TIMEOUT);
+}
+
+function toDegrees(radians) {
+    return radians * 180 / Math.PI;
+}
+
+sockets.on('connection', (client) => {
+    console.log(`Browser connected (${sockets.clients.size} connected)`);
+    client.on('message', (text) => {
+        let request;
+        try {
+            request = JSON.parse(text);
+        } catch {
+            return;
+        }
+        if (request?.type !== 'command') return;
+        try {
+            handleCommand(request);
+        } catch (error) {
+            console.warn(`Rejected ${request.command} for ${request.id}: ${error.message}`);
+            client.sendJSON({ type: 'ack', id: request.id, command: request.command, result: 'failed', message: error.message });
+        }
+    });
+    client.on('close', () => console.log(`Browser disconnected (${sockets.clients.size} connected)`));
+});
+
+// Autopilots expect a ground station heartbeat, some fail safe without it
+setInterval(() => {
+    for (const vehicle of vehicles.values()) {
+        send(vehicle, 'HEARTBEAT', { type: MAV_TYPE_GCS, autopilot: MAV_AUTOPILOT_INVALID, mavlink_version: 3 });
+    }
+}, HEARTBEAT_INTERVAL);
+
+udp.bind(MAVLINK_PORT, () => console.log(`Listening for MAVLink on udp://0.0.0.0:${MAVLINK_PORT}`));
+server.listen(PORT, HOST, () => console.log(`Bridge WebSocket on ws://${HOST}:${PORT} for ${ALLOWED_ORIGINS.join(', ')}`));
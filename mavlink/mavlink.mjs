@@ -0,0 +1,295 @@
+// MAVLink v1/v2 encoding and decoding for the handful of common.xml
+// messages the bridge and the stand-in vehicle use. No signing support:
+// signed v2 frames are decoded, their signature is skipped.
+
+const STX_V1 = 0xFE;
+const STX_V2 = 0xFD;
+const V1_HEADER = 6;
+const V2_HEADER = 10;
+const CHECKSUM = 2;
+const SIGNATURE = 13;
+const INCOMPAT_SIGNED = 0x01;
+
+const TYPES = {
+    uint8: { size: 1, read: 'readUInt8', write: 'writeUInt8' },
+    int8: { size: 1, read: 'readInt8', write: 'writeInt8' },
+    uint16: { size: 2, read: 'readUInt16LE', write: 'writeUInt16LE' },
+    int16: { size: 2, read: 'readInt16LE', write: 'writeInt16LE' },
+    uint32: { size: 4, read: 'readUInt32LE', write: 'writeUInt32LE' },
+    int32: { size: 4, read: 'readInt32LE', write: 'writeInt32LE' },
+    float: { size: 4, read: 'readFloatLE', write: 'writeFloatLE' }
+};
+
+// Fields in wire order (largest type first, extensions last) with the
+// CRC_EXTRA seed of each message from common.xml
+export const MESSAGES = {
+    HEARTBEAT: {
+        id: 0, crcExtra: 50,
+        fields: [['custom_mode', 'uint32'], ['type', 'uint8'], ['autopilot', 'uint8'], ['base_mode', 'uint8'],
+            ['system_status', 'uint8'], ['mavlink_version', 'uint8']]
+    },
+    SYS_STATUS: {
+        id: 1, crcExtra: 124,
+        fields: [['onboard_control_sensors_present', 'uint32'], ['onboard_control_sensors_enabled', 'uint32'],
+            ['onboard_control_sensors_health', 'uint32'], ['load', 'uint16'], ['voltage_battery', 'uint16'],
+            ['current_battery', 'int16'], ['drop_rate_comm', 'uint16'], ['errors_comm', 'uint16'],
+            ['errors_count1', 'uint16'], ['errors_count2', 'uint16'], ['errors_count3', 'uint16'],
+            ['errors_count4', 'uint16'], ['battery_remaining', 'int8']]
+    },
+    ATTITUDE: {
+        id: 30, crcExtra: 39,
+        fields: [['time_boot_ms', 'uint32'], ['roll', 'float'], ['pitch', 'float'], ['yaw', 'float'],
+            ['rollspeed', 'float'], ['pitchspeed', 'float'], ['yawspeed', 'float']]
+    },
+    GLOBAL_POSITION_INT: {
+        id: 33, crcExtra: 104,
+        fields: [['time_boot_ms', 'uint32'], ['lat', 'int32'], ['lon', 'int32'], ['alt', 'int32'],
+            ['relative_alt', 'int32'], ['vx', 'int16'], ['vy', 'int16'], ['vz', 'int16'], ['hdg', 'uint16']]
+    },
+    MISSION_REQUEST: {
+        id: 40, crcExtra: 230,
+        fields: [['seq', 'uint16'], ['target_system', 'uint8'], ['target_component', 'uint8'], ['mission_type', 'uint8']]
+    },
+    MISSION_CURRENT: {
+        id: 42, crcExtra: 28,
+        fields: [['seq', 'uint16']]
+    },
+    MISSION_COUNT: {
+        id: 44, crcExtra: 221,
+        fields: [['count', 'uint16'], ['target_system', 'uint8'], ['target_component', 'uint8'], ['mission_type', 'uint8']]
+    },
+    MISSION_ITEM_REACHED: {
+        id: 46, crcExtra: 11,
+        fields: [['seq', 'uint16']]
+    },
+    MISSION_ACK: {
+        id: 47, crcExtra: 153,
+        fields: [['target_system', 'uint8'], ['target_component', 'uint8'], ['type', 'uint8'], ['mission_type', 'uint8']]
+    },
+    MISSION_REQUEST_INT: {
+        id: 51, crcExtra: 196,
+        fields: [['seq', 'uint16'], ['target_system', 'uint8'], ['target_component', 'uint8'], ['mission_type', 'uint8']]
+    },
+    MISSION_ITEM_INT: {
+        id: 73, crcExtra: 38,
+        fields: [['param1', 'float'], ['param2', 'float'], ['param3', 'float'], ['param4', 'float'],
+            ['x', 'int32'], ['y', 'int32'], ['z', 'float'], ['seq', 'uint16'], ['command', 'uint16'],
+            ['target_system', 'uint8'], ['target_component', 'uint8'], ['frame', 'uint8'], ['current', 'uint8'],
+            ['autocontinue', 'uint8'], ['mission_type', 'uint8']]
+    },
+    COMMAND_INT: {
+        id: 75, crcExtra: 158,
+        fields: [['param1', 'float'], ['param2', 'float'], ['param3', 'float'], ['param4', 'float'],
+            ['x', 'int32'], ['y', 'int32'], ['z', 'float'], ['command', 'uint16'], ['target_system', 'uint8'],
+            ['target_component', 'uint8'], ['frame', 'uint8'], ['current', 'uint8'], ['autocontinue', 'uint8']]
+    },
+    COMMAND_LONG: {
+        id: 76, crcExtra: 152,
+        fields: [['param1', 'float'], ['param2', 'float'], ['param3', 'float'], ['param4', 'float'],
+            ['param5', 'float'], ['param6', 'float'], ['param7', 'float'], ['command', 'uint16'],
+            ['target_system', 'uint8'], ['target_component', 'uint8'], ['confirmation', 'uint8']]
+    },
+    COMMAND_ACK: {
+        id: 77, crcExtra: 143,
+        fields: [['command', 'uint16'], ['result', 'uint8']]
+    },
+    RADIO_STATUS: {
+        id: 109, crcExtra: 185,
+        fields: [['rxerrors', 'uint16'], ['fixed', 'uint16'], ['rssi', 'uint8'], ['remrssi', 'uint8'],
+            ['txbuf', 'uint8'], ['noise', 'uint8'], ['remnoise', 'uint8']]
+    }
+};
+
+for (const definition of Object.values(MESSAGES)) {
+    definition.length = definition.fields.reduce((sum, [, type]) => sum + TYPES[type].size, 0);
+}
+
+const MESSAGES_BY_ID = new Map(Object.entries(MESSAGES).map(([name, definition]) => [definition.id, { name, ...definition }]));
+
+// Enums used by the bridge and the stand-in vehicle
+export const MAV_TYPE_QUADROTOR = 2;
+export const MAV_TYPE_GCS = 6;
+export const MAV_AUTOPILOT_ARDUPILOTMEGA = 3;
+export const MAV_AUTOPILOT_INVALID = 8;
+export const MAV_AUTOPILOT_PX4 = 12;
+export const MAV_MODE_FLAG_SAFETY_ARMED = 0x80;
+export const MAV_MODE_FLAG_CUSTOM_MODE_ENABLED = 0x01;
+export const MAV_STATE_STANDBY = 3;
+export const MAV_STATE_ACTIVE = 4;
+export const MAV_FRAME_GLOBAL = 0;
+export const MAV_FRAME_GLOBAL_RELATIVE_ALT = 3;
+export const MAV_CMD_NAV_WAYPOINT = 16;
+export const MAV_CMD_NAV_RETURN_TO_LAUNCH = 20;
+export const MAV_CMD_NAV_LAND = 21;
+export const MAV_CMD_DO_CHANGE_SPEED = 178;
+export const MAV_CMD_DO_REPOSITION = 192;
+export const MAV_CMD_MISSION_START = 300;
+export const MAV_DO_REPOSITION_FLAGS_CHANGE_MODE = 1;
+export const MAV_RESULT_ACCEPTED = 0;
+export const MAV_RESULT_UNSUPPORTED = 3;
+export const MAV_RESULT_FAILED = 4;
+export const MAV_MISSION_ACCEPTED = 0;
+export const MAV_MISSION_ERROR = 1;
+
+/**
+ * CRC-16/MCRF4XX as used by MAVLink (X.25 accumulate)
+ * @param {Uint8Array} bytes
+ * @param {number} crc - Running value
+ * @returns {number}
+ */
+export function crc16(bytes, crc = 0xFFFF) {
+    for (const byte of bytes) {
+        let tmp = byte ^ (crc & 0xFF);
+        tmp = (tmp ^ (tmp << 4)) & 0xFF;
+        crc = ((crc >> 8) ^ (tmp << 8) ^ (tmp << 3) ^ (tmp >> 4)) & 0xFFFF;
+    }
+    return crc;
+}
+
+function encodePayload(definition, values) {
+    const payload = Buffer.alloc(definition.length);
+    let offset = 0;
+    for (const [name, type] of definition.fields) {
+        const value = values[name] ?? 0;
+        payload[TYPES[type].write](type === 'float' ? value : Math.round(value), offset);
+        offset += TYPES[type].size;
+    }
+    return payload;
+}
+
+function decodePayload(definition, payload) {
+    // MAVLink 2 drops trailing zero bytes, extensions may be missing in v1
+    const full = Buffer.alloc(definition.length);
+    payload.copy(full, 0, 0, Math.min(payload.length, definition.length));
+
+    const values = {};
+    let offset = 0;
+    for (const [name, type] of definition.fields) {
+        values[name] = full[TYPES[type].read](offset);
+        offset += TYPES[type].size;
+    }
+    return values;
+}
+
+/**
+ * Build a MAVLink 2 frame
+ * @param {keyof MESSAGES} name - Message name
+ * @param {Object} values - Field values, missing fields are 0
+ * @param {{systemId: number, componentId: number, sequence: number}} sender
+ * @returns {Buffer}
+ */
+export function encodeMessage(name, values, { systemId, componentId, sequence }) {
+    const definition = MESSAGES[name];
+    let payload = encodePayload(definition, values);
+    // Trim trailing zeros, but keep at least one byte
+    let length = payload.length;
+    while (length > 1 && payload[length - 1] === 0) length--;
+    payload = payload.subarray(0, length);
+
+    const frame = Buffer.alloc(V2_HEADER + payload.length + CHECKSUM);
+    frame[0] = STX_V2;
+    frame[1] = payload.length;
+    frame[2] = 0;                     // incompat flags
+    frame[3] = 0;                     // compat flags
+    frame[4] = sequence & 0xFF;
+    frame[5] = systemId;
+    frame[6] = componentId;
+    frame.writeUIntLE(definition.id, 7, 3);
+    payload.copy(frame, V2_HEADER);
+
+    const crc = crc16([definition.crcExtra], crc16(frame.subarray(1, V2_HEADER + payload.length)));
+    frame.writeUInt16LE(crc, V2_HEADER + payload.length);
+    return frame;
+}
+
+/**
+ * Incremental frame parser for a byte stream or datagrams. Unknown messages
+ * and frames with a bad checksum are skipped.
+ */
+export class MavlinkParser {
+    constructor() {
+        this.buffer = Buffer.alloc(0);
+        this.dropped = 0;   // frames with a bad checksum
+    }
+
+    /**
+     * @param {Buffer} chunk - Received bytes
+     * @returns {{name: string, systemId: number, componentId: number, sequence: number, values: Object}[]}
+     *   Messages completed by this chunk
+     */
+    push(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        const messages = [];
+
+        while (this.buffer.length > 0) {
+            const start = this.buffer.findIndex(byte => byte === STX_V1 || byte === STX_V2);
+            if (start === -1) {
+                this.buffer = Buffer.alloc(0);
+                break;
+            }
+            this.buffer = this.buffer.subarray(start);
+
+            const isV2 = this.buffer[0] === STX_V2;
+            const headerLength = isV2 ? V2_HEADER : V1_HEADER;
+            if (this.buffer.length < headerLength) break;
+
+            const payloadLength = this.buffer[1];
+            const signed = isV2 && (this.buffer[2] & INCOMPAT_SIGNED);
+            const frameLength = headerLength + payloadLength + CHECKSUM + (signed ? SIGNATURE : 0);
+            if (this.buffer.length < frameLength) break;
+
+            const frame = this.buffer.subarray(0, frameLength);
+            const messageId = isV2 ? frame.readUIntLE(7, 3) : frame[5];
+            const definition = MESSAGES_BY_ID.get(messageId);
+            if (!definition) {
+                this.buffer = this.buffer.subarray(frameLength);
+                continue;
+            }
+
+            const payload = frame.subarray(headerLength, headerLength + payloadLength);
+            const expected = crc16([definition.crcExtra], crc16(frame.subarray(1, headerLength + payloadLength)));
+            if (expected !== frame.readUInt16LE(headerLength + payloadLength)) {
+                // Not a frame after all, resync from the next byte
+                this.dropped++;
+                this.buffer = this.buffer.subarray(1);
+                continue;
+            }
+
+            messages.push({
+                name: definition.name,
+                sequence: isV2 ? frame[4] : frame[2],
+                systemId: isV2 ? frame[5] : frame[3],
+                componentId: isV2 ? frame[6] : frame[4],
+                values: decodePayload(definition, payload)
+            });
+            this.buffer = this.buffer.subarray(frameLength);
+        }
+        return messages;
+    }
+}
+
+/**
+ * Keeps the sender ids and the rolling sequence number for outgoing frames
+ */
+export class MavlinkSender {
+    /**
+     * @param {number} systemId
+     * @param {number} componentId
+     */
+    constructor(systemId, componentId) {
+        this.systemId = systemId;
+        this.componentId = componentId;
+        this.sequence = 0;
+    }
+
+    /**
+     * @param {keyof MESSAGES} name
+     * @param {Object} values
+     * @returns {Buffer} Encoded frame
+     */
+    encode(name, values) {
+        const frame = encodeMessage(name, values, this);
+        this.sequence = (this.sequence + 1) & 0xFF;
+        return frame;
+    }
+}
@@ -0,0 +1,340 @@
+// Scripted MAVLink stand-in vehicle for developing the bridge without
+// hardware or a full SITL. It flies a simple kinematic multicopter, orbits
+// its home until told otherwise and answers goto (DO_REPOSITION), RTL, LAND,
+// MISSION_START and the mission upload handshake.
+//
+//   node mavlink/sim-vehicle.mjs
+//
+// Environment:
+//   BRIDGE_HOST   Where the bridge listens (default 127.0.0.1)
+//   BRIDGE_PORT   Bridge UDP port (default 14550)
+//   SYSTEM_ID     MAVLink system id, the browser shows it as mav-<id> (default 1)
+//   AUTOPILOT     "px4" or "ardupilot", changes the mission item numbering (default px4)
+//   HOME_POSITION "lon,lat,alt" with altitude AMSL (default 33.3823,35.1856,220)
+import { createSocket } from 'node:dgram';
+import {
+    MavlinkParser, MavlinkSender,
+    MAV_TYPE_QUADROTOR, MAV_AUTOPILOT_PX4, MAV_AUTOPILOT_ARDUPILOTMEGA, MAV_MODE_FLAG_SAFETY_ARMED,
+    MAV_MODE_FLAG_CUSTOM_MODE_ENABLED, MAV_STATE_ACTIVE, MAV_STATE_STANDBY, MAV_FRAME_GLOBAL_RELATIVE_ALT,
+    MAV_CMD_NAV_WAYPOINT, MAV_CMD_NAV_RETURN_TO_LAUNCH, MAV_CMD_NAV_LAND, MAV_CMD_DO_CHANGE_SPEED,
+    MAV_CMD_DO_REPOSITION, MAV_CMD_MISSION_START, MAV_RESULT_ACCEPTED, MAV_RESULT_UNSUPPORTED, MAV_RESULT_FAILED,
+    MAV_MISSION_ACCEPTED
+} from './mavlink.mjs';
+
+const BRIDGE_HOST = process.env.BRIDGE_HOST || '127.0.0.1';
+const BRIDGE_PORT = Number(process.env.BRIDGE_PORT || 14550);
+const SYSTEM_ID = Number(process.env.SYSTEM_ID || 1);
+const AUTOPILOT = process.env.AUTOPILOT === 'ardupilot' ? MAV_AUTOPILOT_ARDUPILOTMEGA : MAV_AUTOPILOT_PX4;
+const [HOME_LON, HOME_LAT, HOME_ALT] = (process.env.HOME_POSITION || '33.3823,35.1856,220').split(',').map(Number);
+
+const STEP = 0.1;               // seconds per simulation step, also the position rate
+const CRUISE_SPEED = 8;         // m/s
+const ACCELERATION = 3;         // m/s²
+const CLIMB_RATE = 2.5;         // m/s
+const YAW_RATE = 60;            // °/s
+const ORBIT_RADIUS = 150;       // meters around home while idle
+const ORBIT_HEIGHT = 60;        // meters above home while idle
+const ARRIVAL_RADIUS = 2;       // meters
+const BATTERY_DRAIN = 0.03;     // % per second in the air
+const RADIO_RANGE = 2000;       // meters from home where the link fades out
+const GRAVITY = 9.81;
+const EARTH_RADIUS = 6371008.8;
+
+const udp = createSocket('udp4');
+const parser = new MavlinkParser();
+const sender = new MavlinkSender(SYSTEM_ID, 1);
+
+const vehicle = {
+    longitude: HOME_LON,
+    latitude: HOME_LAT + ORBIT_RADIUS / EARTH_RADIUS * 180 / Math.PI,
+    altitude: HOME_ALT + ORBIT_HEIGHT,
+    heading: 90,
+    speed: 0,
+    verticalSpeed: 0,
+    yawRate: 0,
+    acceleration: 0,
+    battery: 100,
+    /** @type {'orbit'|'goto'|'rtl'|'land'|'mission'|'landed'} */
+    mode: 'orbit',
+    target: null,        // {longitude, latitude, altitude}
+    cruise: CRUISE_SPEED,
+    mission: [],         // uploaded items
+    missionIndex: 0,
+    holdRemaining: 0,
+    upload: null         // {count, items} while receiving a mission
+};
+const bootTime = Date.now();
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+function distance(from, to) {
+    const dLat = toRadians(to.latitude - from.latitude);
+    const dLon = toRadians(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function bearing(from, to) {
+    const lat1 = toRadians(from.latitude);
+    const lat2 = toRadians(to.latitude);
+    const dLon = toRadians(to.longitude - from.longitude);
+    const y = Math.sin(dLon) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+    return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+}
+
+function move(from, heading, meters) {
+    const north = meters * Math.cos(toRadians(heading));
+    const east = meters * Math.sin(toRadians(heading));
+    return {
+        latitude: from.latitude + toDegrees(north / EARTH_RADIUS),
+        longitude: from.longitude + toDegrees(east / (EARTH_RADIUS * Math.cos(toRadians(from.latitude))))
+    };
+}
+
+/**
+ * Where the vehicle is heading in its current mode
+ */
+function currentTarget() {
+    switch (vehicle.mode) {
+        case 'orbit': {
+            // Chase a point a little ahead on the circle around home
+            const home = { longitude: HOME_LON, latitude: HOME_LAT };
+            const around = bearing(home, vehicle) + 20;
+            return { ...move(home, around, ORBIT_RADIUS), altitude: HOME_ALT + ORBIT_HEIGHT };
+        }
+        case 'land':
+            return { longitude: vehicle.longitude, latitude: vehicle.latitude, altitude: HOME_ALT };
+        case 'landed':
+            return null;
+        default:
+            return vehicle.target;
+    }
+}
+
+function step() {
+    const target = currentTarget();
+    if (target) {
+        const remaining = distance(vehicle, target);
+        const previousSpeed = vehicle.speed;
+
+        // Turn toward the target no faster than the yaw rate
+        if (remaining > ARRIVAL_RADIUS) {
+            const error = ((bearing(vehicle, target) - vehicle.heading + 540) % 360) - 180;
+            const turn = Math.max(-YAW_RATE * STEP, Math.min(YAW_RATE * STEP, error));
+            vehicle.heading = (vehicle.heading + turn + 360) % 360;
+            vehicle.yawRate = turn / STEP;
+        } else {
+            vehicle.yawRate = 0;
+        }
+
+        // Accelerate to cruise, brake to stop on the target
+        const desired = remaining > ARRIVAL_RADIUS ? Math.min(vehicle.cruise, Math.sqrt(2 * ACCELERATION * remaining)) : 0;
+        const delta = Math.max(-ACCELERATION * STEP, Math.min(ACCELERATION * STEP, desired - vehicle.speed));
+        vehicle.speed = Math.max(0, vehicle.speed + delta);
+        vehicle.acceleration = (vehicle.speed - previousSpeed) / STEP;
+        Object.assign(vehicle, move(vehicle, vehicle.heading, Math.min(vehicle.speed * STEP, remaining)));
+
+        const climb = target.altitude - vehicle.altitude;
+        vehicle.verticalSpeed = Math.max(-CLIMB_RATE, Math.min(CLIMB_RATE, climb / STEP));
+        vehicle.altitude += vehicle.verticalSpeed * STEP;
+
+        if (remaining <= ARRIVAL_RADIUS && Math.abs(climb) < 0.5) arrive();
+    }
+
+    if (vehicle.mode !== 'landed') {
+        vehicle.battery = Math.max(0, vehicle.battery - BATTERY_DRAIN * STEP);
+    }
+    sendState();
+}
+
+function arrive() {
+    switch (vehicle.mode) {
+        case 'rtl':
+            setMode('land');
+            break;
+        case 'land':
+            vehicle.speed = 0;
+            vehicle.verticalSpeed = 0;
+            setMode('landed');
+            break;
+        case 'mission':
+            if (vehicle.holdRemaining > 0) {
+                vehicle.holdRemaining -= STEP;
+                return;
+            }
+            send('MISSION_ITEM_REACHED', { seq: vehicle.missionIndex });
+            nextMissionItem(vehicle.missionIndex + 1);
+            break;
+        default:
+            // Hold position after a goto
+            break;
+    }
+}
+
+/**
+ * Run mission items from `index`, applying speed changes, until the next waypoint
+ */
+function nextMissionItem(index) {
+    for (let i = index; i < vehicle.mission.length; i++) {
+        const item = vehicle.mission[i];
+        if (item.command === MAV_CMD_DO_CHANGE_SPEED && item.param2 > 0) {
+            vehicle.cruise = item.param2;
+        } else if (item.command === MAV_CMD_NAV_WAYPOINT) {
+            vehicle.missionIndex = i;
+            vehicle.holdRemaining = item.param1;
+            vehicle.target = { latitude: item.x / 1e7, longitude: item.y / 1e7, altitude: item.z };
+            send('MISSION_CURRENT', { seq: i });
+            return;
+        }
+    }
+    console.log('Mission complete, hovering');
+    vehicle.target = { longitude: vehicle.longitude, latitude: vehicle.latitude, altitude: vehicle.altitude };
+    setMode('goto');
+}
+
+function setMode(mode) {
+    if (vehicle.mode !== mode) console.log(`Mode ${vehicle.mode} -> ${mode}`);
+    vehicle.mode = mode;
+}
+
+function send(name, values) {
+    udp.send(sender.encode(name, values), BRIDGE_PORT, BRIDGE_HOST);
+}
+
+function sendState() {
+    const timeBoot = Date.now() - bootTime;
+    const north = vehicle.speed * Math.cos(toRadians(vehicle.heading));
+    const east = vehicle.speed * Math.sin(toRadians(vehicle.heading));
+    send('GLOBAL_POSITION_INT', {
+        time_boot_ms: timeBoot,
+        lat: vehicle.latitude * 1e7,
+        lon: vehicle.longitude * 1e7,
+        alt: vehicle.altitude * 1000,
+        relative_alt: (vehicle.altitude - HOME_ALT) * 1000,
+        vx: north * 100,
+        vy: east * 100,
+        vz: -vehicle.verticalSpeed * 100,
+        hdg: vehicle.heading * 100
+    });
+
+    // Coordinated turn bank and a pitch that tilts into acceleration
+    const roll = Math.atan(vehicle.speed * toRadians(vehicle.yawRate) / GRAVITY);
+    const pitch = -Math.atan(vehicle.acceleration / GRAVITY);
+    const yaw = toRadians(vehicle.heading > 180 ? vehicle.heading - 360 : vehicle.heading);
+    send('ATTITUDE', { time_boot_ms: timeBoot, roll, pitch, yaw, yawspeed: toRadians(vehicle.yawRate) });
+}
+
+function sendStatus() {
+    const flying = vehicle.mode !== 'landed';
+    send('HEARTBEAT', {
+        type: MAV_TYPE_QUADROTOR,
+        autopilot: AUTOPILOT,
+        base_mode: MAV_MODE_FLAG_CUSTOM_MODE_ENABLED | (flying ? MAV_MODE_FLAG_SAFETY_ARMED : 0),
+        custom_mode: 0,
+        system_status: flying ? MAV_STATE_ACTIVE : MAV_STATE_STANDBY,
+        mavlink_version: 3
+    });
+    send('SYS_STATUS', {
+        voltage_battery: (13.2 + 3.6 * vehicle.battery / 100) * 1000,
+        current_battery: flying ? 1500 : 0,
+        battery_remaining: Math.round(vehicle.battery),
+        drop_rate_comm: 0
+    });
+
+    // Link quality falls off with the distance from home
+    const range = distance(vehicle, { longitude: HOME_LON, latitude: HOME_LAT });
+    const signal = Math.max(0.05, 1 - range / RADIO_RANGE);
+    send('RADIO_STATUS', { rssi: Math.round(signal * 254), remrssi: Math.round(signal * 254), txbuf: 100 });
+}
+
+function acknowledge(command, result) {
+    send('COMMAND_ACK', { command, result });
+}
+
+function handleMessage({ name, values }) {
+    // Only accept what is addressed to us
+    if (values.target_system !== undefined && values.target_system !== SYSTEM_ID && values.target_system !== 0) return;
+
+    switch (name) {
+        case 'COMMAND_INT':
+            if (values.command !== MAV_CMD_DO_REPOSITION) {
+                acknowledge(values.command, MAV_RESULT_UNSUPPORTED);
+                break;
+            }
+            vehicle.target = {
+                latitude: values.x / 1e7,
+                longitude: values.y / 1e7,
+                altitude: values.z + (values.frame === MAV_FRAME_GLOBAL_RELATIVE_ALT ? HOME_ALT : 0)
+            };
+            if (values.param1 > 0) vehicle.cruise = values.param1;
+            setMode('goto');
+            acknowledge(values.command, MAV_RESULT_ACCEPTED);
+            break;
+        case 'COMMAND_LONG':
+            handleCommandLong(values);
+            break;
+        case 'MISSION_COUNT':
+            vehicle.upload = { count: values.count, items: [] };
+            requestMissionItem(0);
+            break;
+        case 'MISSION_ITEM_INT':
+            if (!vehicle.upload || values.seq !== vehicle.upload.items.length) break;
+            vehicle.upload.items.push(values);
+            if (vehicle.upload.items.length < vehicle.upload.count) {
+                requestMissionItem(vehicle.upload.items.length);
+            } else {
+                // ArduPilot keeps home in item 0, it is not flown
+                vehicle.mission = AUTOPILOT === MAV_AUTOPILOT_ARDUPILOTMEGA ? vehicle.upload.items.slice(1) : vehicle.upload.items;
+                vehicle.upload = null;
+                console.log(`Mission of ${vehicle.mission.length} items received`);
+                send('MISSION_ACK', { type: MAV_MISSION_ACCEPTED });
+            }
+            break;
+        default:
+            break;
+    }
+}
+
+function handleCommandLong(values) {
+    switch (values.command) {
+        case MAV_CMD_NAV_RETURN_TO_LAUNCH:
+            vehicle.target = { longitude: HOME_LON, latitude: HOME_LAT, altitude: Math.max(vehicle.altitude, HOME_ALT + 30) };
+            vehicle.cruise = CRUISE_SPEED;
+            setMode('rtl');
+            acknowledge(values.command, MAV_RESULT_ACCEPTED);
+            break;
+        case MAV_CMD_NAV_LAND:
+            setMode('land');
+            acknowledge(values.command, MAV_RESULT_ACCEPTED);
+            break;
+        case MAV_CMD_MISSION_START:
+            if (vehicle.mission.length === 0) {
+                acknowledge(values.command, MAV_RESULT_FAILED);
+                break;
+            }
+            setMode('mission');
+            nextMissionItem(0);
+            acknowledge(values.command, MAV_RESULT_ACCEPTED);
+            break;
+        default:
+            acknowledge(values.command, MAV_RESULT_UNSUPPORTED);
+    }
+}
+
+function requestMissionItem(seq) {
+    send('MISSION_REQUEST_INT', { seq });
+}
+
+udp.on('message', (data) => {
+    for (const message of parser.push(data)) handleMessage(message);
+});
+
+udp.bind(() => {
+    console.log(`Stand-in vehicle ${SYSTEM_ID} sending to udp://${BRIDGE_HOST}:${BRIDGE_PORT}`);
+    sendStatus();
+    setInterval(step, STEP * 1000);
+    setInterval(sendStatus, 1000);
+});
@@ -0,0 +1,78 @@
+// Mock telemetry server: replays a recorded track over WebSocket in the
+// JSON format the browser's TelemetryClient consumes (see web/js/telemetry.js).
+//
+//   node telemetry/server.mjs
+//
+// Environment:
+//   PORT        Port to listen on (default 8765)
+//   TRACK_FILE  JSON lines file with one message per line and a `t` field in
+//               seconds since the start of the recording (default tracks/nicosia.jsonl)
+//   RATE        Replay speed multiplier (default 1)
+//   LOOP        Restart the track when it ends, "false" to stop (default true)
+import { createServer } from 'node:http';
+import { readFileSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { WebSocketServer } from './websocket.mjs';
+
+const here = dirname(fileURLToPath(import.meta.url));
+const PORT = Number(process.env.PORT || 8765);
+const TRACK_FILE = resolve(here, process.env.TRACK_FILE || 'tracks/nicosia.jsonl');
+const RATE = Number(process.env.RATE || 1);
+const LOOP = process.env.LOOP !== 'false';
+const TICK = 100;           // ms between replay ticks
+const LOOP_PAUSE = 2;       // seconds of silence before the track restarts
+
+/**
+ * @param {string} file - JSON lines track
+ * @returns {Object[]} Messages sorted by their `t`
+ */
+function loadTrack(file) {
+    const samples = readFileSync(file, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map((line, index) => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                throw new Error(`${file}:${index + 1}: ${error.message}`);
+            }
+        });
+    return samples.sort((a, b) => a.t - b.t);
+}
+
+const track = loadTrack(TRACK_FILE);
+const duration = track.length ? track[track.length - 1].t : 0;
+console.log(`Loaded ${track.length} samples (${duration} s) from ${TRACK_FILE}`);
+
+// Replay clock in track seconds, shared by all clients like a live feed
+let elapsed = 0;
+let next = 0;
+
+const server = createServer((request, response) => {
+    // Plain HTTP requests get the replay status, handy for health checks
+    response.writeHead(200, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+    response.end(JSON.stringify({ clients: sockets.clients.size, samples: track.length, elapsed, rate: RATE }));
+});
+const sockets = new WebSocketServer(server);
+
+sockets.on('connection', (client, request) => {
+    console.log(`Client connected from ${request.socket.remoteAddress} (${sockets.clients.size} connected)`);
+    client.on('close', () => console.log(`Client disconnected (${sockets.clients.size} connected)`));
+});
+
+setInterval(() => {
+    elapsed += TICK / 1000 * RATE;
+    while (next < track.length && track[next].t <= elapsed) {
+        const { t, ...message } = track[next++];
+        sockets.broadcast({ ...message, time: Date.now() });
+    }
+    if (next >= track.length && LOOP && elapsed >= duration + LOOP_PAUSE) {
+        elapsed = 0;
+        next = 0;
+    }
+}, TICK);
+
+server.listen(PORT, () => {
+    console.log(`Mock telemetry on ws://localhost:${PORT} (rate ${RATE}x${LOOP ? ', looping' : ''})`);
+});
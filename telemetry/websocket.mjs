@@ -0,0 +1,230 @@
+// Minimal WebSocket server (RFC 6455) on Node's built-in http module, so the
+// local services run without installing packages. Text messages only.
+import { createHash } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODE_CONTINUATION = 0x0;
+const OPCODE_TEXT = 0x1;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xA;
+
+const CLOSE_PROTOCOL_ERROR = 1002;
+const CLOSE_MESSAGE_TOO_BIG = 1009;
+
+const DEFAULT_MAX_PAYLOAD = 1024 * 1024;   // bytes of one message, fragments together
+
+/**
+ * One connected browser. Emits `message` (text) and `close`.
+ */
+export class WebSocketClient extends EventEmitter {
+    /**
+     * @param {import('node:net').Socket} socket - Upgraded connection
+     * @param {number} [maxPayload] - Bytes a message may have, larger ones close the connection
+     */
+    constructor(socket, maxPayload = DEFAULT_MAX_PAYLOAD) {
+        super();
+        this.socket = socket;
+        this.maxPayload = maxPayload;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentsLength = 0;
+        this.closed = false;
+
+        socket.on('data', (chunk) => {
+            if (this.closed) return;
+            this.buffer = Buffer.concat([this.buffer, chunk]);
+            this.readFrames();
+        });
+        socket.on('close', () => this.handleClose());
+        socket.on('error', () => this.handleClose());
+    }
+
+    /**
+     * @param {string} text - Text message to send
+     */
+    send(text) {
+        if (this.closed) return;
+        this.socket.write(encodeFrame(OPCODE_TEXT, Buffer.from(text)));
+    }
+
+    /**
+     * @param {Object} message - Sent as JSON
+     */
+    sendJSON(message) {
+        this.send(JSON.stringify(message));
+    }
+
+    /**
+     * @param {number} [code] - Close status, none for a normal closure
+     * @param {string} [reason]
+     */
+    close(code, reason = '') {
+        if (this.closed) return;
+        let payload = Buffer.alloc(0);
+        if (code) {
+            payload = Buffer.concat([Buffer.alloc(2), Buffer.from(reason)]);
+            payload.writeUInt16BE(code, 0);
+        }
+        this.socket.end(encodeFrame(OPCODE_CLOSE, payload));
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.handleClose();
+    }
+
+    /** @private */
+    handleClose() {
+        if (this.closed) return;
+        this.closed = true;
+        this.emit('close');
+    }
+
+    /**
+     * Frames are checked as soon as their header is in, so a client cannot
+     * make the buffer grow past one message
+     * @private
+     */
+    readFrames() {
+        while (!this.closed && this.buffer.length >= 2) {
+            const fin = (this.buffer[0] & 0x80) !== 0;
+            const opcode = this.buffer[0] & 0x0F;
+            const masked = (this.buffer[1] & 0x80) !== 0;
+            let length = this.buffer[1] & 0x7F;
+            let offset = 2;
+
+            if (length === 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) return;
+                length = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+
+            // RFC 6455 5.1: clients mask every frame
+            if (!masked) {
+                this.close(CLOSE_PROTOCOL_ERROR, 'Unmasked frame');
+                return;
+            }
+            if (this.fragmentsLength + length > this.maxPayload) {
+                this.close(CLOSE_MESSAGE_TOO_BIG, `Messages are limited to ${this.maxPayload} bytes`);
+                return;
+            }
+
+            const maskOffset = offset;
+            offset += 4;
+            if (this.buffer.length < offset + length) return;
+
+            const payload = Buffer.from(this.buffer.subarray(offset, offset + length));
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= this.buffer[maskOffset + (i % 4)];
+            }
+            this.buffer = this.buffer.subarray(offset + length);
+            this.handleFrame(fin, opcode, payload);
+        }
+    }
+
+    /** @private */
+    handleFrame(fin, opcode, payload) {
+        switch (opcode) {
+            case OPCODE_TEXT:
+            case OPCODE_CONTINUATION:
+                this.fragments.push(payload);
+                this.fragmentsLength += payload.length;
+                if (fin) {
+                    const text = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.fragmentsLength = 0;
+                    this.emit('message', text);
+                }
+                break;
+            case OPCODE_PING:
+                this.socket.write(encodeFrame(OPCODE_PONG, payload));
+                break;
+            case OPCODE_CLOSE:
+                this.close();
+                break;
+            default:
+                // Binary and pong frames are not used
+                break;
+        }
+    }
+}
+
+/**
+ * Accepts WebSocket upgrades on an http server and tracks the clients.
+ * Emits `connection` with each new WebSocketClient.
+ */
+export class WebSocketServer extends EventEmitter {
+    /**
+     * @param {import('node:http').Server} server - Server whose upgrade requests are accepted
+     * @param {Object} [options]
+     * @param {string[]|null} [options.allowedOrigins] - Origins of the pages that may connect, null for any.
+     *   Browsers send the Origin of the page, so this stops other sites from connecting through them.
+     * @param {number} [options.maxPayload] - Bytes a message may have
+     */
+    constructor(server, { allowedOrigins = null, maxPayload = DEFAULT_MAX_PAYLOAD } = {}) {
+        super();
+        /** @type {Set<WebSocketClient>} */
+        this.clients = new Set();
+
+        server.on('upgrade', (request, socket) => {
+            const key = request.headers['sec-websocket-key'];
+            if (!key || request.headers.upgrade?.toLowerCase() !== 'websocket') {
+                socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+                return;
+            }
+            const origin = request.headers.origin;
+            if (allowedOrigins && !allowedOrigins.includes(origin)) {
+                console.warn(`Refused WebSocket connection from origin ${origin ?? '(none)'}`);
+                socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+                return;
+            }
+
+            const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+            socket.write([
+                'HTTP/1.1 101 Switching Protocols',
+                'Upgrade: websocket',
+                'Connection: Upgrade',
+                `Sec-WebSocket-Accept: ${accept}`,
+                '', ''
+            ].join('\r\n'));
+            socket.setNoDelay(true);
+
+            const client = new WebSocketClient(socket, maxPayload);
+            this.clients.add(client);
+            client.on('close', () => this.clients.delete(client));
+            this.emit('connection', client, request);
+        });
+    }
+
+    /**
+     * Send a message to every connected client
+     * @param {Object} message - Sent as JSON
+     */
+    broadcast(message) {
+        const text = JSON.stringify(message);
+        for (const client of this.clients) client.send(text);
+    }
+}
+
+function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
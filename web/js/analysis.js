@@ -0,0 +1,422 @@
+/**
+ * Terrain analysis on the DEM of `terrainSource`: distance, area and
+ * elevation profile of drawn lines and shapes, line of sight between two
+ * points and the viewshed of an observer.
+ *
+ * The DEM only covers tiles MapLibre has loaded, so results are as good as
+ * the terrain in view. Lines of sight and viewsheds allow for the earth's
+ * curvature, with standard atmospheric refraction.
+ */
+import { setDeckLayers } from './main.js';
+import { EARTH_RADIUS, destinationPoint, polygonArea } from './geo.js';
+import { getGroundElevation, renderAltitudeFromGround, sampleTerrainProfile } from './terrain.js';
+
+const PROFILE_SPACING = 10;          // meters between DEM samples along measured lines
+const PROFILE_MAX_SAMPLES = 500;     // per segment
+const REFRACTION_FACTOR = 4 / 3;     // effective earth radius over the real one for sight lines
+const VIEWSHED_RADIUS = 2000;        // meters from the observer
+const VIEWSHED_RAYS = 180;           // directions sampled around the observer
+const VIEWSHED_STEPS = 100;          // samples along each direction
+const DRAPE_OFFSET = 1;              // meters drawn above the ground so lines are not hidden in it
+const PROFILE_WIDTH = 240;           // px of the elevation profile chart
+const PROFILE_HEIGHT = 80;           // px
+
+const COLORS = {
+    measure: [0, 124, 191],
+    vertex: [255, 255, 255],
+    visible: [42, 157, 143],
+    blocked: [214, 40, 40]
+};
+
+/**
+ * @typedef {Object} ProfileSample
+ * @property {[number, number]} position - [lon, lat]
+ * @property {number} distance - Meters along the line from its start
+ * @property {number} ground - Meters AMSL
+ */
+
+/**
+ * Ground along a line and its lengths
+ * @param {import('maplibre-gl').Map} map
+ * @param {[number, number][]} points - Corners of the line [lon, lat]
+ * @returns {{distance: number, surfaceDistance: number, ascent: number, descent: number,
+ *   minElevation: number, maxElevation: number, samples: ProfileSample[]}} Meters: `distance` over the
+ *   map, `surfaceDistance` over the ground, and the total climb and drop along it
+ */
+export function measureProfile(map, points) {
+    const samples = [];
+    let offset = 0;
+    for (let i = 1; i < points.length; i++) {
+        const segment = sampleTerrainProfile(map, points[i - 1], points[i], PROFILE_SPACING, PROFILE_MAX_SAMPLES);
+        // Each segment starts where the last one ended
+        for (const sample of i === 1 ? segment : segment.slice(1)) {
+            samples.push({ ...sample, distance: offset + sample.distance });
+        }
+        offset += segment[segment.length - 1].distance;
+    }
+
+    let surfaceDistance = 0, ascent = 0, descent = 0;
+    for (let i = 1; i < samples.length; i++) {
+        const rise = samples[i].ground - samples[i - 1].ground;
+        surfaceDistance += Math.hypot(samples[i].distance - samples[i - 1].distance, rise);
+        if (rise > 0) ascent += rise;
+        else descent -= rise;
+    }
+    const elevations = samples.map(sample => sample.ground);
+    return {
+        distance: offset,
+        surfaceDistance,
+        ascent,
+        descent,
+        minElevation: Math.min(...elevations),
+        maxElevation: Math.max(...elevations),
+        samples
+    };
+}
+
+/**
+ * @typedef {Object} SightSample
+ * @property {[number, number]} position - [lon, lat]
+ * @property {number} distance - Meters from the observer
+ * @property {number} ground - Meters AMSL
+ * @property {number} sight - Meters AMSL of the sight line above the sample
+ * @property {number} clearance - Meters from the sight line down to the ground, negative where the ground blocks it
+ */
+
+/**
+ * Whether the ground blocks the straight line between two points
+ * @param {import('maplibre-gl').Map} map
+ * @param {[number, number]} from - Observer [lon, lat]
+ * @param {number} fromAltitude - Observer meters AMSL
+ * @param {[number, number]} to - Target [lon, lat]
+ * @param {number} toAltitude - Target meters AMSL
+ * @returns {{visible: boolean, obstruction: SightSample|null, samples: SightSample[]}} The first
+ *   sample where the ground blocks the line, null when the target is visible
+ */
+export function lineOfSight(map, from, fromAltitude, to, toAltitude) {
+    const profile = sampleTerrainProfile(map, from, to, PROFILE_SPACING, PROFILE_MAX_SAMPLES);
+    const length = profile[profile.length - 1].distance;
+    const samples = profile.map(({ position, distance, ground }) => {
+        const sight = length > 0 ? fromAltitude + (toAltitude - fromAltitude) * distance / length : fromAltitude;
+        return { position, distance, ground, sight, clearance: sight - ground - earthBulge(distance, length - distance) };
+    });
+    // The end points stand on the ground, only the ground between them can block
+    const obstruction = samples.slice(1, -1).find(sample => sample.clearance < 0) ?? null;
+    return { visible: obstruction === null, obstruction, samples };
+}
+
+/**
+ * @typedef {Object} ViewshedCell
+ * @property {[number, number]} position - [lon, lat]
+ * @property {number} ground - Meters AMSL
+ * @property {boolean} visible - Whether the observer sees the ground there
+ */
+
+/**
+ * The ground an observer sees around it, sampled along rays outward
+ * @param {import('maplibre-gl').Map} map
+ * @param {[number, number]} origin - Observer [lon, lat]
+ * @param {number} altitude - Observer meters AMSL
+ * @param {Object} options
+ * @param {number} [options.radius] - Meters out from the observer
+ * @param {number} [options.rays] - Directions sampled
+ * @param {number} [options.steps] - Samples along each direction
+ * @returns {{cells: ViewshedCell[], visibleFraction: number}} Cells where the DEM is loaded
+ */
+export function computeViewshed(map, origin, altitude, { radius = VIEWSHED_RADIUS, rays = VIEWSHED_RAYS, steps = VIEWSHED_STEPS } = {}) {
+    const cells = [];
+    for (let ray = 0; ray < rays; ray++) {
+        const bearing = ray * 360 / rays;
+        // Steepest slope from the observer to the ground so far, anything lower is hidden behind it
+        let horizon = -Infinity;
+        for (let step = 1; step <= steps; step++) {
+            const distance = radius * step / steps;
+            const position = destinationPoint(origin, bearing, distance);
+            const ground = getGroundElevation(map, position);
+            if (ground === null) continue;
+            // The curvature drops the ground away from the observer's horizontal
+            const slope = (ground - earthBulge(distance, distance) - altitude) / distance;
+            cells.push({ position, ground, visible: slope >= horizon });
+            horizon = Math.max(horizon, slope);
+        }
+    }
+    const visible = cells.filter(cell => cell.visible).length;
+    return { cells, visibleFraction: cells.length ? visible / cells.length : 0 };
+}
+
+/**
+ * Height the earth's curvature raises the ground into a sight line
+ * @param {number} fromObserver - Meters from the observer
+ * @param {number} toTarget - Meters on to the target
+ * @returns {number} Meters
+ */
+function earthBulge(fromObserver, toTarget) {
+    return fromObserver * toTarget / (2 * REFRACTION_FACTOR * EARTH_RADIUS);
+}
+
+/**
+ * Draws measurements, lines of sight and viewsheds through the deck.gl
+ * overlay, and shows their results in a popup. Each kind of result
+ * replaces the last one of its kind until `clear()`.
+ */
+export class TerrainAnalysis {
+    /**
+     * @param {import('maplibre-gl').Map} map - The MapLibre map instance
+     */
+    constructor(map) {
+        this.map = map;
+        /** @type {Map<'measure'|'area'|'sight'|'viewshed', Object[]>} deck.gl layers of each kind of result */
+        this.results = new Map();
+        this.popup = null;
+    }
+
+    /**
+     * Measure a line and draw it with its elevation profile
+     * @param {[number, number][]} points - Corners clicked so far [lon, lat]
+     * @returns {ReturnType<typeof measureProfile>|null} Null below 2 points
+     */
+    measureLine(points) {
+        if (points.length < 2) {
+            this.draw('measure', [this.vertexLayer('measure', points)]);
+            return null;
+        }
+        const result = measureProfile(this.map, points);
+        this.draw('measure', [
+            this.drapedLayer('measure', result.samples, COLORS.measure),
+            this.vertexLayer('measure', points)
+        ]);
+        this.showPopup(points[points.length - 1], "Distance", [
+            ['Map distance', formatDistance(result.distance)],
+            ['Over ground', formatDistance(result.surfaceDistance)],
+            ['Climb / drop', `${result.ascent.toFixed(0)} m / ${result.descent.toFixed(0)} m`],
+            ['Elevation', `${result.minElevation.toFixed(0)} – ${result.maxElevation.toFixed(0)} m`]
+        ], profileChart(result.samples));
+        console.log(`Measured ${formatDistance(result.distance)} over ${points.length} points`);
+        return result;
+    }
+
+    /**
+     * Measure a shape's area and perimeter and draw its outline on the ground
+     * @param {[number, number][]} points - Corners clicked so far [lon, lat]
+     * @returns {{area: number, perimeter: number}|null} Square meters and meters, null below 3 points
+     */
+    measureArea(points) {
+        if (points.length < 3) {
+            const outline = points.length === 2 ? [this.drapedLayer('area', measureProfile(this.map, points).samples, COLORS.measure)] : [];
+            this.draw('area', [...outline, this.vertexLayer('area', points)]);
+            return null;
+        }
+        const ring = [...points, points[0]];
+        const { samples, distance: perimeter } = measureProfile(this.map, ring);
+        const area = polygonArea(points);
+        this.draw('area', [
+            this.drapedLayer('area', samples, COLORS.measure),
+            this.vertexLayer('area', points)
+        ]);
+        this.showPopup(points[points.length - 1], "Area", [
+            ['Area', formatArea(area)],
+            ['Perimeter', formatDistance(perimeter)]
+        ]);
+        console.log(`Measured ${formatArea(area)} inside ${points.length} corners`);
+        return { area, perimeter };
+    }
+
+    /**
+     * Check and draw the line of sight between two points, green where it
+     * is clear and red from where the ground blocks it
+     * @param {[number, number]} from - Observer [lon, lat]
+     * @param {number} fromAltitude - Observer meters AMSL
+     * @param {[number, number]} to - Target [lon, lat]
+     * @param {number} toAltitude - Target meters AMSL
+     * @returns {ReturnType<typeof lineOfSight>}
+     */
+    lineOfSight(from, fromAltitude, to, toAltitude) {
+        const result = lineOfSight(this.map, from, fromAltitude, to, toAltitude);
+        const { samples, obstruction } = result;
+        const blockedFrom = obstruction ? samples.indexOf(obstruction) : samples.length;
+        const path = (part) => part.map(sample => [...sample.position,
+            renderAltitudeFromGround(this.map, sample.sight, 'AMSL', sample.ground)]);
+
+        const layers = [new PathLayer({
+            id: 'analysis-sight-clear',
+            data: [{ path: path(samples.slice(0, blockedFrom + 1)) }],
+            getPath: d => d.path,
+            getColor: COLORS.visible,
+            getWidth: 3,
+            widthUnits: 'pixels'
+        })];
+        if (obstruction) {
+            layers.push(new PathLayer({
+                id: 'analysis-sight-blocked',
+                data: [{ path: path(samples.slice(blockedFrom)) }],
+                getPath: d => d.path,
+                getColor: COLORS.blocked,
+                getWidth: 3,
+                widthUnits: 'pixels'
+            }));
+            layers.push(this.pointLayer('analysis-sight-obstruction', [obstruction], COLORS.blocked, 6));
+        }
+        this.draw('sight', layers);
+
+        const length = samples[samples.length - 1].distance;
+        this.showPopup(to, "Line of Sight", [
+            ['Result', obstruction ? 'Blocked' : 'Visible'],
+            ['Distance', formatDistance(length)],
+            obstruction
+                ? ['Blocked at', `${formatDistance(obstruction.distance)}, ${(-obstruction.clearance).toFixed(1)} m above the line`]
+                : ['Lowest clearance', samples.length > 2
+                    ? `${Math.min(...samples.slice(1, -1).map(sample => sample.clearance)).toFixed(1)} m` : '—']
+        ]);
+        console.log(`Line of sight over ${formatDistance(length)}: ${obstruction ? 'blocked' : 'visible'}`);
+        return result;
+    }
+
+    /**
+     * Compute and draw what an observer sees around it
+     * @param {[number, number]} origin - Observer [lon, lat]
+     * @param {number} altitude - Observer meters AMSL
+     * @param {string} name - Observer name for the popup
+     * @returns {ReturnType<typeof computeViewshed>}
+     */
+    viewshed(origin, altitude, name) {
+        const result = computeViewshed(this.map, origin, altitude);
+        const cellRadius = VIEWSHED_RADIUS / VIEWSHED_STEPS / 2;
+        this.draw('viewshed', [
+            this.pointLayer('analysis-viewshed-visible', result.cells.filter(cell => cell.visible), [...COLORS.visible, 140], cellRadius, 'meters'),
+            this.pointLayer('analysis-viewshed-hidden', result.cells.filter(cell => !cell.visible), [...COLORS.blocked, 70], cellRadius, 'meters')
+        ]);
+        this.showPopup(origin, `${name} Viewshed`, [
+            ['Radius', formatDistance(VIEWSHED_RADIUS)],
+            ['Ground visible', `${(result.visibleFraction * 100).toFixed(0)} %`]
+        ]);
+        console.log(`Viewshed of ${name}: ${(result.visibleFraction * 100).toFixed(0)}% of ${result.cells.length} cells visible`);
+        return result;
+    }
+
+    /**
+     * @param {'measure'|'area'|'sight'|'viewshed'} kind
+     * @returns {boolean} Whether a result of the kind is drawn
+     */
+    has(kind) {
+        return this.results.has(kind);
+    }
+
+    /**
+     * Remove results of one kind, or all of them
+     * @param {'measure'|'area'|'sight'|'viewshed'} [kind]
+     */
+    clear(kind) {
+        if (kind) this.results.delete(kind);
+        else this.results.clear();
+        this.closePopup();
+        setDeckLayers('analysis', [...this.results.values()].flat());
+    }
+
+    /** @private */
+    draw(kind, layers) {
+        this.results.set(kind, layers);
+        setDeckLayers('analysis', [...this.results.values()].flat());
+    }
+
+    /**
+     * Path over the ground through profile samples
+     * @private
+     */
+    drapedLayer(kind, samples, color) {
+        return new PathLayer({
+            id: `analysis-${kind}-line`,
+            data: [{ path: samples.map(({ position, ground }) =>
+                [...position, renderAltitudeFromGround(this.map, DRAPE_OFFSET, 'AGL', ground)]) }],
+            getPath: d => d.path,
+            getColor: color,
+            getWidth: 3,
+            widthUnits: 'pixels'
+        });
+    }
+
+    /** @private */
+    vertexLayer(kind, points) {
+        const vertices = points.map(position => ({ position, ground: getGroundElevation(this.map, position) ?? 0 }));
+        return this.pointLayer(`analysis-${kind}-vertices`, vertices, COLORS.vertex, 5);
+    }
+
+    /**
+     * Points on the ground, sized in pixels or meters
+     * @private
+     */
+    pointLayer(id, points, color, radius, radiusUnits = 'pixels') {
+        return new ScatterplotLayer({
+            id,
+            data: points,
+            getPosition: d => [...d.position, renderAltitudeFromGround(this.map, DRAPE_OFFSET, 'AGL', d.ground)],
+            getFillColor: color,
+            getRadius: radius,
+            radiusUnits,
+            stroked: radiusUnits === 'pixels',
+            getLineColor: [0, 0, 0],
+            lineWidthMinPixels: 1
+        });
+    }
+
+    /** @private */
+    showPopup(lngLat, title, rows, chart = null) {
+        const content = document.createElement('div');
+        content.className = 'pick-popup analysis-popup';
+        const heading = document.createElement('strong');
+        heading.textContent = title;
+        const table = document.createElement('table');
+        for (const [label, value] of rows) {
+            const row = table.insertRow();
+            row.insertCell().textContent = label;
+            row.insertCell().textContent = value;
+        }
+        content.append(heading, table);
+        if (chart) content.appendChild(chart);
+
+        this.closePopup();
+        this.popup = new maplibregl.Popup({ offset: 14, closeOnClick: false })
+            .setLngLat(lngLat)
+            .setDOMContent(content)
+            .addTo(this.map);
+    }
+
+    closePopup() {
+        if (this.popup) {
+            this.popup.remove();
+            this.popup = null;
+        }
+    }
+}
+
+/**
+ * Elevation profile as an SVG line chart
+ * @param {ProfileSample[]} samples
+ * @returns {SVGSVGElement}
+ */
+function profileChart(samples) {
+    const svgNS = 'http://www.w3.org/2000/svg';
+    const length = samples[samples.length - 1].distance || 1;
+    const elevations = samples.map(sample => sample.ground);
+    const low = Math.min(...elevations);
+    const range = Math.max(...elevations) - low || 1;
+    const points = samples.map(({ distance, ground }) =>
+        `${(distance / length * PROFILE_WIDTH).toFixed(1)},${(PROFILE_HEIGHT - (ground - low) / range * PROFILE_HEIGHT).toFixed(1)}`);
+
+    const svg = document.createElementNS(svgNS, 'svg');
+    svg.setAttribute('class', 'analysis-profile');
+    svg.setAttribute('viewBox', `0 0 ${PROFILE_WIDTH} ${PROFILE_HEIGHT}`);
+    svg.setAttribute('width', PROFILE_WIDTH);
+    svg.setAttribute('height', PROFILE_HEIGHT);
+    const area = document.createElementNS(svgNS, 'polygon');
+    area.setAttribute('points', `0,${PROFILE_HEIGHT} ${points.join(' ')} ${PROFILE_WIDTH},${PROFILE_HEIGHT}`);
+    svg.appendChild(area);
+    return svg;
+}
+
+function formatDistance(meters) {
+    return meters >= 1000 ? `${(meters / 1000).toFixed(2)} km` : `${meters.toFixed(1)} m`;
+}
+
+function formatArea(squareMeters) {
+    return squareMeters >= 1e6 ? `${(squareMeters / 1e6).toFixed(3)} km²` : `${squareMeters.toFixed(0)} m²`;
+}
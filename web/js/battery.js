@@ -0,0 +1,148 @@
+import { simulationClock } from './clock.js';
+
+const GRAVITY = 9.81;               // m/s²
+const SPEED_POWER = 0.5;            // share of the hover power added flying at max airspeed
+const CLIMB_EFFICIENCY = 0.5;       // share of the extra power that goes into lifting the drone
+const AIRBORNE_HEIGHT = 0.5;        // meters AGL above which a drone draws flight power
+
+/**
+ * Power a drone draws in flight: hovering, plus induced and parasitic
+ * losses growing with airspeed, plus the work of climbing. Flying into the
+ * wind costs more than the ground speed shows, since the airspeed counts.
+ * @param {import('./drone.js').Drone} drone
+ * @param {number} airspeed - m/s through the air
+ * @returns {number} Watts
+ */
+export function flightPower(drone, airspeed) {
+    const speedShare = Math.min(airspeed / drone.max_speed, 1.5);
+    const climb = Math.max(0, drone.vertical_velocity) * drone.mass * GRAVITY / CLIMB_EFFICIENCY;
+    return drone.hover_power * (1 + SPEED_POWER * speedShare * speedShare) + climb;
+}
+
+/**
+ * Drains the batteries of the simulated drones on the simulation clock and
+ * brings them home on their reserve. Drones on the telemetry feed report
+ * their own battery and the replayed drone its recorded one, both are left
+ * alone. Drones on the ground draw nothing; hovering drones hold their
+ * position against the wind at its speed through the air. The simulator is
+ * on the clock only while a simulated drone is in the air, and drones take
+ * off by moving, so their navigation's `move` puts it back on.
+ *
+ * Dispatches `reserve` (detail: the fleet entry) when a drone reaches its
+ * reserve and is sent home, and `depleted` (detail: the fleet entry) when
+ * its battery is flat and it has to land where it is.
+ */
+export class BatterySimulator extends EventTarget {
+    /**
+     * @param {import('maplibre-gl').Map} map - The MapLibre map instance
+     * @param {import('./registry.js').DroneRegistry} registry - Fleet whose batteries drain
+     * @param {import('./telemetry.js').TelemetryClient} telemetry - Vehicles on the live feed are skipped
+     * @param {import('./playback.js').FlightPlayback} playback - The replayed drone is skipped
+     * @param {import('./weather.js').WindField} wind - Wind hovering drones hold against
+     */
+    constructor(map, registry, telemetry, playback, wind) {
+        super();
+        this.map = map;
+        this.registry = registry;
+        this.telemetry = telemetry;
+        this.playback = playback;
+        this.wind = wind;
+        this.warned = new Map();    // drone id → 'reserve' or 'depleted', what was done about it
+        this.moveListeners = new Map(); // drone id → listener on its navigation's move
+        this.step = this.step.bind(this);
+        for (const entry of registry) this.watch(entry);
+        registry.addEventListener('add', (e) => this.watch(e.detail));
+        registry.addEventListener('remove', (e) => {
+            const { id, navigation } = e.detail;
+            navigation.removeEventListener('move', this.moveListeners.get(id));
+            this.moveListeners.delete(id);
+            this.warned.delete(id);
+        });
+    }
+
+    /**
+     * Give a drone a full battery
+     * @param {string} id - Drone id
+     */
+    recharge(id) {
+        const entry = this.registry.get(id);
+        if (!entry) return;
+        entry.drone.battery = 100;
+        this.warned.delete(id);
+        console.log(`Drone ${id} battery recharged`);
+    }
+
+    /**
+     * Start draining a drone's battery whenever it is in the air
+     * @private
+     */
+    watch(entry) {
+        const listener = () => {
+            if (this.isSimulated(entry) && entry.drone.getAltitude('AGL', this.map) >= AIRBORNE_HEIGHT) {
+                simulationClock.addListener(this.step);
+            }
+        };
+        this.moveListeners.set(entry.id, listener);
+        entry.navigation.addEventListener('move', listener);
+        if (this.isSimulated(entry) && entry.drone.battery === null) entry.drone.battery = 100;
+        listener();
+    }
+
+    /**
+     * @returns {boolean} Whether the drone's battery is simulated here
+     * @private
+     */
+    isSimulated(entry) {
+        return !this.telemetry.isTracked(entry.id) && this.playback.entry !== entry;
+    }
+
+    /** @private */
+    step(dt, time) {
+        let airborne = false;
+        for (const entry of this.registry) {
+            const { drone, navigation } = entry;
+            if (!this.isSimulated(entry)) continue;
+            if (drone.battery === null) drone.battery = 100;
+
+            const height = drone.getAltitude('AGL', this.map);
+            if (height < AIRBORNE_HEIGHT) continue;
+            airborne = true;
+            const position = [drone.longitude, drone.latitude];
+            const airspeed = navigation.isFlying() || navigation.isManual()
+                ? drone.airspeed
+                : Math.hypot(...this.wind.velocityAt(position, height, time));
+            const watts = flightPower(drone, airspeed);
+            drone.battery = Math.max(0, drone.battery - watts * dt / 3600 / drone.battery_capacity * 100);
+            this.checkLevel(entry);
+        }
+
+        // Off the clock until a drone takes off again
+        if (!airborne) simulationClock.removeListener(this.step);
+    }
+
+    /**
+     * Send the drone home on its reserve, and down where it is when flat
+     * @private
+     */
+    checkLevel(entry) {
+        const { id, drone, navigation, missionRunner } = entry;
+        const warned = this.warned.get(id);
+        if (drone.battery <= 0) {
+            // A flat battery keeps bringing the drone down, whatever it is told
+            if (navigation.flight?.landing) return;
+            console.warn(`Drone ${id} battery depleted, landing`);
+            missionRunner.abort();
+            navigation.land();
+            if (warned === 'depleted') return;
+            this.warned.set(id, 'depleted');
+            this.dispatchEvent(new CustomEvent('depleted', { detail: entry }));
+        } else if (drone.battery <= drone.battery_reserve && !warned) {
+            this.warned.set(id, 'reserve');
+            console.warn(`Drone ${id} battery at ${drone.battery.toFixed(0)}% reserve, returning to launch`);
+            // Aborted first, so a pilot giving the drone back does not resume the mission
+            missionRunner.abort();
+            navigation.returnToLaunch();
+            this.dispatchEvent(new CustomEvent('reserve', { detail: entry }));
+        }
+    }
+}
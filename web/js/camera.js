@@ -0,0 +1,204 @@
+import { destinationPoint, normalizeBearing, bearingDifference } from './geo.js';
+import { getRenderAltitude } from './terrain.js';
+
+const CHASE_DISTANCE = 40;        // meters behind the drone
+const CHASE_HEIGHT = 15;          // meters above the drone
+const CHASE_SMOOTHING = 0.5;      // seconds for the chase camera to swing behind a new heading
+const LOOK_AHEAD = 200;           // meters to the point the first-person camera looks at
+const ORBIT_RADIUS = 120;         // meters from the point of interest
+const ORBIT_HEIGHT = 60;          // meters above the point of interest
+const ORBIT_RATE = 15;            // degrees per second around the point of interest
+
+/**
+ * How the camera follows a drone: not at all, from behind its heading,
+ * from its nose, circling it (or a fixed point), or from straight above
+ */
+export const CAMERA_MODES = ['free', 'chase', 'first-person', 'orbit', 'top-down'];
+
+/**
+ * Keeps the map camera on a drone every frame in one of CAMERA_MODES.
+ *
+ * Following stops as soon as the user drags, rotates, pitches, rolls or zooms the
+ * map, when the followed drone is removed, or on `stop()`. Dispatches
+ * `mode` (detail: the new mode) whenever the mode changes, including when
+ * following drops out.
+ */
+export class CameraController extends EventTarget {
+    /**
+     * @param {import('maplibre-gl').Map} map - The MapLibre map instance
+     * @param {import('./registry.js').DroneRegistry} registry - Fleet the followed drone is in
+     */
+    constructor(map, registry) {
+        super();
+        this.map = map;
+        this.registry = registry;
+        this.mode = 'free';
+        this.droneId = null;
+        this.center = null;             // orbit point of interest [lon, lat, altitude AMSL], the drone when null
+        this.bearing = 0;               // degrees the camera looks toward
+        this.frameId = null;
+        this.lastFrame = null;
+        this.hiddenDrone = null;        // drone whose model is hidden from its own nose camera
+        this.centerClamped = null;      // map setting to restore when following stops
+        this.frame = this.frame.bind(this);
+
+        // Any camera change the user makes ends the follow
+        const interrupt = (e) => {
+            if (e.originalEvent && this.mode !== 'free') {
+                console.log(`Camera ${this.mode} interrupted by the user`);
+                this.stop();
+            }
+        };
+        for (const type of ['dragstart', 'rotatestart', 'pitchstart', 'rollstart', 'zoomstart']) {
+            map.on(type, interrupt);
+        }
+
+        registry.addEventListener('remove', (e) => {
+            if (e.detail.id === this.droneId) this.stop();
+        });
+    }
+
+    /**
+     * Follow a drone
+     * @param {'free'|'chase'|'first-person'|'orbit'|'top-down'} mode - One of CAMERA_MODES, 'free' stops following
+     * @param {string} droneId - Drone to follow
+     * @param {Object} options
+     * @param {[number, number, number]} [options.center] - Orbit around [lon, lat, altitude AMSL] instead of the drone
+     */
+    follow(mode, droneId, { center = null } = {}) {
+        if (!CAMERA_MODES.includes(mode)) {
+            throw new Error(`Unknown camera mode "${mode}"`);
+        }
+        if (mode === 'free') {
+            this.stop();
+            return;
+        }
+        const entry = this.registry.get(droneId);
+        if (!entry) {
+            throw new Error(`No drone "${droneId}" to follow`);
+        }
+
+        this.restoreMap();
+        this.mode = mode;
+        this.droneId = droneId;
+        this.center = center;
+        this.bearing = mode === 'orbit' ? this.map.getBearing() : entry.drone.heading;
+
+        // The camera is placed at an altitude, not on the ground under the center
+        if (mode !== 'top-down') {
+            this.centerClamped = this.map.getCenterClampedToGround();
+            this.map.setCenterClampedToGround(false);
+        }
+        if (mode === 'first-person' && entry.drone.rtcGroup) {
+            entry.drone.rtcGroup.visible = false;
+            this.hiddenDrone = entry.drone;
+        }
+
+        if (this.frameId === null) {
+            this.lastFrame = null;
+            this.frameId = requestAnimationFrame(this.frame);
+        }
+        console.log(`Camera ${mode} on ${droneId}`);
+        this.dispatchEvent(new CustomEvent('mode', { detail: mode }));
+    }
+
+    /**
+     * Stop following, leaving the camera where it is
+     */
+    stop() {
+        if (this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+        this.restoreMap();
+        if (this.mode === 'free') return;
+        this.mode = 'free';
+        this.droneId = null;
+        this.center = null;
+        this.dispatchEvent(new CustomEvent('mode', { detail: 'free' }));
+    }
+
+    /**
+     * Undo what the current mode changed on the map and the drone
+     * @private
+     */
+    restoreMap() {
+        if (this.hiddenDrone) {
+            if (this.hiddenDrone.rtcGroup) this.hiddenDrone.rtcGroup.visible = true;
+            this.hiddenDrone = null;
+            // Level the horizon the nose camera banked
+            this.map.jumpTo({ roll: 0 });
+        }
+        if (this.centerClamped !== null) {
+            this.map.setCenterClampedToGround(this.centerClamped);
+            this.centerClamped = null;
+        }
+    }
+
+    /** @private */
+    frame(now) {
+        this.frameId = requestAnimationFrame(this.frame);
+        const dt = this.lastFrame === null ? 0 : Math.min((now - this.lastFrame) / 1000, 0.1);
+        this.lastFrame = now;
+
+        const entry = this.registry.get(this.droneId);
+        if (!entry) {
+            this.stop();
+            return;
+        }
+        this.map.jumpTo(this.cameraFor(entry.drone, dt));
+    }
+
+    /**
+     * Camera options of the current mode for one frame
+     * @param {import('./drone.js').Drone} drone - Followed drone
+     * @param {number} dt - Seconds since the last frame
+     * @returns {import('maplibre-gl').CameraOptions}
+     * @private
+     */
+    cameraFor(drone, dt) {
+        const position = [drone.longitude, drone.latitude];
+        const altitude = getRenderAltitude(this.map, position, drone.altitude, drone.altitude_mode);
+
+        switch (this.mode) {
+            case 'chase': {
+                // Ease toward the heading so turns and telemetry jitter do not whip the camera around
+                const blend = dt > 0 ? 1 - Math.exp(-dt / CHASE_SMOOTHING) : 1;
+                this.bearing = normalizeBearing(this.bearing + bearingDifference(this.bearing, drone.heading) * blend);
+                const eye = destinationPoint(position, this.bearing + 180, CHASE_DISTANCE);
+                return this.lookAt(eye, altitude + CHASE_HEIGHT, position, altitude);
+            }
+            case 'first-person': {
+                // Look along the nose: heading, pitch and roll of the drone
+                const ahead = destinationPoint(position, drone.heading, LOOK_AHEAD);
+                const rise = LOOK_AHEAD * Math.tan(drone.pitch * Math.PI / 180);
+                return { ...this.lookAt(position, altitude, ahead, altitude + rise), roll: drone.roll };
+            }
+            case 'orbit': {
+                this.bearing = normalizeBearing(this.bearing + ORBIT_RATE * dt);
+                const poi = this.center
+                    ? [this.center[0], this.center[1]]
+                    : position;
+                const poiAltitude = this.center
+                    ? getRenderAltitude(this.map, poi, this.center[2], 'AMSL')
+                    : altitude;
+                const eye = destinationPoint(poi, this.bearing + 180, ORBIT_RADIUS);
+                return this.lookAt(eye, poiAltitude + ORBIT_HEIGHT, poi, poiAltitude);
+            }
+            case 'top-down':
+                // North up, keeping whatever zoom the camera has
+                return { center: position, bearing: 0, pitch: 0, roll: 0 };
+        }
+    }
+
+    /**
+     * Camera options for an eye at one point looking at another
+     * @private
+     */
+    lookAt(eye, eyeAltitude, target, targetAltitude) {
+        const camera = this.map.calculateCameraOptionsFromTo(
+            new maplibregl.LngLat(eye[0], eye[1]), eyeAltitude,
+            new maplibregl.LngLat(target[0], target[1]), targetAltitude);
+        return { ...camera, roll: 0 };
+    }
+}
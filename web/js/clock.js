@@ -0,0 +1,92 @@
+/**
+ * Simulation clock driven by requestAnimationFrame.
+ *
+ * Listeners receive the elapsed simulation time in seconds every frame,
+ * scaled by the time scale and split into steps of at most `maxStep` so
+ * fast-forwarding stays as accurate as real time.
+ */
+export class SimulationClock {
+    constructor({ maxStep = 0.1, maxFrameDelta = 1 } = {}) {
+        this.maxStep = maxStep;             // seconds of sim time per listener call
+        this.maxFrameDelta = maxFrameDelta; // seconds of real time one frame may cover
+        this.timeScale = 1;
+        this.paused = false;
+        this.time = 0;                      // elapsed simulation seconds
+        this.listeners = new Set();
+        this.frameId = null;
+        this.lastFrame = null;
+        this.frame = this.frame.bind(this);
+    }
+
+    /**
+     * Call a function every simulation step. The clock runs while it has listeners.
+     * @param {(dt: number, time: number) => void} listener - Receives the step length and total sim time in seconds
+     */
+    addListener(listener) {
+        this.listeners.add(listener);
+        this.start();
+    }
+
+    removeListener(listener) {
+        this.listeners.delete(listener);
+        if (this.listeners.size === 0) {
+            this.stop();
+        }
+    }
+
+    /**
+     * @param {number} scale - Simulation seconds per real second, e.g. 0.5, 2 or 10
+     */
+    setTimeScale(scale) {
+        this.timeScale = scale;
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+    }
+
+    /** @private */
+    start() {
+        if (this.frameId === null) {
+            this.lastFrame = null;
+            this.frameId = requestAnimationFrame(this.frame);
+        }
+    }
+
+    /** @private */
+    stop() {
+        if (this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+    }
+
+    /** @private */
+    frame(now) {
+        this.frameId = requestAnimationFrame(this.frame);
+
+        // Browsers stop animation frames in background tabs. Cap the gap so
+        // the simulation resumes where it left off instead of jumping ahead.
+        const realDelta = this.lastFrame === null ? 0 : Math.min((now - this.lastFrame) / 1000, this.maxFrameDelta);
+        this.lastFrame = now;
+        if (this.paused || realDelta <= 0) return;
+
+        let remaining = realDelta * this.timeScale;
+        while (remaining > 0) {
+            const dt = Math.min(remaining, this.maxStep);
+            remaining -= dt;
+            this.time += dt;
+            for (const listener of [...this.listeners]) {
+                // A listener may remove another one earlier in the same step
+                if (this.listeners.has(listener)) listener(dt, this.time);
+            }
+        }
+    }
+}
+
+// Shared clock for every simulated drone
+export const simulationClock = new SimulationClock();
@@ -1,5 +1,6 @@
 // Map controls module
 // Handles navigation controls, terrain controls, and other UI elements
+import { trailManager } from './trail.js';
 
 /**
  * Add navigation control to the map
@@ -28,6 +29,45 @@ export function addTerrainControl(map) {
     map.addControl(terrainControl);
 }
 
+/**
+ * Legend of the trail colors: what metric they show and the ramp over its domain
+ */
+export class TrailLegendControl {
+    constructor() {
+        this.update = this.update.bind(this);
+    }
+
+    onAdd() {
+        this.container = document.createElement('div');
+        this.container.className = 'maplibregl-ctrl trail-legend';
+        this.update();
+        trailManager.addEventListener('coloring', this.update);
+        return this.container;
+    }
+
+    onRemove() {
+        trailManager.removeEventListener('coloring', this.update);
+        this.container.remove();
+    }
+
+    update() {
+        const { label, unit, domain: [low, high], stops } = trailManager.getColoring();
+        const gradient = stops.map(([r, g, b]) => `rgb(${r}, ${g}, ${b})`).join(', ');
+        this.container.innerHTML = `
+            <div class="trail-legend-title">${label} (${unit})</div>
+            <div class="trail-legend-ramp" style="background: linear-gradient(to right, ${gradient})"></div>
+            <div class="trail-legend-labels"><span>${low}</span><span>${(low + high) / 2}</span><span>${high}</span></div>`;
+    }
+}
+
+/**
+ * Add the trail color legend to the map
+ * @param {maplibregl.Map} map - The MapLibre GL map instance
+ */
+export function addTrailLegendControl(map) {
+    map.addControl(new TrailLegendControl(), 'bottom-right');
+}
+
 /**
  * Add all default controls to the map
  * @param {maplibregl.Map} map - The MapLibre GL map instance
@@ -35,5 +75,6 @@ export function addTerrainControl(map) {
 export function addMapControls(map) {
     addNavigationControl(map);
     addTerrainControl(map);
+    addTrailLegendControl(map);
 }
 
@@ -1,17 +1,84 @@
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import * as SkeletonUtils from 'three/addons/utils/SkeletonUtils.js';
 import * as MTP from '@dvt3d/maplibre-three-plugin';
+import { initialBearing, normalizeBearing } from './geo.js';
+import { convertAltitude, getRenderAltitude } from './terrain.js';
+import { loadModelTemplate } from './models.js';
+
+const AIRBORNE_HEIGHT = 0.5;   // meters AGL above which the model's animations, e.g. rotors, run
+
+/**
+ * @typedef {Object} DroneModel
+ * @property {string} url - Model file
+ * @property {number} scale - Times the size in the model file
+ * @property {'+x'|'-x'|'+y'|'-y'|'+z'|'-z'} forward - Model axis the nose points along
+ * @property {'+x'|'-x'|'+y'|'-y'|'+z'|'-z'} up - Model axis the top points along
+ */
+
+/**
+ * Drone model files and the axes they were built along. glTF models are
+ * meant to face +Z with +Y up, not all of them do.
+ * @type {Object<string, DroneModel>}
+ */
+export const DRONE_MODELS = {
+    quadcopter: { url: './js/models/drone.glb', scale: 15, forward: '-z', up: '+y' }
+};
+
+const AXES = { '+x': [1, 0, 0], '-x': [-1, 0, 0], '+y': [0, 1, 0], '-y': [0, -1, 0], '+z': [0, 0, 1], '-z': [0, 0, -1] };
+const attitude = new THREE.Euler(0, 0, 0, 'YXZ');
+
+/**
+ * Rotation that turns a model's nose and top to the drone body's. The body
+ * faces -Z with +Y up and +X to the right, which inside an RTC group is
+ * north, up and east at zero heading.
+ * @param {DroneModel} model
+ * @returns {THREE.Quaternion}
+ */
+export function modelAxisCorrection({ forward, up }) {
+    if (!AXES[forward] || !AXES[up] || forward[1] === up[1]) {
+        throw new Error(`Model axes forward ${forward} and up ${up} are not two different axes`);
+    }
+    const nose = new THREE.Vector3(...AXES[forward]);
+    const top = new THREE.Vector3(...AXES[up]);
+    const right = nose.clone().cross(top);
+    // Columns are the model's axes for the body's right, up and back; transposed it maps model to body
+    const rotation = new THREE.Matrix4().makeBasis(right, top, nose.negate()).transpose();
+    return new THREE.Quaternion().setFromRotationMatrix(rotation);
+}
 
 export class Drone {
-    constructor(longitude = 33.3823, latitude = 35.1856, altitude = 100) {
+    constructor(longitude = 33.3823, latitude = 35.1856, altitude = 100, id = 'drone-1') {
+        this.id = id;
         this.longitude = longitude;
         this.latitude = latitude;
         this.altitude = altitude;
+        this.altitude_mode = 'AGL';    // reference of altitude and of commanded altitudes, 'AGL' or 'AMSL'
         this.vertical_speed = 2;       // m/s climb or descent rate
-        this.move_frequency = 1;       // Hz (updates per second)
-        this.move_interval = null;     // store interval ID
+        this.cruise_speed = 5;         // m/s ground speed used when none is given
+        this.max_speed = 15;           // m/s ground speed limit
+        this.acceleration = 3;         // m/s² for speeding up and braking
+        this.turn_rate = 90;           // °/s yaw rate limit
+        this.mass = 1.4;               // kg takeoff weight
+        this.hover_power = 180;        // W drawn hovering in still air
+        this.battery_capacity = 90;    // Wh when full
+        this.battery_reserve = 25;     // % at which a simulated drone returns to launch
+        this.sensor_width = 13.2;      // mm, camera sensor across the image
+        this.sensor_height = 8.8;      // mm, camera sensor up the image
+        this.focal_length = 8.8;       // mm, camera lens
+        this.image_width = 5472;       // px across the image
+        this.gimbal_pitch = -90;       // degrees camera tilt from the horizon, -90 looks straight down
+        this.heading = 0;              // degrees clockwise from north
+        this.roll = 0;                 // degrees, right wing down positive
+        this.pitch = 0;                // degrees, nose up positive
+        this.speed = 0;                // current ground speed in m/s
+        this.airspeed = 0;             // current speed through the air in m/s
+        this.vertical_velocity = 0;    // current climb (+) or descent (-) rate in m/s
+        this.battery = null;           // % remaining, as reported by telemetry or simulated, null when unknown
+        this.signal = null;            // % link quality as reported by telemetry, null when unknown
         this.rtcGroup = null;
+        this.body = null;              // group turned to the drone's heading, pitch and roll inside rtcGroup
         this.model = null;
+        this.mixer = null;             // plays the model's own animations
     }
 
     getPosition() {
@@ -25,87 +92,127 @@ export class Drone {
     }
 
     toString() {
-        return `Drone @ [${this.longitude.toFixed(6)}, ${this.latitude.toFixed(6)}], alt ${this.altitude.toFixed(1)}m`;
+        return `Drone ${this.id} @ [${this.longitude.toFixed(6)}, ${this.latitude.toFixed(6)}], alt ${this.altitude.toFixed(1)}m ${this.altitude_mode}`;
     }
 
-    async loadModel(mapScene) {
-        return new Promise((resolve, reject) => {
-            const loader = new GLTFLoader();
-            loader.load('./js/models/drone.glb', (gltf) => {
-                // Create the group that will be managed by the map plugin
-                this.rtcGroup = MTP.Creator.createRTCGroup(this.getPosition());
-
-                // --- Setup the drone model ---
-                this.model = gltf.scene;
-                this.model.scale.set(15, 15, 15);
-                
-                // For this test, ensure the model starts at the group's center with no rotation
-                this.model.position.set(0, 0, 0);
-             
-                // Add the drone model to the group
-                this.rtcGroup.add(this.model);
-
-                // Arrow Debugging
-                // // Define the "forward" vector in three.js (positive Z)
-                // const forwardDirection = new THREE.Vector3(0, 0, 1);
-
-                // // The arrow starts at the group's origin
-                // const origin = new THREE.Vector3(0, 0, 0);
-
-                // // NOTE: Increased arrow length to be visible against your scaled-up model
-                // const arrowLength = 30; 
-                // const arrowColor = 0xff0000; // Red
-                // const arrowHelper = new THREE.ArrowHelper(forwardDirection, origin, arrowLength, arrowColor);
-
-                // // KEY CHANGE: Add the arrow to the RTC Group, NOT the mapScene directly.
-                // // This ensures the arrow is positioned relative to your drone.
-                // this.rtcGroup.add(arrowHelper);
-                mapScene.addObject(this.rtcGroup);
-                
-                console.log("Drone loaded:", this.toString());
-                resolve(this);
-
-            }, undefined, reject);
-        });
+    /**
+     * Current altitude in either reference
+     * @param {'AGL'|'AMSL'} mode - Wanted reference
+     * @param {import('maplibre-gl').Map} map - Map whose terrain gives the ground elevation
+     * @returns {number} Meters
+     */
+    getAltitude(mode, map) {
+        return convertAltitude(map, [this.longitude, this.latitude], this.altitude, this.altitude_mode, mode);
     }
 
-    updatePosition(map) {
-        if (this.rtcGroup) {
-            const newVec = MTP.SceneTransform.lngLatToVector3([this.longitude, this.latitude, this.altitude]);
-            this.rtcGroup.position.copy(newVec);
-            map.triggerRepaint();
+    /**
+     * Switch the altitude reference, keeping the drone where it is
+     * @param {'AGL'|'AMSL'} mode - New reference
+     * @param {import('maplibre-gl').Map} map - Map whose terrain gives the ground elevation
+     */
+    setAltitudeMode(mode, map) {
+        this.altitude = this.getAltitude(mode, map);
+        this.altitude_mode = mode;
+    }
+
+    /**
+     * Load the drone's model and add it to the scene
+     * @param {MTP.MapScene} mapScene - The scene to add the model to
+     * @param {DroneModel} model - Model file and its axes
+     * @returns {Promise<Drone>}
+     */
+    async loadModel(mapScene, model = DRONE_MODELS.quadcopter) {
+        const correction = modelAxisCorrection(model);
+        // Every drone in the fleet clones one download
+        const template = await loadModelTemplate(model.url);
+
+        // Create the group that will be managed by the map plugin, it stands
+        // y-up models on the map
+        this.rtcGroup = MTP.Creator.createRTCGroup(this.getPosition());
+        this.body = new THREE.Group();
+        this.rtcGroup.add(this.body);
+
+        // Each drone gets its own copy of the cached scene graph, turned to face along the body
+        this.model = SkeletonUtils.clone(template);
+        this.model.scale.setScalar(model.scale);
+        this.model.position.set(0, 0, 0);
+        this.model.quaternion.copy(correction);
+        this.body.add(this.model);
+        mapScene.addObject(this.rtcGroup);
+
+        // Loop whatever the model file animates, such as spinning rotors
+        if (this.model.animations.length > 0) {
+            this.mixer = new THREE.AnimationMixer(this.model);
+            for (const clip of this.model.animations) {
+                this.mixer.clipAction(clip).play();
+            }
         }
+
+        console.log("Drone loaded:", this.toString());
+        return this;
     }
 
-    rotate(angleDegrees) {
+    /**
+     * Remove the drone model from the scene
+     * @param {MTP.MapScene} mapScene - The scene the model was added to
+     */
+    removeModel(mapScene) {
         if (this.rtcGroup) {
-            const angle = THREE.MathUtils.degToRad(angleDegrees);
-            this.rtcGroup.rotation.y += angle;
+            this.mixer?.stopAllAction();
+            mapScene.removeObject(this.rtcGroup);
+            this.rtcGroup = null;
+            this.body = null;
+            this.model = null;
+            this.mixer = null;
         }
     }
 
-    setHeadingToTarget(targetLon, targetLat) {
+    updatePosition(map) {
         if (this.rtcGroup) {
-            // Calculate difference
-            const dx = targetLon - this.longitude;  // East-West difference (X-axis)
-            const dy = targetLat - this.latitude;   // North-South difference (Z-axis)
-            
-            const headingRadians = Math.atan2(dx, dy) + Math.PI; // Add PI for offset correction 
-            this.rtcGroup.rotation.y = headingRadians;
-            
-            console.log(`Drone heading set to: ${(headingRadians * 180 / Math.PI).toFixed(1)}°`);
+            // Place the model over the rendered terrain, whatever its exaggeration
+            const renderAltitude = getRenderAltitude(map, [this.longitude, this.latitude], this.altitude, this.altitude_mode);
+            const newVec = MTP.SceneTransform.lngLatToVector3([this.longitude, this.latitude, renderAltitude]);
+            this.rtcGroup.position.copy(newVec);
+            // Yaw clockwise seen from above, then pitch about the right side and roll about the nose
+            attitude.set(
+                THREE.MathUtils.degToRad(this.pitch),
+                -THREE.MathUtils.degToRad(this.heading),
+                -THREE.MathUtils.degToRad(this.roll)
+            );
+            this.body.quaternion.setFromEuler(attitude);
+            map.triggerRepaint();
         }
     }
 
     /**
-     * Test method to manually set drone orientation for debugging
-     * @param {number} degrees - Angle in degrees to test
+     * Advance the model's own animations while the drone is off the ground
+     * @param {number} delta - Seconds since the last frame, in simulation time
+     * @param {import('maplibre-gl').Map} map - Map whose terrain gives the ground elevation
+     * @returns {boolean} Whether the model moved and has to be drawn again
      */
-    testOrientation(degrees) {
-        if (this.rtcGroup) {
-            this.rtcGroup.rotation.y += THREE.MathUtils.degToRad(degrees);
-            console.log(`Drone orientation set to: ${this.rtcGroup.rotation.y}°`);
-        }
+    animate(delta, map) {
+        if (!this.mixer || delta <= 0 || this.getAltitude('AGL', map) < AIRBORNE_HEIGHT) return false;
+        this.mixer.update(delta);
+        return true;
+    }
+
+    /**
+     * True bearing from the drone to a location, without turning
+     * @param {number} targetLon
+     * @param {number} targetLat
+     * @returns {number} Heading in degrees clockwise from north
+     */
+    headingTo(targetLon, targetLat) {
+        return initialBearing([this.longitude, this.latitude], [targetLon, targetLat]);
+    }
+
+    /**
+     * Face a compass heading at once, the model turns on the next updatePosition().
+     * Navigation.turnTo() turns at the drone's turn rate instead.
+     * @param {number} degrees - Heading in degrees clockwise from north
+     */
+    setHeading(degrees) {
+        this.heading = normalizeBearing(degrees);
     }
 
     get3DPosition() {
@@ -114,11 +221,4 @@ export class Drone {
         }
         return null;
     }
-
-    stopMovement() {
-        if (this.move_interval) {
-            clearInterval(this.move_interval);
-            this.move_interval = null;
-        }
-    }
 }
\ No newline at end of file
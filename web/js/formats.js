@@ -0,0 +1,493 @@
+import { createWaypoint } from './mission.js';
+
+/**
+ * Mission file formats: GeoJSON, KML, QGroundControl .plan and
+ * MAVLink waypoint text (QGC WPL 110). Flight recordings export as GPX
+ * tracks and CSV.
+ */
+
+// MAVLink commands and frames used by the QGC formats
+const MAV_CMD_NAV_WAYPOINT = 16;
+const MAV_CMD_NAV_LOITER_TIME = 19;
+const MAV_CMD_NAV_TAKEOFF = 22;
+const MAV_CMD_DO_CHANGE_SPEED = 178;
+const MAV_FRAME_GLOBAL = 0;
+const MAV_FRAME_GLOBAL_RELATIVE_ALT = 3;
+const MAV_FRAME_GLOBAL_TERRAIN_ALT = 10;
+
+// QGC AltitudeMode values in .plan files
+const QGC_ALTITUDE_MODE_ABSOLUTE = 2;
+const QGC_ALTITUDE_MODE_TERRAIN_FRAME = 4;
+
+// Altitude reference of each MAVLink frame, relative-to-home has no fixed reference
+const FRAME_ALTITUDE_MODES = {
+    [MAV_FRAME_GLOBAL]: 'AMSL',
+    [MAV_FRAME_GLOBAL_TERRAIN_ALT]: 'AGL'
+};
+
+export const MISSION_FORMATS = {
+    geojson: { label: 'GeoJSON', extension: 'geojson', mime: 'application/geo+json' },
+    kml: { label: 'KML', extension: 'kml', mime: 'application/vnd.google-earth.kml+xml' },
+    plan: { label: 'QGC Plan', extension: 'plan', mime: 'application/json' },
+    waypoints: { label: 'MAVLink WPL', extension: 'waypoints', mime: 'text/plain' }
+};
+
+export const RECORDING_FORMATS = {
+    gpx: { label: 'GPX', extension: 'gpx', mime: 'application/gpx+xml' },
+    csv: { label: 'CSV', extension: 'csv', mime: 'text/csv' }
+};
+
+const CSV_COLUMNS = ['time', 'longitude', 'latitude', 'altitude', 'heading', 'speed', 'verticalSpeed', 'roll', 'pitch', 'battery', 'signal', 'event'];
+
+/**
+ * Parse a mission file, picking the format from the file name and content
+ * @param {string} filename - Name of the file, used for its extension
+ * @param {string} text - File content
+ * @returns {import('./mission.js').Waypoint[]} Parsed waypoints
+ * @throws {Error} When the format is unknown or the file holds no waypoints
+ */
+export function parseMissionFile(filename, text) {
+    const extension = filename.split('.').pop().toLowerCase();
+    const trimmed = text.trimStart();
+
+    let waypoints;
+    if (trimmed.startsWith('QGC WPL')) {
+        waypoints = parseWaypointsText(text);
+    } else if (extension === 'kml' || trimmed.startsWith('<')) {
+        waypoints = parseKML(text);
+    } else if (trimmed.startsWith('{')) {
+        const json = JSON.parse(text);
+        waypoints = json.fileType === 'Plan' ? parsePlan(json) : parseGeoJSON(json);
+    } else {
+        throw new Error(`Unsupported mission file: ${filename}`);
+    }
+
+    if (waypoints.length === 0) {
+        throw new Error(`No waypoints found in ${filename}`);
+    }
+    return waypoints;
+}
+
+/**
+ * Serialize waypoints in one of the MISSION_FORMATS
+ * @param {keyof MISSION_FORMATS} format - Output format
+ * @param {import('./mission.js').Waypoint[]} waypoints - Route to write
+ * @param {Object} options
+ * @param {string} [options.name] - Mission name
+ * @param {[number, number, number]} [options.home] - Launch position [lon, lat, alt AMSL]
+ * @param {'AGL'|'AMSL'} [options.altitudeMode] - Reference of waypoints without their own, defaults to AGL
+ * @returns {string} File content
+ */
+export function serializeMission(format, waypoints, options = {}) {
+    switch (format) {
+        case 'geojson': return JSON.stringify(toGeoJSON(waypoints, options), null, 2);
+        case 'kml': return toKML(waypoints, options);
+        case 'plan': return JSON.stringify(toPlan(waypoints, options), null, 4);
+        case 'waypoints': return toWaypointsText(waypoints, options);
+        default: throw new Error(`Unknown mission format: ${format}`);
+    }
+}
+
+/**
+ * Read waypoints from a GeoJSON object. Point features become waypoints in
+ * order, or the vertices of the first LineString when there are no points.
+ * @param {Object} geojson - FeatureCollection, Feature or bare geometry
+ * @returns {import('./mission.js').Waypoint[]}
+ */
+export function parseGeoJSON(geojson) {
+    const features = geojson.type === 'FeatureCollection' ? geojson.features
+        : geojson.type === 'Feature' ? [geojson]
+        : [{ type: 'Feature', geometry: geojson, properties: {} }];
+
+    const points = features.filter(f => f.geometry && f.geometry.type === 'Point');
+    if (points.length > 0) {
+        return points.map(f => {
+            const [lon, lat, alt] = f.geometry.coordinates;
+            const props = f.properties || {};
+            return createWaypoint(lon, lat, {
+                altitude: numberOrUndefined(props.altitude ?? alt),
+                altitudeMode: altitudeModeOrUndefined(props.altitudeMode),
+                speed: numberOrUndefined(props.speed),
+                hold: numberOrUndefined(props.hold),
+                heading: numberOrUndefined(props.heading)
+            });
+        });
+    }
+
+    const line = features.find(f => f.geometry && f.geometry.type === 'LineString');
+    if (line) {
+        const props = line.properties || {};
+        return line.geometry.coordinates.map(([lon, lat, alt]) => createWaypoint(lon, lat, {
+            altitude: numberOrUndefined(alt ?? props.altitude),
+            altitudeMode: altitudeModeOrUndefined(props.altitudeMode),
+            speed: numberOrUndefined(props.speed)
+        }));
+    }
+    return [];
+}
+
+/**
+ * @returns {Object} FeatureCollection with the route line followed by one Point per waypoint
+ */
+export function toGeoJSON(waypoints, { name = 'Mission', altitudeMode = 'AGL' } = {}) {
+    return {
+        type: 'FeatureCollection',
+        features: [
+            {
+                type: 'Feature',
+                geometry: {
+                    type: 'LineString',
+                    coordinates: waypoints.map(wp => [wp.longitude, wp.latitude, wp.altitude])
+                },
+                properties: { name, altitudeMode }
+            },
+            ...waypoints.map((wp, index) => ({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [wp.longitude, wp.latitude, wp.altitude] },
+                properties: {
+                    index: index + 1,
+                    altitude: wp.altitude,
+                    altitudeMode: wp.altitudeMode ?? altitudeMode,
+                    speed: wp.speed,
+                    hold: wp.hold,
+                    heading: wp.heading
+                }
+            }))
+        ]
+    };
+}
+
+/**
+ * Read waypoints from KML. Point placemarks become waypoints in document
+ * order, or the vertices of the first LineString when there are no points.
+ * Speed, hold and heading are read from ExtendedData when present.
+ * Absolute altitudes are AMSL and relativeToGround ones AGL.
+ * @param {string} text - KML document
+ * @returns {import('./mission.js').Waypoint[]}
+ */
+export function parseKML(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('Invalid KML document');
+    }
+
+    const parseCoordinates = (element) => element.textContent.trim().split(/\s+/)
+        .map(tuple => tuple.split(',').map(Number))
+        .filter(([lon, lat]) => Number.isFinite(lon) && Number.isFinite(lat));
+
+    const placemarks = [...doc.getElementsByTagName('Placemark')];
+    const waypoints = [];
+    for (const placemark of placemarks) {
+        const point = placemark.getElementsByTagName('Point')[0];
+        if (!point) continue;
+        const [coordinate] = parseCoordinates(point.getElementsByTagName('coordinates')[0]);
+        if (!coordinate) continue;
+        const altitudeMode = kmlAltitudeMode(point);
+
+        const data = {};
+        for (const item of placemark.getElementsByTagName('Data')) {
+            data[item.getAttribute('name')] = item.getElementsByTagName('value')[0]?.textContent;
+        }
+        waypoints.push(createWaypoint(coordinate[0], coordinate[1], {
+            altitude: numberOrUndefined(coordinate[2]),
+            altitudeMode,
+            speed: numberOrUndefined(data.speed),
+            hold: numberOrUndefined(data.hold),
+            heading: numberOrUndefined(data.heading)
+        }));
+    }
+    if (waypoints.length > 0) return waypoints;
+
+    const line = doc.getElementsByTagName('LineString')[0];
+    if (line) {
+        const altitudeMode = kmlAltitudeMode(line);
+        return parseCoordinates(line.getElementsByTagName('coordinates')[0])
+            .map(([lon, lat, alt]) => createWaypoint(lon, lat, { altitude: numberOrUndefined(alt), altitudeMode }));
+    }
+    return [];
+}
+
+export function toKML(waypoints, { name = 'Mission', altitudeMode = 'AGL' } = {}) {
+    const coordinates = (wp) => `${wp.longitude},${wp.latitude},${wp.altitude}`;
+    const kmlMode = (mode) => mode === 'AMSL' ? 'absolute' : 'relativeToGround';
+    const placemarks = waypoints.map((wp, index) => `
+    <Placemark>
+      <name>${index + 1}</name>
+      <ExtendedData>
+        <Data name="speed"><value>${wp.speed}</value></Data>
+        <Data name="hold"><value>${wp.hold}</value></Data>${wp.heading !== null ? `
+        <Data name="heading"><value>${wp.heading}</value></Data>` : ''}
+      </ExtendedData>
+      <Point>
+        <altitudeMode>${kmlMode(wp.altitudeMode ?? altitudeMode)}</altitudeMode>
+        <coordinates>${coordinates(wp)}</coordinates>
+      </Point>
+    </Placemark>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXML(name)}</name>
+    <Placemark>
+      <name>Route</name>
+      <LineString>
+        <altitudeMode>${kmlMode(altitudeMode)}</altitudeMode>
+        <coordinates>${waypoints.map(coordinates).join(' ')}</coordinates>
+      </LineString>
+    </Placemark>${placemarks}
+  </Document>
+</kml>
+`;
+}
+
+/**
+ * Read waypoints from a QGroundControl .plan file. Navigation items become
+ * waypoints and DO_CHANGE_SPEED items set the speed of the legs after them.
+ * Complex items such as surveys are skipped.
+ * @param {Object} plan - Parsed .plan JSON
+ * @returns {import('./mission.js').Waypoint[]}
+ */
+export function parsePlan(plan) {
+    const items = (plan.mission && plan.mission.items) || [];
+    const speed = plan.mission && plan.mission.cruiseSpeed;
+    return missionItemsToWaypoints(items.flatMap(item => {
+        if (item.type !== 'SimpleItem') {
+            console.warn(`Skipping unsupported plan item: ${item.complexItemType || item.type}`);
+            return [];
+        }
+        return [{ command: item.command, frame: item.frame, params: item.params }];
+    }), speed);
+}
+
+export function toPlan(waypoints, { home, altitudeMode = 'AGL' } = {}) {
+    const first = waypoints[0];
+    const homePosition = home || (first ? [first.longitude, first.latitude, 0] : [0, 0, 0]);
+    const items = [];
+    let speed = null;
+    for (const wp of waypoints) {
+        if (wp.speed !== speed) {
+            speed = wp.speed;
+            items.push({ command: MAV_CMD_DO_CHANGE_SPEED, frame: 2, params: [1, speed, -1, 0, 0, 0, 0] });
+        }
+        const absolute = (wp.altitudeMode ?? altitudeMode) === 'AMSL';
+        items.push({
+            command: MAV_CMD_NAV_WAYPOINT,
+            frame: absolute ? MAV_FRAME_GLOBAL : MAV_FRAME_GLOBAL_TERRAIN_ALT,
+            // QGC writes the NaN yaw, "unchanged", as null
+            params: [wp.hold, 0, 0, wp.heading ?? null, wp.latitude, wp.longitude, wp.altitude],
+            Altitude: wp.altitude,
+            AltitudeMode: absolute ? QGC_ALTITUDE_MODE_ABSOLUTE : QGC_ALTITUDE_MODE_TERRAIN_FRAME
+        });
+    }
+
+    return {
+        fileType: 'Plan',
+        groundStation: 'QGroundControl',
+        version: 1,
+        mission: {
+            version: 2,
+            firmwareType: 12,   // PX4, QGC accepts the plan for ArduPilot as well
+            vehicleType: 2,     // Quadrotor
+            cruiseSpeed: first ? first.speed : 5,
+            hoverSpeed: first ? first.speed : 5,
+            plannedHomePosition: [homePosition[1], homePosition[0], homePosition[2]],
+            items: items.map((item, index) => ({
+                autoContinue: true,
+                doJumpId: index + 1,
+                type: 'SimpleItem',
+                AMSLAltAboveTerrain: null,
+                ...item
+            }))
+        },
+        geoFence: { version: 2, circles: [], polygons: [] },
+        rallyPoints: { version: 2, points: [] }
+    };
+}
+
+/**
+ * Read waypoints from MAVLink waypoint text (QGC WPL 110). Line 0 is the
+ * home position and is not part of the route.
+ * @param {string} text - File content
+ * @returns {import('./mission.js').Waypoint[]}
+ */
+export function parseWaypointsText(text) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    if (!/^QGC WPL \d+/.test(lines[0] || '')) {
+        throw new Error('Missing "QGC WPL" header');
+    }
+
+    const items = lines.slice(1).map(line => line.split(/\s+/).map(Number)).filter(fields => {
+        return fields.length >= 12 && fields[0] !== 0;  // skip home
+    }).map(fields => ({
+        frame: fields[2],
+        command: fields[3],
+        params: [fields[4], fields[5], fields[6], fields[7], fields[8], fields[9], fields[10]]
+    }));
+    return missionItemsToWaypoints(items);
+}
+
+export function toWaypointsText(waypoints, { home, altitudeMode = 'AGL' } = {}) {
+    const first = waypoints[0];
+    const homePosition = home || (first ? [first.longitude, first.latitude, 0] : [0, 0, 0]);
+    const row = (index, frame, command, params) => [index, 0, frame, command, ...params, 1].join('\t');
+
+    const rows = [
+        'QGC WPL 110',
+        row(0, MAV_FRAME_GLOBAL, MAV_CMD_NAV_WAYPOINT, [0, 0, 0, 0, homePosition[1], homePosition[0], homePosition[2]])
+    ];
+    let speed = null;
+    for (const wp of waypoints) {
+        if (wp.speed !== speed) {
+            speed = wp.speed;
+            rows.push(row(rows.length - 1, MAV_FRAME_GLOBAL_RELATIVE_ALT, MAV_CMD_DO_CHANGE_SPEED, [1, speed, -1, 0, 0, 0, 0]));
+        }
+        const frame = (wp.altitudeMode ?? altitudeMode) === 'AMSL' ? MAV_FRAME_GLOBAL : MAV_FRAME_GLOBAL_TERRAIN_ALT;
+        rows.push(row(rows.length - 1, frame, MAV_CMD_NAV_WAYPOINT,
+            [wp.hold, 0, 0, wp.heading ?? NaN, wp.latitude, wp.longitude, wp.altitude]));
+    }
+    return rows.join('\n') + '\n';
+}
+
+/**
+ * Turn MAVLink mission items ({command, frame, params}) into waypoints
+ * @param {{command: number, frame: number, params: number[]}[]} items
+ * @param {number} [speed] - Speed before the first DO_CHANGE_SPEED
+ * @returns {import('./mission.js').Waypoint[]}
+ */
+function missionItemsToWaypoints(items, speed) {
+    const waypoints = [];
+    for (const { command, frame, params } of items) {
+        if (command === MAV_CMD_DO_CHANGE_SPEED) {
+            if (params[1] > 0) speed = params[1];
+            continue;
+        }
+        if (command !== MAV_CMD_NAV_WAYPOINT && command !== MAV_CMD_NAV_LOITER_TIME && command !== MAV_CMD_NAV_TAKEOFF) {
+            continue;
+        }
+
+        const [param1, , , param4, lat, lon, alt] = params;
+        // Takeoff items often carry no position, only an altitude
+        if (!lat && !lon) continue;
+        waypoints.push(createWaypoint(lon, lat, {
+            altitude: numberOrUndefined(alt),
+            altitudeMode: FRAME_ALTITUDE_MODES[frame],
+            speed: numberOrUndefined(speed),
+            hold: command === MAV_CMD_NAV_TAKEOFF ? 0 : numberOrUndefined(param1),
+            // A NaN (null in .plan files) yaw leaves the heading unchanged, 0 is north
+            heading: command === MAV_CMD_NAV_WAYPOINT ? numberOrUndefined(param4) : undefined
+        }));
+    }
+    return waypoints;
+}
+
+function numberOrUndefined(value) {
+    const number = typeof value === 'string' ? parseFloat(value) : value;
+    return Number.isFinite(number) ? number : undefined;
+}
+
+function altitudeModeOrUndefined(value) {
+    return value === 'AGL' || value === 'AMSL' ? value : undefined;
+}
+
+/**
+ * @param {Element} geometry - KML Point or LineString
+ * @returns {'AGL'|'AMSL'|undefined} Reference of the geometry's altitudes
+ */
+function kmlAltitudeMode(geometry) {
+    const mode = geometry.getElementsByTagName('altitudeMode')[0]?.textContent.trim();
+    if (mode === 'absolute') return 'AMSL';
+    if (mode === 'relativeToGround') return 'AGL';
+    return undefined;
+}
+
+function escapeXML(text) {
+    return String(text).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[c]);
+}
+
+/**
+ * Serialize a flight recording in one of the RECORDING_FORMATS
+ * @param {keyof RECORDING_FORMATS} format - Output format
+ * @param {import('./recording.js').Recording} recording - Flight to write
+ * @returns {string} File content
+ */
+export function serializeRecording(format, recording) {
+    switch (format) {
+        case 'gpx': return toGPX(recording);
+        case 'csv': return toCSV(recording);
+        default: throw new Error(`Unknown recording format: ${format}`);
+    }
+}
+
+/**
+ * GPX 1.1 track of a recording. Elevations are AMSL, speed and heading go
+ * in the Garmin TrackPointExtension and events become waypoints.
+ * @param {import('./recording.js').Recording} recording
+ * @returns {string}
+ */
+export function toGPX(recording) {
+    const time = (t) => new Date(recording.startedAt + t * 1000).toISOString();
+    const points = recording.samples.map(sample => `
+      <trkpt lat="${sample.latitude}" lon="${sample.longitude}">
+        <ele>${sample.altitude}</ele>
+        <time>${time(sample.t)}</time>
+        <extensions>
+          <gpxtpx:TrackPointExtension>
+            <gpxtpx:speed>${sample.speed}</gpxtpx:speed>
+            <gpxtpx:course>${sample.heading}</gpxtpx:course>
+          </gpxtpx:TrackPointExtension>
+        </extensions>
+      </trkpt>`).join('');
+
+    // Events sit where the drone was when they happened
+    const events = recording.events.map(event => {
+        const sample = nearestSample(recording.samples, event.t);
+        return `
+  <wpt lat="${sample.latitude}" lon="${sample.longitude}">
+    <ele>${sample.altitude}</ele>
+    <time>${time(event.t)}</time>
+    <name>${escapeXML(event.message)}</name>
+    <type>${escapeXML(event.type)}</type>
+  </wpt>`;
+    }).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="maplibre-threejs-3d-map" xmlns="http://www.topografix.com/GPX/1/1"
+  xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v2">
+  <metadata>
+    <name>${escapeXML(`${recording.droneId} flight`)}</name>
+    <time>${time(0)}</time>
+  </metadata>${events}
+  <trk>
+    <name>${escapeXML(recording.droneId)}</name>
+    <type>${recording.source}</type>
+    <trkseg>${points}
+    </trkseg>
+  </trk>
+</gpx>
+`;
+}
+
+/**
+ * CSV of a recording, one row per sample with ISO times. Events get rows of
+ * their own with only the time and event columns filled.
+ * @param {import('./recording.js').Recording} recording
+ * @returns {string}
+ */
+export function toCSV(recording) {
+    const rows = [
+        ...recording.samples.map(sample => ({ ...sample, event: '' })),
+        ...recording.events.map(event => ({ t: event.t, event: `${event.type}: ${event.message}` }))
+    ].sort((a, b) => a.t - b.t);
+
+    const quote = (value) => /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    const lines = rows.map(row => CSV_COLUMNS.map(column => {
+        if (column === 'time') return new Date(recording.startedAt + row.t * 1000).toISOString();
+        const value = row[column];
+        return value === undefined || value === null ? '' : quote(String(value));
+    }).join(','));
+    return [CSV_COLUMNS.join(','), ...lines].join('\n') + '\n';
+}
+
+function nearestSample(samples, t) {
+    return samples.reduce((best, sample) => Math.abs(sample.t - t) < Math.abs(best.t - t) ? sample : best);
+}
@@ -0,0 +1,306 @@
+/**
+ * Geodesy helpers. Positions are [longitude, latitude] in degrees like
+ * GeoJSON, distances are meters and bearings are degrees clockwise from
+ * true north in [0, 360).
+ *
+ * The spherical functions (haversine, bearings, destination, interpolation)
+ * agree with each other and are cheap enough for every simulation step.
+ * Vincenty's formula on the WGS84 ellipsoid is the accurate option for
+ * reporting distances. UTM and MGRS grid references are WGS84 as well.
+ */
+
+export const EARTH_RADIUS = 6371008.8;     // mean radius in meters
+
+// WGS84 ellipsoid
+const WGS84_A = 6378137;
+const WGS84_F = 1 / 298.257223563;
+const WGS84_B = WGS84_A * (1 - WGS84_F);
+
+const UTM_SCALE = 0.9996;               // scale factor on the central meridian
+const UTM_FALSE_EASTING = 500000;       // meters
+const UTM_FALSE_NORTHING = 10000000;    // meters, southern hemisphere
+const UTM_BANDS = 'CDEFGHJKLMNPQRSTUVWX';   // 8° latitude bands from 80°S, X spans 72-84°N
+const MGRS_COLUMNS = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ'];
+const MGRS_ROWS = 'ABCDEFGHJKLMNPQRSTUV';
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+/**
+ * @param {number} bearing - Any angle in degrees
+ * @returns {number} The same direction in [0, 360)
+ */
+export function normalizeBearing(bearing) {
+    return ((bearing % 360) + 360) % 360;
+}
+
+/**
+ * Signed smallest turn from one bearing to another
+ * @param {number} from - Current bearing in degrees
+ * @param {number} to - Desired bearing in degrees
+ * @returns {number} Degrees in [-180, 180), positive turns clockwise
+ */
+export function bearingDifference(from, to) {
+    return normalizeBearing(to - from + 180) - 180;
+}
+
+/**
+ * Great-circle distance on a sphere
+ * @param {[number, number]} from - [lon, lat]
+ * @param {[number, number]} to - [lon, lat]
+ * @returns {number} Meters
+ */
+export function haversineDistance(from, to) {
+    const lat1 = toRadians(from[1]);
+    const lat2 = toRadians(to[1]);
+    const dLat = lat2 - lat1;
+    const dLon = toRadians(to[0] - from[0]);
+
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Geodesic distance on the WGS84 ellipsoid (Vincenty inverse formula).
+ * Falls back to haversine for nearly antipodal points where it does not converge.
+ * @param {[number, number]} from - [lon, lat]
+ * @param {[number, number]} to - [lon, lat]
+ * @returns {number} Meters
+ */
+export function vincentyDistance(from, to) {
+    const L = toRadians(to[0] - from[0]);
+    const U1 = Math.atan((1 - WGS84_F) * Math.tan(toRadians(from[1])));
+    const U2 = Math.atan((1 - WGS84_F) * Math.tan(toRadians(to[1])));
+    const sinU1 = Math.sin(U1), cosU1 = Math.cos(U1);
+    const sinU2 = Math.sin(U2), cosU2 = Math.cos(U2);
+
+    let lambda = L;
+    for (let i = 0; i < 100; i++) {
+        const sinLambda = Math.sin(lambda), cosLambda = Math.cos(lambda);
+        const sinSigma = Math.sqrt((cosU2 * sinLambda) ** 2 + (cosU1 * sinU2 - sinU1 * cosU2 * cosLambda) ** 2);
+        if (sinSigma === 0) return 0; // coincident points
+
+        const cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+        const sigma = Math.atan2(sinSigma, cosSigma);
+        const sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+        const cos2Alpha = 1 - sinAlpha ** 2;
+        // Both points on the equator give cos2Alpha = 0
+        const cos2SigmaM = cos2Alpha !== 0 ? cosSigma - 2 * sinU1 * sinU2 / cos2Alpha : 0;
+        const C = WGS84_F / 16 * cos2Alpha * (4 + WGS84_F * (4 - 3 * cos2Alpha));
+
+        const lambdaPrev = lambda;
+        lambda = L + (1 - C) * WGS84_F * sinAlpha *
+            (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM ** 2)));
+
+        if (Math.abs(lambda - lambdaPrev) < 1e-12) {
+            const u2 = cos2Alpha * (WGS84_A ** 2 - WGS84_B ** 2) / WGS84_B ** 2;
+            const A = 1 + u2 / 16384 * (4096 + u2 * (-768 + u2 * (320 - 175 * u2)));
+            const B = u2 / 1024 * (256 + u2 * (-128 + u2 * (74 - 47 * u2)));
+            const deltaSigma = B * sinSigma * (cos2SigmaM + B / 4 * (cosSigma * (-1 + 2 * cos2SigmaM ** 2) -
+                B / 6 * cos2SigmaM * (-3 + 4 * sinSigma ** 2) * (-3 + 4 * cos2SigmaM ** 2)));
+            return WGS84_B * A * (sigma - deltaSigma);
+        }
+    }
+    return haversineDistance(from, to);
+}
+
+/**
+ * Initial bearing (forward azimuth) of the great circle from one point to another
+ * @param {[number, number]} from - [lon, lat]
+ * @param {[number, number]} to - [lon, lat]
+ * @returns {number} Degrees clockwise from north
+ */
+export function initialBearing(from, to) {
+    const lat1 = toRadians(from[1]);
+    const lat2 = toRadians(to[1]);
+    const dLon = toRadians(to[0] - from[0]);
+
+    const y = Math.sin(dLon) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+    return normalizeBearing(toDegrees(Math.atan2(y, x)));
+}
+
+/**
+ * Bearing on arrival at the end of the great circle from one point to another
+ * @param {[number, number]} from - [lon, lat]
+ * @param {[number, number]} to - [lon, lat]
+ * @returns {number} Degrees clockwise from north
+ */
+export function finalBearing(from, to) {
+    return normalizeBearing(initialBearing(to, from) + 180);
+}
+
+/**
+ * Point reached by travelling a distance along a great circle
+ * @param {[number, number]} origin - [lon, lat]
+ * @param {number} bearing - Initial bearing in degrees
+ * @param {number} distance - Meters
+ * @returns {[number, number]} [lon, lat]
+ */
+export function destinationPoint(origin, bearing, distance) {
+    const delta = distance / EARTH_RADIUS;
+    const theta = toRadians(bearing);
+    const lat1 = toRadians(origin[1]);
+    const lon1 = toRadians(origin[0]);
+
+    const sinLat2 = Math.sin(lat1) * Math.cos(delta) + Math.cos(lat1) * Math.sin(delta) * Math.cos(theta);
+    const lat2 = Math.asin(sinLat2);
+    const lon2 = lon1 + Math.atan2(Math.sin(theta) * Math.sin(delta) * Math.cos(lat1),
+        Math.cos(delta) - Math.sin(lat1) * sinLat2);
+
+    return [normalizeLongitude(toDegrees(lon2)), toDegrees(lat2)];
+}
+
+/**
+ * Point at a fraction of the way along the great circle between two points
+ * @param {[number, number]} from - [lon, lat]
+ * @param {[number, number]} to - [lon, lat]
+ * @param {number} fraction - 0 returns `from`, 1 returns `to`
+ * @returns {[number, number]} [lon, lat]
+ */
+export function interpolateGreatCircle(from, to, fraction) {
+    const lat1 = toRadians(from[1]), lon1 = toRadians(from[0]);
+    const lat2 = toRadians(to[1]), lon2 = toRadians(to[0]);
+    const delta = haversineDistance(from, to) / EARTH_RADIUS;
+    if (delta === 0) return [from[0], from[1]];
+
+    const a = Math.sin((1 - fraction) * delta) / Math.sin(delta);
+    const b = Math.sin(fraction * delta) / Math.sin(delta);
+    const x = a * Math.cos(lat1) * Math.cos(lon1) + b * Math.cos(lat2) * Math.cos(lon2);
+    const y = a * Math.cos(lat1) * Math.sin(lon1) + b * Math.cos(lat2) * Math.sin(lon2);
+    const z = a * Math.sin(lat1) + b * Math.sin(lat2);
+
+    return [toDegrees(Math.atan2(y, x)), toDegrees(Math.atan2(z, Math.sqrt(x * x + y * y)))];
+}
+
+/**
+ * Area of a polygon on the sphere (Chamberlain and Duquette's formula)
+ * @param {[number, number][]} ring - Corners [lon, lat], without repeating the first
+ * @returns {number} Square meters
+ */
+export function polygonArea(ring) {
+    let sum = 0;
+    for (let i = 0; i < ring.length; i++) {
+        const [lon1, lat1] = ring[i];
+        const [lon2, lat2] = ring[(i + 1) % ring.length];
+        sum += toRadians(normalizeLongitude(lon2 - lon1)) * (2 + Math.sin(toRadians(lat1)) + Math.sin(toRadians(lat2)));
+    }
+    return Math.abs(sum) * EARTH_RADIUS * EARTH_RADIUS / 2;
+}
+
+/**
+ * Meters east and north of an origin, on a plane tangent there. Good
+ * within a few kilometers of the origin.
+ * @param {[number, number]} origin - [lon, lat]
+ * @param {[number, number]} point - [lon, lat]
+ * @returns {[number, number]} [east, north]
+ */
+export function toLocalMeters(origin, point) {
+    return [
+        toRadians(point[0] - origin[0]) * EARTH_RADIUS * Math.cos(toRadians(origin[1])),
+        toRadians(point[1] - origin[1]) * EARTH_RADIUS
+    ];
+}
+
+/**
+ * @param {[number, number]} origin - [lon, lat]
+ * @param {[number, number]} offset - [east, north] meters
+ * @returns {[number, number]} [lon, lat]
+ */
+export function fromLocalMeters(origin, [east, north]) {
+    return [
+        origin[0] + toDegrees(east / (EARTH_RADIUS * Math.cos(toRadians(origin[1])))),
+        origin[1] + toDegrees(north / EARTH_RADIUS)
+    ];
+}
+
+/**
+ * @param {number} longitude - Degrees, possibly past the antimeridian
+ * @returns {number} Degrees in [-180, 180)
+ */
+export function normalizeLongitude(longitude) {
+    return ((longitude + 540) % 360) - 180;
+}
+
+/**
+ * @typedef {Object} UTMPosition
+ * @property {number} zone - 1 to 60
+ * @property {string} band - Latitude band letter
+ * @property {'N'|'S'} hemisphere
+ * @property {number} easting - Meters
+ * @property {number} northing - Meters from the equator, or from 10 000 km south of it
+ */
+
+/**
+ * Universal Transverse Mercator coordinates, including the Norway and
+ * Svalbard zone exceptions
+ * @param {[number, number]} lngLat - [lon, lat]
+ * @returns {UTMPosition|null} Null outside 80°S to 84°N, where UPS applies instead
+ */
+export function toUTM([longitude, latitude]) {
+    if (latitude < -80 || latitude > 84) return null;
+    longitude = normalizeLongitude(longitude);
+
+    let zone = Math.floor((longitude + 180) / 6) + 1;
+    if (latitude >= 56 && latitude < 64 && longitude >= 3 && longitude < 12) zone = 32;
+    if (latitude >= 72) {
+        if (longitude >= 0 && longitude < 9) zone = 31;
+        else if (longitude >= 9 && longitude < 21) zone = 33;
+        else if (longitude >= 21 && longitude < 33) zone = 35;
+        else if (longitude >= 33 && longitude < 42) zone = 37;
+    }
+    const centralMeridian = (zone - 1) * 6 - 180 + 3;
+
+    // Transverse Mercator series (Snyder, Map Projections: A Working Manual)
+    const e2 = WGS84_F * (2 - WGS84_F);
+    const ep2 = e2 / (1 - e2);
+    const phi = toRadians(latitude);
+    const sinPhi = Math.sin(phi), cosPhi = Math.cos(phi), tanPhi = Math.tan(phi);
+    const N = WGS84_A / Math.sqrt(1 - e2 * sinPhi * sinPhi);
+    const T = tanPhi * tanPhi;
+    const C = ep2 * cosPhi * cosPhi;
+    const A = cosPhi * toRadians(longitude - centralMeridian);
+    const M = WGS84_A * ((1 - e2 / 4 - 3 * e2 ** 2 / 64 - 5 * e2 ** 3 / 256) * phi
+        - (3 * e2 / 8 + 3 * e2 ** 2 / 32 + 45 * e2 ** 3 / 1024) * Math.sin(2 * phi)
+        + (15 * e2 ** 2 / 256 + 45 * e2 ** 3 / 1024) * Math.sin(4 * phi)
+        - (35 * e2 ** 3 / 3072) * Math.sin(6 * phi));
+
+    const easting = UTM_FALSE_EASTING + UTM_SCALE * N * (A + (1 - T + C) * A ** 3 / 6
+        + (5 - 18 * T + T * T + 72 * C - 58 * ep2) * A ** 5 / 120);
+    let northing = UTM_SCALE * (M + N * tanPhi * (A * A / 2 + (5 - T + 9 * C + 4 * C * C) * A ** 4 / 24
+        + (61 - 58 * T + T * T + 600 * C - 330 * ep2) * A ** 6 / 720));
+    if (latitude < 0) northing += UTM_FALSE_NORTHING;
+
+    const band = UTM_BANDS[Math.min(Math.floor((latitude + 80) / 8), UTM_BANDS.length - 1)];
+    return { zone, band, hemisphere: latitude < 0 ? 'S' : 'N', easting, northing };
+}
+
+/**
+ * @param {[number, number]} lngLat - [lon, lat]
+ * @returns {string|null} e.g. "36S 531234 3893456", null where UTM does not apply
+ */
+export function formatUTM(lngLat) {
+    const utm = toUTM(lngLat);
+    if (!utm) return null;
+    return `${utm.zone}${utm.band} ${Math.floor(utm.easting)} ${Math.floor(utm.northing)}`;
+}
+
+/**
+ * Military Grid Reference System reference
+ * @param {[number, number]} lngLat - [lon, lat]
+ * @param {number} precision - Digits per coordinate, 5 for 1 m down to 1 for 10 km
+ * @returns {string|null} e.g. "36S WD 31234 93456", null where UTM does not apply
+ */
+export function formatMGRS(lngLat, precision = 5) {
+    const utm = toUTM(lngLat);
+    if (!utm) return null;
+
+    // 100 km square letters repeat every three zones for columns, every two for rows
+    const set = (utm.zone - 1) % 3;
+    const column = MGRS_COLUMNS[set][Math.floor(utm.easting / 100000) - 1];
+    const rowOffset = utm.zone % 2 === 0 ? 5 : 0;
+    const row = MGRS_ROWS[(Math.floor(utm.northing / 100000) + rowOffset) % MGRS_ROWS.length];
+
+    const digits = (meters) => String(Math.floor((meters % 100000) / 10 ** (5 - precision))).padStart(precision, '0');
+    return `${utm.zone}${utm.band} ${column}${row} ${digits(utm.easting)} ${digits(utm.northing)}`;
+}
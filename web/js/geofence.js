@@ -0,0 +1,434 @@
+import { EARTH_RADIUS, haversineDistance } from './geo.js';
+import { getGroundElevation } from './terrain.js';
+
+/**
+ * Geofences: allowed and no-fly areas as polygons with an optional altitude
+ * floor and ceiling.
+ *
+ * A `forbid` fence is a no-fly volume: between its floor and ceiling the
+ * drone may not enter the polygon, so a ceiling of 50 m can be overflown at
+ * 60 m. Once any `allow` fence exists the drone must stay inside one of them,
+ * between that fence's floor and ceiling.
+ */
+
+export const GEOFENCE_TYPES = ['allow', 'forbid'];
+export const BREACH_RESPONSES = ['hover', 'rtl', 'land'];
+
+const ROUTE_MARGIN = 15;         // meters kept between a rerouted path and a fence
+const RENDER_CEILING = 300;      // meters drawn for fences without a ceiling
+
+let fenceCounter = 0;
+
+/**
+ * @typedef {Object} Geofence
+ * @property {string} id
+ * @property {string} name
+ * @property {'allow'|'forbid'} type
+ * @property {[number, number][]} polygon - Outer ring [lon, lat] without the closing point
+ * @property {number|null} floor - Bottom of the volume in meters, null for the ground
+ * @property {number|null} ceiling - Top of the volume in meters, null for unlimited
+ * @property {'AGL'|'AMSL'} altitudeMode - Reference of floor and ceiling
+ */
+
+/**
+ * @typedef {Object} GeofenceBreach
+ * @property {Geofence|null} fence - No-fly fence entered, or null when outside every allowed area
+ * @property {'no-fly'|'outside'} reason
+ */
+
+/**
+ * Create a geofence, filling in defaults for missing options
+ * @param {[number, number][]} polygon - Outer ring [lon, lat], closed or not
+ * @param {Partial<Geofence>} options
+ * @returns {Geofence}
+ */
+export function createGeofence(polygon, options = {}) {
+    const ring = [...polygon];
+    const [first, last] = [ring[0], ring[ring.length - 1]];
+    if (ring.length > 1 && first[0] === last[0] && first[1] === last[1]) ring.pop();
+    if (ring.length < 3) {
+        throw new Error('A geofence needs at least 3 points');
+    }
+
+    const type = options.type ?? 'forbid';
+    if (!GEOFENCE_TYPES.includes(type)) {
+        throw new Error(`Unknown geofence type "${type}"`);
+    }
+    return {
+        id: options.id ?? `fence-${++fenceCounter}`,
+        name: options.name ?? (type === 'forbid' ? 'No-fly zone' : 'Allowed area'),
+        type,
+        polygon: ring.map(([lon, lat]) => [lon, lat]),
+        floor: options.floor ?? null,
+        ceiling: options.ceiling ?? null,
+        altitudeMode: options.altitudeMode ?? 'AGL'
+    };
+}
+
+/**
+ * @param {GeofenceBreach} breach
+ * @returns {string} Human readable description, e.g. for logs and notifications
+ */
+export function describeBreach(breach) {
+    return breach.reason === 'no-fly' ? `inside ${breach.fence.name}` : 'outside the allowed area';
+}
+
+/**
+ * Even-odd test of a point against a polygon ring in [lon, lat]
+ * @param {[number, number]} point - [lon, lat]
+ * @param {[number, number][]} ring - Polygon ring
+ * @returns {boolean}
+ */
+export function pointInPolygon(point, ring) {
+    const [x, y] = point;
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Whether the open segment a-b crosses an edge of the ring
+ */
+function segmentCrossesRing(a, b, ring) {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        if (segmentsIntersect(a, b, ring[j], ring[i])) return true;
+    }
+    return false;
+}
+
+function segmentsIntersect(p1, p2, p3, p4) {
+    const d1 = cross(p3, p4, p1);
+    const d2 = cross(p3, p4, p2);
+    const d3 = cross(p1, p2, p3);
+    const d4 = cross(p1, p2, p4);
+    return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0));
+}
+
+function cross(a, b, c) {
+    return (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+}
+
+function centroid(ring) {
+    const sum = ring.reduce((acc, [lon, lat]) => [acc[0] + lon, acc[1] + lat], [0, 0]);
+    return [sum[0] / ring.length, sum[1] / ring.length];
+}
+
+/**
+ * Move a point a distance away from (positive) or toward (negative) a center.
+ * Good enough for pushing route corners off a fence outline.
+ */
+function offsetFrom(center, point, meters) {
+    const metersPerDegreeLat = EARTH_RADIUS * Math.PI / 180;
+    const metersPerDegreeLon = metersPerDegreeLat * Math.cos(center[1] * Math.PI / 180);
+    const dx = (point[0] - center[0]) * metersPerDegreeLon;
+    const dy = (point[1] - center[1]) * metersPerDegreeLat;
+    const length = Math.hypot(dx, dy) || 1;
+    return [
+        point[0] + dx / length * meters / metersPerDegreeLon,
+        point[1] + dy / length * meters / metersPerDegreeLat
+    ];
+}
+
+/**
+ * Geofences of the map, shared by every drone's navigation.
+ * Dispatches `change` (detail: fences) whenever fences are added or removed.
+ */
+export class GeofenceManager extends EventTarget {
+    /**
+     * @param {import('maplibre-gl').Map} map - The MapLibre map instance
+     */
+    constructor(map) {
+        super();
+        this.map = map;
+        /** @type {Geofence[]} */
+        this.fences = [];
+        /** @type {'hover'|'rtl'|'land'} */
+        this.breachResponse = 'hover';
+    }
+
+    /**
+     * @param {Geofence} fence
+     * @returns {Geofence} The added fence
+     */
+    add(fence) {
+        this.fences.push(fence);
+        this.notifyChange();
+        return fence;
+    }
+
+    remove(id) {
+        const count = this.fences.length;
+        this.fences = this.fences.filter(fence => fence.id !== id);
+        if (this.fences.length !== count) this.notifyChange();
+    }
+
+    clear() {
+        this.fences = [];
+        this.notifyChange();
+    }
+
+    /**
+     * @param {'hover'|'rtl'|'land'} response - What a drone does when it breaches a fence
+     */
+    setBreachResponse(response) {
+        if (!BREACH_RESPONSES.includes(response)) {
+            throw new Error(`Unknown breach response "${response}"`);
+        }
+        this.breachResponse = response;
+    }
+
+    /**
+     * Add fences from GeoJSON Polygon and MultiPolygon features. Feature
+     * properties `type`, `name`, `floor`, `ceiling` and `altitudeMode` map
+     * to the fence fields; holes are ignored.
+     * @param {Object} geojson - FeatureCollection, Feature or bare geometry
+     * @returns {Geofence[]} The added fences
+     */
+    loadGeoJSON(geojson) {
+        const features = geojson.type === 'FeatureCollection' ? geojson.features
+            : geojson.type === 'Feature' ? [geojson]
+            : [{ type: 'Feature', geometry: geojson, properties: {} }];
+
+        const added = [];
+        for (const feature of features) {
+            const geometry = feature.geometry;
+            const properties = feature.properties || {};
+            const polygons = geometry?.type === 'Polygon' ? [geometry.coordinates]
+                : geometry?.type === 'MultiPolygon' ? geometry.coordinates
+                : [];
+            for (const [outer] of polygons) {
+                added.push(createGeofence(outer, {
+                    name: properties.name,
+                    type: properties.type,
+                    floor: properties.floor,
+                    ceiling: properties.ceiling,
+                    altitudeMode: properties.altitudeMode
+                }));
+            }
+        }
+        if (added.length === 0) {
+            throw new Error('No polygons found');
+        }
+        this.fences.push(...added);
+        this.notifyChange();
+        return added;
+    }
+
+    /**
+     * @returns {Object} The fences as a GeoJSON FeatureCollection, readable by loadGeoJSON
+     */
+    toGeoJSON() {
+        return {
+            type: 'FeatureCollection',
+            features: this.fences.map(fence => ({
+                type: 'Feature',
+                geometry: { type: 'Polygon', coordinates: [[...fence.polygon, fence.polygon[0]]] },
+                properties: {
+                    name: fence.name,
+                    type: fence.type,
+                    floor: fence.floor,
+                    ceiling: fence.ceiling,
+                    altitudeMode: fence.altitudeMode
+                }
+            }))
+        };
+    }
+
+    /**
+     * Find the fence a drone at this position breaks, if any
+     * @param {[number, number]} lngLat - [lon, lat]
+     * @param {number} altitude - Altitude in meters
+     * @param {'AGL'|'AMSL'} mode - Reference of `altitude`
+     * @returns {GeofenceBreach|null}
+     */
+    checkPosition(lngLat, altitude, mode) {
+        if (this.fences.length === 0) return null;
+        const ground = getGroundElevation(this.map, lngLat) ?? 0;
+        const amsl = mode === 'AMSL' ? altitude : altitude + ground;
+        const toAMSL = (value, fence) => fence.altitudeMode === 'AMSL' ? value : value + ground;
+        const withinBand = (fence) =>
+            (fence.floor === null || amsl >= toAMSL(fence.floor, fence)) &&
+            (fence.ceiling === null || amsl <= toAMSL(fence.ceiling, fence));
+
+        for (const fence of this.fences) {
+            if (fence.type === 'forbid' && withinBand(fence) && pointInPolygon(lngLat, fence.polygon)) {
+                return { fence, reason: 'no-fly' };
+            }
+        }
+        const allowed = this.fences.filter(fence => fence.type === 'allow');
+        if (allowed.length > 0 && !allowed.some(fence => withinBand(fence) && pointInPolygon(lngLat, fence.polygon))) {
+            return { fence: null, reason: 'outside' };
+        }
+        return null;
+    }
+
+    /**
+     * Plan a route to a target that keeps out of no-fly zones and inside
+     * allowed areas, going around fence corners when the straight line is
+     * blocked. Fences the drone is already breaking at the start are left
+     * out so it can fly clear of them.
+     * @param {[number, number]} from - Start [lon, lat]
+     * @param {[number, number]} to - Target [lon, lat]
+     * @param {number} fromAlt - Starting altitude in meters
+     * @param {number} toAlt - Target altitude in meters
+     * @param {'AGL'|'AMSL'} mode - Reference of the altitudes
+     * @returns {{route: [number, number][]|null, breach: GeofenceBreach|null}} Points to fly through ending
+     *   at the target, or a null route with the breach that blocks it
+     */
+    planRoute(from, to, fromAlt, toAlt, mode) {
+        const targetBreach = this.checkPosition(to, toAlt, mode);
+        if (targetBreach) {
+            return { route: null, breach: targetBreach };
+        }
+
+        const { forbid, allow } = this.fencesInBand(Math.min(fromAlt, toAlt), Math.max(fromAlt, toAlt), mode);
+        const blocking = forbid.filter(fence => !pointInPolygon(from, fence.polygon));
+        const areas = allow.some(fence => pointInPolygon(from, fence.polygon)) ? allow : [];
+
+        if (this.segmentAllowed(from, to, blocking, areas)) {
+            return { route: [to], breach: null };
+        }
+
+        // Shortest path through a visibility graph of fence corners, pushed
+        // out of no-fly zones and into allowed areas
+        const corners = [
+            ...blocking.flatMap(fence => {
+                const center = centroid(fence.polygon);
+                return fence.polygon.map(point => offsetFrom(center, point, ROUTE_MARGIN));
+            }),
+            ...areas.flatMap(fence => {
+                const center = centroid(fence.polygon);
+                return fence.polygon.map(point => offsetFrom(center, point, -ROUTE_MARGIN));
+            })
+        ].filter(point => this.pointAllowed(point, blocking, areas));
+
+        const nodes = [from, ...corners, to];
+        const targetIndex = nodes.length - 1;
+        const distances = nodes.map(() => Infinity);
+        const previous = nodes.map(() => -1);
+        const visited = nodes.map(() => false);
+        distances[0] = 0;
+
+        for (let count = 0; count < nodes.length; count++) {
+            let current = -1;
+            for (let i = 0; i < nodes.length; i++) {
+                if (!visited[i] && (current === -1 || distances[i] < distances[current])) current = i;
+            }
+            if (current === -1 || distances[current] === Infinity || current === targetIndex) break;
+            visited[current] = true;
+
+            for (let i = 0; i < nodes.length; i++) {
+                if (visited[i] || !this.segmentAllowed(nodes[current], nodes[i], blocking, areas)) continue;
+                const distance = distances[current] + haversineDistance(nodes[current], nodes[i]);
+                if (distance < distances[i]) {
+                    distances[i] = distance;
+                    previous[i] = current;
+                }
+            }
+        }
+
+        if (distances[targetIndex] === Infinity) {
+            const blocker = blocking.find(fence => this.segmentCrossesFence(from, to, fence));
+            return { route: null, breach: blocker ? { fence: blocker, reason: 'no-fly' } : { fence: null, reason: 'outside' } };
+        }
+
+        const route = [];
+        for (let i = targetIndex; i > 0; i = previous[i]) route.unshift(nodes[i]);
+        return { route, breach: null };
+    }
+
+    /**
+     * Fences whose altitude band overlaps the given altitudes, judged by
+     * the ground at the fence's center
+     * @private
+     */
+    fencesInBand(low, high, mode) {
+        const forbid = [];
+        const allow = [];
+        for (const fence of this.fences) {
+            const ground = getGroundElevation(this.map, centroid(fence.polygon)) ?? 0;
+            const toMode = (value) => value + (fence.altitudeMode === mode ? 0 : mode === 'AMSL' ? ground : -ground);
+            const floor = fence.floor === null ? -Infinity : toMode(fence.floor);
+            const ceiling = fence.ceiling === null ? Infinity : toMode(fence.ceiling);
+            if (fence.type === 'forbid' && high >= floor && low <= ceiling) forbid.push(fence);
+            // An allowed area only helps when the whole climb or descent fits in it
+            if (fence.type === 'allow' && low >= floor && high <= ceiling) allow.push(fence);
+        }
+        return { forbid, allow };
+    }
+
+    /** @private */
+    pointAllowed(point, forbid, allow) {
+        return !forbid.some(fence => pointInPolygon(point, fence.polygon)) &&
+            (allow.length === 0 || allow.some(fence => pointInPolygon(point, fence.polygon)));
+    }
+
+    /** @private */
+    segmentAllowed(a, b, forbid, allow) {
+        if (forbid.some(fence => this.segmentCrossesFence(a, b, fence))) return false;
+        if (allow.length === 0) return true;
+        return allow.some(fence =>
+            pointInPolygon(a, fence.polygon) && pointInPolygon(b, fence.polygon) && !segmentCrossesRing(a, b, fence.polygon));
+    }
+
+    /** @private */
+    segmentCrossesFence(a, b, fence) {
+        return pointInPolygon(b, fence.polygon) || segmentCrossesRing(a, b, fence.polygon) ||
+            pointInPolygon([(a[0] + b[0]) / 2, (a[1] + b[1]) / 2], fence.polygon);
+    }
+
+    notifyChange() {
+        this.render();
+        this.dispatchEvent(new CustomEvent('change', { detail: this.fences }));
+    }
+
+    /**
+     * Draw every fence as a translucent extruded volume between its floor and
+     * ceiling. Extrusions stand on the terrain, so AMSL limits are drawn
+     * relative to the ground at the fence's center.
+     * @private
+     */
+    render() {
+        const data = this.toGeoJSON();
+        data.features.forEach((feature, index) => {
+            const fence = this.fences[index];
+            const ground = fence.altitudeMode === 'AMSL' ? (getGroundElevation(this.map, centroid(fence.polygon)) ?? 0) : 0;
+            feature.properties.base = Math.max(0, (fence.floor ?? ground) - ground);
+            feature.properties.height = Math.max(feature.properties.base, (fence.ceiling ?? ground + RENDER_CEILING) - ground);
+        });
+        const source = this.map.getSource('geofences');
+        if (source) {
+            source.setData(data);
+            return;
+        }
+
+        this.map.addSource('geofences', { type: 'geojson', data });
+        this.map.addLayer({
+            id: 'geofences-volume',
+            type: 'fill-extrusion',
+            source: 'geofences',
+            paint: {
+                'fill-extrusion-color': ['match', ['get', 'type'], 'allow', '#2a9d8f', '#d62828'],
+                'fill-extrusion-base': ['get', 'base'],
+                'fill-extrusion-height': ['get', 'height'],
+                'fill-extrusion-opacity': 0.25
+            }
+        });
+        this.map.addLayer({
+            id: 'geofences-outline',
+            type: 'line',
+            source: 'geofences',
+            paint: {
+                'line-color': ['match', ['get', 'type'], 'allow', '#2a9d8f', '#d62828'],
+                'line-width': 2,
+                'line-dasharray': [3, 2]
+            }
+        });
+    }
+}
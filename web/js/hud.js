@@ -0,0 +1,199 @@
+import { formatMGRS, formatUTM } from './geo.js';
+import { simulationClock } from './clock.js';
+
+const COORDINATE_FORMATS = { latlon: 'Lat/Lon', utm: 'UTM', mgrs: 'MGRS' };
+const TAPE_PIXELS_PER_DEGREE = 2;
+const TAPE_TICK = 10;                   // degrees between compass tape ticks
+const TAPE_LABELS = { 0: 'N', 45: 'NE', 90: 'E', 135: 'SE', 180: 'S', 225: 'SW', 270: 'W', 315: 'NW' };
+const HORIZON_PIXELS_PER_DEGREE = 1.5;  // attitude indicator pitch scale
+const MIN_ETA_SPEED = 0.5;              // m/s, slower drones use their commanded speed for the ETA
+
+/**
+ * Flight instruments for the selected drone as a MapLibre control:
+ * position (lat/lon, UTM or MGRS), altitude AGL and AMSL, ground, air and
+ * vertical speed, the wind at the drone, attitude, a heading tape, distance
+ * and ETA to the current target, mission progress and battery. Updated every frame while
+ * expanded; the header collapses it.
+ */
+export class HudControl {
+    /**
+     * @param {import('./registry.js').DroneRegistry} registry - Fleet whose selected drone is shown
+     * @param {import('./weather.js').WindField|null} wind - Wind shown at the drone
+     */
+    constructor(registry, wind = null) {
+        this.registry = registry;
+        this.wind = wind;
+        this.map = null;
+        this.coordinateFormat = 'latlon';
+        this.collapsed = false;
+        this.frameId = null;
+        this.frame = this.frame.bind(this);
+    }
+
+    onAdd(map) {
+        this.map = map;
+        this.container = document.createElement('div');
+        this.container.className = 'maplibregl-ctrl hud';
+        this.container.innerHTML = `
+            <button type="button" class="hud-header"><span class="hud-title"></span><span class="hud-toggle"></span></button>
+            <div class="hud-body">
+                <div class="hud-instruments">
+                    <div class="hud-horizon"><div class="hud-horizon-sky"></div><div class="hud-horizon-aircraft"></div></div>
+                    <div class="hud-tape"><div class="hud-tape-strip"></div><div class="hud-tape-pointer"></div></div>
+                </div>
+                <table class="hud-readouts">
+                    <tr><td><select class="hud-format"></select></td><td data-field="position"></td></tr>
+                    <tr><td>Altitude</td><td data-field="altitude"></td></tr>
+                    <tr><td>Ground speed</td><td data-field="speed"></td></tr>
+                    <tr><td>Airspeed</td><td data-field="airspeed"></td></tr>
+                    <tr><td>Vertical speed</td><td data-field="verticalSpeed"></td></tr>
+                    <tr><td>Wind</td><td data-field="wind"></td></tr>
+                    <tr><td>Heading</td><td data-field="heading"></td></tr>
+                    <tr><td>Attitude</td><td data-field="attitude"></td></tr>
+                    <tr><td>Target</td><td data-field="target"></td></tr>
+                    <tr><td>Mission</td><td data-field="mission"></td></tr>
+                    <tr><td>Battery</td><td data-field="battery"></td></tr>
+                </table>
+            </div>`;
+
+        this.fields = {};
+        for (const cell of this.container.querySelectorAll('[data-field]')) {
+            this.fields[cell.dataset.field] = cell;
+        }
+        this.title = this.container.querySelector('.hud-title');
+        this.body = this.container.querySelector('.hud-body');
+        this.toggle = this.container.querySelector('.hud-toggle');
+        this.sky = this.container.querySelector('.hud-horizon-sky');
+        this.strip = this.container.querySelector('.hud-tape-strip');
+        this.buildTape();
+
+        const formatSelect = this.container.querySelector('.hud-format');
+        for (const [format, label] of Object.entries(COORDINATE_FORMATS)) {
+            formatSelect.add(new Option(label, format));
+        }
+        formatSelect.onchange = () => {
+            this.coordinateFormat = formatSelect.value;
+        };
+        this.container.querySelector('.hud-header').onclick = () => this.setCollapsed(!this.collapsed);
+
+        this.setCollapsed(this.collapsed);
+        return this.container;
+    }
+
+    onRemove() {
+        cancelAnimationFrame(this.frameId);
+        this.frameId = null;
+        this.container.remove();
+        this.map = null;
+    }
+
+    /**
+     * @param {boolean} collapsed - Show only the header
+     */
+    setCollapsed(collapsed) {
+        this.collapsed = collapsed;
+        this.body.hidden = collapsed;
+        this.toggle.textContent = collapsed ? '▸' : '▾';
+        cancelAnimationFrame(this.frameId);
+        this.frameId = null;
+        // Nothing to draw while collapsed, the header only needs the drone's id
+        if (!collapsed) this.frameId = requestAnimationFrame(this.frame);
+        else this.title.textContent = this.registry.getSelected()?.id ?? 'No drone';
+    }
+
+    /**
+     * Heading tape labels and ticks over two turns, so any heading has a full window around it
+     * @private
+     */
+    buildTape() {
+        for (let degrees = -180; degrees <= 540; degrees += TAPE_TICK) {
+            const heading = (degrees + 360) % 360;
+            const tick = document.createElement('span');
+            tick.className = 'hud-tape-tick';
+            tick.style.left = `${(degrees + 180) * TAPE_PIXELS_PER_DEGREE}px`;
+            tick.textContent = TAPE_LABELS[heading] ?? (heading % 30 === 0 ? String(heading / 10).padStart(2, '0') : '');
+            this.strip.appendChild(tick);
+        }
+    }
+
+    /** @private */
+    frame() {
+        this.frameId = requestAnimationFrame(this.frame);
+        this.update();
+    }
+
+    /**
+     * Show the selected drone's current state
+     */
+    update() {
+        const entry = this.registry.getSelected();
+        this.title.textContent = entry ? entry.id : 'No drone';
+        if (!entry) {
+            for (const cell of Object.values(this.fields)) cell.textContent = '—';
+            return;
+        }
+        const { drone, navigation, mission, missionRunner } = entry;
+        const position = [drone.longitude, drone.latitude];
+
+        this.fields.position.textContent = this.formatPosition(position);
+        this.fields.altitude.textContent =
+            `${drone.getAltitude('AGL', this.map).toFixed(1)} m AGL · ${drone.getAltitude('AMSL', this.map).toFixed(1)} m AMSL`;
+        this.fields.speed.textContent = `${drone.speed.toFixed(1)} m/s`;
+        this.fields.airspeed.textContent = `${drone.airspeed.toFixed(1)} m/s`;
+        this.fields.wind.textContent = this.formatWind(position, drone.getAltitude('AGL', this.map));
+        this.fields.verticalSpeed.textContent = `${drone.vertical_velocity >= 0 ? '+' : ''}${drone.vertical_velocity.toFixed(1)} m/s`;
+        this.fields.heading.textContent = `${String(Math.round(drone.heading) % 360).padStart(3, '0')}°`;
+        this.fields.attitude.textContent = `roll ${drone.roll.toFixed(0)}° · pitch ${drone.pitch.toFixed(0)}°`;
+
+        const remaining = navigation.remainingDistance();
+        if (remaining === null) {
+            this.fields.target.textContent = '—';
+        } else {
+            const speed = drone.speed >= MIN_ETA_SPEED ? drone.speed : navigation.flight.speed;
+            this.fields.target.textContent = `${formatDistance(remaining)} · ETA ${formatTime(remaining / speed)}`;
+        }
+
+        this.fields.mission.textContent = missionRunner.isActive()
+            ? `WP ${missionRunner.currentIndex + 1}/${mission.length} · ${missionRunner.state}`
+            : mission.length > 0 ? `${mission.length} waypoints · ${missionRunner.state}` : '—';
+
+        this.fields.battery.textContent = drone.battery === null ? '—'
+            : `${drone.battery.toFixed(0)}%${drone.battery <= drone.battery_reserve ? ' · reserve' : ''}`;
+
+        // Roll turns the horizon the other way, nose up moves it down
+        this.sky.style.transform = `rotate(${-drone.roll}deg) translateY(${drone.pitch * HORIZON_PIXELS_PER_DEGREE}px)`;
+        // The strip starts at -180° from the middle of the tape, slide the heading there
+        const offset = (drone.heading + 180) * TAPE_PIXELS_PER_DEGREE;
+        this.strip.style.transform = `translateX(${-offset}px)`;
+    }
+
+    /**
+     * Where the wind at the drone blows from and how fast, gusts included
+     * @private
+     */
+    formatWind(position, height) {
+        if (!this.wind || this.wind.isCalm()) return 'calm';
+        const [east, north] = this.wind.velocityAt(position, Math.max(0, height), simulationClock.time);
+        const from = (Math.atan2(-east, -north) * 180 / Math.PI + 360) % 360;
+        return `${String(Math.round(from) % 360).padStart(3, '0')}° ${Math.hypot(east, north).toFixed(1)} m/s`;
+    }
+
+    /** @private */
+    formatPosition(position) {
+        const formatted = this.coordinateFormat === 'utm' ? formatUTM(position)
+            : this.coordinateFormat === 'mgrs' ? formatMGRS(position)
+            : null;
+        // Lat/lon also where the grids stop, near the poles
+        return formatted ?? `${position[1].toFixed(6)}, ${position[0].toFixed(6)}`;
+    }
+}
+
+function formatDistance(meters) {
+    return meters >= 1000 ? `${(meters / 1000).toFixed(2)} km` : `${meters.toFixed(0)} m`;
+}
+
+function formatTime(seconds) {
+    if (!Number.isFinite(seconds)) return '—';
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+}
@@ -2,6 +2,11 @@
 import { addMapControls } from './controls.js';
 import { init } from './three.js';
 
+// Tile server with the basemap, terrain, fonts and sprites
+export const TILE_SERVER = 'http://localhost:9999';
+// ?offline draws the map from the local mbtiles only, for deployments without internet
+export const OFFLINE = new URLSearchParams(location.search).has('offline');
+
 // Map configuration object
 const mapConfig = {
     container: 'map',
@@ -9,7 +14,7 @@ const mapConfig = {
     center: [33.3823, 35.1856], // Nicosia, Cyprus coordinates
     pitch: 70,
     hash: true,
-    style: 'http://localhost:9999/styles/local-style/style.json', // Use style from tile server
+    style: `${TILE_SERVER}/styles/${OFFLINE ? 'offline-style' : 'local-style'}/style.json`, // Use style from tile server
     maxZoom: 20,
     maxPitch: 90,
     canvasContextAttributes: {antialias: true} // Enable antialiasing for potential 3D content
@@ -18,6 +23,19 @@ export const deckOverlay = new MapboxOverlay({
     layers: []
 });
 
+// deck.gl layers by owner, e.g. 'trails', so modules replace only their own
+const deckLayerGroups = new Map();
+
+/**
+ * Set the deck.gl layers of one owner, keeping every other owner's layers
+ * @param {string} owner - Name of the group of layers
+ * @param {Object[]} layers - deck.gl layers, empty to remove the group
+ */
+export function setDeckLayers(owner, layers) {
+    deckLayerGroups.set(owner, layers);
+    deckOverlay.setProps({ layers: [...deckLayerGroups.values()].flat() });
+}
+
 // Initialize and export the map
 export function initializeMap() {
     const map = new maplibregl.Map(mapConfig);
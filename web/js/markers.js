@@ -1,11 +1,21 @@
-let targetMarker = null;
+import { setDeckLayers } from './main.js';
+import { getGroundElevation, renderAltitudeFromGround } from './terrain.js';
 
-export function addTargetMarker(map, coordinates) {
+// Target coordinates by drone id, each drone shows its own target pin
+const targetMarkers = new Map();
+
+function targetSourceId(droneId) {
+    return `target-marker-${droneId}`;
+}
+
+export function addTargetMarker(map, coordinates, droneId) {
     // Remove existing marker if any
-    removeTargetMarker(map);
-    
+    removeTargetMarker(map, droneId);
+
+    const sourceId = targetSourceId(droneId);
+
     // Add target marker as a pin-like symbol
-    map.addSource('target-marker', {
+    map.addSource(sourceId, {
         type: 'geojson',
         data: {
             type: 'Feature',
@@ -14,27 +24,28 @@ export function addTargetMarker(map, coordinates) {
                 coordinates: coordinates
             },
             properties: {
-                title: 'Target Location'
+                title: 'Target Location',
+                droneId: droneId
             }
         }
     });
-    
+
     // Add pin-like marker with custom styling
     map.addLayer({
-        id: 'target-marker-shadow',
+        id: `${sourceId}-shadow`,
         type: 'circle',
-        source: 'target-marker',
+        source: sourceId,
         paint: {
             'circle-radius': 8,
             'circle-color': 'rgba(0,0,0,0.3)',
             'circle-translate': [2, 2]
         }
     });
-    
+
     map.addLayer({
-        id: 'target-marker',
+        id: sourceId,
         type: 'circle',
-        source: 'target-marker',
+        source: sourceId,
         paint: {
             'circle-radius': 6,
             'circle-color': '#ff4444',
@@ -42,42 +53,328 @@ export function addTargetMarker(map, coordinates) {
             'circle-stroke-color': '#ffffff'
         }
     });
-    
+
     // Add a small stem to make it look more like a pin
     map.addLayer({
-        id: 'target-marker-stem',
+        id: `${sourceId}-stem`,
         type: 'circle',
-        source: 'target-marker',
+        source: sourceId,
         paint: {
             'circle-radius': 1,
             'circle-color': '#aa2222',
             'circle-translate': [0, 8]
         }
     });
-    
-    targetMarker = coordinates;
-    console.log(`Target marker added at: [${coordinates[0].toFixed(6)}, ${coordinates[1].toFixed(6)}]`);
+
+    targetMarkers.set(droneId, coordinates);
+    console.log(`Target marker for ${droneId} added at: [${coordinates[0].toFixed(6)}, ${coordinates[1].toFixed(6)}]`);
 }
 
-export function removeTargetMarker(map) {
-    if (targetMarker) {
+export function removeTargetMarker(map, droneId) {
+    if (targetMarkers.has(droneId)) {
+        const sourceId = targetSourceId(droneId);
         try {
-            if (map.getLayer('target-marker')) map.removeLayer('target-marker');
-            if (map.getLayer('target-marker-shadow')) map.removeLayer('target-marker-shadow');
-            if (map.getLayer('target-marker-stem')) map.removeLayer('target-marker-stem');
-            if (map.getSource('target-marker')) map.removeSource('target-marker');
-            targetMarker = null;
-            console.log('Target marker removed');
+            if (map.getLayer(sourceId)) map.removeLayer(sourceId);
+            if (map.getLayer(`${sourceId}-shadow`)) map.removeLayer(`${sourceId}-shadow`);
+            if (map.getLayer(`${sourceId}-stem`)) map.removeLayer(`${sourceId}-stem`);
+            if (map.getSource(sourceId)) map.removeSource(sourceId);
+            targetMarkers.delete(droneId);
+            console.log(`Target marker for ${droneId} removed`);
         } catch (error) {
             console.warn('Error removing target marker:', error);
         }
     }
 }
 
-export function hasTargetMarker() {
-    return targetMarker !== null;
+export function hasTargetMarker(droneId) {
+    return targetMarkers.has(droneId);
+}
+
+export function getTargetMarker(droneId) {
+    return targetMarkers.get(droneId) || null;
+}
+
+// Numbered waypoint markers by drone id
+const missionMarkers = new Map();
+
+function missionSourceId(droneId) {
+    return `mission-route-${droneId}`;
+}
+
+/**
+ * Draw a drone's planned route as numbered waypoint markers joined by a line.
+ * Redrawing replaces the previous route of that drone.
+ * @param {import('maplibre-gl').Map} map - The MapLibre map instance
+ * @param {string} droneId - Drone the route belongs to
+ * @param {import('./mission.js').Waypoint[]} waypoints - Route to draw
+ * @param {Object} handlers - Optional callbacks
+ * @param {(index: number, coordinates: [number, number]) => void} [handlers.onMove] - A marker was dragged to new coordinates
+ * @param {(index: number) => void} [handlers.onClick] - A marker was clicked
+ */
+export function renderMissionRoute(map, droneId, waypoints, handlers = {}) {
+    removeMissionRoute(map, droneId);
+    if (waypoints.length === 0) return;
+
+    const sourceId = missionSourceId(droneId);
+    map.addSource(sourceId, {
+        type: 'geojson',
+        data: missionRouteData(waypoints)
+    });
+
+    map.addLayer({
+        id: `${sourceId}-casing`,
+        type: 'line',
+        source: sourceId,
+        layout: { 'line-join': 'round', 'line-cap': 'round' },
+        paint: {
+            'line-color': '#ffffff',
+            'line-width': 5
+        }
+    });
+
+    map.addLayer({
+        id: sourceId,
+        type: 'line',
+        source: sourceId,
+        layout: { 'line-join': 'round', 'line-cap': 'round' },
+        paint: {
+            'line-color': '#007cbf',
+            'line-width': 3,
+            'line-dasharray': [2, 1]
+        }
+    });
+
+    const markers = waypoints.map((waypoint, index) => {
+        const element = document.createElement('div');
+        element.className = 'mission-waypoint';
+        element.textContent = String(index + 1);
+        element.title = `Waypoint ${index + 1}: ${waypoint.altitude} m, ${waypoint.speed} m/s`;
+
+        const marker = new maplibregl.Marker({ element, draggable: true })
+            .setLngLat([waypoint.longitude, waypoint.latitude])
+            .addTo(map);
+
+        // Keep the line attached while dragging, report the final position
+        marker.on('drag', () => {
+            const { lng, lat } = marker.getLngLat();
+            const moved = waypoints.map((wp, i) => i === index ? { ...wp, longitude: lng, latitude: lat } : wp);
+            map.getSource(sourceId)?.setData(missionRouteData(moved));
+        });
+        marker.on('dragend', () => {
+            const { lng, lat } = marker.getLngLat();
+            if (handlers.onMove) handlers.onMove(index, [lng, lat]);
+        });
+        element.addEventListener('click', (e) => {
+            // Keep the click from reaching map tool modes
+            e.stopPropagation();
+            if (handlers.onClick) handlers.onClick(index);
+        });
+        return marker;
+    });
+    missionMarkers.set(droneId, markers);
+}
+
+/**
+ * Highlight the waypoint a drone is currently flying to
+ * @param {string} droneId - Drone the route belongs to
+ * @param {number} activeIndex - Index of the active waypoint, -1 for none
+ */
+export function setActiveWaypoint(droneId, activeIndex) {
+    const markers = missionMarkers.get(droneId) || [];
+    markers.forEach((marker, index) => {
+        marker.getElement().classList.toggle('active', index === activeIndex);
+        marker.getElement().classList.toggle('done', activeIndex >= 0 && index < activeIndex);
+    });
 }
 
-export function getTargetMarker() {
-    return targetMarker;
-}
\ No newline at end of file
+export function removeMissionRoute(map, droneId) {
+    const sourceId = missionSourceId(droneId);
+    (missionMarkers.get(droneId) || []).forEach(marker => marker.remove());
+    missionMarkers.delete(droneId);
+    if (map.getLayer(sourceId)) map.removeLayer(sourceId);
+    if (map.getLayer(`${sourceId}-casing`)) map.removeLayer(`${sourceId}-casing`);
+    if (map.getSource(sourceId)) map.removeSource(sourceId);
+}
+
+function missionRouteData(waypoints) {
+    return {
+        type: 'Feature',
+        geometry: {
+            type: 'LineString',
+            coordinates: waypoints.map(wp => [wp.longitude, wp.latitude])
+        },
+        properties: {}
+    };
+}
+
+function flightPathSourceId(droneId) {
+    return `flight-path-${droneId}`;
+}
+
+/**
+ * Draw the path of a drone's current flight, red where it passes below the
+ * minimum terrain clearance. Redrawing replaces the previous path of that drone.
+ * @param {import('maplibre-gl').Map} map - The MapLibre map instance
+ * @param {string} droneId - Drone the path belongs to
+ * @param {{position: [number, number], clearance: number}[]} samples - Points along the path with their predicted height above ground
+ * @param {number} minClearance - Meters above ground below which the path is in conflict
+ */
+export function renderFlightPath(map, droneId, samples, minClearance) {
+    const sourceId = flightPathSourceId(droneId);
+    const data = flightPathData(samples, minClearance);
+
+    const source = map.getSource(sourceId);
+    if (source) {
+        source.setData(data);
+        return;
+    }
+
+    map.addSource(sourceId, { type: 'geojson', data });
+    map.addLayer({
+        id: sourceId,
+        type: 'line',
+        source: sourceId,
+        layout: { 'line-join': 'round', 'line-cap': 'round' },
+        paint: {
+            'line-color': ['case', ['get', 'conflict'], '#ff2222', '#00c853'],
+            'line-width': ['case', ['get', 'conflict'], 5, 3],
+            'line-opacity': 0.8
+        }
+    });
+}
+
+export function removeFlightPath(map, droneId) {
+    const sourceId = flightPathSourceId(droneId);
+    if (map.getLayer(sourceId)) map.removeLayer(sourceId);
+    if (map.getSource(sourceId)) map.removeSource(sourceId);
+}
+
+/**
+ * Split a sampled path into line features that are either clear or in conflict
+ */
+function flightPathData(samples, minClearance) {
+    const features = [];
+    let current = null;
+    for (const sample of samples) {
+        const conflict = sample.clearance < minClearance;
+        if (!current || current.properties.conflict !== conflict) {
+            // Start the new run where the previous one ended so the line stays joined
+            const previous = current ? current.geometry.coordinates[current.geometry.coordinates.length - 1] : null;
+            current = {
+                type: 'Feature',
+                geometry: { type: 'LineString', coordinates: previous ? [previous] : [] },
+                properties: { conflict }
+            };
+            features.push(current);
+        }
+        current.geometry.coordinates.push(sample.position);
+    }
+    return { type: 'FeatureCollection', features: features.filter(f => f.geometry.coordinates.length > 1) };
+}
+
+function plannedPathOwner(droneId) {
+    return `planned-path-${droneId}`;
+}
+
+/**
+ * Draw a planned path in 3D at its altitudes, with a drop line from each
+ * corner to the ground, for review before it is flown. Redrawing replaces
+ * the previous plan of that drone.
+ * @param {import('maplibre-gl').Map} map - The MapLibre map instance
+ * @param {string} droneId - Drone the path belongs to
+ * @param {[number, number, number][]} path - Points [lon, lat, meters AMSL]
+ */
+export function renderPlannedPath(map, droneId, path) {
+    const corners = path.map(([lon, lat, altitude]) => {
+        const ground = getGroundElevation(map, [lon, lat]) ?? 0;
+        return {
+            position: [lon, lat, renderAltitudeFromGround(map, altitude, 'AMSL', ground)],
+            ground: [lon, lat, renderAltitudeFromGround(map, 0, 'AGL', ground)]
+        };
+    });
+    const owner = plannedPathOwner(droneId);
+    setDeckLayers(owner, [
+        new PathLayer({
+            id: `${owner}-line`,
+            data: [{ path: corners.map(corner => corner.position) }],
+            getPath: d => d.path,
+            getColor: [255, 145, 0],
+            getWidth: 4,
+            widthUnits: 'pixels'
+        }),
+        new LineLayer({
+            id: `${owner}-drops`,
+            data: corners,
+            getSourcePosition: d => d.position,
+            getTargetPosition: d => d.ground,
+            getColor: [255, 145, 0, 120],
+            getWidth: 1
+        })
+    ]);
+}
+
+/**
+ * @param {string} droneId - Drone whose planned path to remove
+ */
+export function removePlannedPath(droneId) {
+    setDeckLayers(plannedPathOwner(droneId), []);
+}
+
+/**
+ * Draw a geofence outline while it is being drawn
+ * @param {import('maplibre-gl').Map} map - The MapLibre map instance
+ * @param {[number, number][]} points - Vertices placed so far [lon, lat]
+ * @param {'allow'|'forbid'} type - Fence type, sets the color
+ */
+export function renderFenceDraft(map, points, type) {
+    const color = type === 'allow' ? '#2a9d8f' : '#d62828';
+    const data = {
+        type: 'FeatureCollection',
+        features: [
+            {
+                type: 'Feature',
+                geometry: { type: 'LineString', coordinates: points.length > 2 ? [...points, points[0]] : points },
+                properties: {}
+            },
+            ...points.map(point => ({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: point },
+                properties: {}
+            }))
+        ]
+    };
+
+    const source = map.getSource('fence-draft');
+    if (source) {
+        source.setData(data);
+    } else {
+        map.addSource('fence-draft', { type: 'geojson', data });
+        map.addLayer({
+            id: 'fence-draft-line',
+            type: 'line',
+            source: 'fence-draft',
+            filter: ['==', ['geometry-type'], 'LineString'],
+            paint: { 'line-color': color, 'line-width': 2 }
+        });
+        map.addLayer({
+            id: 'fence-draft-points',
+            type: 'circle',
+            source: 'fence-draft',
+            filter: ['==', ['geometry-type'], 'Point'],
+            paint: {
+                'circle-radius': 4,
+                'circle-color': color,
+                'circle-stroke-width': 2,
+                'circle-stroke-color': '#ffffff'
+            }
+        });
+    }
+    map.setPaintProperty('fence-draft-line', 'line-color', color);
+    map.setPaintProperty('fence-draft-points', 'circle-color', color);
+}
+
+export function removeFenceDraft(map) {
+    if (map.getLayer('fence-draft-line')) map.removeLayer('fence-draft-line');
+    if (map.getLayer('fence-draft-points')) map.removeLayer('fence-draft-points');
+    if (map.getSource('fence-draft')) map.removeSource('fence-draft');
+}
@@ -0,0 +1,308 @@
+import { simulationClock } from './clock.js';
+import { convertAltitude } from './terrain.js';
+
+/**
+ * Waypoint missions: an ordered route per drone and the runner that flies it
+ */
+
+export const DEFAULT_WAYPOINT_SPEED = 5;   // m/s
+export const DEFAULT_WAYPOINT_ALTITUDE = 50; // meters
+
+/**
+ * @typedef {Object} Waypoint
+ * @property {number} longitude
+ * @property {number} latitude
+ * @property {number} altitude - Altitude in meters the leg climbs or descends to
+ * @property {'AGL'|'AMSL'|null} altitudeMode - Reference of the altitude, null uses the drone's.
+ *   AGL altitudes are held above the ground along the whole leg.
+ * @property {number} speed - Ground speed in m/s for the leg ending at this waypoint
+ * @property {number} hold - Loiter time in seconds once the waypoint is reached
+ * @property {number|null} heading - Heading in degrees to face while holding, null keeps the course
+ */
+
+/**
+ * Create a waypoint, filling in defaults for missing options
+ * @param {number} longitude
+ * @param {number} latitude
+ * @param {Partial<Waypoint>} options
+ * @returns {Waypoint}
+ */
+export function createWaypoint(longitude, latitude, options = {}) {
+    return {
+        longitude,
+        latitude,
+        altitude: options.altitude ?? DEFAULT_WAYPOINT_ALTITUDE,
+        altitudeMode: options.altitudeMode ?? null,
+        speed: options.speed ?? DEFAULT_WAYPOINT_SPEED,
+        hold: options.hold ?? 0,
+        heading: options.heading ?? null
+    };
+}
+
+/**
+ * Ordered list of waypoints. Dispatches `change` whenever the route is edited.
+ */
+export class Mission extends EventTarget {
+    constructor() {
+        super();
+        /** @type {Waypoint[]} */
+        this.waypoints = [];
+    }
+
+    get length() {
+        return this.waypoints.length;
+    }
+
+    /**
+     * @param {Waypoint} waypoint
+     * @returns {number} Index of the appended waypoint
+     */
+    addWaypoint(waypoint) {
+        this.waypoints.push(waypoint);
+        this.notifyChange();
+        return this.waypoints.length - 1;
+    }
+
+    /**
+     * @param {number} index
+     * @param {Partial<Waypoint>} changes - Fields to overwrite
+     */
+    updateWaypoint(index, changes) {
+        if (!this.waypoints[index]) return;
+        Object.assign(this.waypoints[index], changes);
+        this.notifyChange();
+    }
+
+    removeWaypoint(index) {
+        if (!this.waypoints[index]) return;
+        this.waypoints.splice(index, 1);
+        this.notifyChange();
+    }
+
+    /**
+     * Replace the whole route
+     * @param {Waypoint[]} waypoints
+     */
+    setWaypoints(waypoints) {
+        this.waypoints = [...waypoints];
+        this.notifyChange();
+    }
+
+    clear() {
+        this.waypoints = [];
+        this.notifyChange();
+    }
+
+    notifyChange() {
+        this.dispatchEvent(new CustomEvent('change', { detail: this.waypoints }));
+    }
+}
+
+/**
+ * Flies a drone through its mission leg by leg using its navigation system.
+ *
+ * Dispatches `statechange` (detail: state), `leg` when flying toward a
+ * waypoint and `waypoint` when one is reached (detail: index).
+ */
+export class MissionRunner extends EventTarget {
+    /**
+     * @param {import('./navigation.js').Navigation} navigation - Navigation of the drone flying the mission
+     * @param {Mission} mission - The route to fly
+     */
+    constructor(navigation, mission) {
+        super();
+        this.navigation = navigation;
+        this.mission = mission;
+        /** @type {'idle'|'flying'|'holding'|'paused'|'completed'|'aborted'} */
+        this.state = 'idle';
+        this.currentIndex = -1;
+        this.holdRemaining = 0;   // simulation seconds left on the current hold
+        this.pausedState = null;  // state to return to on resume
+        this.savedTerrainFollowing = null;  // {enabled, clearance} of the navigation while an AGL leg overrides it
+        this.holdStep = this.holdStep.bind(this);
+
+        // Navigation halted short of terrain, wait for the user to resume or skip
+        navigation.addEventListener('terrainconflict', (e) => {
+            if (e.detail.action === 'stop' && this.state === 'flying') {
+                this.pausedState = 'flying';
+                this.setState('paused');
+            }
+        });
+        // The breach response (hover, return or land) takes over the drone
+        navigation.addEventListener('geofencebreach', () => {
+            if (!this.isActive()) return;
+            simulationClock.removeListener(this.holdStep);
+            this.pausedState = null;
+            console.log(`Mission aborted for ${this.drone.id}: geofence breached`);
+            this.setState('aborted');
+        });
+    }
+
+    get drone() {
+        return this.navigation.drone;
+    }
+
+    isActive() {
+        return this.state === 'flying' || this.state === 'holding' || this.state === 'paused';
+    }
+
+    start() {
+        if (this.mission.length === 0) {
+            console.log("Mission has no waypoints");
+            return;
+        }
+        this.cancelPending();
+        this.flyLeg(0);
+    }
+
+    pause() {
+        if (this.state !== 'flying' && this.state !== 'holding') return;
+
+        simulationClock.removeListener(this.holdStep);
+        this.navigation.stop();
+        this.pausedState = this.state;
+        this.setState('paused');
+    }
+
+    resume() {
+        if (this.state !== 'paused') return;
+
+        if (this.pausedState === 'holding') {
+            this.hold(this.holdRemaining);
+        } else {
+            this.flyLeg(this.currentIndex);
+        }
+    }
+
+    /**
+     * Abandon the current leg or hold and continue with the next waypoint
+     */
+    skip() {
+        if (!this.isActive()) return;
+        this.cancelPending();
+        this.next();
+    }
+
+    abort() {
+        if (!this.isActive()) return;
+        this.cancelPending();
+        console.log(`Mission aborted for ${this.drone.id}`);
+        this.setState('aborted');
+    }
+
+    /** @private */
+    flyLeg(index) {
+        const waypoint = this.mission.waypoints[index];
+        if (!waypoint) {
+            this.finish();
+            return;
+        }
+
+        this.currentIndex = index;
+        this.setState('flying');
+        this.dispatchEvent(new CustomEvent('leg', { detail: index }));
+
+        // Navigation takes altitudes in the drone's own reference. An AMSL
+        // drone follows the terrain to hold an AGL waypoint's height on the way.
+        const position = [waypoint.longitude, waypoint.latitude];
+        const altitude = waypoint.altitudeMode
+            ? convertAltitude(this.navigation.map, position, waypoint.altitude, waypoint.altitudeMode, this.drone.altitude_mode)
+            : waypoint.altitude;
+        if (waypoint.altitudeMode === 'AGL' && this.drone.altitude_mode !== 'AGL') {
+            this.followTerrain(waypoint.altitude);
+        } else {
+            this.restoreTerrainFollowing();
+        }
+        const started = this.navigation.moveDroneToward(position, altitude, waypoint.speed, () => this.onWaypointReached(index));
+        if (!started) {
+            console.log(`Mission aborted for ${this.drone.id}: waypoint ${index + 1} is not reachable inside the geofences`);
+            this.setState('aborted');
+        }
+    }
+
+    /** @private */
+    onWaypointReached(index) {
+        const waypoint = this.mission.waypoints[index];
+        console.log(`Drone ${this.drone.id} reached waypoint ${index + 1}/${this.mission.length}`);
+        this.dispatchEvent(new CustomEvent('waypoint', { detail: index }));
+
+        if (waypoint && waypoint.heading !== null) {
+            this.navigation.turnTo(waypoint.heading);
+        }
+
+        if (waypoint && waypoint.hold > 0) {
+            this.hold(waypoint.hold);
+        } else {
+            this.next();
+        }
+    }
+
+    /**
+     * Loiter in place, counting simulation time so time scaling applies
+     * @private
+     */
+    hold(seconds) {
+        this.setState('holding');
+        this.holdRemaining = seconds;
+        simulationClock.addListener(this.holdStep);
+    }
+
+    /** @private */
+    holdStep(dt) {
+        if (this.state !== 'holding') return;
+        this.holdRemaining -= dt;
+        if (this.holdRemaining <= 0) {
+            simulationClock.removeListener(this.holdStep);
+            this.next();
+        }
+    }
+
+    /** @private */
+    next() {
+        this.flyLeg(this.currentIndex + 1);
+    }
+
+    /** @private */
+    finish() {
+        console.log(`Mission completed for ${this.drone.id}`);
+        this.currentIndex = -1;
+        this.setState('completed');
+    }
+
+    /** @private */
+    cancelPending() {
+        this.navigation.stop();
+        simulationClock.removeListener(this.holdStep);
+        this.pausedState = null;
+    }
+
+    /**
+     * Hold a height above the ground for the leg, keeping the user's
+     * terrain following setting to restore afterwards
+     * @private
+     */
+    followTerrain(clearance) {
+        const navigation = this.navigation;
+        if (!this.savedTerrainFollowing) {
+            this.savedTerrainFollowing = { enabled: navigation.terrainFollowing, clearance: navigation.terrainClearance };
+        }
+        navigation.setTerrainFollowing(true, clearance);
+    }
+
+    /** @private */
+    restoreTerrainFollowing() {
+        if (!this.savedTerrainFollowing) return;
+        const { enabled, clearance } = this.savedTerrainFollowing;
+        this.savedTerrainFollowing = null;
+        this.navigation.setTerrainFollowing(enabled, clearance);
+    }
+
+    /** @private */
+    setState(state) {
+        if (state === 'completed' || state === 'aborted') {
+            this.restoreTerrainFollowing();
+        }
+        this.state = state;
+        this.dispatchEvent(new CustomEvent('statechange', { detail: state }));
+    }
+}
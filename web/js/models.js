@@ -0,0 +1,322 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
+import { FBXLoader } from 'three/addons/loaders/FBXLoader.js';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+import * as SkeletonUtils from 'three/addons/utils/SkeletonUtils.js';
+import * as MTP from '@dvt3d/maplibre-three-plugin';
+import { normalizeBearing } from './geo.js';
+import { getGroundElevation, getTerrainExaggeration, renderAltitudeFromGround } from './terrain.js';
+
+/**
+ * Static 3D models placed on the map: buildings, vehicles, equipment.
+ *
+ * Each model sits in its own RTC group from the map plugin, so it is
+ * positioned in geographic coordinates and sized in meters. A selected
+ * model can be moved, turned and scaled with a three.js gizmo, and the
+ * whole scene saved to JSON and loaded back.
+ */
+
+export const MODEL_FORMATS = ['gltf', 'glb', 'obj', 'fbx'];
+export const GIZMO_MODES = ['translate', 'rotate', 'scale'];
+
+const SCENE_VERSION = 1;
+
+// Rotation the plugin gives RTC groups to stand y-up models on the map
+const BASE_ROTATION = new THREE.Quaternion().setFromEuler(new THREE.Euler(Math.PI / 2, Math.PI, 0));
+const BASE_ROTATION_INVERSE = BASE_ROTATION.clone().invert();
+
+let modelCounter = 0;
+
+// Parsed model files by URL, so every placement clones one download
+const templateCache = new Map();
+
+/**
+ * @param {string} name - File name or URL
+ * @returns {'gltf'|'glb'|'obj'|'fbx'|null} Format from the extension, null when unsupported
+ */
+export function modelFormat(name) {
+    const extension = name.split(/[?#]/)[0].split('.').pop().toLowerCase();
+    return MODEL_FORMATS.includes(extension) ? extension : null;
+}
+
+/**
+ * Load a model file once and share it. Clone the result before adding it
+ * to a scene. Animations in the file come with it in `animations`.
+ * @param {string} url - Model URL, data URLs included
+ * @param {'gltf'|'glb'|'obj'|'fbx'} format - Defaults to the URL's extension
+ * @returns {Promise<THREE.Object3D>} The parsed model
+ */
+export function loadModelTemplate(url, format = modelFormat(url)) {
+    if (!MODEL_FORMATS.includes(format)) {
+        return Promise.reject(new Error(`Unsupported model format for ${url.slice(0, 80)}`));
+    }
+    if (!templateCache.has(url)) {
+        const loader = format === 'obj' ? new OBJLoader()
+            : format === 'fbx' ? new FBXLoader()
+            : new GLTFLoader();
+        const promise = loader.loadAsync(url).then(result => {
+            if (!result.scene) return result;
+            // glTF keeps its animations beside the scene, OBJ and FBX on the model
+            result.scene.animations = result.animations;
+            return result.scene;
+        });
+        // Do not cache failures, a later placement may retry the download
+        promise.catch(() => templateCache.delete(url));
+        templateCache.set(url, promise);
+    }
+    return templateCache.get(url);
+}
+
+/**
+ * @typedef {Object} PlacedModel
+ * @property {string} id
+ * @property {string} name
+ * @property {string} url - Where the model file is loaded from
+ * @property {'gltf'|'glb'|'obj'|'fbx'} format
+ * @property {number} longitude
+ * @property {number} latitude
+ * @property {number} altitude - Meters in altitudeMode, of the model's origin
+ * @property {'AGL'|'AMSL'} altitudeMode - Reference of altitude
+ * @property {number} heading - Degrees clockwise from north
+ * @property {[number, number, number]} scale - Model units per meter along its own axes
+ */
+
+/**
+ * Places models on the map and edits them with a move/rotate/scale gizmo.
+ *
+ * Dispatches `add` and `remove` (detail: the PlacedModel), `select`
+ * (detail: the PlacedModel or null) and `change` (detail: the PlacedModel)
+ * whenever a model is moved, turned or scaled.
+ */
+export class ModelManager extends EventTarget {
+    /**
+     * @param {import('maplibre-gl').Map} map - The MapLibre map instance
+     * @param {MTP.MapScene} mapScene - Scene the models are added to
+     */
+    constructor(map, mapScene) {
+        super();
+        this.map = map;
+        this.mapScene = mapScene;
+        /** @type {Map<string, {model: PlacedModel, group: THREE.Group}>} */
+        this.placements = new Map();
+        this.selectedId = null;
+
+        this.gizmo = new TransformControls(mapScene.camera, map.getCanvasContainer());
+        this.gizmo.setSpace('world');
+        mapScene.addSceneObject(this.gizmo.getHelper());
+        // Dragging a handle must not pan the map as well
+        this.gizmo.addEventListener('dragging-changed', (e) => {
+            if (e.value) map.dragPan.disable();
+            else map.dragPan.enable();
+        });
+        this.gizmo.addEventListener('objectChange', () => this.readGizmo());
+        this.gizmo.addEventListener('change', () => map.triggerRepaint());
+
+        // Re-seat the models when the ground under them changes
+        const reposition = () => {
+            for (const { model, group } of this.placements.values()) this.place(model, group);
+        };
+        map.on('terrain', reposition);
+        map.on('sourcedata', (e) => {
+            const terrain = map.getTerrain();
+            if (e.tile && terrain && e.sourceId === terrain.source) reposition();
+        });
+    }
+
+    /**
+     * @returns {PlacedModel[]} Every placed model, in placement order
+     */
+    get models() {
+        return [...this.placements.values()].map(placement => placement.model);
+    }
+
+    /** @returns {PlacedModel|null} */
+    get selected() {
+        return this.placements.get(this.selectedId)?.model ?? null;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {THREE.Group|null} Group the model is drawn in, e.g. for raycasting
+     */
+    getGroup(id) {
+        return this.placements.get(id)?.group ?? null;
+    }
+
+    /**
+     * Load a model file and place it
+     * @param {Partial<PlacedModel> & {url: string}} options - Fields of the model, url required
+     * @returns {Promise<PlacedModel>}
+     */
+    async add(options) {
+        const format = options.format ?? modelFormat(options.name ?? options.url);
+        const template = await loadModelTemplate(options.url, format);
+
+        const center = this.map.getCenter();
+        const model = {
+            id: options.id ?? `model-${++modelCounter}`,
+            name: options.name ?? options.url.split('/').pop(),
+            url: options.url,
+            format,
+            longitude: options.longitude ?? center.lng,
+            latitude: options.latitude ?? center.lat,
+            altitude: options.altitude ?? 0,
+            altitudeMode: options.altitudeMode ?? 'AGL',
+            heading: options.heading ?? 0,
+            scale: options.scale ?? [1, 1, 1]
+        };
+        if (this.placements.has(model.id)) {
+            throw new Error(`Model "${model.id}" is already placed`);
+        }
+
+        const group = MTP.Creator.createRTCGroup([model.longitude, model.latitude, 0]);
+        group.name = model.id;
+        group.add(SkeletonUtils.clone(template));
+        this.place(model, group);
+        this.mapScene.addObject(group);
+        this.placements.set(model.id, { model, group });
+
+        console.log(`Model ${model.id} (${model.name}) placed at [${model.longitude.toFixed(6)}, ${model.latitude.toFixed(6)}]`);
+        this.dispatchEvent(new CustomEvent('add', { detail: model }));
+        return model;
+    }
+
+    /**
+     * Remove a placed model
+     * @param {string} id
+     */
+    remove(id) {
+        const placement = this.placements.get(id);
+        if (!placement) return;
+        if (this.selectedId === id) this.select(null);
+        this.mapScene.removeObject(placement.group);
+        this.placements.delete(id);
+        this.map.triggerRepaint();
+        this.dispatchEvent(new CustomEvent('remove', { detail: placement.model }));
+    }
+
+    clear() {
+        for (const id of [...this.placements.keys()]) this.remove(id);
+    }
+
+    /**
+     * Change where and how a model is placed
+     * @param {string} id
+     * @param {Partial<PlacedModel>} changes - Placement fields to change
+     */
+    update(id, changes) {
+        const placement = this.placements.get(id);
+        if (!placement) {
+            throw new Error(`No model "${id}"`);
+        }
+        const { longitude, latitude, altitude, altitudeMode, heading, scale, name } = { ...placement.model, ...changes };
+        Object.assign(placement.model, { longitude, latitude, altitude, altitudeMode, heading, scale, name });
+        this.place(placement.model, placement.group);
+        this.dispatchEvent(new CustomEvent('change', { detail: placement.model }));
+    }
+
+    /**
+     * Attach the gizmo to a model
+     * @param {string|null} id - Model to edit, null to put the gizmo away
+     */
+    select(id) {
+        const placement = id === null ? null : this.placements.get(id);
+        if (id !== null && !placement) {
+            throw new Error(`No model "${id}"`);
+        }
+        this.selectedId = placement ? id : null;
+        if (placement) this.gizmo.attach(placement.group);
+        else this.gizmo.detach();
+        this.map.triggerRepaint();
+        this.dispatchEvent(new CustomEvent('select', { detail: placement?.model ?? null }));
+    }
+
+    /**
+     * @param {'translate'|'rotate'|'scale'} mode - One of GIZMO_MODES
+     */
+    setGizmoMode(mode) {
+        if (!GIZMO_MODES.includes(mode)) {
+            throw new Error(`Unknown gizmo mode "${mode}"`);
+        }
+        this.gizmo.setMode(mode);
+        // Models turn about the vertical only and scale along their own axes
+        this.gizmo.setSpace(mode === 'scale' ? 'local' : 'world');
+        this.gizmo.showX = mode !== 'rotate';
+        this.gizmo.showY = mode !== 'rotate';
+    }
+
+    /**
+     * @returns {Object} The scene as JSON, readable by loadScene
+     */
+    toJSON() {
+        return {
+            version: SCENE_VERSION,
+            models: this.models.map(model => ({ ...model, scale: [...model.scale] }))
+        };
+    }
+
+    /**
+     * Replace the placed models with a saved scene
+     * @param {Object} scene - Output of toJSON
+     * @returns {Promise<PlacedModel[]>} The placed models
+     */
+    async loadScene(scene) {
+        if (!Array.isArray(scene?.models)) {
+            throw new Error('No models found');
+        }
+        if (scene.version > SCENE_VERSION) {
+            throw new Error(`Scene version ${scene.version} is newer than this viewer supports`);
+        }
+        this.clear();
+        const results = await Promise.allSettled(scene.models.map(model => this.add(model)));
+        for (const result of results) {
+            if (result.status === 'rejected') console.error('Failed to place a model:', result.reason);
+        }
+        return results.filter(result => result.status === 'fulfilled').map(result => result.value);
+    }
+
+    /**
+     * Position, turn and size a model's group from its fields
+     * @private
+     */
+    place(model, group) {
+        const position = [model.longitude, model.latitude];
+        const ground = getGroundElevation(this.map, position) ?? 0;
+        const renderAltitude = renderAltitudeFromGround(this.map, model.altitude, model.altitudeMode, ground);
+        group.position.copy(MTP.SceneTransform.lngLatToVector3([...position, renderAltitude]));
+
+        // A turn about the map's vertical is a turn about the group's own y axis
+        group.quaternion.copy(BASE_ROTATION).multiply(
+            new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), THREE.MathUtils.degToRad(model.heading)));
+
+        const unitsPerMeter = MTP.SceneTransform.projectedUnitsPerMeter(model.latitude);
+        group.scale.set(...model.scale.map(factor => factor * unitsPerMeter));
+        this.map.triggerRepaint();
+    }
+
+    /**
+     * Copy what the gizmo did to the selected group back to its model
+     * @private
+     */
+    readGizmo() {
+        const placement = this.placements.get(this.selectedId);
+        if (!placement) return;
+        const { model, group } = placement;
+
+        const [longitude, latitude, renderAltitude] = MTP.SceneTransform.vector3ToLngLat(group.position);
+        const ground = getGroundElevation(this.map, [longitude, latitude]) ?? 0;
+        const heightAboveGround = renderAltitude - ground * getTerrainExaggeration(this.map);
+        model.longitude = longitude;
+        model.latitude = latitude;
+        model.altitude = model.altitudeMode === 'AGL' ? heightAboveGround : heightAboveGround + ground;
+
+        const turn = BASE_ROTATION_INVERSE.clone().multiply(group.quaternion);
+        model.heading = normalizeBearing(THREE.MathUtils.radToDeg(2 * Math.atan2(turn.y, turn.w)));
+
+        const unitsPerMeter = MTP.SceneTransform.projectedUnitsPerMeter(latitude);
+        model.scale = group.scale.toArray().map(units => units / unitsPerMeter);
+
+        this.dispatchEvent(new CustomEvent('change', { detail: model }));
+    }
+}
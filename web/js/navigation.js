@@ -1,99 +1,834 @@
-import { removeTargetMarker } from './markers.js';
-import { addTrailPoint } from './trail.js';
+import { removeTargetMarker, renderFlightPath, removeFlightPath } from './markers.js';
+import { addTrailPoint, droneMetrics } from './trail.js';
+import { simulationClock } from './clock.js';
+import { haversineDistance, initialBearing, bearingDifference, destinationPoint, normalizeBearing } from './geo.js';
+import { convertAltitude, sampleTerrainProfile } from './terrain.js';
+import { describeBreach } from './geofence.js';
+
+const ARRIVAL_RADIUS = 0.5;        // meters from the target that count as arrived
+const ALTITUDE_TOLERANCE = 0.5;    // meters from the target altitude that count as reached
+const TRAIL_INTERVAL = 0.25;       // simulation seconds between trail points
+const CLEARANCE_SPACING = 20;      // meters between terrain samples along a path
+const CLEARANCE_INTERVAL = 0.5;    // simulation seconds between checks ahead of the drone
+const LOOKAHEAD_TIME = 5;          // seconds of flight checked ahead of the drone
+const MIN_LOOKAHEAD = 30;          // meters checked ahead even when slow
+const MANUAL_INPUT_TIMEOUT = 500;  // ms without stick input before a manually flown drone hovers
+const NO_INPUT = { yaw: 0, forward: 0, strafe: 0, climb: 0 };
+const WIND_RESPONSE_TIME = 2;      // seconds the drone's estimate of the wind lags behind the wind
+const CRAB_SPEED = 0.5;            // m/s along the track above which the nose points into the wind to hold it
+const GROUNDED_HEIGHT = 0.5;       // meters AGL below which the wind cannot move the drone
+const GRAVITY = 9.81;              // m/s²
+const TILT_RESPONSE = 0.3;         // seconds roll and pitch take to follow a change in acceleration
+const MAX_TILT = 35;               // degrees of roll or pitch
+
+export const CLEARANCE_RESPONSES = ['climb', 'stop'];
+
+/**
+ * @typedef {Object} ClearanceConflict
+ * @property {[number, number]} start - First position below the minimum clearance [lon, lat]
+ * @property {[number, number]} end - Last position below the minimum clearance [lon, lat]
+ * @property {number} distance - Meters from the start of the checked path to `start`
+ * @property {number} clearance - Lowest predicted height above ground in the conflict, negative below ground
+ * @property {number} requiredAltitude - Altitude in the drone's mode that clears the whole conflict
+ */
 
 /**
- * Navigation system for controlling drone movement
+ * Navigation system for controlling drone movement.
+ *
+ * Checks the terrain under every flight: the whole path when a flight
+ * starts, and the stretch ahead of the drone while flying. Dispatches
+ * `terrainconflict` when the drone will pass below `minClearance`, with
+ * detail `{drone, phase: 'planned'|'live', conflicts, action}`, and
+ * `terrainclear` once the path ahead clears again.
+ *
+ * With geofences, targets are routed around no-fly zones. Dispatches
+ * `geofencerefused` (detail `{drone, target, breach}`) for targets that
+ * cannot be reached, `geofencererouted` (detail `{drone, route}`) when the
+ * straight line is blocked, and `geofencebreach` (detail `{drone, breach,
+ * action}`) when the drone breaks a fence in flight.
+ *
+ * In manual flight (startManual) a pilot's stick input flies the drone
+ * instead of a target; released sticks brake it to a hover. Dispatches
+ * `manual` (detail `{drone, manual}`) when manual flight starts or ends,
+ * which any new flight or a geofence breach also does.
+ *
+ * The drone tilts the way a multicopter does to accelerate: nose down to
+ * speed up, nose up to brake and banked into turns.
+ *
+ * With a wind field, flights are flown through the moving air: the drone
+ * points into the wind by the crab angle it needs to hold its track, its
+ * speed over the ground differs from its airspeed, and gusts push it off
+ * the track until it has caught up with them.
+ *
+ * Dispatches `move` (detail `{drone, time}` with the simulation time in
+ * seconds) after every step of a flight, e.g. for the flight recorder.
  */
-export class Navigation {
+export class Navigation extends EventTarget {
     /**
      * @param {import('./drone.js').Drone} drone - The drone instance to control
      * @param {import('maplibre-gl').Map} map - The MapLibre map instance
+     * @param {import('./geofence.js').GeofenceManager|null} geofences - Fences to respect, null for none
+     * @param {import('./weather.js').WindField|null} wind - Wind to fly through, null for still air
      */
-    constructor(drone, map) {
+    constructor(drone, map, geofences = null, wind = null) {
+        super();
         /** @type {import('./drone.js').Drone} */
         this.drone = drone;
         /** @type {import('maplibre-gl').Map} */
         this.map = map;
+        /** @type {import('./geofence.js').GeofenceManager|null} */
+        this.geofences = geofences;
+        /** @type {import('./weather.js').WindField|null} */
+        this.wind = wind;
+        this.windEstimate = [0, 0];     // [east, north] m/s of wind the drone has made out and corrects for
+        this.trackSpeed = 0;            // m/s the flight commands along the track, before the wind
+        this.airVelocity = [0, 0];      // [east, north] m/s through the air at the last step
+        this.airAcceleration = [0, 0];  // [east, north] m/s², smoothed over TILT_RESPONSE, that tilts the drone
+        this.yawTarget = null;          // heading turned to in place, see turnTo
+        this.home = [drone.longitude, drone.latitude]; // [lon, lat] to return to
+        this.flight = null;             // active target, see moveDroneToward
+        this.manual = null;             // stick input and velocity while flown manually, see startManual
+        this.trailTimer = 0;
+        this.terrainFollowing = false;  // hold terrainClearance above the ground instead of the target altitude
+        this.terrainClearance = 30;     // meters AGL
+        this.minClearance = 10;         // meters AGL the flight path must keep from the ground
+        /** @type {'climb'|'stop'} */
+        this.clearanceResponse = 'climb';
+        this.clearanceTimer = 0;
+        this.step = this.step.bind(this);
+        this.manualStep = this.manualStep.bind(this);
+        this.yawStep = this.yawStep.bind(this);
     }
 
     /**
-     * Move drone toward a target location with smooth animation
+     * Fly the drone toward a target location. Position is integrated from
+     * the drone's velocity on every simulation clock step, limited by its
+     * acceleration, max speed, climb rate and turn rate.
+     *
+     * A target the geofences do not allow is refused and the current flight,
+     * if any, carries on.
      * @param {[number, number]} target - Target coordinates [longitude, latitude]
-     * @param {number} targetAlt - Target altitude in meters
-     * @param {number} stepMeters - Distance to move per step in meters
+     * @param {number} targetAlt - Target altitude in meters, in the drone's altitude mode
+     * @param {number} speed - Cruise ground speed in m/s, capped at the drone's max speed, less
+     *   when a headwind takes up more of the airspeed
      * @param {Function|null} onComplete - Callback function when movement completes
+     * @returns {boolean} Whether the flight was started
      */
-    moveDroneToward(target, targetAlt, stepMeters, onComplete = null) {
-        if (this.drone.move_interval) {
-            clearInterval(this.drone.move_interval);
+    moveDroneToward(target, targetAlt, speed = this.drone.cruise_speed, onComplete = null) {
+        const drone = this.drone;
+        let route = [target];
+
+        if (this.geofences) {
+            const position = [drone.longitude, drone.latitude];
+            const plan = this.geofences.planRoute(position, target, drone.altitude, targetAlt, drone.altitude_mode);
+            if (!plan.route) {
+                console.warn(`Drone ${drone.id}: target refused, ${describeBreach(plan.breach)}`);
+                this.dispatchEvent(new CustomEvent('geofencerefused', { detail: { drone, target, breach: plan.breach } }));
+                return false;
+            }
+            route = plan.route;
+            if (route.length > 1) {
+                console.log(`Drone ${drone.id}: rerouted around geofences via ${route.length - 1} point(s)`);
+                this.dispatchEvent(new CustomEvent('geofencererouted', { detail: { drone, route } }));
+            }
         }
 
-        // Set drone heading to face the target before starting movement
-        this.drone.setHeadingToTarget(target[0], target[1]);
+        this.startFlight(route, targetAlt, speed, onComplete);
+        return true;
+    }
 
-        this.drone.move_interval = setInterval(() => {
-            const pointA = [this.drone.latitude, this.drone.longitude];
-            const pointB = [target[1], target[0]];  // note: lat/lon order
-            const latA = pointA[0], lonA = pointA[1];
-            const latB = pointB[0], lonB = pointB[1];
+    /**
+     * Fly back to the home position at the current altitude and land there.
+     * Geofences are avoided where possible, but breaking one on the way
+     * does not interrupt the return.
+     */
+    returnToLaunch() {
+        const drone = this.drone;
+        const position = [drone.longitude, drone.latitude];
+        const plan = this.geofences
+            ? this.geofences.planRoute(position, this.home, drone.altitude, drone.altitude, drone.altitude_mode)
+            : null;
+        console.log(`Drone ${drone.id} returning to launch`);
+        this.startFlight(plan && plan.route ? plan.route : [this.home], drone.altitude, drone.cruise_speed,
+            () => this.land(), { recovery: true });
+    }
 
-            // Calculate distance using approximate conversion: 1 degree ≈ 111 km
-            const totalDist = Math.sqrt((latB - latA) ** 2 + (lonB - lonA) ** 2) * 111000;
-            
-            if (totalDist === 0) {
-                clearInterval(this.drone.move_interval);
-                if (onComplete) onComplete();
-                return;
-            }
+    /**
+     * Descend vertically to the ground where the drone is
+     * @param {Function|null} onComplete - Called once on the ground
+     */
+    land(onComplete = null) {
+        const drone = this.drone;
+        const position = [drone.longitude, drone.latitude];
+        const groundAlt = convertAltitude(this.map, position, 0, 'AGL', drone.altitude_mode);
+        console.log(`Drone ${drone.id} landing`);
+        this.startFlight([position], groundAlt, 0, onComplete, { recovery: true, landing: true });
+    }
 
-            // Calculate next position
-            const factor = stepMeters / totalDist;
-            const newLat = latA + factor * (latB - latA);
-            const newLon = lonA + factor * (lonB - lonA);
-            
-            // Add current position to trail before moving (with altitude for 3D trail)
-            addTrailPoint([this.drone.longitude, this.drone.latitude], this.drone.altitude);
-            
-            this.drone.setPosition(newLon, newLat, this.drone.altitude);
-
-            // Adjust altitude gradually
-            if (Math.abs(this.drone.altitude - targetAlt) > 0.5) {
-                if (this.drone.altitude < targetAlt) {
-                    this.drone.altitude += this.drone.vertical_speed / this.drone.move_frequency;
-                } else {
-                    this.drone.altitude -= this.drone.vertical_speed / this.drone.move_frequency;
-                }
-            } else {
-                this.drone.altitude = targetAlt;
-            }
+    /**
+     * @param {[number, number]} lngLat - New home position [lon, lat] for returnToLaunch
+     */
+    setHome(lngLat) {
+        this.home = [lngLat[0], lngLat[1]];
+    }
 
-            // Update 3D model position
-            this.drone.updatePosition(this.map);
-            console.log(this.drone.toString());
-
-            // Stop when within one step
-            if (totalDist <= stepMeters) {
-                clearInterval(this.drone.move_interval);
-                console.log("Drone reached target");
-                
-                // Remove target marker when reached
-                removeTargetMarker(this.map);
-                
-                if (onComplete) onComplete();
+    /**
+     * Start flying through the route points, without geofence planning
+     * @param {[number, number][]} route - Points to fly through, the last one is the target
+     * @param {number} targetAlt - Target altitude in meters, in the drone's altitude mode
+     * @param {number} speed - Cruise ground speed in m/s
+     * @param {Function|null} onComplete - Called on arrival at the last point
+     * @param {{recovery?: boolean, landing?: boolean}} options - `recovery` flights ignore geofence
+     *   breaches, `landing` flights also skip terrain clearance and terrain following
+     * @private
+     */
+    startFlight(route, targetAlt, speed, onComplete, options = {}) {
+        this.stopManual();
+        this.cancelTurn();
+        const drone = this.drone;
+        const position = [drone.longitude, drone.latitude];
+        const [target, ...rest] = route;
+        this.flight = {
+            target,
+            route: rest,        // points still to fly through after target
+            targetAlt,
+            speed: Math.min(speed, drone.max_speed),
+            onComplete,
+            avoidance: null,    // {altitude, position, clearAt} while climbing over terrain ahead
+            conflict: false,    // whether the last live check found a conflict
+            recovery: options.recovery ?? false,
+            landing: options.landing ?? false,
+            // A fence already broken at the start does not count until the drone is clear of it
+            startBreach: this.geofences ? this.geofences.checkPosition(position, drone.altitude, drone.altitude_mode) : null
+        };
+        this.trailTimer = TRAIL_INTERVAL; // Drop the first trail point on the first step
+        this.clearanceTimer = 0;
+
+        if (this.flight.landing) {
+            removeFlightPath(this.map, drone.id);
+        } else {
+            const { samples, conflicts } = this.predictRoute(position, drone.altitude, route, targetAlt, this.flight.speed);
+            renderFlightPath(this.map, drone.id, samples, this.minClearance);
+            if (conflicts.length > 0) {
+                console.warn(`Drone ${drone.id}: planned path passes below ${this.minClearance} m clearance in ${conflicts.length} place(s)`);
+                this.dispatchConflict('planned', conflicts, null);
             }
+        }
 
-        }, 1000 / this.drone.move_frequency);
+        simulationClock.addListener(this.step);
+    }
+
+    /**
+     * Yaw in place to a heading at the drone's turn rate. Any flight takes
+     * over the heading and ends the turn.
+     * @param {number} heading - Degrees clockwise from north
+     */
+    turnTo(heading) {
+        if (this.flight || this.manual) return;
+        this.yawTarget = normalizeBearing(heading);
+        simulationClock.addListener(this.yawStep);
+    }
+
+    /** @private */
+    cancelTurn() {
+        simulationClock.removeListener(this.yawStep);
+        this.yawTarget = null;
     }
 
     /**
      * Fly drone to a specific position
      * @param {number} longitude - Target longitude
-     * @param {number} latitude - Target latitude  
+     * @param {number} latitude - Target latitude
      * @param {number|null} altitude - Target altitude (uses current altitude if null)
      */
     flyToPosition(longitude, latitude, altitude = null) {
-        const targetAlt = altitude || this.drone.altitude;
-        const stepDist = 2; // meters per step
-        this.moveDroneToward([longitude, latitude], targetAlt, stepDist);
+        const targetAlt = altitude ?? this.drone.altitude;
+        this.moveDroneToward([longitude, latitude], targetAlt);
+    }
+
+    /**
+     * Enable or disable terrain following
+     * @param {boolean} enabled - Whether to hold a clearance above the ground
+     * @param {number} clearance - Meters above ground level to hold
+     */
+    setTerrainFollowing(enabled, clearance = this.terrainClearance) {
+        this.terrainFollowing = enabled;
+        this.terrainClearance = clearance;
+    }
+
+    /**
+     * Configure the terrain clearance check
+     * @param {number} minClearance - Meters above ground the path must keep
+     * @param {'climb'|'stop'} response - Climb over conflicts ahead, or stop short of them
+     */
+    setClearance(minClearance, response = this.clearanceResponse) {
+        if (!CLEARANCE_RESPONSES.includes(response)) {
+            throw new Error(`Unknown clearance response "${response}"`);
+        }
+        this.minClearance = minClearance;
+        this.clearanceResponse = response;
+    }
+
+    /**
+     * Predict the height above ground along a straight flight. The altitude
+     * profile assumes the drone climbs or descends at its vertical speed
+     * while covering ground at `speed`, as step() flies it.
+     * @param {[number, number]} from - Start [lon, lat]
+     * @param {[number, number]} to - End [lon, lat]
+     * @param {number} fromAlt - Starting altitude in the drone's mode
+     * @param {number} targetAlt - Altitude in the drone's mode the flight heads for
+     * @param {number} speed - Ground speed in m/s
+     * @returns {{samples: {position: [number, number], distance: number, ground: number, altitude: number, clearance: number}[],
+     *   conflicts: ClearanceConflict[]}} Altitudes in the drone's mode
+     */
+    predictClearance(from, to, fromAlt, targetAlt, speed) {
+        const drone = this.drone;
+        const climb = targetAlt - fromAlt;
+        const samples = sampleTerrainProfile(this.map, from, to, CLEARANCE_SPACING).map(sample => {
+            let altitude;
+            if (this.terrainFollowing) {
+                altitude = drone.altitude_mode === 'AGL' ? this.terrainClearance : sample.ground + this.terrainClearance;
+            } else {
+                const climbed = Math.min(Math.abs(climb), drone.vertical_speed * sample.distance / Math.max(speed, 0.1));
+                altitude = fromAlt + Math.sign(climb) * climbed;
+            }
+            const clearance = drone.altitude_mode === 'AGL' ? altitude : altitude - sample.ground;
+            return { ...sample, altitude, clearance };
+        });
+
+        // Group consecutive low samples into conflicts
+        const conflicts = [];
+        let current = null;
+        for (const sample of samples) {
+            if (sample.clearance >= this.minClearance) {
+                current = null;
+                continue;
+            }
+            const required = drone.altitude_mode === 'AGL' ? this.minClearance : sample.ground + this.minClearance;
+            if (!current) {
+                current = {
+                    start: sample.position,
+                    end: sample.position,
+                    distance: sample.distance,
+                    clearance: sample.clearance,
+                    requiredAltitude: required
+                };
+                conflicts.push(current);
+            }
+            current.end = sample.position;
+            current.clearance = Math.min(current.clearance, sample.clearance);
+            current.requiredAltitude = Math.max(current.requiredAltitude, required);
+        }
+        return { samples, conflicts };
+    }
+
+    /**
+     * predictClearance over a route of several legs
+     * @param {[number, number]} from - Start [lon, lat]
+     * @param {number} fromAlt - Starting altitude in the drone's mode
+     * @param {[number, number][]} route - Points flown through in order
+     * @param {number} targetAlt - Altitude in the drone's mode the flight heads for
+     * @param {number} speed - Ground speed in m/s
+     * @returns {ReturnType<Navigation['predictClearance']>} Samples and conflicts of all legs, distances per leg
+     */
+    predictRoute(from, fromAlt, route, targetAlt, speed) {
+        const result = { samples: [], conflicts: [] };
+        let start = from;
+        let startAlt = fromAlt;
+        for (const point of route) {
+            const { samples, conflicts } = this.predictClearance(start, point, startAlt, targetAlt, speed);
+            result.samples.push(...samples);
+            result.conflicts.push(...conflicts);
+            start = point;
+            startAlt = samples[samples.length - 1].altitude;
+        }
+        return result;
+    }
+
+    /**
+     * Stop where the drone is, dropping the current target without calling its callback
+     */
+    stop() {
+        simulationClock.removeListener(this.step);
+        this.cancelTurn();
+        this.flight = null;
+        this.trackSpeed = 0;
+        this.level();
+        this.drone.speed = 0;
+        this.drone.airspeed = 0;
+        this.drone.vertical_velocity = 0;
+        removeFlightPath(this.map, this.drone.id);
+    }
+
+    isFlying() {
+        return this.flight !== null;
+    }
+
+    /**
+     * Hand the drone to a pilot. The current flight stops and the drone
+     * hovers until setManualInput() moves the sticks.
+     */
+    startManual() {
+        if (this.manual) return;
+        const drone = this.drone;
+        this.stop();
+        removeTargetMarker(this.map, drone.id);
+        this.manual = {
+            input: NO_INPUT,
+            inputTime: 0,
+            velocity: [0, 0],   // [east, north] m/s
+            startBreach: this.geofences ? this.geofences.checkPosition([drone.longitude, drone.latitude], drone.altitude, drone.altitude_mode) : null
+        };
+        this.trailTimer = TRAIL_INTERVAL;
+        simulationClock.addListener(this.manualStep);
+        console.log(`Drone ${drone.id} under manual control`);
+        this.dispatchEvent(new CustomEvent('manual', { detail: { drone, manual: true } }));
+    }
+
+    /**
+     * End manual flight, hovering where the drone is
+     */
+    stopManual() {
+        if (!this.manual) return;
+        simulationClock.removeListener(this.manualStep);
+        this.manual = null;
+        this.level();
+        this.drone.speed = 0;
+        this.drone.airspeed = 0;
+        this.drone.vertical_velocity = 0;
+        console.log(`Drone ${this.drone.id} back under autonomous control`);
+        this.dispatchEvent(new CustomEvent('manual', { detail: { drone: this.drone, manual: false } }));
+    }
+
+    isManual() {
+        return this.manual !== null;
+    }
+
+    /**
+     * Set the pilot's sticks, each from -1 to 1. Input has to keep coming:
+     * after MANUAL_INPUT_TIMEOUT without any the sticks count as released.
+     * @param {{yaw: number, forward: number, strafe: number, climb: number}} input - Yaw right,
+     *   fly forward, strafe right and climb positive, full deflection at ±1
+     */
+    setManualInput(input) {
+        if (!this.manual) return;
+        const clamp = (value) => Math.max(-1, Math.min(1, value || 0));
+        this.manual.input = { yaw: clamp(input.yaw), forward: clamp(input.forward), strafe: clamp(input.strafe), climb: clamp(input.climb) };
+        this.manual.inputTime = performance.now();
+    }
+
+    /**
+     * @returns {number|null} Meters along the route still to fly, null when not flying
+     */
+    remainingDistance() {
+        if (!this.flight) return null;
+        let from = [this.drone.longitude, this.drone.latitude];
+        let distance = 0;
+        for (const point of [this.flight.target, ...this.flight.route]) {
+            distance += haversineDistance(from, point);
+            from = point;
+        }
+        return distance;
+    }
+
+    /**
+     * Advance the flight by one simulation step
+     * @param {number} dt - Step length in seconds
+     * @private
+     */
+    step(dt) {
+        if (!this.flight) return;
+        const drone = this.drone;
+        const { target, speed } = this.flight;
+
+        this.clearanceTimer -= dt;
+        if (this.clearanceTimer <= 0 && !this.flight.landing) {
+            this.clearanceTimer = CLEARANCE_INTERVAL;
+            this.checkAhead();
+            if (!this.flight) return; // stopped short of terrain
+        }
+
+        const position = [drone.longitude, drone.latitude];
+        const totalDist = haversineDistance(position, target);
+        const bearing = initialBearing(position, target);
+
+        // Yaw toward the target no faster than the turn rate. Once under way
+        // the nose points where the drone has to fly through the air to make
+        // good the bearing, into the wind by the crab angle.
+        let desiredHeading = bearing;
+        if (this.trackSpeed > CRAB_SPEED) {
+            const [east, north] = velocityToward(bearing, this.trackSpeed);
+            desiredHeading = Math.atan2(east - this.windEstimate[0], north - this.windEstimate[1]) * 180 / Math.PI;
+        }
+        let headingError = bearingDifference(drone.heading, desiredHeading);
+        if (totalDist > ARRIVAL_RADIUS) {
+            const maxTurn = drone.turn_rate * dt;
+            const turn = Math.max(-maxTurn, Math.min(maxTurn, headingError));
+            drone.setHeading(drone.heading + turn);
+            headingError -= turn;
+        }
+
+        // Hold back while facing away from the target, and brake in time to stop on it
+        const alignment = Math.max(0, Math.cos(headingError * Math.PI / 180));
+        const brakingSpeed = Math.sqrt(2 * drone.acceleration * totalDist);
+        let desiredSpeed = Math.min(speed * alignment, brakingSpeed);
+
+        // While climbing over terrain ahead, only close in as fast as the climb allows
+        const { avoidance } = this.flight;
+        if (avoidance && drone.altitude < avoidance.altitude) {
+            const climbTime = (avoidance.altitude - drone.altitude) / drone.vertical_speed;
+            const room = Math.max(0, haversineDistance(position, avoidance.position) - CLEARANCE_SPACING);
+            desiredSpeed = Math.min(desiredSpeed, room / climbTime);
+        }
+        const maxDelta = drone.acceleration * dt;
+        this.trackSpeed += Math.max(-maxDelta, Math.min(maxDelta, desiredSpeed - this.trackSpeed));
+
+        // Move with the air toward the target, arriving once a step along the
+        // bearing reaches it
+        const { air, ground } = this.flyThroughWind(velocityToward(bearing, this.trackSpeed), dt);
+        this.tilt(air, dt);
+        drone.speed = Math.hypot(...ground);
+        const along = velocityAlong(ground, bearing) * dt;
+        if (totalDist <= Math.max(along, ARRIVAL_RADIUS)) {
+            drone.longitude = target[0];
+            drone.latitude = target[1];
+        } else if (drone.speed > 0) {
+            [drone.longitude, drone.latitude] = destinationPoint(position, velocityBearing(ground), drone.speed * dt);
+        }
+
+        // Climb or descend toward the target altitude, or the clearance over
+        // the ground below when terrain following
+        let targetAlt = this.terrainFollowing && !this.flight.landing
+            ? convertAltitude(this.map, [drone.longitude, drone.latitude], this.terrainClearance, 'AGL', drone.altitude_mode)
+            : this.flight.targetAlt;
+        if (avoidance) {
+            targetAlt = Math.max(targetAlt, avoidance.altitude);
+        }
+        const altError = targetAlt - drone.altitude;
+        drone.vertical_velocity = Math.max(-drone.vertical_speed, Math.min(drone.vertical_speed, altError / dt));
+        drone.altitude += drone.vertical_velocity * dt;
+
+        if (this.geofences && !this.flight.recovery && this.checkGeofences(this.flight)) {
+            return;
+        }
+        this.afterStep(dt);
+
+        const arrived = drone.longitude === target[0] && drone.latitude === target[1];
+        if (arrived && this.flight.route.length > 0) {
+            // Corner of a route around a geofence, carry on to the next point
+            this.flight.target = this.flight.route.shift();
+            return;
+        }
+        if (arrived && Math.abs(targetAlt - drone.altitude) <= ALTITUDE_TOLERANCE) {
+            drone.altitude = targetAlt;
+            addTrailPoint(drone.id, [drone.longitude, drone.latitude], drone.getAltitude('AMSL', this.map), droneMetrics(drone), simulationClock.time);
+            const { onComplete } = this.flight;
+            this.stop();
+            drone.updatePosition(this.map);
+            console.log(`Drone ${drone.id} reached target: ${drone.toString()}`);
+
+            // Remove target marker when reached
+            removeTargetMarker(this.map, drone.id);
+
+            if (onComplete) onComplete();
+        }
+    }
+
+    /**
+     * Advance manual flight by one simulation step: yaw at the stick's share
+     * of the turn rate, accelerate toward the velocity the sticks ask for
+     * (relative to the nose) and climb at the stick's share of the climb
+     * rate, never below the ground
+     * @param {number} dt - Step length in seconds
+     * @private
+     */
+    manualStep(dt) {
+        if (!this.manual) return;
+        const drone = this.drone;
+        const manual = this.manual;
+        // No fresh input, e.g. a lost gamepad or a hidden tab: the sticks are let go
+        const input = performance.now() - manual.inputTime > MANUAL_INPUT_TIMEOUT ? NO_INPUT : manual.input;
+
+        drone.setHeading(drone.heading + input.yaw * drone.turn_rate * dt);
+
+        // Forward and strafe along and across the nose, at most max_speed together
+        const heading = drone.heading * Math.PI / 180;
+        let desired = [
+            (input.forward * Math.sin(heading) + input.strafe * Math.cos(heading)) * drone.max_speed,
+            (input.forward * Math.cos(heading) - input.strafe * Math.sin(heading)) * drone.max_speed
+        ];
+        const desiredSpeed = Math.hypot(...desired);
+        if (desiredSpeed > drone.max_speed) {
+            desired = desired.map(component => component * drone.max_speed / desiredSpeed);
+        }
+
+        // Released sticks ask for zero, so the drone brakes to a hover
+        const change = [desired[0] - manual.velocity[0], desired[1] - manual.velocity[1]];
+        const changeSize = Math.hypot(...change);
+        const maxDelta = drone.acceleration * dt;
+        const scale = changeSize > maxDelta ? maxDelta / changeSize : 1;
+        manual.velocity = [manual.velocity[0] + change[0] * scale, manual.velocity[1] + change[1] * scale];
+
+        // The sticks ask for a velocity over the ground, which the drone
+        // holds against the wind as well as it has made it out
+        const { air, ground } = this.flyThroughWind(manual.velocity, dt);
+        this.tilt(air, dt);
+        drone.speed = Math.hypot(...ground);
+        if (drone.speed > 0) {
+            [drone.longitude, drone.latitude] = destinationPoint([drone.longitude, drone.latitude], velocityBearing(ground), drone.speed * dt);
+        }
+
+        drone.vertical_velocity = input.climb * drone.vertical_speed;
+        drone.altitude += drone.vertical_velocity * dt;
+        const groundAlt = convertAltitude(this.map, [drone.longitude, drone.latitude], 0, 'AGL', drone.altitude_mode);
+        if (drone.altitude < groundAlt) {
+            drone.altitude = groundAlt;
+            drone.vertical_velocity = 0;
+        }
+
+        if (this.geofences && this.checkGeofences(manual)) {
+            return;
+        }
+        this.afterStep(dt);
+    }
+
+    /**
+     * Fly a velocity over the ground through the wind. The drone corrects for
+     * its estimate of the wind, which catches up with the wind over
+     * WIND_RESPONSE_TIME, so gusts push it until it has; and it flies no
+     * faster than max_speed through the air, so a strong headwind slows it
+     * over the ground.
+     * @param {[number, number]} commanded - [east, north] m/s wanted over the ground
+     * @param {number} dt - Step length in seconds
+     * @returns {{air: [number, number], ground: [number, number]}} [east, north] m/s through the air and over the ground
+     * @private
+     */
+    flyThroughWind(commanded, dt) {
+        const drone = this.drone;
+        const height = this.wind ? drone.getAltitude('AGL', this.map) : 0;
+        if (!this.wind || height < GROUNDED_HEIGHT) {
+            drone.airspeed = Math.hypot(...commanded);
+            return { air: commanded, ground: commanded };
+        }
+
+        const wind = this.wind.velocityAt([drone.longitude, drone.latitude], height, simulationClock.time);
+        const response = Math.min(1, dt / WIND_RESPONSE_TIME);
+        this.windEstimate = this.windEstimate.map((component, i) => component + (wind[i] - component) * response);
+
+        let air = [commanded[0] - this.windEstimate[0], commanded[1] - this.windEstimate[1]];
+        const airspeed = Math.hypot(...air);
+        if (airspeed > drone.max_speed) {
+            air = air.map(component => component * drone.max_speed / airspeed);
+        }
+        drone.airspeed = Math.min(airspeed, drone.max_speed);
+        return { air, ground: [air[0] + wind[0], air[1] + wind[1]] };
+    }
+
+    /**
+     * Roll and pitch the drone to the acceleration it makes through the air,
+     * which a multicopter gets by tilting its thrust: as far from level as
+     * the acceleration is against gravity, eased over TILT_RESPONSE
+     * @param {[number, number]} air - [east, north] m/s through the air after this step
+     * @param {number} dt - Step length in seconds
+     * @private
+     */
+    tilt(air, dt) {
+        const drone = this.drone;
+        const response = Math.min(1, dt / TILT_RESPONSE);
+        this.airAcceleration = this.airAcceleration.map((component, i) =>
+            component + ((air[i] - this.airVelocity[i]) / dt - component) * response);
+        this.airVelocity = air;
+
+        // Split into along and across the nose
+        const heading = drone.heading * Math.PI / 180;
+        const [east, north] = this.airAcceleration;
+        const forward = east * Math.sin(heading) + north * Math.cos(heading);
+        const right = east * Math.cos(heading) - north * Math.sin(heading);
+        const angle = (acceleration) => Math.max(-MAX_TILT, Math.min(MAX_TILT, Math.atan2(acceleration, GRAVITY) * 180 / Math.PI));
+        drone.pitch = -angle(forward);
+        drone.roll = angle(right);
+    }
+
+    /**
+     * Level the drone once it stops moving
+     * @private
+     */
+    level() {
+        this.airVelocity = [0, 0];
+        this.airAcceleration = [0, 0];
+        this.drone.roll = 0;
+        this.drone.pitch = 0;
     }
-}
\ No newline at end of file
+
+    /**
+     * Advance an in-place turn by one simulation step
+     * @param {number} dt - Step length in seconds
+     * @private
+     */
+    yawStep(dt) {
+        if (this.yawTarget === null) return;
+        const drone = this.drone;
+        const error = bearingDifference(drone.heading, this.yawTarget);
+        const maxTurn = drone.turn_rate * dt;
+        if (Math.abs(error) <= maxTurn) {
+            drone.setHeading(this.yawTarget);
+            this.cancelTurn();
+        } else {
+            drone.setHeading(drone.heading + Math.sign(error) * maxTurn);
+        }
+        drone.updatePosition(this.map);
+    }
+
+    /**
+     * Drop trail points and redraw the drone after it moved
+     * @param {number} dt - Step length in seconds
+     * @private
+     */
+    afterStep(dt) {
+        const drone = this.drone;
+        // Drop a trail point at a fixed simulation interval, not every frame
+        this.trailTimer += dt;
+        if (this.trailTimer >= TRAIL_INTERVAL) {
+            this.trailTimer = 0;
+            addTrailPoint(drone.id, [drone.longitude, drone.latitude], drone.getAltitude('AMSL', this.map), droneMetrics(drone), simulationClock.time);
+        }
+
+        // Update 3D model position
+        drone.updatePosition(this.map);
+        this.dispatchEvent(new CustomEvent('move', { detail: { drone, time: simulationClock.time } }));
+    }
+
+    /**
+     * Check the terrain over the next few seconds of flight and respond to
+     * conflicts by climbing over them or stopping
+     * @private
+     */
+    checkAhead() {
+        const drone = this.drone;
+        const flight = this.flight;
+        const position = [drone.longitude, drone.latitude];
+        const remaining = haversineDistance(position, flight.target);
+        const lookahead = Math.max(MIN_LOOKAHEAD, drone.speed * LOOKAHEAD_TIME);
+        const end = lookahead >= remaining
+            ? flight.target
+            : destinationPoint(position, initialBearing(position, flight.target), lookahead);
+
+        const { conflicts } = this.predictClearance(position, end, drone.altitude, flight.targetAlt, flight.speed);
+        if (conflicts.length === 0) {
+            // Hold the climb until the terrain that caused it is behind, the
+            // ground between two samples may still be high
+            if (flight.avoidance && remaining > flight.avoidance.clearAt) return;
+            flight.avoidance = null;
+            if (flight.conflict) {
+                flight.conflict = false;
+                this.renderRemainingPath();
+                this.dispatchEvent(new CustomEvent('terrainclear', { detail: { drone } }));
+            }
+            return;
+        }
+
+        const isNew = !flight.conflict;
+        flight.conflict = true;
+        if (this.clearanceResponse === 'stop') {
+            console.warn(`Drone ${drone.id} stopped: terrain ahead within ${this.minClearance} m clearance`);
+            this.dispatchConflict('live', conflicts, 'stop');
+            this.stop();
+            drone.updatePosition(this.map);
+            return;
+        }
+
+        const requiredAltitude = Math.max(...conflicts.map(c => c.requiredAltitude));
+        const lastConflict = conflicts[conflicts.length - 1];
+        flight.avoidance = {
+            altitude: Math.max(requiredAltitude, flight.avoidance ? flight.avoidance.altitude : -Infinity),
+            position: conflicts[0].start,
+            clearAt: haversineDistance(lastConflict.end, flight.target) - CLEARANCE_SPACING  // remaining meters once past
+        };
+        if (isNew) {
+            console.warn(`Drone ${drone.id} climbing to ${requiredAltitude.toFixed(1)} m ${drone.altitude_mode} to clear terrain`);
+            this.renderRemainingPath();
+            this.dispatchConflict('live', conflicts, 'climb');
+        }
+    }
+
+    /**
+     * Check the drone's position against the geofences and respond to a new breach
+     * @param {{startBreach: Object|null}} state - The flight or manual flight, holding the breach it started in
+     * @returns {boolean} Whether the flight was interrupted
+     * @private
+     */
+    checkGeofences(state) {
+        const drone = this.drone;
+        const breach = this.geofences.checkPosition([drone.longitude, drone.latitude], drone.altitude, drone.altitude_mode);
+        if (!breach) {
+            state.startBreach = null;
+            return false;
+        }
+        const { startBreach } = state;
+        if (startBreach && startBreach.fence === breach.fence && startBreach.reason === breach.reason) {
+            return false;
+        }
+
+        const action = this.geofences.breachResponse;
+        console.warn(`Drone ${drone.id} ${describeBreach(breach)}, responding with ${action}`);
+        this.dispatchEvent(new CustomEvent('geofencebreach', { detail: { drone, breach, action } }));
+        removeTargetMarker(this.map, drone.id);
+        // The breach response takes the drone from the pilot
+        this.stopManual();
+        if (action === 'rtl') {
+            this.returnToLaunch();
+        } else if (action === 'land') {
+            this.land();
+        } else {
+            this.stop();
+        }
+        drone.updatePosition(this.map);
+        return true;
+    }
+
+    /**
+     * Redraw the flight path from the drone's current position
+     * @private
+     */
+    renderRemainingPath() {
+        const { target, route, targetAlt, speed } = this.flight;
+        const position = [this.drone.longitude, this.drone.latitude];
+        const { samples } = this.predictRoute(position, this.drone.altitude, [target, ...route], targetAlt, speed);
+        renderFlightPath(this.map, this.drone.id, samples, this.minClearance);
+    }
+
+    /** @private */
+    dispatchConflict(phase, conflicts, action) {
+        this.dispatchEvent(new CustomEvent('terrainconflict', {
+            detail: { drone: this.drone, phase, conflicts, action }
+        }));
+    }
+}
+
+/**
+ * @param {number} bearing - Degrees clockwise from north
+ * @param {number} speed - m/s
+ * @returns {[number, number]} [east, north] m/s
+ */
+function velocityToward(bearing, speed) {
+    const radians = bearing * Math.PI / 180;
+    return [speed * Math.sin(radians), speed * Math.cos(radians)];
+}
+
+/**
+ * @param {[number, number]} velocity - [east, north] m/s
+ * @returns {number} Degrees clockwise from north the velocity points
+ */
+function velocityBearing([east, north]) {
+    return Math.atan2(east, north) * 180 / Math.PI;
+}
+
+/**
+ * @param {[number, number]} velocity - [east, north] m/s
+ * @param {number} bearing - Degrees clockwise from north
+ * @returns {number} m/s of the velocity along the bearing, negative when going back
+ */
+function velocityAlong([east, north], bearing) {
+    const radians = bearing * Math.PI / 180;
+    return east * Math.sin(radians) + north * Math.cos(radians);
+}
@@ -0,0 +1,29 @@
+/**
+ * Offline mode: the page's own server and the tile server must provide
+ * everything. A request anywhere else fails in the field, so it is
+ * reported as soon as it is made.
+ */
+
+/**
+ * Report every request, made so far or later, to a server not in the list
+ * @param {string[]} allowedOrigins - Origins that are reachable offline, e.g. location.origin
+ * @param {(url: string) => void} onExternal - Called once per external URL
+ * @returns {PerformanceObserver} Disconnect it to stop watching
+ */
+export function watchExternalRequests(allowedOrigins, onExternal) {
+    const allowed = new Set(allowedOrigins.map(origin => new URL(origin).origin));
+    const reported = new Set();
+    const observer = new PerformanceObserver((list) => {
+        for (const { name } of list.getEntries()) {
+            const url = new URL(name);
+            // data: and blob: URLs never leave the browser
+            if (!url.protocol.startsWith('http') || allowed.has(url.origin) || reported.has(name)) continue;
+            reported.add(name);
+            console.warn(`External request in offline mode: ${name}`);
+            onExternal(name);
+        }
+    });
+    // buffered brings in what loaded before the check started, the libraries included
+    observer.observe({ type: 'resource', buffered: true });
+    return observer;
+}
@@ -0,0 +1,238 @@
+/**
+ * Control panel and keyboard shortcuts for the map.
+ *
+ * The panel is a MapLibre control holding collapsible sections of buttons
+ * and selectors. Its look comes from css/styles.css (the --panel-* custom
+ * properties), on narrow screens it turns into a sheet along the bottom.
+ */
+
+const MOBILE_QUERY = '(max-width: 640px)';
+
+/**
+ * @param {string} key - KeyboardEvent.key of a shortcut
+ * @returns {string} How the key is written in hints, e.g. "T" or "Space"
+ */
+export function keyLabel(key) {
+    if (key === ' ') return 'Space';
+    if (key === 'Escape') return 'Esc';
+    return key.length === 1 ? key.toUpperCase() : key;
+}
+
+/**
+ * @param {KeyboardEvent} e
+ * @returns {string} The key as shortcuts are bound, letters in lower case
+ */
+function bindingKey(e) {
+    return e.key.length === 1 ? e.key.toLowerCase() : e.key;
+}
+
+/**
+ * Keys bound to actions, listened for on the whole document. Keys typed
+ * into inputs and selectors, and keys held with Ctrl, Alt or Meta, are
+ * left alone.
+ *
+ * Besides keys that fire an action, keys can be registered as held keys
+ * (registerHeld), e.g. for flying, and polled with isHeld().
+ */
+export class KeyboardShortcuts {
+    constructor() {
+        /** @type {Map<string, {handler: ((e: KeyboardEvent) => void)|null, description: string, repeat: boolean}>} */
+        this.bindings = new Map();
+        this.held = new Set();
+        document.addEventListener('keydown', (e) => this.onKeyDown(e));
+        document.addEventListener('keyup', (e) => this.held.delete(bindingKey(e)));
+        // Key releases are missed while another window has focus
+        window.addEventListener('blur', () => this.held.clear());
+    }
+
+    /**
+     * Bind a key
+     * @param {string} key - KeyboardEvent.key, letters in lower case
+     * @param {(e: KeyboardEvent) => void} handler
+     * @param {string} description - What the key does, for the shortcut list
+     * @param {Object} options
+     * @param {boolean} [options.repeat=false] - Also fire while the key is held down
+     */
+    register(key, handler, description, { repeat = false } = {}) {
+        if (this.bindings.has(key)) {
+            throw new Error(`Key "${keyLabel(key)}" is already bound to ${this.bindings.get(key).description}`);
+        }
+        this.bindings.set(key, { handler, description, repeat });
+    }
+
+    /**
+     * Track whether a key is held down
+     * @param {string} key - KeyboardEvent.key, letters in lower case
+     * @param {string} description - What holding the key does, for the shortcut list
+     */
+    registerHeld(key, description) {
+        this.register(key, null, description);
+    }
+
+    /**
+     * @param {string} key - A key given to registerHeld
+     * @returns {boolean}
+     */
+    isHeld(key) {
+        return this.held.has(key);
+    }
+
+    /**
+     * @returns {{key: string, label: string, description: string}[]} Every binding, in registration order
+     */
+    list() {
+        return [...this.bindings].map(([key, { description }]) => ({ key, label: keyLabel(key), description }));
+    }
+
+    /** @private */
+    onKeyDown(e) {
+        if (e.ctrlKey || e.altKey || e.metaKey || isTextEntry(e.target)) return;
+        const binding = this.bindings.get(bindingKey(e));
+        if (!binding) return;
+        // Space would otherwise press the focused button as well
+        e.preventDefault();
+        if (!binding.handler) {
+            this.held.add(bindingKey(e));
+        } else if (!e.repeat || binding.repeat) {
+            binding.handler(e);
+        }
+    }
+}
+
+/**
+ * @param {EventTarget} target
+ * @returns {boolean} Whether keys pressed there are typing
+ */
+function isTextEntry(target) {
+    if (!(target instanceof HTMLElement)) return false;
+    if (target.isContentEditable || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT') return true;
+    return target.tagName === 'INPUT' && !['button', 'checkbox', 'radio', 'range'].includes(target.type);
+}
+
+/**
+ * A titled, collapsible group of controls in a ControlPanel
+ */
+export class PanelSection {
+    /**
+     * @param {string} title
+     * @param {boolean} collapsed - Start with only the title showing
+     */
+    constructor(title, collapsed) {
+        this.element = document.createElement('section');
+        this.element.className = 'control-panel-section';
+        this.header = document.createElement('button');
+        this.header.type = 'button';
+        this.header.className = 'control-panel-section-header';
+        this.header.textContent = title;
+        this.header.onclick = () => this.setCollapsed(!this.collapsed);
+        this.body = document.createElement('div');
+        this.body.className = 'control-panel-section-body';
+        this.element.append(this.header, this.body);
+        this.setCollapsed(collapsed);
+    }
+
+    /**
+     * @param {boolean} collapsed
+     */
+    setCollapsed(collapsed) {
+        this.collapsed = collapsed;
+        this.body.hidden = collapsed;
+        this.header.setAttribute('aria-expanded', String(!collapsed));
+    }
+
+    /**
+     * @param {string} label
+     * @param {() => void} onClick
+     * @param {Object} options
+     * @param {string} [options.shortcut] - Key bound to the same action, shown in the tooltip
+     * @returns {HTMLButtonElement}
+     */
+    addButton(label, onClick, { shortcut } = {}) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        button.onclick = onClick;
+        if (shortcut) button.title = `${label} (${keyLabel(shortcut)})`;
+        this.body.appendChild(button);
+        return button;
+    }
+
+    /**
+     * @param {() => void} onChange
+     * @returns {HTMLSelectElement} Empty selector, spanning the section's width
+     */
+    addSelect(onChange) {
+        const select = document.createElement('select');
+        select.onchange = onChange;
+        this.body.appendChild(select);
+        return select;
+    }
+}
+
+/**
+ * MapLibre control grouping the application's controls into sections.
+ * Sections can be added before or after the panel is added to the map.
+ */
+export class ControlPanel {
+    /**
+     * @param {string} title - Shown in the header that collapses the whole panel
+     */
+    constructor(title) {
+        /** @type {Map<string, PanelSection>} */
+        this.sections = new Map();
+        this.container = document.createElement('div');
+        this.container.className = 'maplibregl-ctrl control-panel';
+        this.header = document.createElement('button');
+        this.header.type = 'button';
+        this.header.className = 'control-panel-header';
+        this.header.textContent = title;
+        this.header.onclick = () => this.setCollapsed(!this.collapsed);
+        this.body = document.createElement('div');
+        this.body.className = 'control-panel-body';
+        this.container.append(this.header, this.body);
+        // Phones start with the map in view, the panel one tap away
+        this.setCollapsed(window.matchMedia(MOBILE_QUERY).matches);
+    }
+
+    onAdd() {
+        return this.container;
+    }
+
+    onRemove() {
+        this.container.remove();
+    }
+
+    /**
+     * @param {boolean} collapsed - Show only the panel's header
+     */
+    setCollapsed(collapsed) {
+        this.collapsed = collapsed;
+        this.body.hidden = collapsed;
+        this.header.setAttribute('aria-expanded', String(!collapsed));
+    }
+
+    /**
+     * @param {string} id
+     * @param {string} title
+     * @param {Object} options
+     * @param {boolean} [options.collapsed=false]
+     * @returns {PanelSection}
+     */
+    addSection(id, title, { collapsed = false } = {}) {
+        if (this.sections.has(id)) {
+            throw new Error(`Panel section "${id}" already exists`);
+        }
+        const section = new PanelSection(title, collapsed);
+        this.sections.set(id, section);
+        this.body.appendChild(section.element);
+        return section;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {PanelSection|undefined}
+     */
+    getSection(id) {
+        return this.sections.get(id);
+    }
+}
@@ -0,0 +1,239 @@
+import * as THREE from 'three';
+import { deckOverlay } from './main.js';
+import { trailManager, getVertexMetrics, TRAIL_METRICS } from './trail.js';
+
+const HIGHLIGHT_COLOR = 0xffd400;
+const PICK_RADIUS = 4;              // pixels around the pointer a trail may be picked at
+const STATUS_REFRESH = 500;         // ms between updates of an open drone popup
+
+/**
+ * Hover highlighting and click popups for what is drawn on the map: drone
+ * and placed models (three.js raycasting) and trails (deck.gl picking).
+ *
+ * Clicking a drone shows its live status, clicking a model selects it for
+ * the gizmo and clicking a trail shows the time and metrics of the nearest
+ * trail vertex. Set `canPick` to pause picking, e.g. while the map is
+ * clicked to place points.
+ */
+export class PickingController {
+    /**
+     * @param {import('maplibre-gl').Map} map - The MapLibre map instance
+     * @param {import('@dvt3d/maplibre-three-plugin').MapScene} mapScene - Scene the drones and models are drawn in
+     * @param {import('./registry.js').DroneRegistry} registry - Fleet whose drones can be picked
+     * @param {import('./models.js').ModelManager} models - Placed models that can be picked
+     */
+    constructor(map, mapScene, registry, models) {
+        this.map = map;
+        this.mapScene = mapScene;
+        this.registry = registry;
+        this.models = models;
+        /** @type {() => boolean} Whether clicks and hovers are picked right now */
+        this.canPick = () => true;
+        this.raycaster = new THREE.Raycaster();
+        this.highlight = null;          // box drawn around the hovered object
+        this.hovered = null;            // root object under the pointer
+        this.hoverPoint = null;         // latest pointer position waiting for a hover pick
+        this.popup = null;
+        this.popupTimer = null;
+
+        map.on('mousemove', (e) => {
+            if (this.hoverPoint === null) requestAnimationFrame(() => this.hover());
+            this.hoverPoint = e.point;
+        });
+        map.getCanvasContainer().addEventListener('mouseleave', () => this.setHovered(null));
+        map.on('click', (e) => this.click(e));
+        // Keep the highlight on a moving drone
+        map.on('render', () => this.highlight?.update());
+        registry.addEventListener('remove', () => this.setHovered(null));
+        models.addEventListener('remove', () => this.setHovered(null));
+    }
+
+    /**
+     * The drone or model drawn at a pixel, nearest first
+     * @param {{x: number, y: number}} point - Pixels from the map's top left
+     * @returns {{type: 'drone', entry: import('./registry.js').FleetEntry, root: THREE.Object3D}|
+     *   {type: 'model', model: import('./models.js').PlacedModel, root: THREE.Object3D}|null}
+     */
+    pickObject(point) {
+        const roots = new Map();
+        for (const entry of this.registry) {
+            if (entry.drone.rtcGroup?.visible) roots.set(entry.drone.rtcGroup, { type: 'drone', entry });
+        }
+        for (const model of this.models.models) {
+            roots.set(this.models.getGroup(model.id), { type: 'model', model });
+        }
+        if (roots.size === 0) return null;
+
+        const canvas = this.map.getCanvas();
+        const ndc = new THREE.Vector2(
+            point.x / canvas.clientWidth * 2 - 1,
+            -(point.y / canvas.clientHeight) * 2 + 1);
+        this.raycaster.setFromCamera(ndc, this.mapScene.camera);
+
+        for (const hit of this.raycaster.intersectObjects([...roots.keys()], true)) {
+            // Walk up from the hit mesh to the drone or model it is part of
+            for (let object = hit.object; object; object = object.parent) {
+                if (roots.has(object)) return { ...roots.get(object), root: object };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * The trail drawn at a pixel
+     * @param {{x: number, y: number}} point - Pixels from the map's top left
+     * @returns {{trail: import('./trail.js').DroneTrail, vertex: import('./trail.js').TrailVertex}|null}
+     */
+    pickTrail(point) {
+        const info = deckOverlay.pickObject({ x: point.x, y: point.y, radius: PICK_RADIUS });
+        if (!info?.object || !trailManager.getTrail(info.object.droneId)) return null;
+        const vertex = info.object.nearestVertex(info.coordinate);
+        return vertex ? { trail: info.object, vertex } : null;
+    }
+
+    /** @private */
+    hover() {
+        const point = this.hoverPoint;
+        this.hoverPoint = null;
+        if (!point || !this.canPick()) {
+            this.setHovered(null);
+            return;
+        }
+        const object = this.pickObject(point);
+        this.setHovered(object?.root ?? null);
+        // deck.gl highlights the hovered trail itself, only the cursor is set here
+        const pickable = object !== null || this.pickTrail(point) !== null;
+        this.map.getCanvas().style.cursor = pickable ? 'pointer' : '';
+    }
+
+    /** @private */
+    setHovered(root) {
+        if (root === this.hovered) return;
+        if (this.highlight) {
+            this.mapScene.removeSceneObject(this.highlight);
+            this.highlight.dispose();
+            this.highlight = null;
+        }
+        this.hovered = root;
+        if (root) {
+            this.highlight = new THREE.BoxHelper(root, HIGHLIGHT_COLOR);
+            this.mapScene.addSceneObject(this.highlight);
+        }
+        this.map.triggerRepaint();
+    }
+
+    /** @private */
+    click(e) {
+        if (!this.canPick()) return;
+        const object = this.pickObject(e.point);
+        if (object?.type === 'drone') {
+            this.showDroneStatus(object.entry);
+        } else if (object?.type === 'model') {
+            this.models.select(object.model.id);
+            this.showModelInfo(object.model);
+        } else {
+            const picked = this.pickTrail(e.point);
+            if (picked) this.showTrailPoint(picked.trail, picked.vertex);
+        }
+    }
+
+    /**
+     * Popup following a drone with its status, refreshed while open
+     * @param {import('./registry.js').FleetEntry} entry
+     */
+    showDroneStatus(entry) {
+        const { drone } = entry;
+        const content = document.createElement('div');
+        content.className = 'pick-popup';
+        const update = () => {
+            const rows = [
+                ['Position', `${drone.latitude.toFixed(6)}, ${drone.longitude.toFixed(6)}`],
+                ['Altitude', `${drone.getAltitude('AGL', this.map).toFixed(1)} m AGL / ${drone.getAltitude('AMSL', this.map).toFixed(1)} m AMSL`],
+                ['Heading', `${drone.heading.toFixed(0)}°`],
+                ['Speed', `${drone.speed.toFixed(1)} m/s, climb ${drone.vertical_velocity.toFixed(1)} m/s`],
+                ['Battery', drone.battery === null ? 'unknown' : `${drone.battery.toFixed(0)} %`]
+            ];
+            if (drone.signal !== null) rows.push(['Signal', `${drone.signal.toFixed(0)} %`]);
+            content.replaceChildren(title(drone.id), table(rows));
+            this.popup?.setLngLat([drone.longitude, drone.latitude]);
+        };
+
+        this.openPopup([drone.longitude, drone.latitude], content);
+        update();
+        this.popupTimer = setInterval(() => {
+            if (this.registry.get(entry.id) === entry) update();
+            else this.closePopup();
+        }, STATUS_REFRESH);
+    }
+
+    /**
+     * @param {import('./models.js').PlacedModel} model
+     */
+    showModelInfo(model) {
+        const content = document.createElement('div');
+        content.className = 'pick-popup';
+        content.append(title(model.name), table([
+            ['Position', `${model.latitude.toFixed(6)}, ${model.longitude.toFixed(6)}`],
+            ['Altitude', `${model.altitude.toFixed(1)} m ${model.altitudeMode}`],
+            ['Heading', `${model.heading.toFixed(0)}°`],
+            ['Format', model.format.toUpperCase()]
+        ]));
+        this.openPopup([model.longitude, model.latitude], content);
+    }
+
+    /**
+     * @param {import('./trail.js').DroneTrail} trail
+     * @param {import('./trail.js').TrailVertex} vertex
+     */
+    showTrailPoint(trail, vertex) {
+        // Telemetry trails run on epoch seconds, simulated ones on the simulation clock
+        const time = vertex.t > 1e9
+            ? new Date(vertex.t * 1000).toLocaleTimeString()
+            : `T+${(vertex.t - trail.origin).toFixed(1)} s`;
+        const rows = [['Time', time]];
+        for (const [metric, value] of Object.entries(getVertexMetrics(vertex))) {
+            const { label, unit } = TRAIL_METRICS[metric];
+            rows.push([label, value === null ? 'unknown' : `${value.toFixed(1)} ${unit}`]);
+        }
+        const content = document.createElement('div');
+        content.className = 'pick-popup';
+        content.append(title(`${trail.droneId} trail`), table(rows));
+        this.openPopup([vertex.position[0], vertex.position[1]], content);
+    }
+
+    /** @private */
+    openPopup(lngLat, content) {
+        this.closePopup();
+        this.popup = new maplibregl.Popup({ offset: 14 })
+            .setLngLat(lngLat)
+            .setDOMContent(content)
+            .addTo(this.map);
+        this.popup.on('close', () => this.closePopup());
+    }
+
+    closePopup() {
+        clearInterval(this.popupTimer);
+        this.popupTimer = null;
+        if (this.popup) {
+            const popup = this.popup;
+            this.popup = null;
+            popup.remove();
+        }
+    }
+}
+
+function title(text) {
+    const element = document.createElement('strong');
+    element.textContent = text;
+    return element;
+}
+
+function table(rows) {
+    const element = document.createElement('table');
+    for (const [label, value] of rows) {
+        const row = element.insertRow();
+        row.insertCell().textContent = label;
+        row.insertCell().textContent = value;
+    }
+    return element;
+}
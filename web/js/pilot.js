@@ -0,0 +1,196 @@
+const GAMEPAD_DEADZONE = 0.15;      // stick deflection ignored around the center
+const GAMEPAD_TOGGLE_BUTTON = 9;    // Start on standard mapping gamepads, switches manual flight
+
+// Keys held for each stick, [positive, negative]: WASD flies, the arrows turn and climb
+const KEY_AXES = {
+    forward: ['w', 's'],
+    strafe: ['d', 'a'],
+    yaw: ['ArrowRight', 'ArrowLeft'],
+    climb: ['ArrowUp', 'ArrowDown']
+};
+const KEY_DESCRIPTIONS = {
+    w: "Fly forward", s: "Fly backward", a: "Strafe left", d: "Strafe right",
+    ArrowLeft: "Yaw left", ArrowRight: "Yaw right", ArrowUp: "Climb", ArrowDown: "Descend"
+};
+
+/**
+ * Manual flight of the selected drone from the keyboard and gamepads, for
+ * rehearsing manual interventions.
+ *
+ * Taking control pauses the drone's mission and hands it to its
+ * navigation's manual flight; releasing it resumes the mission, if one was
+ * paused, or hovers. Every frame the held keys and the gamepad sticks are
+ * sent as stick input. Gamepads use the mode 2 layout: left stick climb
+ * and yaw, right stick forward and strafe.
+ *
+ * Dispatches `control` (detail: the fleet entry, or null) when a drone is
+ * taken or released, and `error` (detail: the message) when the gamepad
+ * cannot take the selected drone.
+ */
+export class ManualPilot extends EventTarget {
+    /**
+     * @param {import('maplibre-gl').Map} map - The MapLibre map instance
+     * @param {import('./registry.js').DroneRegistry} registry - Fleet whose selected drone is flown
+     * @param {import('./telemetry.js').TelemetryClient} telemetry - Vehicles on the live feed are not flown here
+     * @param {import('./panel.js').KeyboardShortcuts} shortcuts - Keyboard the flying keys are read from
+     */
+    constructor(map, registry, telemetry, shortcuts) {
+        super();
+        this.map = map;
+        this.registry = registry;
+        this.telemetry = telemetry;
+        this.shortcuts = shortcuts;
+        this.entry = null;              // fleet entry under manual control
+        this.pausedMission = false;     // whether taking control paused the entry's mission
+        this.toggleHeld = false;        // gamepad toggle button state in the last frame
+        this.frameId = null;
+        this.frame = this.frame.bind(this);
+        this.onManualChange = this.onManualChange.bind(this);
+
+        for (const key of Object.values(KEY_AXES).flat()) {
+            shortcuts.registerHeld(key, KEY_DESCRIPTIONS[key]);
+        }
+
+        // Manual flight belongs to the drone it was started on
+        registry.addEventListener('select', (e) => {
+            if (this.entry && e.detail !== this.entry) this.release();
+        });
+        window.addEventListener('gamepadconnected', (e) => {
+            console.log(`Gamepad connected: ${e.gamepad.id}`);
+            this.startFrames();
+        });
+        window.addEventListener('gamepaddisconnected', (e) => {
+            console.log(`Gamepad disconnected: ${e.gamepad.id}`);
+        });
+    }
+
+    isActive() {
+        return this.entry !== null;
+    }
+
+    /**
+     * Take manual control of the selected drone
+     */
+    take() {
+        const entry = this.registry.getSelected();
+        if (!entry) {
+            throw new Error("No drone selected");
+        }
+        if (this.telemetry.isTracked(entry.id)) {
+            throw new Error(`${entry.id} is flown through telemetry, manual flight is simulated only`);
+        }
+        if (this.entry === entry) return;
+        if (this.entry) this.release();
+
+        const runner = entry.missionRunner;
+        this.pausedMission = runner.state === 'flying' || runner.state === 'holding';
+        if (this.pausedMission) runner.pause();
+
+        this.entry = entry;
+        entry.navigation.addEventListener('manual', this.onManualChange);
+        entry.navigation.startManual();
+        // The arrow keys fly the drone instead of panning the map
+        this.map.keyboard.disable();
+        this.startFrames();
+        this.dispatchEvent(new CustomEvent('control', { detail: entry }));
+    }
+
+    /**
+     * Hand the drone back to autonomous navigation
+     */
+    release() {
+        // Ends in onManualChange
+        this.entry?.navigation.stopManual();
+    }
+
+    toggle() {
+        if (this.entry) this.release();
+        else this.take();
+    }
+
+    /**
+     * The navigation left manual flight: released here, or taken over by a
+     * new flight or a geofence breach response
+     * @private
+     */
+    onManualChange(e) {
+        if (e.detail.manual || !this.entry) return;
+        const entry = this.entry;
+        entry.navigation.removeEventListener('manual', this.onManualChange);
+        this.entry = null;
+        this.map.keyboard.enable();
+        // A mission aborted in the meantime stays aborted
+        if (this.pausedMission && entry.missionRunner.state === 'paused') {
+            entry.missionRunner.resume();
+        }
+        this.pausedMission = false;
+        this.dispatchEvent(new CustomEvent('control', { detail: null }));
+    }
+
+    /**
+     * The sticks as the keyboard and the first connected gamepad hold them
+     * @returns {{yaw: number, forward: number, strafe: number, climb: number}} Each from -1 to 1
+     */
+    readInput() {
+        const input = {};
+        for (const [axis, [positive, negative]] of Object.entries(KEY_AXES)) {
+            input[axis] = (this.shortcuts.isHeld(positive) ? 1 : 0) - (this.shortcuts.isHeld(negative) ? 1 : 0);
+        }
+        const gamepad = getGamepad();
+        if (gamepad) {
+            const axis = (index) => deadzone(gamepad.axes[index] ?? 0);
+            // Pushing a stick away reads negative
+            input.yaw += axis(0);
+            input.climb -= axis(1);
+            input.strafe += axis(2);
+            input.forward -= axis(3);
+        }
+        for (const axis of Object.keys(input)) {
+            input[axis] = Math.max(-1, Math.min(1, input[axis]));
+        }
+        return input;
+    }
+
+    /** @private */
+    startFrames() {
+        if (this.frameId === null) this.frameId = requestAnimationFrame(this.frame);
+    }
+
+    /**
+     * Runs while a drone is flown or a gamepad may switch manual flight on
+     * @private
+     */
+    frame() {
+        const gamepad = getGamepad();
+        this.frameId = this.entry || gamepad ? requestAnimationFrame(this.frame) : null;
+
+        const toggleHeld = Boolean(gamepad?.buttons[GAMEPAD_TOGGLE_BUTTON]?.pressed);
+        if (toggleHeld && !this.toggleHeld) {
+            try {
+                this.toggle();
+            } catch (error) {
+                console.warn(`Manual flight: ${error.message}`);
+                this.dispatchEvent(new CustomEvent('error', { detail: error.message }));
+            }
+        }
+        this.toggleHeld = toggleHeld;
+
+        if (this.entry) this.entry.navigation.setManualInput(this.readInput());
+    }
+}
+
+/**
+ * @returns {Gamepad|null} The first connected gamepad
+ */
+function getGamepad() {
+    return navigator.getGamepads?.().find(gamepad => gamepad && gamepad.connected) ?? null;
+}
+
+/**
+ * @param {number} value - Axis reading from -1 to 1
+ * @returns {number} The reading with the dead zone removed, still reaching ±1
+ */
+function deadzone(value) {
+    const magnitude = Math.abs(value);
+    return magnitude <= GAMEPAD_DEADZONE ? 0 : Math.sign(value) * (magnitude - GAMEPAD_DEADZONE) / (1 - GAMEPAD_DEADZONE);
+}
@@ -0,0 +1,385 @@
+/**
+ * Obstacle-avoiding path planning: A* on a 3D grid around the straight
+ * line from start to target, avoiding terrain, buildings and no-go zones.
+ *
+ * planPath() only works on the geometry it is given, with the ground as a
+ * function, so it runs in Node against fixture data as well as in the
+ * browser. collectObstacles() gathers that geometry from the map: building
+ * footprints and heights from the `openmaptiles` vector tiles, and the
+ * geofences. Only the offline style has those tiles; with the online raster
+ * maps the planner avoids terrain and geofences alone, and collectObstacles()
+ * says so.
+ */
+import { fromLocalMeters, toLocalMeters } from './geo.js';
+import { pointInPolygon } from './geofence.js';
+
+const CELL_SIZE = 10;             // meters across a grid column
+const LEVEL_HEIGHT = 5;           // meters between grid levels
+const MAX_COLUMNS = 40000;        // columns in a grid, larger areas get coarser cells
+const MAX_LEVELS = 60;            // levels in a grid, larger climbs get taller levels
+const SEARCH_MARGIN = 200;        // meters searched beyond the start and target, at least
+const SEARCH_SPREAD = 0.5;        // fraction of the distance searched to each side, for long routes
+const MAX_CLIMB = 100;            // meters the path may climb above the higher of start and target
+const MAX_EXPANSIONS = 300000;    // grid nodes searched before giving up
+const CLIMB_COST = 2;             // cost of a meter climbed or descended against a meter flown level
+
+/**
+ * @typedef {Object} Obstacle
+ * @property {[number, number][]} polygon - Outer ring [lon, lat] without the closing point
+ * @property {number|null} floor - Meters AMSL of its underside, null for the ground
+ * @property {number|null} ceiling - Meters AMSL of its top, null for unlimited
+ */
+
+/**
+ * @typedef {Object} PlannedPath
+ * @property {[number, number, number][]} path - [lon, lat, meters AMSL] from the start to the target
+ * @property {number} length - Meters flown along the path
+ * @property {number} expanded - Grid nodes searched
+ */
+
+/**
+ * Find a path from a start to a target that keeps clear of the ground and
+ * out of obstacles. The path is searched on a grid of columns and levels
+ * and then straightened, so it only turns where something is in the way.
+ *
+ * Obstacles the start is already inside are left out so the drone can fly
+ * clear of them. The start and target columns may be below the clearance,
+ * for climbing away from and descending to the ground.
+ * @param {[number, number, number]} from - Start [lon, lat, meters AMSL]
+ * @param {[number, number, number]} to - Target [lon, lat, meters AMSL]
+ * @param {Object} options
+ * @param {(lngLat: [number, number]) => number} options.groundAt - Meters AMSL of the ground
+ * @param {Obstacle[]} [options.obstacles] - Volumes to keep out of
+ * @param {Obstacle[]} [options.allowed] - Volumes to keep inside of, any of them; none allows everywhere
+ * @param {number} [options.clearance=10] - Meters kept from the ground and from obstacles
+ * @returns {PlannedPath|null} Null when no path exists within the search area
+ */
+export function planPath(from, to, { groundAt, obstacles = [], allowed = [], clearance = 10 }) {
+    const grid = createGrid(from, to, groundAt, clearance);
+    const blocking = obstacles.filter(obstacle => !pointInPolygon([from[0], from[1]], obstacle.polygon));
+    for (const obstacle of blocking) grid.addZone(obstacle, grid.blocked);
+    for (const zone of allowed) grid.addZone(zone, grid.allowed);
+    grid.restrictToAllowed = allowed.length > 0;
+
+    const start = grid.nodeAt(from);
+    const goal = grid.nodeAt(to);
+    if (start === null || goal === null || !grid.isFree(goal)) return null;
+
+    const { nodes, expanded } = search(grid, start, goal);
+    if (!nodes) {
+        console.warn(`Path planner: no path found after searching ${expanded} nodes`);
+        return null;
+    }
+
+    // The exact start and target, straightened between them
+    const points = [grid.local(from), ...nodes.slice(1, -1).map(node => grid.nodePosition(node)), grid.local(to)];
+    const straight = [points[0]];
+    for (let i = 0; i < points.length - 1;) {
+        let next = points.length - 1;
+        while (next > i + 1 && !grid.segmentFree(points[i], points[next])) next--;
+        straight.push(points[next]);
+        i = next;
+    }
+
+    let length = 0;
+    for (let i = 1; i < straight.length; i++) {
+        length += Math.hypot(...[0, 1, 2].map(axis => straight[i][axis] - straight[i - 1][axis]));
+    }
+    return {
+        path: straight.map(point => [...grid.lngLat(point), point[2]]),
+        length,
+        expanded
+    };
+}
+
+/**
+ * A* over the grid, moving to any of the 26 neighbouring nodes
+ * @returns {{nodes: number[]|null, expanded: number}} Node indices from start to goal
+ */
+function search(grid, start, goal) {
+    const { columns, levels, nx } = grid;
+    const size = columns * levels;
+    const cost = new Float64Array(size).fill(Infinity);
+    const cameFrom = new Int32Array(size).fill(-1);
+    const closed = new Uint8Array(size);
+    const open = new MinHeap();
+    const goalPosition = grid.nodePosition(goal);
+    const estimate = (node) => {
+        const [x, y, z] = grid.nodePosition(node);
+        return Math.hypot(x - goalPosition[0], y - goalPosition[1], z - goalPosition[2]);
+    };
+
+    cost[start] = 0;
+    open.push(start, estimate(start));
+    let expanded = 0;
+    while (open.size > 0 && expanded < MAX_EXPANSIONS) {
+        const node = open.pop();
+        if (closed[node]) continue;
+        if (node === goal) {
+            const nodes = [];
+            for (let current = goal; current !== -1; current = cameFrom[current]) nodes.unshift(current);
+            return { nodes, expanded };
+        }
+        closed[node] = 1;
+        expanded++;
+
+        const level = Math.floor(node / columns);
+        const column = node % columns;
+        const i = column % nx, j = Math.floor(column / nx);
+        for (let dk = -1; dk <= 1; dk++) {
+            for (let dj = -1; dj <= 1; dj++) {
+                for (let di = -1; di <= 1; di++) {
+                    if (!di && !dj && !dk) continue;
+                    const neighbour = grid.index(i + di, j + dj, level + dk);
+                    if (neighbour === null || closed[neighbour] || !grid.isFree(neighbour)) continue;
+                    const step = Math.hypot(Math.hypot(di, dj) * grid.cellSize, dk * grid.levelHeight * CLIMB_COST);
+                    if (cost[node] + step < cost[neighbour]) {
+                        cost[neighbour] = cost[node] + step;
+                        cameFrom[neighbour] = node;
+                        open.push(neighbour, cost[neighbour] + estimate(neighbour));
+                    }
+                }
+            }
+        }
+    }
+    return { nodes: null, expanded };
+}
+
+/**
+ * Columns over a rectangle around the start and target, in meters on a
+ * plane tangent at the start, with the ground and the zones over each
+ * column, and levels of altitude AMSL
+ */
+function createGrid(from, to, groundAt, clearance) {
+    const origin = [from[0], from[1]];
+    const target = toLocalMeters(origin, [to[0], to[1]]);
+    const margin = Math.max(SEARCH_MARGIN, Math.hypot(...target) * SEARCH_SPREAD);
+    const width = Math.abs(target[0]) + 2 * margin, height = Math.abs(target[1]) + 2 * margin;
+    const cellSize = Math.max(CELL_SIZE, Math.sqrt(width * height / MAX_COLUMNS));
+    // Whole cells from the start, so it stands on a column
+    const minX = Math.floor((Math.min(0, target[0]) - margin) / cellSize) * cellSize, maxX = minX + width;
+    const minY = Math.floor((Math.min(0, target[1]) - margin) / cellSize) * cellSize, maxY = minY + height;
+    const nx = Math.ceil((maxX - minX) / cellSize) + 1;
+    const ny = Math.ceil((maxY - minY) / cellSize) + 1;
+    const columns = nx * ny;
+
+    const ground = new Float64Array(columns);
+    for (let j = 0; j < ny; j++) {
+        for (let i = 0; i < nx; i++) {
+            ground[j * nx + i] = groundAt(fromLocalMeters(origin, [minX + i * cellSize, minY + j * cellSize]));
+        }
+    }
+    let lowest = Infinity;
+    for (const elevation of ground) lowest = Math.min(lowest, elevation);
+    const base = Math.min(from[2], to[2], lowest + clearance);
+    const top = Math.max(from[2], to[2]) + MAX_CLIMB;
+    const levelHeight = Math.max(LEVEL_HEIGHT, (top - base) / (MAX_LEVELS - 1));
+    const levels = Math.ceil((top - base) / levelHeight) + 1;
+
+    const columnOf = (x, y) => {
+        const i = Math.round((x - minX) / cellSize), j = Math.round((y - minY) / cellSize);
+        return i >= 0 && i < nx && j >= 0 && j < ny ? j * nx + i : null;
+    };
+    // Columns the start and target stand in may go below the clearance, to take off and land
+    const endColumns = new Set([columnOf(0, 0), columnOf(...target)]);
+
+    const grid = {
+        nx, ny, columns, levels, cellSize, levelHeight,
+        /** @type {Map<number, [number, number][]>} altitude bands of the zones over each column */
+        blocked: new Map(),
+        allowed: new Map(),
+        restrictToAllowed: false,
+
+        index(i, j, level) {
+            if (i < 0 || i >= nx || j < 0 || j >= ny || level < 0 || level >= levels) return null;
+            return level * columns + j * nx + i;
+        },
+        nodeAt([lon, lat, altitude]) {
+            const [x, y] = toLocalMeters(origin, [lon, lat]);
+            const column = columnOf(x, y);
+            const level = Math.round((altitude - base) / levelHeight);
+            return column === null ? null : this.index(column % nx, Math.floor(column / nx), Math.max(0, Math.min(levels - 1, level)));
+        },
+        /** @returns {[number, number, number]} [east, north, meters AMSL] */
+        nodePosition(node) {
+            const column = node % columns;
+            return [minX + (column % nx) * cellSize, minY + Math.floor(column / nx) * cellSize, base + Math.floor(node / columns) * levelHeight];
+        },
+        local([lon, lat, altitude]) {
+            return [...toLocalMeters(origin, [lon, lat]), altitude];
+        },
+        lngLat([x, y]) {
+            return fromLocalMeters(origin, [x, y]);
+        },
+        isFree(node) {
+            const [x, y, altitude] = this.nodePosition(node);
+            return this.pointFree(x, y, altitude);
+        },
+        pointFree(x, y, altitude) {
+            const column = columnOf(x, y);
+            if (column === null) return false;
+            const floor = ground[column] + (endColumns.has(column) ? 0 : clearance);
+            if (altitude < floor) return false;
+            const within = ([low, high]) => altitude >= low && altitude <= high;
+            if (this.blocked.get(column)?.some(within)) return false;
+            return !this.restrictToAllowed || Boolean(this.allowed.get(column)?.some(within));
+        },
+        segmentFree(a, b) {
+            const steps = Math.ceil(Math.hypot(b[0] - a[0], b[1] - a[1], (b[2] - a[2]) * cellSize / levelHeight) / (cellSize / 2));
+            for (let step = 1; step < steps; step++) {
+                const f = step / steps;
+                if (!this.pointFree(a[0] + (b[0] - a[0]) * f, a[1] + (b[1] - a[1]) * f, a[2] + (b[2] - a[2]) * f)) return false;
+            }
+            return true;
+        },
+        /**
+         * Add a zone's altitude band to the columns it covers. A column
+         * stands for the whole cell around it, any point of which may be
+         * flown through, so the cell is tested, not only its center:
+         * blocking zones take every cell that comes within the clearance of
+         * them, allowed ones only the cells that stay the clearance inside.
+         */
+        addZone(zone, bands) {
+            const ring = zone.polygon.map(point => toLocalMeters(origin, point));
+            const blocking = bands === this.blocked;
+            const grow = blocking ? clearance : -clearance;
+            const low = (zone.floor ?? -Infinity) - grow;
+            const high = (zone.ceiling ?? Infinity) + grow;
+            // Farthest a point of a cell is from its center
+            const cellReach = cellSize * Math.SQRT1_2;
+            const xs = ring.map(p => p[0]), ys = ring.map(p => p[1]);
+            const reach = blocking ? clearance + cellReach : 0;
+            const i0 = Math.max(0, Math.floor((Math.min(...xs) - reach - minX) / cellSize));
+            const i1 = Math.min(nx - 1, Math.ceil((Math.max(...xs) + reach - minX) / cellSize));
+            const j0 = Math.max(0, Math.floor((Math.min(...ys) - reach - minY) / cellSize));
+            const j1 = Math.min(ny - 1, Math.ceil((Math.max(...ys) + reach - minY) / cellSize));
+            for (let j = j0; j <= j1; j++) {
+                for (let i = i0; i <= i1; i++) {
+                    const point = [minX + i * cellSize, minY + j * cellSize];
+                    const inside = pointInPolygon(point, ring);
+                    const edge = distanceToRing(point, ring);
+                    if (blocking ? !inside && edge > clearance + cellReach : !inside || edge < clearance + cellReach) continue;
+                    const column = j * nx + i;
+                    if (!bands.has(column)) bands.set(column, []);
+                    bands.get(column).push([low, high]);
+                }
+            }
+        }
+    };
+    return grid;
+}
+
+/**
+ * @param {[number, number]} point
+ * @param {[number, number][]} ring
+ * @returns {number} Distance from the point to the nearest edge of the ring
+ */
+function distanceToRing(point, ring) {
+    let nearest = Infinity;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [ax, ay] = ring[j], [bx, by] = ring[i];
+        const dx = bx - ax, dy = by - ay;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared > 0 ? Math.max(0, Math.min(1, ((point[0] - ax) * dx + (point[1] - ay) * dy) / lengthSquared)) : 0;
+        nearest = Math.min(nearest, Math.hypot(point[0] - (ax + t * dx), point[1] - (ay + t * dy)));
+    }
+    return nearest;
+}
+
+/**
+ * Binary heap of node indices by priority, lowest first
+ */
+class MinHeap {
+    constructor() {
+        this.nodes = [];
+        this.priorities = [];
+    }
+
+    get size() {
+        return this.nodes.length;
+    }
+
+    push(node, priority) {
+        let index = this.nodes.length;
+        this.nodes.push(node);
+        this.priorities.push(priority);
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (this.priorities[parent] <= priority) break;
+            this.swap(index, parent);
+            index = parent;
+        }
+    }
+
+    pop() {
+        const top = this.nodes[0];
+        const lastNode = this.nodes.pop();
+        const lastPriority = this.priorities.pop();
+        if (this.nodes.length > 0) {
+            this.nodes[0] = lastNode;
+            this.priorities[0] = lastPriority;
+            let index = 0;
+            for (;;) {
+                const left = 2 * index + 1, right = left + 1;
+                let smallest = index;
+                if (left < this.nodes.length && this.priorities[left] < this.priorities[smallest]) smallest = left;
+                if (right < this.nodes.length && this.priorities[right] < this.priorities[smallest]) smallest = right;
+                if (smallest === index) break;
+                this.swap(index, smallest);
+                index = smallest;
+            }
+        }
+        return top;
+    }
+
+    /** @private */
+    swap(a, b) {
+        [this.nodes[a], this.nodes[b]] = [this.nodes[b], this.nodes[a]];
+        [this.priorities[a], this.priorities[b]] = [this.priorities[b], this.priorities[a]];
+    }
+}
+
+/**
+ * Obstacles on the map: buildings of the loaded vector tiles, standing on
+ * the ground at their first corner, and the geofences, whose AGL limits
+ * are taken from the ground at their first corner as well
+ * @param {import('maplibre-gl').Map} map
+ * @param {import('./geofence.js').GeofenceManager|null} geofences
+ * @param {(lngLat: [number, number]) => number} groundAt - Meters AMSL of the ground
+ * @returns {{obstacles: Obstacle[], allowed: Obstacle[], buildings: boolean}} `buildings` is
+ *   false when the map has no building data, so none are among the obstacles
+ */
+export function collectObstacles(map, geofences, groundAt) {
+    const obstacles = [];
+    // Only the vector tiles of the offline style carry buildings
+    const buildings = map.getSource('openmaptiles')?.type === 'vector';
+    if (buildings) {
+        for (const feature of map.querySourceFeatures('openmaptiles', { sourceLayer: 'building' })) {
+            const { geometry, properties } = feature;
+            const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+                : geometry.type === 'MultiPolygon' ? geometry.coordinates : [];
+            for (const [outer] of polygons) {
+                const polygon = outer.slice(0, -1);
+                if (polygon.length < 3) continue;
+                const ground = groundAt(polygon[0]);
+                obstacles.push({
+                    polygon,
+                    floor: ground + (properties.render_min_height ?? 0),
+                    ceiling: ground + (properties.render_height ?? properties.height ?? 0)
+                });
+            }
+        }
+    }
+
+    const allowed = [];
+    for (const fence of geofences?.fences ?? []) {
+        const ground = fence.altitudeMode === 'AGL' ? groundAt(fence.polygon[0]) : 0;
+        const zone = {
+            polygon: fence.polygon,
+            floor: fence.floor === null ? null : fence.floor + ground,
+            ceiling: fence.ceiling === null ? null : fence.ceiling + ground
+        };
+        (fence.type === 'forbid' ? obstacles : allowed).push(zone);
+    }
+    return { obstacles, allowed, buildings };
+}
@@ -0,0 +1,191 @@
+import { SimulationClock } from './clock.js';
+import { convertAltitude } from './terrain.js';
+import { setTrailPoints, addTrailPoint } from './trail.js';
+import { removeTargetMarker } from './markers.js';
+import { sampleAt } from './recording.js';
+
+const PLAYBACK_TRAIL_INTERVAL = 0.25; // seconds of recording between trail points, as Navigation drops them
+export const PLAYBACK_SPEEDS = [0.5, 1, 2, 5, 10];
+
+/**
+ * Replays a flight recording on the map: poses the drone at any moment of
+ * the recording and rebuilds its trail up to that moment.
+ *
+ * The recorded drone is used when it is in the fleet and not live on the
+ * telemetry feed, otherwise a stand-in `replay-<id>` drone is added for the
+ * playback and removed when it closes.
+ *
+ * Dispatches `time` (detail: seconds into the recording) whenever the pose
+ * changes, `state` (detail: 'playing'|'paused'|'closed') and `event`
+ * (detail: a FlightEvent) for each recorded event passed while playing.
+ */
+export class FlightPlayback extends EventTarget {
+    /**
+     * @param {import('./registry.js').DroneRegistry} registry - Fleet the replayed drone is in
+     * @param {import('maplibre-gl').Map} map - The MapLibre map instance
+     * @param {import('./telemetry.js').TelemetryClient} telemetry - Live feed whose drones are left alone
+     */
+    constructor(registry, map, telemetry) {
+        super();
+        this.registry = registry;
+        this.map = map;
+        this.telemetry = telemetry;
+        /** @type {import('./recording.js').Recording|null} */
+        this.recording = null;
+        this.entry = null;          // fleet entry being posed
+        this.ownsDrone = false;     // whether the entry was added for the playback
+        this.time = 0;              // seconds into the recording
+        this.lastTrailTime = 0;     // recording time of the last trail point
+        this.clock = new SimulationClock();
+        this.step = this.step.bind(this);
+    }
+
+    /**
+     * Open a recording paused at its start
+     * @param {import('./recording.js').Recording} recording
+     */
+    async load(recording) {
+        this.close();
+
+        let entry = this.registry.get(recording.droneId);
+        this.ownsDrone = !entry || this.telemetry.isTracked(recording.droneId);
+        if (this.ownsDrone) {
+            const id = `replay-${recording.droneId}`;
+            entry = this.registry.get(id);
+            if (!entry) {
+                const first = recording.samples[0];
+                const position = [first.longitude, first.latitude];
+                entry = await this.registry.add(id, first.longitude, first.latitude,
+                    convertAltitude(this.map, position, first.altitude, 'AMSL', 'AGL'));
+            }
+        }
+
+        // The recording decides where the drone is
+        entry.missionRunner.abort();
+        entry.navigation.stop();
+        removeTargetMarker(this.map, entry.id);
+
+        this.recording = recording;
+        this.entry = entry;
+        console.log(`Playing back ${recording.id} on ${entry.id} (${recording.duration.toFixed(0)} s)`);
+        this.seek(0);
+    }
+
+    isOpen() {
+        return this.recording !== null;
+    }
+
+    isPlaying() {
+        return this.clock.listeners.has(this.step);
+    }
+
+    play() {
+        if (!this.recording || this.isPlaying()) return;
+        // Start over from the end
+        if (this.time >= this.recording.duration) this.seek(0);
+        this.clock.addListener(this.step);
+        this.dispatchEvent(new CustomEvent('state', { detail: 'playing' }));
+    }
+
+    pause() {
+        if (!this.isPlaying()) return;
+        this.clock.removeListener(this.step);
+        this.dispatchEvent(new CustomEvent('state', { detail: 'paused' }));
+    }
+
+    /**
+     * @param {number} speed - Recording seconds per real second, e.g. one of PLAYBACK_SPEEDS
+     */
+    setSpeed(speed) {
+        this.clock.setTimeScale(speed);
+    }
+
+    /**
+     * Jump to a moment, rebuilding the trail up to it
+     * @param {number} time - Seconds into the recording
+     */
+    seek(time) {
+        if (!this.recording) return;
+        this.time = Math.max(0, Math.min(time, this.recording.duration));
+
+        const points = [];
+        let nextTrailTime = 0;
+        for (const sample of this.recording.samples) {
+            if (sample.t > this.time) break;
+            if (sample.t >= nextTrailTime) {
+                points.push(toTrailPoint(sample));
+                nextTrailTime = sample.t + PLAYBACK_TRAIL_INTERVAL;
+            }
+        }
+        points.push(toTrailPoint(sampleAt(this.recording, this.time)));
+        this.lastTrailTime = this.time;
+        setTrailPoints(this.entry.id, points);
+        this.pose();
+    }
+
+    /**
+     * Stop the playback, leaving the recorded drone where it was posed
+     */
+    close() {
+        if (!this.recording) return;
+        this.pause();
+        if (this.ownsDrone) this.registry.remove(this.entry.id);
+        this.recording = null;
+        this.entry = null;
+        this.ownsDrone = false;
+        this.time = 0;
+        this.dispatchEvent(new CustomEvent('state', { detail: 'closed' }));
+    }
+
+    /**
+     * Advance by one clock step
+     * @param {number} dt - Step length in recording seconds
+     * @private
+     */
+    step(dt) {
+        const previous = this.time;
+        this.time = Math.min(this.time + dt, this.recording.duration);
+
+        for (const event of this.recording.events) {
+            if (event.t > previous && event.t <= this.time) {
+                this.dispatchEvent(new CustomEvent('event', { detail: event }));
+            }
+        }
+        if (this.time - this.lastTrailTime >= PLAYBACK_TRAIL_INTERVAL || this.time >= this.recording.duration) {
+            this.lastTrailTime = this.time;
+            const { coordinates, altitude, metrics, time } = toTrailPoint(sampleAt(this.recording, this.time));
+            addTrailPoint(this.entry.id, coordinates, altitude, metrics, time);
+        }
+        this.pose();
+
+        if (this.time >= this.recording.duration) this.pause();
+    }
+
+    /** @private */
+    pose() {
+        const { drone } = this.entry;
+        const sample = sampleAt(this.recording, this.time);
+        const position = [sample.longitude, sample.latitude];
+        drone.setPosition(sample.longitude, sample.latitude,
+            convertAltitude(this.map, position, sample.altitude, 'AMSL', drone.altitude_mode));
+        drone.setHeading(sample.heading);
+        drone.speed = sample.speed;
+        drone.vertical_velocity = sample.verticalSpeed;
+        drone.roll = sample.roll;
+        drone.pitch = sample.pitch;
+        drone.battery = sample.battery;
+        drone.signal = sample.signal ?? null;
+        drone.updatePosition(this.map);
+        this.dispatchEvent(new CustomEvent('time', { detail: this.time }));
+    }
+}
+
+function toTrailPoint(sample) {
+    const { speed, verticalSpeed, battery, signal } = sample;
+    return {
+        coordinates: [sample.longitude, sample.latitude],
+        altitude: sample.altitude,
+        metrics: { speed, verticalSpeed, battery, signal },
+        time: sample.t
+    };
+}
@@ -0,0 +1,359 @@
+import { simulationClock } from './clock.js';
+import { bearingDifference, normalizeBearing } from './geo.js';
+import { describeBreach } from './geofence.js';
+
+/**
+ * Flight recording: every flight of every drone, simulated by Navigation
+ * or reported by live telemetry, kept as a time-stamped track with the
+ * events that happened on the way, and stored in IndexedDB.
+ *
+ * A simulated flight lasts while the drone's navigation or mission is
+ * active, a live one until its telemetry stops for TELEMETRY_TIMEOUT or the
+ * feed is disconnected. Sample times are seconds from the start of the
+ * recording, on the simulation clock for simulated flights.
+ */
+
+const SAMPLE_INTERVAL = 0.2;       // seconds of flight between recorded samples
+const FINISH_CHECK_INTERVAL = 1000; // ms between checks for flights that ended
+const TELEMETRY_TIMEOUT = 30;      // seconds without telemetry that end a live recording
+const DB_NAME = 'drone-flights';
+const DB_VERSION = 1;
+const STORE_NAME = 'recordings';
+
+/**
+ * @typedef {Object} FlightSample
+ * @property {number} t - Seconds since the recording started
+ * @property {number} longitude
+ * @property {number} latitude
+ * @property {number} altitude - Meters AMSL
+ * @property {number} heading - Degrees clockwise from north
+ * @property {number} speed - Ground speed in m/s
+ * @property {number} verticalSpeed - Climb (+) or descent (-) rate in m/s
+ * @property {number} roll - Degrees, right wing down positive
+ * @property {number} pitch - Degrees, nose up positive
+ * @property {number|null} battery - % remaining, null when unknown
+ * @property {number|null} signal - % link quality, null when unknown
+ */
+
+/**
+ * @typedef {Object} FlightEvent
+ * @property {number} t - Seconds since the recording started
+ * @property {string} type - e.g. 'terrain', 'geofence', 'mission', 'telemetry', 'command'
+ * @property {string} message - Human readable description
+ */
+
+/**
+ * @typedef {Object} Recording
+ * @property {string} id - Unique id, also the IndexedDB key
+ * @property {string} droneId - Drone that flew
+ * @property {'simulation'|'telemetry'} source - Where the track came from
+ * @property {number} startedAt - Wall clock time of the first sample, ms since epoch
+ * @property {number} duration - Seconds from the first to the last sample
+ * @property {FlightSample[]} samples - In time order
+ * @property {FlightEvent[]} events - In time order
+ */
+
+/**
+ * Records the flights of every drone in the fleet. Dispatches `recorded`
+ * (detail: the Recording) when a flight ends and its recording is stored.
+ */
+export class FlightRecorder extends EventTarget {
+    /**
+     * @param {import('./registry.js').DroneRegistry} registry - Fleet whose flights are recorded
+     * @param {import('maplibre-gl').Map} map - Map whose terrain converts altitudes to AMSL
+     * @param {import('./telemetry.js').TelemetryClient} telemetry - Live feed whose drones are recorded too
+     */
+    constructor(registry, map, telemetry) {
+        super();
+        this.registry = registry;
+        this.map = map;
+        this.telemetry = telemetry;
+        /** @type {Map<string, {recording: Recording, origin: number, lastActivity: number}>} Open recordings by drone id */
+        this.active = new Map();
+
+        for (const entry of registry) this.watch(entry);
+        registry.addEventListener('add', (e) => this.watch(e.detail));
+        registry.addEventListener('remove', (e) => this.finish(e.detail.id));
+
+        telemetry.addEventListener('telemetry', (e) => {
+            const entry = registry.get(e.detail.id);
+            if (entry) this.sample(entry.drone, 'telemetry', (e.detail.time ?? Date.now()) / 1000);
+        });
+        telemetry.addEventListener('stale', (e) => this.addEvent(e.detail.id, 'telemetry', 'telemetry', "telemetry lost"));
+        telemetry.addEventListener('fresh', (e) => this.addEvent(e.detail.id, 'telemetry', 'telemetry', "telemetry resumed"));
+        telemetry.addEventListener('ack', (e) => {
+            const { id, command, result } = e.detail;
+            this.addEvent(id, 'telemetry', 'command', `${command} ${result}`);
+        });
+        telemetry.addEventListener('status', (e) => {
+            if (e.detail.status !== 'disconnected') return;
+            for (const [id, { recording }] of this.active) {
+                if (recording.source === 'telemetry') this.finish(id);
+            }
+        });
+
+        setInterval(() => this.checkFinished(), FINISH_CHECK_INTERVAL);
+    }
+
+    /**
+     * @param {string} droneId - Drone id
+     * @returns {boolean} Whether the drone's current flight is being recorded
+     */
+    isRecording(droneId) {
+        return this.active.has(droneId);
+    }
+
+    /**
+     * Record the simulated flights and events of a fleet entry
+     * @private
+     */
+    watch({ drone, navigation, missionRunner }) {
+        navigation.addEventListener('move', (e) => this.sample(drone, 'simulation', e.detail.time));
+
+        const record = (type, message) => this.addEvent(drone.id, 'simulation', type, message);
+        navigation.addEventListener('terrainconflict', (e) => {
+            const { phase, conflicts, action } = e.detail;
+            const lowest = Math.min(...conflicts.map(c => c.clearance));
+            record('terrain', `${phase} clearance ${lowest.toFixed(0)} m${action ? `, ${action}` : ''}`);
+        });
+        navigation.addEventListener('terrainclear', () => record('terrain', "terrain ahead clear"));
+        navigation.addEventListener('geofencerefused', (e) => record('geofence', `target refused, ${describeBreach(e.detail.breach)}`));
+        navigation.addEventListener('geofencererouted', () => record('geofence', "rerouted around geofences"));
+        navigation.addEventListener('geofencebreach', (e) => {
+            record('geofence', `${describeBreach(e.detail.breach)}, ${e.detail.action}`);
+        });
+        missionRunner.addEventListener('waypoint', (e) => record('mission', `waypoint ${e.detail + 1} reached`));
+        missionRunner.addEventListener('statechange', (e) => {
+            // Flying and holding change with every leg
+            if (['paused', 'aborted', 'completed'].includes(e.detail)) record('mission', `mission ${e.detail}`);
+        });
+    }
+
+    /**
+     * Add the drone's current state to its recording, opening one when the
+     * drone was not flying
+     * @param {import('./drone.js').Drone} drone - Drone to sample
+     * @param {'simulation'|'telemetry'} source - What moved it
+     * @param {number} time - Seconds on the source's clock
+     * @param {boolean} force - Sample even if the last sample is recent
+     * @private
+     */
+    sample(drone, source, time, force = false) {
+        const open = this.open(drone, source, time);
+        const { recording } = open;
+        const t = time - open.origin;
+        const last = recording.samples[recording.samples.length - 1];
+        open.lastActivity = Date.now();
+        if (last && (t <= last.t || (!force && t - last.t < SAMPLE_INTERVAL))) return;
+
+        recording.samples.push({
+            t: round(t, 3),
+            longitude: round(drone.longitude, 7),
+            latitude: round(drone.latitude, 7),
+            altitude: round(drone.getAltitude('AMSL', this.map), 2),
+            heading: round(drone.heading, 1),
+            speed: round(drone.speed, 2),
+            verticalSpeed: round(drone.vertical_velocity, 2),
+            roll: round(drone.roll, 1),
+            pitch: round(drone.pitch, 1),
+            battery: drone.battery,
+            signal: drone.signal
+        });
+        recording.duration = round(t, 3);
+    }
+
+    /**
+     * Note an event in the drone's recording
+     * @private
+     */
+    addEvent(droneId, source, type, message) {
+        const entry = this.registry.get(droneId);
+        if (!entry) return;
+        const time = source === 'simulation' ? simulationClock.time : Date.now() / 1000;
+        // Events like a planned terrain conflict come before the first move of a flight
+        this.sample(entry.drone, source, time, true);
+        const open = this.active.get(droneId);
+        open.recording.events.push({ t: round(time - open.origin, 3), type, message });
+    }
+
+    /**
+     * The drone's open recording, started when there is none or the drone
+     * changed between simulation and telemetry
+     * @private
+     */
+    open(drone, source, time) {
+        const current = this.active.get(drone.id);
+        if (current && current.recording.source === source) return current;
+        if (current) this.finish(drone.id);
+
+        const startedAt = Date.now();
+        const open = {
+            recording: {
+                id: `${drone.id}-${startedAt}`,
+                droneId: drone.id,
+                source,
+                startedAt,
+                duration: 0,
+                samples: [],
+                events: []
+            },
+            origin: time,
+            lastActivity: startedAt
+        };
+        this.active.set(drone.id, open);
+        console.log(`Recording flight of ${drone.id} (${source})`);
+        return open;
+    }
+
+    /**
+     * Close the drone's recording and store it
+     * @param {string} droneId - Drone id
+     * @private
+     */
+    async finish(droneId) {
+        const open = this.active.get(droneId);
+        if (!open) return;
+        this.active.delete(droneId);
+        const { recording } = open;
+
+        // Nothing flew, e.g. a refused target
+        if (recording.samples.length < 2 || recording.duration <= 0) return;
+
+        try {
+            await saveRecording(recording);
+            console.log(`Recorded ${recording.duration.toFixed(0)} s flight of ${droneId} (${recording.samples.length} samples)`);
+            this.dispatchEvent(new CustomEvent('recorded', { detail: recording }));
+        } catch (error) {
+            console.error(`Failed to store the flight of ${droneId}:`, error);
+        }
+    }
+
+    /** @private */
+    checkFinished() {
+        for (const [id, open] of this.active) {
+            const entry = this.registry.get(id);
+            if (!entry) {
+                this.finish(id);
+            } else if (open.recording.source === 'simulation') {
+                if (entry.navigation.isFlying() || entry.missionRunner.isActive()) continue;
+                // Keep where the flight ended
+                this.sample(entry.drone, 'simulation', simulationClock.time, true);
+                this.finish(id);
+            } else if (Date.now() - open.lastActivity > TELEMETRY_TIMEOUT * 1000) {
+                this.finish(id);
+            }
+        }
+    }
+}
+
+/**
+ * Interpolate a recording at a moment
+ * @param {Recording} recording
+ * @param {number} t - Seconds since the recording started, clamped to the recording
+ * @returns {FlightSample} State at `t`
+ */
+export function sampleAt(recording, t) {
+    const { samples } = recording;
+    if (t <= samples[0].t) return { ...samples[0], t: samples[0].t };
+    const lastSample = samples[samples.length - 1];
+    if (t >= lastSample.t) return { ...lastSample };
+
+    // Last sample at or before t
+    let low = 0;
+    let high = samples.length - 1;
+    while (high - low > 1) {
+        const middle = (low + high) >> 1;
+        if (samples[middle].t <= t) low = middle; else high = middle;
+    }
+    const a = samples[low];
+    const b = samples[high];
+    const f = (t - a.t) / (b.t - a.t);
+    const lerp = (key) => a[key] + (b[key] - a[key]) * f;
+    return {
+        t,
+        longitude: lerp('longitude'),
+        latitude: lerp('latitude'),
+        altitude: lerp('altitude'),
+        heading: normalizeBearing(a.heading + bearingDifference(a.heading, b.heading) * f),
+        speed: lerp('speed'),
+        verticalSpeed: lerp('verticalSpeed'),
+        roll: lerp('roll'),
+        pitch: lerp('pitch'),
+        battery: a.battery !== null && b.battery !== null ? lerp('battery') : a.battery,
+        signal: a.signal != null && b.signal != null ? lerp('signal') : a.signal ?? null
+    };
+}
+
+/**
+ * Store a recording, replacing one with the same id
+ * @param {Recording} recording
+ * @returns {Promise<void>}
+ */
+export function saveRecording(recording) {
+    return withStore('readwrite', store => store.put(recording)).then(() => undefined);
+}
+
+/**
+ * @param {string} id - Recording id
+ * @returns {Promise<Recording|undefined>}
+ */
+export function loadRecording(id) {
+    return withStore('readonly', store => store.get(id));
+}
+
+/**
+ * Stored recordings without their samples, newest first
+ * @returns {Promise<(Omit<Recording, 'samples'|'events'> & {sampleCount: number, eventCount: number})[]>}
+ */
+export async function listRecordings() {
+    const recordings = await withStore('readonly', store => store.getAll());
+    return recordings
+        .map(({ samples, events, ...summary }) => ({ ...summary, sampleCount: samples.length, eventCount: events.length }))
+        .sort((a, b) => b.startedAt - a.startedAt);
+}
+
+/**
+ * @param {string} id - Recording id
+ * @returns {Promise<void>}
+ */
+export function deleteRecording(id) {
+    return withStore('readwrite', store => store.delete(id)).then(() => undefined);
+}
+
+let databasePromise = null;
+
+function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Let a later call retry, e.g. after the user allowed storage
+        databasePromise.catch(() => { databasePromise = null; });
+    }
+    return databasePromise;
+}
+
+/**
+ * Run one request in a transaction on the recordings store
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest} operation
+ * @returns {Promise<*>} The request's result once the transaction completes
+ */
+async function withStore(mode, operation) {
+    const database = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(STORE_NAME, mode);
+        const request = operation(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+function round(value, digits) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
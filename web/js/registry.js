@@ -0,0 +1,194 @@
+import { Drone } from './drone.js';
+import { Navigation } from './navigation.js';
+import { Mission, MissionRunner } from './mission.js';
+import { removeTargetMarker, renderMissionRoute, removeMissionRoute, setActiveWaypoint } from './markers.js';
+import { removeTrail } from './trail.js';
+
+/**
+ * @typedef {Object} FleetEntry
+ * @property {string} id
+ * @property {Drone} drone
+ * @property {Navigation} navigation
+ * @property {Mission} mission
+ * @property {MissionRunner} missionRunner
+ */
+
+/**
+ * Fleet of drones keyed by id. Every entry owns its drone, model instance,
+ * navigation system, mission and trail. Also tracks which drone the UI acts on.
+ *
+ * Dispatches `add`, `remove` and `select` events whose `detail` is the
+ * affected entry (or `null` when the selection is cleared), and
+ * `waypointclick` with `{entry, index}` when a drawn waypoint is clicked.
+ */
+export class DroneRegistry extends EventTarget {
+    /**
+     * @param {import('maplibre-gl').Map} map - The MapLibre map instance
+     * @param {import('@dvt3d/maplibre-three-plugin').MapScene} mapScene - Scene the drone models are added to
+     * @param {import('./geofence.js').GeofenceManager|null} geofences - Fences every drone's navigation respects
+     * @param {import('./weather.js').WindField|null} wind - Wind every drone flies through
+     */
+    constructor(map, mapScene, geofences = null, wind = null) {
+        super();
+        this.map = map;
+        this.mapScene = mapScene;
+        this.geofences = geofences;
+        this.wind = wind;
+        /** @type {Map<string, FleetEntry>} */
+        this.entries = new Map();
+        this.selectedId = null;
+        this.idCounter = 0;
+
+        // Re-seat the models when the ground under them changes: terrain
+        // toggled, exaggeration changed or more DEM tiles loaded
+        const reposition = () => {
+            for (const { drone } of this) drone.updatePosition(map);
+        };
+        map.on('terrain', reposition);
+        map.on('sourcedata', (e) => {
+            const terrain = map.getTerrain();
+            if (e.tile && terrain && e.sourceId === terrain.source) reposition();
+        });
+    }
+
+    /**
+     * Create a drone, load its model and register it
+     * @param {string|null} id - Unique drone id, generated when null
+     * @param {number} longitude - Starting longitude
+     * @param {number} latitude - Starting latitude
+     * @param {number} altitude - Starting altitude in meters
+     * @returns {Promise<FleetEntry>} The new entry
+     */
+    async add(id, longitude, latitude, altitude) {
+        id = id || this.nextId();
+        if (this.entries.has(id)) {
+            throw new Error(`Drone "${id}" is already registered`);
+        }
+
+        const drone = new Drone(longitude, latitude, altitude, id);
+        await drone.loadModel(this.mapScene);
+
+        // Another add() with the same id may have finished while the model loaded
+        if (this.entries.has(id)) {
+            drone.removeModel(this.mapScene);
+            throw new Error(`Drone "${id}" is already registered`);
+        }
+
+        const navigation = new Navigation(drone, this.map, this.geofences, this.wind);
+        const mission = new Mission();
+        const missionRunner = new MissionRunner(navigation, mission);
+        const entry = { id, drone, navigation, mission, missionRunner };
+        this.watchMission(entry);
+        this.entries.set(id, entry);
+        console.log(`Drone ${id} added to fleet (${this.entries.size} total)`);
+        this.dispatchEvent(new CustomEvent('add', { detail: entry }));
+
+        if (!this.selectedId) {
+            this.select(id);
+        }
+        this.map.triggerRepaint();
+        return entry;
+    }
+
+    /**
+     * Stop a drone and remove it together with its model, target and trail
+     * @param {string} id - Drone id
+     * @returns {boolean} Whether a drone was removed
+     */
+    remove(id) {
+        const entry = this.entries.get(id);
+        if (!entry) return false;
+
+        entry.missionRunner.abort();
+        entry.navigation.stop();
+        entry.navigation.stopManual();
+        entry.drone.removeModel(this.mapScene);
+        removeTargetMarker(this.map, id);
+        removeMissionRoute(this.map, id);
+        removeTrail(id);
+        this.entries.delete(id);
+        console.log(`Drone ${id} removed from fleet (${this.entries.size} left)`);
+        this.dispatchEvent(new CustomEvent('remove', { detail: entry }));
+
+        if (this.selectedId === id) {
+            const [nextId] = this.entries.keys();
+            this.select(nextId || null);
+        }
+        this.map.triggerRepaint();
+        return true;
+    }
+
+    /**
+     * Make a drone the active one, or clear the selection with null
+     * @param {string|null} id - Drone id
+     */
+    select(id) {
+        if (id !== null && !this.entries.has(id)) {
+            throw new Error(`Unknown drone "${id}"`);
+        }
+        if (this.selectedId === id) return;
+
+        this.selectedId = id;
+        this.dispatchEvent(new CustomEvent('select', { detail: this.getSelected() }));
+    }
+
+    /**
+     * @returns {FleetEntry|null} The active entry
+     */
+    getSelected() {
+        return this.selectedId ? this.entries.get(this.selectedId) : null;
+    }
+
+    get(id) {
+        return this.entries.get(id) || null;
+    }
+
+    has(id) {
+        return this.entries.has(id);
+    }
+
+    ids() {
+        return [...this.entries.keys()];
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    [Symbol.iterator]() {
+        return this.entries.values();
+    }
+
+    /**
+     * Keep the drawn route in sync with a drone's mission and its progress
+     * @private
+     */
+    watchMission(entry) {
+        const { id, mission, missionRunner } = entry;
+        const highlightProgress = () => {
+            setActiveWaypoint(id, missionRunner.isActive() ? missionRunner.currentIndex : -1);
+        };
+
+        mission.addEventListener('change', () => {
+            renderMissionRoute(this.map, id, mission.waypoints, {
+                onMove: (index, [longitude, latitude]) => mission.updateWaypoint(index, { longitude, latitude }),
+                onClick: (index) => this.dispatchEvent(new CustomEvent('waypointclick', { detail: { entry, index } }))
+            });
+            highlightProgress();
+        });
+        missionRunner.addEventListener('leg', highlightProgress);
+        missionRunner.addEventListener('statechange', highlightProgress);
+    }
+
+    /**
+     * Generate the next free id in the form `drone-N`
+     * @returns {string}
+     */
+    nextId() {
+        let id;
+        do {
+            id = `drone-${++this.idCounter}`;
+        } while (this.entries.has(id));
+        return id;
+    }
+}
@@ -0,0 +1,400 @@
+/**
+ * Mapping surveys: lawnmower routes over a polygon sized from the drone's
+ * camera, and the camera's footprint on the terrain.
+ *
+ * A survey flies parallel lines across the area at the altitude that gives
+ * the wanted ground sampling distance (GSD), spaced so neighbouring lines
+ * overlap by the side overlap. The route is an ordinary mission of AGL
+ * waypoints, which the mission runner holds above the ground along each leg
+ * so the GSD holds over hills. A camera tilted forward looks ahead of the
+ * drone, so each line is shifted back by that lead in the direction it is
+ * flown and the image center passes over the area's edges.
+ *
+ * While footprints are shown, every drone's footprint is drawn under it and
+ * the ground it has covered accumulates in a coverage layer.
+ */
+import { setDeckLayers } from './main.js';
+import { destinationPoint, fromLocalMeters, haversineDistance, initialBearing, polygonArea, toLocalMeters } from './geo.js';
+import { createWaypoint, DEFAULT_WAYPOINT_SPEED } from './mission.js';
+import { getGroundElevation, renderAltitudeFromGround } from './terrain.js';
+
+const MIN_SURVEY_DEPRESSION = 45;    // degrees the camera must look below the horizon to map
+const FOOTPRINT_EDGE_SAMPLES = 4;    // rays per side of the image, more follow the terrain closer
+const FOOTPRINT_ITERATIONS = 4;      // refinements of each ray's ground intersection
+const FOOTPRINT_MAX_RANGE = 1000;    // meters out to where rays at or above the horizon are cut
+const COVERAGE_SPACING = 10;         // meters a drone moves before its footprint is added to the coverage
+const COVERAGE_TURN = 15;            // degrees a drone turns before its footprint is added to the coverage
+const MAX_COVERAGE_FOOTPRINTS = 5000;  // per drone, later ones are not kept
+const MIN_COVERAGE_HEIGHT = 2;       // meters AGL, drones on the ground cover nothing
+const DRAPE_OFFSET = 0.5;            // meters drawn above the ground so polygons are not hidden in it
+
+const COLORS = {
+    area: [255, 190, 11],
+    footprint: [255, 255, 255],
+    coverage: [58, 134, 255, 50]
+};
+
+/**
+ * @typedef {Object} CameraParameters - The camera fields of a Drone
+ * @property {number} sensor_width - mm
+ * @property {number} sensor_height - mm
+ * @property {number} focal_length - mm
+ * @property {number} image_width - px across the sensor width
+ * @property {number} gimbal_pitch - Degrees from the horizon, -90 straight down
+ */
+
+/**
+ * @typedef {Object} SurveyPlan
+ * @property {import('./mission.js').Waypoint[]} waypoints - Both ends of every line, in flying order
+ * @property {number} altitude - Meters AGL the lines are flown at
+ * @property {number} lineSpacing - Meters between lines
+ * @property {number} photoSpacing - Meters between photos along a line
+ * @property {number} lead - Meters the image center is ahead of the drone on flat ground
+ * @property {number} lineCount
+ * @property {number} photoCount - Photos over all lines
+ * @property {number} length - Meters flown from the first waypoint to the last
+ * @property {number} area - Square meters of the surveyed polygon
+ */
+
+/**
+ * Plan a lawnmower survey of a polygon. Each line is flown between the
+ * polygon's outermost crossings, so concave areas are covered across
+ * their gaps as well.
+ * @param {[number, number][]} polygon - Corners [lon, lat], without repeating the first
+ * @param {CameraParameters} camera
+ * @param {Object} options
+ * @param {number} options.gsd - Centimeters of ground per pixel at the image center
+ * @param {number} options.frontOverlap - Fraction of each photo the next one along the line repeats
+ * @param {number} options.sideOverlap - Fraction of each line's strip the next line repeats
+ * @param {number} [options.course] - Degrees clockwise from north the lines run, the longest side by default
+ * @param {number} [options.speed] - Ground speed in m/s
+ * @returns {SurveyPlan}
+ */
+export function planSurvey(polygon, camera, { gsd, frontOverlap, sideOverlap, course = longestSideBearing(polygon), speed = DEFAULT_WAYPOINT_SPEED }) {
+    if (polygon.length < 3) {
+        throw new Error("A survey area needs at least 3 corners");
+    }
+    const depression = -camera.gimbal_pitch;
+    if (depression < MIN_SURVEY_DEPRESSION) {
+        throw new Error(`The camera must look at least ${MIN_SURVEY_DEPRESSION}° down to map, gimbal pitch is ${camera.gimbal_pitch}°`);
+    }
+
+    // Slant range to the image center that gives the GSD, and the height it puts the drone at
+    const range = gsd / 100 * camera.focal_length * camera.image_width / camera.sensor_width;
+    const altitude = range * Math.sin(toRadians(depression));
+
+    // Footprint on flat ground when flying north: the near side is the narrowest
+    const corners = imageRays(camera, 0, 1).map(ray => groundOffset(ray, altitude));
+    const [farLeft, farRight, nearRight, nearLeft] = corners;
+    const width = Math.min(farRight[0] - farLeft[0], nearRight[0] - nearLeft[0]);
+    const depth = Math.max(...corners.map(c => c[1])) - Math.min(...corners.map(c => c[1]));
+    const lineSpacing = width * (1 - sideOverlap);
+    const photoSpacing = depth * (1 - frontOverlap);
+    const lead = range * Math.cos(toRadians(depression));
+
+    // Lines run along v, stepping across u
+    const origin = polygon[0];
+    const angle = toRadians(course);
+    const rotated = polygon.map(point => {
+        const [x, y] = toLocalMeters(origin, point);
+        return [x * Math.cos(angle) - y * Math.sin(angle), x * Math.sin(angle) + y * Math.cos(angle)];
+    });
+    const toPoint = ([u, v]) => fromLocalMeters(origin, [u * Math.cos(angle) + v * Math.sin(angle), -u * Math.sin(angle) + v * Math.cos(angle)]);
+
+    const us = rotated.map(p => p[0]);
+    const minU = Math.min(...us), maxU = Math.max(...us);
+    const lineCount = Math.max(1, Math.ceil((maxU - minU) / lineSpacing));
+    // Center the lines over the area
+    const firstU = (minU + maxU) / 2 - (lineCount - 1) * lineSpacing / 2;
+
+    const waypoints = [];
+    let photoCount = 0;
+    for (let line = 0; line < lineCount; line++) {
+        const u = firstU + line * lineSpacing;
+        const crossings = [];
+        for (let i = 0; i < rotated.length; i++) {
+            const [u1, v1] = rotated[i];
+            const [u2, v2] = rotated[(i + 1) % rotated.length];
+            if ((u1 <= u) !== (u2 <= u)) crossings.push(v1 + (u - u1) * (v2 - v1) / (u2 - u1));
+        }
+        if (crossings.length < 2) continue;
+        const start = Math.min(...crossings), end = Math.max(...crossings);
+        photoCount += Math.ceil((end - start) / photoSpacing) + 1;
+        // Every other line flies back, the drone trails the image center by the lead
+        const ends = line % 2 === 0 ? [start - lead, end - lead] : [end + lead, start + lead];
+        for (const v of ends) {
+            const [longitude, latitude] = toPoint([u, v]);
+            waypoints.push(createWaypoint(longitude, latitude, { altitude, altitudeMode: 'AGL', speed }));
+        }
+    }
+
+    let length = 0;
+    for (let i = 1; i < waypoints.length; i++) {
+        const a = waypoints[i - 1], b = waypoints[i];
+        length += haversineDistance([a.longitude, a.latitude], [b.longitude, b.latitude]);
+    }
+    return {
+        waypoints,
+        altitude,
+        lineSpacing,
+        photoSpacing,
+        lead,
+        lineCount: waypoints.length / 2,
+        photoCount,
+        length,
+        area: polygonArea(polygon)
+    };
+}
+
+/**
+ * Outline of a drone's camera image on the terrain
+ * @param {import('maplibre-gl').Map} map
+ * @param {import('./drone.js').Drone} drone
+ * @returns {{position: [number, number], ground: number}[]} Points around the outline, ground in meters AMSL
+ */
+export function cameraFootprint(map, drone) {
+    const origin = [drone.longitude, drone.latitude];
+    const altitude = drone.getAltitude('AMSL', map);
+    return imageRays(drone, drone.heading, FOOTPRINT_EDGE_SAMPLES).map(ray => projectRay(map, origin, altitude, ray));
+}
+
+/**
+ * Directions of rays through the border of the camera image, clockwise
+ * from the top left (the far side when looking down ahead)
+ * @param {CameraParameters} camera
+ * @param {number} heading - Degrees clockwise from north the camera faces
+ * @param {number} samplesPerEdge - Rays along each side, from its first corner
+ * @returns {[number, number, number][]} [east, north, up] vectors
+ */
+function imageRays(camera, heading, samplesPerEdge) {
+    const h = toRadians(heading), p = toRadians(camera.gimbal_pitch);
+    const forward = [Math.sin(h) * Math.cos(p), Math.cos(h) * Math.cos(p), Math.sin(p)];
+    const right = [Math.cos(h), -Math.sin(h), 0];
+    // right × forward
+    const up = [
+        right[1] * forward[2] - right[2] * forward[1],
+        right[2] * forward[0] - right[0] * forward[2],
+        right[0] * forward[1] - right[1] * forward[0]
+    ];
+    const halfWidth = camera.sensor_width / (2 * camera.focal_length);
+    const halfHeight = camera.sensor_height / (2 * camera.focal_length);
+
+    const corners = [[-1, 1], [1, 1], [1, -1], [-1, -1]];
+    const rays = [];
+    for (let side = 0; side < 4; side++) {
+        const [x1, y1] = corners[side];
+        const [x2, y2] = corners[(side + 1) % 4];
+        for (let i = 0; i < samplesPerEdge; i++) {
+            const f = i / samplesPerEdge;
+            const x = (x1 + (x2 - x1) * f) * halfWidth;
+            const y = (y1 + (y2 - y1) * f) * halfHeight;
+            rays.push([0, 1, 2].map(axis => forward[axis] + x * right[axis] + y * up[axis]));
+        }
+    }
+    return rays;
+}
+
+/**
+ * Where a ray from a given height meets flat ground
+ * @param {[number, number, number]} ray - [east, north, up]
+ * @param {number} height - Meters above the ground
+ * @returns {[number, number]} [east, north] meters from below the camera
+ */
+function groundOffset([east, north, up], height) {
+    const t = up < 0 ? height / -up : Infinity;
+    const horizontal = Math.hypot(east, north);
+    const scale = horizontal > 0 ? Math.min(t, FOOTPRINT_MAX_RANGE / horizontal) : 0;
+    return [east * scale, north * scale];
+}
+
+/**
+ * Where a ray meets the terrain. The ground is taken as level at the last
+ * guess's elevation and the guess moved there, which settles within a few
+ * iterations unless the ray grazes the slopes.
+ * @param {import('maplibre-gl').Map} map
+ * @param {[number, number]} origin - Camera [lon, lat]
+ * @param {number} altitude - Camera meters AMSL
+ * @param {[number, number, number]} ray - [east, north, up]
+ * @returns {{position: [number, number], ground: number}}
+ */
+function projectRay(map, origin, altitude, ray) {
+    const bearing = toDegrees(Math.atan2(ray[0], ray[1]));
+    let position = origin;
+    let ground = getGroundElevation(map, origin) ?? 0;
+    for (let i = 0; i < FOOTPRINT_ITERATIONS; i++) {
+        const [east, north] = groundOffset(ray, Math.max(0, altitude - ground));
+        position = destinationPoint(origin, bearing, Math.hypot(east, north));
+        ground = getGroundElevation(map, position) ?? 0;
+    }
+    return { position, ground };
+}
+
+/**
+ * @param {[number, number][]} polygon
+ * @returns {number} Bearing of the polygon's longest side, lines along it turn the least
+ */
+function longestSideBearing(polygon) {
+    let longest = 0, bearing = 0;
+    for (let i = 0; i < polygon.length; i++) {
+        const a = polygon[i], b = polygon[(i + 1) % polygon.length];
+        const length = haversineDistance(a, b);
+        if (length > longest) {
+            longest = length;
+            bearing = initialBearing(a, b);
+        }
+    }
+    return bearing;
+}
+
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+function toDegrees(radians) {
+    return radians * 180 / Math.PI;
+}
+
+/**
+ * Draws the survey area being drawn or planned, the live camera footprint
+ * of every drone and the ground they have covered, through the deck.gl
+ * overlay. Footprints update every frame while shown.
+ */
+export class SurveyOverlay {
+    /**
+     * @param {import('maplibre-gl').Map} map - The MapLibre map instance
+     * @param {import('./registry.js').DroneRegistry} registry - Fleet whose footprints are drawn
+     */
+    constructor(map, registry) {
+        this.map = map;
+        this.registry = registry;
+        this.area = [];                 // [lon, lat] corners of the survey area
+        this.footprintsVisible = false;
+        this.footprints = [];           // outlines under each drone in the last frame
+        /** @type {Map<string, {outlines: Object[][], position: [number, number], heading: number}>} */
+        this.coverage = new Map();
+        this.coverageData = [];         // every covered outline, replaced when one is added
+        this.frameId = null;
+        this.frame = this.frame.bind(this);
+
+        registry.addEventListener('remove', (e) => {
+            if (!this.coverage.delete(e.detail.id)) return;
+            this.updateCoverageData();
+            this.render();
+        });
+    }
+
+    /**
+     * @param {[number, number][]} corners - Survey area corners so far [lon, lat], empty to hide it
+     */
+    setArea(corners) {
+        this.area = [...corners];
+        this.render();
+    }
+
+    isShowingFootprints() {
+        return this.footprintsVisible;
+    }
+
+    /**
+     * Show the drones' footprints and accumulate their coverage, or stop
+     * @param {boolean} visible - The coverage so far stays drawn either way
+     */
+    setFootprintsVisible(visible) {
+        this.footprintsVisible = visible;
+        cancelAnimationFrame(this.frameId);
+        this.frameId = visible ? requestAnimationFrame(this.frame) : null;
+        if (!visible) {
+            this.footprints = [];
+            this.render();
+        }
+    }
+
+    clearCoverage() {
+        this.coverage.clear();
+        this.updateCoverageData();
+        this.render();
+    }
+
+    /** @private */
+    frame() {
+        this.frameId = requestAnimationFrame(this.frame);
+        this.footprints = [];
+        for (const { id, drone } of this.registry) {
+            const outline = cameraFootprint(this.map, drone);
+            this.footprints.push(outline);
+            if (drone.getAltitude('AGL', this.map) >= MIN_COVERAGE_HEIGHT) this.addCoverage(id, drone, outline);
+        }
+        this.render();
+    }
+
+    /**
+     * Keep the footprint once the drone has moved or turned enough since the last one kept
+     * @private
+     */
+    addCoverage(id, drone, outline) {
+        const position = [drone.longitude, drone.latitude];
+        let coverage = this.coverage.get(id);
+        if (coverage) {
+            const turned = Math.abs(((drone.heading - coverage.heading) % 360 + 540) % 360 - 180);
+            if (haversineDistance(coverage.position, position) < COVERAGE_SPACING && turned < COVERAGE_TURN) return;
+            if (coverage.outlines.length >= MAX_COVERAGE_FOOTPRINTS) return;
+        } else {
+            coverage = { outlines: [] };
+            this.coverage.set(id, coverage);
+        }
+        coverage.outlines.push(outline);
+        coverage.position = position;
+        coverage.heading = drone.heading;
+        if (coverage.outlines.length === MAX_COVERAGE_FOOTPRINTS) {
+            console.warn(`Coverage of ${id} is full at ${MAX_COVERAGE_FOOTPRINTS} footprints, clear it to go on`);
+        }
+        this.updateCoverageData();
+    }
+
+    /**
+     * A new array, so deck.gl only rebuilds the coverage layer when it grew
+     * @private
+     */
+    updateCoverageData() {
+        this.coverageData = [...this.coverage.values()].flatMap(coverage => coverage.outlines);
+    }
+
+    /** @private */
+    render() {
+        const draped = (outline) => outline.map(({ position, ground }) =>
+            [...position, renderAltitudeFromGround(this.map, DRAPE_OFFSET, 'AGL', ground)]);
+        const layers = [];
+        if (this.coverageData.length > 0) {
+            layers.push(new PolygonLayer({
+                id: 'survey-coverage',
+                data: this.coverageData,
+                getPolygon: draped,
+                getFillColor: COLORS.coverage,
+                stroked: false
+            }));
+        }
+        if (this.footprints.length > 0) {
+            layers.push(new PathLayer({
+                id: 'survey-footprints',
+                data: this.footprints,
+                getPath: (outline) => draped([...outline, outline[0]]),
+                getColor: COLORS.footprint,
+                getWidth: 2,
+                widthUnits: 'pixels'
+            }));
+        }
+        if (this.area.length > 0) {
+            const outline = this.area.map(position => ({ position, ground: getGroundElevation(this.map, position) ?? 0 }));
+            const path = draped(outline);
+            layers.push(new PathLayer({
+                id: 'survey-area',
+                data: [{ path: this.area.length > 2 ? [...path, path[0]] : path }],
+                getPath: d => d.path,
+                getColor: COLORS.area,
+                getWidth: 3,
+                widthUnits: 'pixels'
+            }));
+        }
+        setDeckLayers('survey', layers);
+    }
+}
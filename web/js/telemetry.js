@@ -0,0 +1,273 @@
+import { addTrailPoint, droneMetrics } from './trail.js';
+import { convertAltitude } from './terrain.js';
+
+/**
+ * Live telemetry over WebSocket.
+ *
+ * Every message is a JSON object, or an array of them, describing one drone:
+ *
+ *     {"id": "telemetry-1", "longitude": 33.38, "latitude": 35.19,
+ *      "altitude": 70, "altitudeMode": "AGL", "heading": 90,
+ *      "speed": 7.8, "battery": 97.5, "time": 1700000000000}
+ *
+ * `altitudeMode` defaults to AMSL (GPS altitude); heading (degrees from
+ * true north), roll and pitch (degrees, right wing down and nose up
+ * positive), speed and verticalSpeed (m/s), battery and signal (%, link
+ * quality) and time (ms since epoch) are optional, as is `"type": "telemetry"`. Drones are added to the
+ * fleet the first time their id shows up and the feed takes over from
+ * Navigation while it drives them.
+ *
+ * Servers that can command their vehicles, like the MAVLink bridge, accept
+ * command() messages and answer with
+ *
+ *     {"type": "ack", "id": "mav-1", "command": "goto", "result": "accepted", "message": ""}
+ *
+ * Dispatches `status` (detail: {status, retryIn}), `telemetry` (detail: the
+ * message, after it is applied), `ack` (detail: the ack message), and
+ * `stale` / `fresh` (detail: {id}) when a drone stops or resumes reporting.
+ */
+
+const RECONNECT_MIN_DELAY = 1000;  // ms before the first reconnect attempt
+const RECONNECT_MAX_DELAY = 30000; // ms cap for the doubling backoff
+const STALE_AFTER = 3000;          // ms without a message before a drone counts as stale
+const STALE_CHECK_INTERVAL = 1000; // ms between stale checks
+
+export const DEFAULT_TELEMETRY_URL = `ws://${location.hostname || 'localhost'}:9997`;
+
+export class TelemetryClient extends EventTarget {
+    /**
+     * @param {import('./registry.js').DroneRegistry} registry - Fleet the reported drones are added to
+     * @param {import('maplibre-gl').Map} map - The MapLibre map instance
+     */
+    constructor(registry, map) {
+        super();
+        this.registry = registry;
+        this.map = map;
+        this.url = DEFAULT_TELEMETRY_URL;
+        this.socket = null;
+        /** @type {'disconnected'|'connecting'|'connected'|'reconnecting'} */
+        this.status = 'disconnected';
+        this.reconnectDelay = RECONNECT_MIN_DELAY;
+        this.reconnectTimer = null;
+        this.staleTimer = null;
+        /** @type {Map<string, {lastUpdate: number, stale: boolean}>} Drones reported by the feed */
+        this.tracks = new Map();
+        this.pending = new Map(); // latest message of drones whose model is still loading
+
+        // A drone removed from the fleet is added again by its next message
+        registry.addEventListener('remove', (e) => this.tracks.delete(e.detail.id));
+    }
+
+    /**
+     * Open the feed, reconnecting automatically until disconnect() is called
+     * @param {string} url - WebSocket URL of the telemetry server
+     */
+    connect(url = this.url) {
+        this.disconnect();
+        this.url = url;
+        this.open();
+        this.staleTimer = setInterval(() => this.checkStale(), STALE_CHECK_INTERVAL);
+    }
+
+    disconnect() {
+        clearTimeout(this.reconnectTimer);
+        clearInterval(this.staleTimer);
+        this.reconnectTimer = null;
+        this.staleTimer = null;
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close();
+        }
+        // Reported drones stay in the fleet as simulated ones, level again
+        for (const id of this.tracks.keys()) {
+            const entry = this.registry.get(id);
+            if (!entry) continue;
+            entry.drone.roll = 0;
+            entry.drone.pitch = 0;
+            entry.drone.updatePosition(this.map);
+        }
+        this.tracks.clear();
+        this.setStatus('disconnected');
+    }
+
+    isActive() {
+        return this.status !== 'disconnected';
+    }
+
+    /**
+     * @param {string} id - Drone id
+     * @returns {boolean} Whether the feed reports this drone, fresh or stale
+     */
+    isTracked(id) {
+        return this.tracks.has(id);
+    }
+
+    /**
+     * @param {string} id - Drone id
+     * @returns {boolean} Whether the feed has gone quiet for this drone
+     */
+    isStale(id) {
+        const track = this.tracks.get(id);
+        return !!track && track.stale;
+    }
+
+    /**
+     * Send a JSON message to the server, e.g. a command for a bridged vehicle
+     * @param {Object} message
+     * @returns {boolean} Whether it was sent
+     */
+    send(message) {
+        if (this.status !== 'connected') return false;
+        this.socket.send(JSON.stringify(message));
+        return true;
+    }
+
+    /**
+     * Command a vehicle through the server, answered by an `ack` event
+     * @param {string} id - Drone id
+     * @param {'goto'|'rtl'|'land'|'mission'|'start'} command - See mavlink/bridge.mjs for the parameters
+     * @param {Object} params - Command parameters, altitudes AMSL unless altitudeMode says otherwise
+     * @returns {boolean} Whether it was sent
+     */
+    command(id, command, params = {}) {
+        return this.send({ type: 'command', id, command, ...params });
+    }
+
+    /** @private */
+    open() {
+        this.setStatus(this.status === 'disconnected' ? 'connecting' : 'reconnecting');
+        const socket = new WebSocket(this.url);
+        this.socket = socket;
+
+        socket.onopen = () => {
+            console.log(`Telemetry connected to ${this.url}`);
+            this.reconnectDelay = RECONNECT_MIN_DELAY;
+            this.setStatus('connected');
+        };
+        socket.onmessage = (e) => this.handleMessage(e.data);
+        socket.onclose = () => {
+            // Closed by disconnect(), or replaced by a newer socket
+            if (this.socket !== socket) return;
+            this.socket = null;
+            this.scheduleReconnect();
+        };
+        // Errors are followed by close, which schedules the retry
+        socket.onerror = () => console.warn(`Telemetry connection to ${this.url} failed`);
+    }
+
+    /** @private */
+    scheduleReconnect() {
+        const delay = this.reconnectDelay;
+        this.reconnectDelay = Math.min(delay * 2, RECONNECT_MAX_DELAY);
+        this.setStatus('reconnecting', delay);
+        console.log(`Telemetry reconnecting in ${delay / 1000} s`);
+        this.reconnectTimer = setTimeout(() => this.open(), delay);
+    }
+
+    /** @private */
+    setStatus(status, retryIn = null) {
+        this.status = status;
+        this.dispatchEvent(new CustomEvent('status', { detail: { status, retryIn } }));
+    }
+
+    /** @private */
+    handleMessage(data) {
+        let messages;
+        try {
+            messages = JSON.parse(data);
+        } catch (error) {
+            console.warn('Ignoring telemetry that is not JSON:', error.message);
+            return;
+        }
+
+        for (const message of Array.isArray(messages) ? messages : [messages]) {
+            if (message && message.type === 'ack') {
+                this.dispatchEvent(new CustomEvent('ack', { detail: message }));
+                continue;
+            }
+            if (!isTelemetry(message)) continue;
+            if (this.registry.has(message.id)) {
+                this.apply(message);
+            } else {
+                this.addDrone(message);
+            }
+        }
+    }
+
+    /**
+     * Create a drone for an id seen for the first time, then apply the
+     * latest message that arrived while its model loaded
+     * @private
+     */
+    async addDrone(message) {
+        const loading = this.pending.has(message.id);
+        this.pending.set(message.id, message);
+        if (loading) return;
+
+        const position = [message.longitude, message.latitude];
+        const altitude = convertAltitude(this.map, position, message.altitude, message.altitudeMode ?? 'AMSL', 'AGL');
+        try {
+            await this.registry.add(message.id, message.longitude, message.latitude, altitude);
+            console.log(`Telemetry drone ${message.id} joined the fleet`);
+            this.apply(this.pending.get(message.id));
+        } catch (error) {
+            console.error(`Failed to add telemetry drone ${message.id}:`, error);
+        } finally {
+            this.pending.delete(message.id);
+        }
+    }
+
+    /**
+     * Move a drone to its reported state
+     * @private
+     */
+    apply(message) {
+        const entry = this.registry.get(message.id);
+        const { drone, navigation, missionRunner } = entry;
+
+        // The feed is the truth, stop simulated flight
+        if (missionRunner.isActive()) missionRunner.abort();
+        if (navigation.isFlying()) navigation.stop();
+
+        const position = [message.longitude, message.latitude];
+        drone.longitude = message.longitude;
+        drone.latitude = message.latitude;
+        drone.altitude = convertAltitude(this.map, position, message.altitude, message.altitudeMode ?? 'AMSL', drone.altitude_mode);
+        if (Number.isFinite(message.heading)) drone.setHeading(message.heading);
+        if (Number.isFinite(message.roll)) drone.roll = message.roll;
+        if (Number.isFinite(message.pitch)) drone.pitch = message.pitch;
+        if (Number.isFinite(message.speed)) drone.speed = message.speed;
+        if (Number.isFinite(message.verticalSpeed)) drone.vertical_velocity = message.verticalSpeed;
+        if (Number.isFinite(message.battery)) drone.battery = message.battery;
+        if (Number.isFinite(message.signal)) drone.signal = message.signal;
+
+        addTrailPoint(drone.id, position, drone.getAltitude('AMSL', this.map), droneMetrics(drone), (message.time ?? Date.now()) / 1000);
+        drone.updatePosition(this.map);
+
+        const track = this.tracks.get(drone.id);
+        if (track && track.stale) {
+            console.log(`Telemetry for ${drone.id} resumed`);
+            this.dispatchEvent(new CustomEvent('fresh', { detail: { id: drone.id } }));
+        }
+        this.tracks.set(drone.id, { lastUpdate: Date.now(), stale: false });
+        this.dispatchEvent(new CustomEvent('telemetry', { detail: message }));
+    }
+
+    /** @private */
+    checkStale() {
+        const now = Date.now();
+        for (const [id, track] of this.tracks) {
+            if (!track.stale && now - track.lastUpdate > STALE_AFTER) {
+                track.stale = true;
+                console.warn(`Telemetry for ${id} is stale`);
+                this.dispatchEvent(new CustomEvent('stale', { detail: { id } }));
+            }
+        }
+    }
+}
+
+function isTelemetry(message) {
+    return message && (message.type === undefined || message.type === 'telemetry') && typeof message.id === 'string' &&
+        Number.isFinite(message.longitude) && Number.isFinite(message.latitude) && Number.isFinite(message.altitude);
+}
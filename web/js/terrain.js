@@ -0,0 +1,103 @@
+/**
+ * Terrain helpers built on the map's raster-dem terrain (`terrainSource`).
+ *
+ * Altitudes are either above ground level (AGL) or above mean sea level
+ * (AMSL). MapLibre draws the terrain surface at ground elevation times the
+ * exaggeration, so 3D content is placed at its render altitude: the surface
+ * height plus the height above ground. The drone model and its trail both
+ * use `getRenderAltitude`, which keeps them level at any exaggeration.
+ */
+import { haversineDistance, interpolateGreatCircle } from './geo.js';
+
+export const ALTITUDE_MODES = ['AGL', 'AMSL'];
+
+/**
+ * @param {import('maplibre-gl').Map} map
+ * @returns {number} Terrain exaggeration, 0 when terrain is disabled (flat map)
+ */
+export function getTerrainExaggeration(map) {
+    const terrain = map.getTerrain();
+    return terrain ? (terrain.exaggeration ?? 1) : 0;
+}
+
+/**
+ * True ground elevation from the DEM, without exaggeration
+ * @param {import('maplibre-gl').Map} map
+ * @param {[number, number]} lngLat - [lon, lat]
+ * @returns {number|null} Meters above mean sea level, null when terrain is disabled
+ */
+export function getGroundElevation(map, lngLat) {
+    const exaggeration = getTerrainExaggeration(map);
+    if (!exaggeration) return null;
+
+    const elevation = map.queryTerrainElevation(lngLat);
+    return elevation === null ? null : elevation / exaggeration;
+}
+
+/**
+ * Convert an altitude between AGL and AMSL at a location. Without terrain
+ * the ground is taken to be at sea level.
+ * @param {import('maplibre-gl').Map} map
+ * @param {[number, number]} lngLat - [lon, lat]
+ * @param {number} altitude - Altitude in meters
+ * @param {'AGL'|'AMSL'} fromMode - Reference of `altitude`
+ * @param {'AGL'|'AMSL'} toMode - Wanted reference
+ * @returns {number} Meters in `toMode`
+ */
+export function convertAltitude(map, lngLat, altitude, fromMode, toMode) {
+    if (fromMode === toMode) return altitude;
+    const ground = getGroundElevation(map, lngLat) ?? 0;
+    return toMode === 'AMSL' ? altitude + ground : altitude - ground;
+}
+
+/**
+ * Altitude to draw 3D content at so it sits right over the rendered terrain
+ * @param {import('maplibre-gl').Map} map
+ * @param {[number, number]} lngLat - [lon, lat]
+ * @param {number} altitude - Altitude in meters
+ * @param {'AGL'|'AMSL'} mode - Reference of `altitude`
+ * @returns {number} Render altitude in meters
+ */
+export function getRenderAltitude(map, lngLat, altitude, mode) {
+    const ground = getGroundElevation(map, lngLat) ?? 0;
+    return renderAltitudeFromGround(map, altitude, mode, ground);
+}
+
+/**
+ * Same as getRenderAltitude for a location whose ground elevation is already known
+ * @param {import('maplibre-gl').Map} map
+ * @param {number} altitude - Altitude in meters
+ * @param {'AGL'|'AMSL'} mode - Reference of `altitude`
+ * @param {number} ground - True ground elevation in meters
+ * @returns {number} Render altitude in meters
+ */
+export function renderAltitudeFromGround(map, altitude, mode, ground) {
+    const heightAboveGround = mode === 'AGL' ? altitude : altitude - ground;
+    return ground * getTerrainExaggeration(map) + heightAboveGround;
+}
+
+/**
+ * Sample the ground along the great circle between two points
+ * @param {import('maplibre-gl').Map} map
+ * @param {[number, number]} from - [lon, lat]
+ * @param {[number, number]} to - [lon, lat]
+ * @param {number} spacing - Meters between samples
+ * @param {number} maxSamples - Upper bound on samples for long segments
+ * @returns {{position: [number, number], distance: number, ground: number}[]} Samples from start to end,
+ *   ground in meters AMSL (0 when terrain is disabled)
+ */
+export function sampleTerrainProfile(map, from, to, spacing = 20, maxSamples = 200) {
+    const length = haversineDistance(from, to);
+    const count = Math.min(maxSamples, Math.max(1, Math.ceil(length / spacing)));
+    const samples = [];
+    for (let i = 0; i <= count; i++) {
+        const fraction = i / count;
+        const position = interpolateGreatCircle(from, to, fraction);
+        samples.push({
+            position,
+            distance: length * fraction,
+            ground: getGroundElevation(map, position) ?? 0
+        });
+    }
+    return samples;
+}
@@ -1,31 +1,106 @@
-import { map } from "./main.js";
+import { map, OFFLINE, TILE_SERVER } from "./main.js";
 import * as THREE from 'three';
 import * as MTP from '@dvt3d/maplibre-three-plugin';
-import { Drone } from './drone.js';
-import { Navigation } from './navigation.js';
+import { DroneRegistry } from './registry.js';
 import { UI } from './ui.js';
 import { initTrail } from './trail.js';
+import { GeofenceManager } from './geofence.js';
+import { TelemetryClient } from './telemetry.js';
+import { FlightRecorder } from './recording.js';
+import { FlightPlayback } from './playback.js';
+import { CameraController } from './camera.js';
+import { ModelManager } from './models.js';
+import { PickingController } from './picking.js';
+import { HudControl } from './hud.js';
+import { watchExternalRequests } from './offline.js';
+import { WindField } from './weather.js';
+import { BatterySimulator } from './battery.js';
+import { simulationClock } from './clock.js';
 
 export async function init() {
     // Initialize 3D scene
     const mapScene = new MTP.MapScene(map);
     mapScene.addLight(new THREE.AmbientLight(0xffffff, 0.8));
 
+    // Picking and the model gizmo raycast with the plugin's camera, whose
+    // inverse projection the plugin leaves stale
+    const sceneCamera = mapScene.camera;
+    const syncInverseProjection = () => sceneCamera.projectionMatrixInverse.copy(sceneCamera.projectionMatrix).invert();
+    map.on('move', syncInverseProjection);
+    map.on('resize', syncInverseProjection);
+    syncInverseProjection();
+
     // Initialize trail system
     initTrail(map);
 
-    // Create drone instance
-    const drone = new Drone(33.3823, 35.1856, 50);
+    // Geofences every drone has to respect
+    const geofences = new GeofenceManager(map);
+
+    // Wind every simulated drone flies through, calm until set
+    const wind = new WindField();
+
+    // Create the fleet registry shared by navigation, trails and UI
+    const registry = new DroneRegistry(map, mapScene, geofences, wind);
     
+    // Make registry, geofences and wind available globally for debugging and external access
+    window.registry = registry;
+    window.geofences = geofences;
+    window.wind = wind;
+
+    // Live telemetry feed, connects on start when the page URL names a server (?telemetry=ws://...)
+    const telemetry = new TelemetryClient(registry, map);
+    window.telemetry = telemetry;
+
+    // Every flight is recorded and can be played back on the timeline
+    const recorder = new FlightRecorder(registry, map, telemetry);
+    const playback = new FlightPlayback(registry, map, telemetry);
+    window.recorder = recorder;
+    window.playback = playback;
+
+    // Simulated drones drain their batteries and come home on the reserve
+    const battery = new BatterySimulator(map, registry, telemetry, playback, wind);
+    window.battery = battery;
+
+    // Camera that keeps following a drone
+    const camera = new CameraController(map, registry);
+    window.camera = camera;
+
+    // Buildings, vehicles and equipment staged around the drones
+    const models = new ModelManager(map, mapScene);
+    window.models = models;
+
+    // Hover highlights and click popups for drones, models and trails
+    const picking = new PickingController(map, mapScene, registry, models);
+    window.picking = picking;
+
+    // Flight instruments of the selected drone
+    map.addControl(new HudControl(registry, wind), 'top-right');
+
+    // Offline deployments have no internet, tell the operator what still
+    // needs it. Watched before the model loads, so a failed load does not
+    // stop the check; the console always gets the requests, the UI once it is up.
+    let ui = null;
+    const externalHosts = new Set();
+    const notifyExternal = (host) => ui.notify(`Offline mode: requests to ${host} will fail without internet`, 'warning');
+    if (OFFLINE) {
+        watchExternalRequests([location.origin, TILE_SERVER], (url) => {
+            const { host } = new URL(url);
+            if (externalHosts.has(host)) return;
+            externalHosts.add(host);
+            if (ui) notifyExternal(host);
+        });
+    }
+
     try {
-        // Load drone model
-        await drone.loadModel(mapScene);
-        
-        // Initialize navigation system
-        const navigation = new Navigation(drone, map);
+        // Create the first drone and load its model
+        await registry.add(null, 33.3823, 35.1856, 50);
         
         // Initialize UI
-        const ui = new UI(drone, navigation, map);
+        ui = new UI(registry, map, geofences, telemetry, recorder, playback, camera, models, picking, wind, battery);
+        externalHosts.forEach(notifyExternal);
+
+        const telemetryUrl = new URLSearchParams(location.search).get('telemetry');
+        if (telemetryUrl) telemetry.connect(telemetryUrl);
         
         console.log("3D map system initialized successfully");
         
@@ -33,6 +108,16 @@ export async function init() {
         console.error("Failed to load drone model:", error);
     }
 
-    // Set up render loop
-    map.on('render', () => mapScene.render());
+    // Set up render loop. Model animations, e.g. rotors, advance with the
+    // simulation clock on every frame and keep the map drawing while they run.
+    const animationClock = new THREE.Clock();
+    map.on('render', () => {
+        const delta = animationClock.getDelta() * (simulationClock.paused ? 0 : simulationClock.timeScale);
+        let animating = false;
+        for (const { drone } of registry) {
+            if (drone.animate(delta, map)) animating = true;
+        }
+        mapScene.render();
+        if (animating) map.triggerRepaint();
+    });
 }
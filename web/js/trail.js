@@ -1,18 +1,92 @@
-import { Matrix4 } from 'https://cdn.jsdelivr.net/npm/math.gl@4.0.0/+esm';
 /**
  * Deck.gl-based 3D trail system for drone path visualization
  * Compatible with MapLibre GL JS using the MapboxOverlay pattern
+ *
+ * Every trail keeps the whole flight as time-stamped vertices. The recent
+ * part stays at full resolution, older history is simplified with
+ * Douglas-Peucker so long missions stay light. Trails draw as one deck.gl
+ * PathLayer per drone, or a TripsLayer when only a fading or time-windowed
+ * tail is shown. Layers are redrawn at most once per frame and their
+ * attributes only recomputed for trails that changed (updateTriggers).
+ *
+ * Vertices are colored along a continuous ramp by one metric at a time:
+ * ground speed, climb rate, altitude AGL, signal strength or battery.
  */
-import { deckOverlay } from './main.js';
+import { setDeckLayers } from './main.js';
+import { EARTH_RADIUS, vincentyDistance } from './geo.js';
+import { getGroundElevation, renderAltitudeFromGround } from './terrain.js';
 let mapInstance = null;
 let globalIsTrailVisible = true; // Use a global visibility flag
 
+const MIN_SEGMENT_LENGTH = 1;     // meters, shorter moves are not recorded
+const RECENT_VERTICES = 500;      // newest vertices kept at full resolution
+const DECIMATION_BATCH = 500;     // older vertices collected before simplifying them at once
+const DECIMATION_TOLERANCE = 1;   // meters a simplified trail may deviate from the flown path
+const TRAIL_WIDTH = 3;            // pixels
+const DEFAULT_TAIL_LENGTH = 60;   // seconds of tail in the fade and window modes
+const NO_DATA_COLOR = [150, 150, 150]; // vertices without a value for the metric, e.g. no battery report
+
+/**
+ * Color ramps as evenly spaced stops from the low to the high end of a
+ * metric's domain. Add entries to offer more.
+ */
+export const COLOR_RAMPS = {
+    heat: [[0, 200, 0], [255, 255, 0], [255, 165, 0], [255, 0, 0]],
+    viridis: [[68, 1, 84], [59, 82, 139], [33, 145, 140], [94, 201, 98], [253, 231, 37]],
+    diverging: [[33, 102, 172], [247, 247, 247], [178, 24, 43]],
+    redToGreen: [[215, 48, 39], [254, 224, 139], [26, 152, 80]]
+};
+
+/**
+ * Metrics trails can be colored by, with their default domain and ramp
+ */
+export const TRAIL_METRICS = {
+    speed: { label: 'Ground speed', unit: 'm/s', domain: [0, 15], ramp: 'heat' },
+    climb: { label: 'Climb rate', unit: 'm/s', domain: [-3, 3], ramp: 'diverging' },
+    altitude: { label: 'Altitude AGL', unit: 'm', domain: [0, 150], ramp: 'viridis' },
+    signal: { label: 'Signal strength', unit: '%', domain: [0, 100], ramp: 'redToGreen' },
+    battery: { label: 'Battery', unit: '%', domain: [0, 100], ramp: 'redToGreen' }
+};
+
+/**
+ * How much of each trail is drawn: the whole history, a tail fading out
+ * over the tail length, or only the last tail length seconds
+ */
+export const TRAIL_MODES = ['full', 'fade', 'window'];
+
+/**
+ * @typedef {Object} TrailVertex
+ * @property {number} t - Seconds on the clock of whatever moved the drone
+ * @property {[number, number, number]} position - [lon, lat, altitude AMSL]
+ * @property {number} ground - Ground elevation in meters under the vertex
+ * @property {number} speed - Ground speed in m/s
+ * @property {number} verticalSpeed - Climb (+) or descent (-) rate in m/s
+ * @property {number|null} battery - % remaining, null when unknown
+ * @property {number|null} signal - % link quality, null when unknown
+ */
+
+/**
+ * @typedef {Object} TrailMetrics
+ * @property {number} [speed] - Ground speed in m/s
+ * @property {number} [verticalSpeed] - Climb (+) or descent (-) rate in m/s
+ * @property {number|null} [battery] - % remaining
+ * @property {number|null} [signal] - % link quality
+ */
+
 /**
- * Trail manager class for handling deck.gl line layers
+ * Trail manager class for handling deck.gl path layers.
+ * Dispatches `coloring` (detail: see getColoring) when the trail colors change.
  */
-export class TrailManager {
+export class TrailManager extends EventTarget {
     constructor() {
+        super();
         this.droneTrails = new Map();
+        this.coloring = { metric: 'speed', domain: TRAIL_METRICS.speed.domain, ramp: TRAIL_METRICS.speed.ramp };
+        this.coloringVersion = 0;
+        this.mode = 'full';
+        this.tailLength = DEFAULT_TAIL_LENGTH;
+        this.terrainVersion = 0;     // bumped when the rendered ground moves under every trail
+        this.updateFrame = null;
     }
 
     createTrailForDrone(droneId, map) {
@@ -34,7 +108,7 @@ export class TrailManager {
 
     clearAllTrails() {
         for (const trail of this.droneTrails.values()) {
-            trail.clear(); // This will trigger one update, which is fine
+            trail.clear();
         }
     }
 
@@ -44,36 +118,122 @@ export class TrailManager {
         return globalIsTrailVisible;
     }
 
+    /**
+     * @param {'full'|'fade'|'window'} mode - One of TRAIL_MODES
+     * @param {number} tailLength - Seconds of tail in the fade and window modes
+     */
+    setMode(mode, tailLength = this.tailLength) {
+        if (!TRAIL_MODES.includes(mode)) {
+            throw new Error(`Unknown trail mode "${mode}"`);
+        }
+        this.mode = mode;
+        this.tailLength = tailLength;
+        this.updateAllLayers();
+    }
+
+    /**
+     * Color every trail by a metric
+     * @param {keyof TRAIL_METRICS} metric - What the colors show
+     * @param {Object} options
+     * @param {[number, number]} [options.domain] - Values at the two ends of the ramp, the metric's default otherwise
+     * @param {keyof COLOR_RAMPS} [options.ramp] - Ramp name, the metric's default otherwise
+     */
+    setColoring(metric, { domain, ramp } = {}) {
+        const defaults = TRAIL_METRICS[metric];
+        if (!defaults) {
+            throw new Error(`Unknown trail metric "${metric}"`);
+        }
+        if (ramp && !COLOR_RAMPS[ramp]) {
+            throw new Error(`Unknown color ramp "${ramp}"`);
+        }
+        this.coloring = { metric, domain: domain ?? defaults.domain, ramp: ramp ?? defaults.ramp };
+        this.coloringVersion++;
+        this.updateAllLayers();
+        this.dispatchEvent(new CustomEvent('coloring', { detail: this.getColoring() }));
+    }
+
+    /**
+     * @returns {{metric: string, label: string, unit: string, domain: [number, number], ramp: string, stops: number[][]}} Current coloring
+     */
+    getColoring() {
+        const { metric, domain, ramp } = this.coloring;
+        const { label, unit } = TRAIL_METRICS[metric];
+        return { metric, label, unit, domain: [...domain], ramp, stops: COLOR_RAMPS[ramp] };
+    }
+
+    /**
+     * Color of a vertex under the current coloring
+     * @param {TrailVertex} vertex
+     * @returns {number[]} RGB
+     */
+    colorOf(vertex) {
+        const { metric, domain: [low, high], ramp } = this.coloring;
+        const value = metricValue(vertex, metric);
+        if (value === null || !Number.isFinite(value)) return NO_DATA_COLOR;
+        return rampColor(COLOR_RAMPS[ramp], (value - low) / (high - low));
+    }
+
+    /**
+     * Redraw on the next animation frame, however many trails changed until then
+     */
     updateAllLayers() {
-        const layers = [];
+        if (this.updateFrame !== null) return;
+        this.updateFrame = requestAnimationFrame(() => {
+            this.updateFrame = null;
+            this.render();
+        });
+    }
 
-        //130 is the offset to level the line with the drone model
-        const VERTICAL_OFFSET = 130;
+    /**
+     * The ground moved under every trail, e.g. terrain toggled or exaggerated
+     */
+    invalidateTerrain() {
+        this.terrainVersion++;
+        this.updateAllLayers();
+    }
 
-        const modelMatrix = new Matrix4().translate([0, 0, VERTICAL_OFFSET]);
+    /** @private */
+    render() {
+        const layers = [];
 
         // Only add layers if they are globally visible
         if (globalIsTrailVisible) {
             for (const trail of this.droneTrails.values()) {
-                layers.push(
-                    new LineLayer({
-                        id: trail.layerId,
-                        data: trail.getPathSegments(),
-                        modelMatrix: modelMatrix,
-                        getSourcePosition: d => d.source,
-                        getTargetPosition: d => d.dest,
-                        getColor: d => d.color,
-                        getWidth: d => d.width,
-                        widthMinPixels: 2,
-                        widthMaxPixels: 8
-                    })
-                );
+                if (trail.vertices.length < 2) continue;
+                const props = {
+                    id: trail.layerId,
+                    data: trail.data, // same array every time, updateTriggers say what changed
+                    getPath: d => d.getRenderPath(),
+                    getColor: d => d.getColors(),
+                    getWidth: TRAIL_WIDTH,
+                    widthUnits: 'pixels',
+                    widthMinPixels: 2,
+                    jointRounded: true,
+                    capRounded: true,
+                    pickable: true,
+                    autoHighlight: true,
+                    highlightColor: [255, 255, 255, 160],
+                    updateTriggers: {
+                        getPath: [trail.version, this.terrainVersion],
+                        getColor: [trail.version, this.coloringVersion]
+                    }
+                };
+                if (this.mode === 'full') {
+                    layers.push(new PathLayer(props));
+                } else {
+                    layers.push(new TripsLayer({
+                        ...props,
+                        getTimestamps: d => d.getTimestamps(),
+                        currentTime: trail.currentTime - trail.origin,
+                        trailLength: this.tailLength,
+                        fadeTrail: this.mode === 'fade',
+                        updateTriggers: { ...props.updateTriggers, getTimestamps: trail.version }
+                    }));
+                }
             }
         }
-        console.log('About to set props. Layers array:', layers);
-        // debugger; // This will pause execution in your browser's dev tools
 
-        deckOverlay.setProps({ layers: layers });
+        setDeckLayers('trails', layers);
     }
 }
 
@@ -86,104 +246,246 @@ export class DroneTrail {
         this.droneId = droneId;
         this.map = map;
         this.layerId = `drone-trail-${droneId}`;
-        this.pathSegments = [];
+        /** @type {TrailVertex[]} */
+        this.vertices = [];
+        this.simplifiedCount = 0;  // leading vertices that are already decimated
+        this.origin = 0;           // time of the first vertex, TripsLayer timestamps count from it
+        this.currentTime = 0;      // latest time reported, also while hovering in place
+        this.version = 0;          // bumped on every change, drives the layer's updateTriggers
+        this.data = [this];        // stable data array for the layer
         console.log(`DroneTrail data handler created for: ${droneId}`);
     }
 
-    addPathSegment(fromPosition, toPosition, velocity = 0) {
-        if (this.calculateDistance(fromPosition, toPosition) < 0.000009) {
-            return;
-        }
-        const color = this.getColorByVelocity(velocity);
-        const width = this.getWidthByAltitude(toPosition[2]);
-        const segment = {
-            source: [...fromPosition],
-            dest: [...toPosition],
-            color: color,
-            width: width,
-            velocity: velocity
-        };
-        this.pathSegments.push(segment);
-        if (this.pathSegments.length > 300) {
-            this.pathSegments.shift();
+    /**
+     * Append a vertex unless the drone moved less than MIN_SEGMENT_LENGTH
+     * @param {[number, number, number]} position - [lon, lat, altitude AMSL]
+     * @param {number} ground - Ground elevation under the position
+     * @param {number} time - Seconds, increasing along the flight
+     * @param {TrailMetrics} metrics - Values the trail can be colored by
+     * @returns {boolean} Whether the trail changed
+     */
+    addVertex(position, ground, time, metrics = {}) {
+        const last = this.vertices[this.vertices.length - 1];
+
+        // A clock that went back, e.g. another flight source, starts afresh
+        if (last && time < last.t) {
+            this.vertices = [];
+            this.simplifiedCount = 0;
+        } else if (last && this.calculateDistance(last.position, position) < MIN_SEGMENT_LENGTH) {
+            this.currentTime = time;
+            return this.vertices.length > 1 && trailManager.mode !== 'full';
         }
-        trailManager.updateAllLayers();
-    }
-  
-  
-    destroy() {
-        this.pathSegments = [];
-        console.log(`Trail data destroyed for drone: ${this.droneId}`);
+
+        if (this.vertices.length === 0) this.origin = time;
+        this.vertices.push({
+            t: time,
+            position: [...position],
+            ground,
+            speed: metrics.speed ?? 0,
+            verticalSpeed: metrics.verticalSpeed ?? 0,
+            battery: metrics.battery ?? null,
+            signal: metrics.signal ?? null
+        });
+        this.currentTime = time;
+        this.decimate();
+        this.version++;
+        return true;
     }
 
     /**
-     * Get color based on velocity (green=slow, yellow=medium, red=fast)
-     * @param {number} velocity - Velocity in m/s
-     * @returns {[number, number, number]} RGB color array
+     * Simplify the history older than the RECENT_VERTICES newest vertices,
+     * a batch at a time so every vertex is simplified only once
+     * @private
      */
-    getColorByVelocity(velocity) {
-        if (velocity < 2) return [0, 255, 0];     // Green for slow
-        if (velocity < 8) return [255, 255, 0];   // Yellow for medium  
-        if (velocity < 15) return [255, 165, 0];  // Orange for fast
-        return [255, 0, 0];                       // Red for very fast
+    decimate() {
+        const end = this.vertices.length - 1 - RECENT_VERTICES;
+        if (end - this.simplifiedCount < DECIMATION_BATCH) return;
+
+        // From the last simplified vertex to the oldest recent one, both kept
+        const start = this.simplifiedCount;
+        const section = this.vertices.slice(start, end + 1);
+        const kept = simplifyPath(section, DECIMATION_TOLERANCE);
+        this.vertices.splice(start, section.length, ...kept);
+        this.simplifiedCount = start + kept.length - 1;
     }
 
-    /**
-     * Get line width based on altitude (thicker at higher altitudes)
-     * @param {number} altitude - Altitude in meters
-     * @returns {number} Line width
-     */
-    getWidthByAltitude(altitude) {
-        const baseWidth = 3;
-        const altitudeFactor = Math.max(1, altitude / 100); // Scale with altitude
-        return Math.min(baseWidth * altitudeFactor, 8); // Cap at 8 pixels
+    destroy() {
+        this.vertices = [];
+        console.log(`Trail data destroyed for drone: ${this.droneId}`);
     }
 
     /**
-     * Calculate distance between two coordinates
+     * Calculate distance between two coordinates, including the altitude change
      * @param {[number, number, number]} pos1 - First position
      * @param {[number, number, number]} pos2 - Second position
-     * @returns {number} Distance in degrees
+     * @returns {number} Distance in meters
      */
     calculateDistance(pos1, pos2) {
-        const dx = pos2[0] - pos1[0];
-        const dy = pos2[1] - pos1[1];
-        return Math.sqrt(dx * dx + dy * dy);
+        const ground = vincentyDistance(pos1, pos2);
+        const dz = (pos2[2] || 0) - (pos1[2] || 0);
+        return Math.sqrt(ground * ground + dz * dz);
     }
 
-   
     clear() {
-        this.pathSegments = [];
+        this.vertices = [];
+        this.simplifiedCount = 0;
+        this.version++;
         // Tell the manager to redraw everything, which will remove this trail's line
         trailManager.updateAllLayers();
         console.log(`Trail cleared for drone: ${this.droneId}`);
     }
 
+    /**
+     * Positions lifted the same way as the drone model, so both line up at
+     * any terrain exaggeration
+     * @returns {[number, number, number][]}
+     */
+    getRenderPath() {
+        return this.vertices.map(({ position: [lon, lat, altitude], ground }) =>
+            [lon, lat, renderAltitudeFromGround(this.map, altitude, 'AMSL', ground)]);
+    }
+
+    /**
+     * @returns {number[]} Seconds since the first vertex, for the TripsLayer
+     */
+    getTimestamps() {
+        return this.vertices.map(vertex => vertex.t - this.origin);
+    }
+
+    /**
+     * @returns {number[][]} Color of every vertex under the manager's coloring
+     */
+    getColors() {
+        return this.vertices.map(vertex => trailManager.colorOf(vertex));
+    }
 
     /**
-     * Get current path segments
-     * @returns {Array} Copy of path segments
+     * Vertex nearest to a point, e.g. where the trail was clicked
+     * @param {[number, number]} lngLat - [lon, lat]
+     * @returns {TrailVertex|null}
      */
-    getPathSegments() {
-        return [...this.pathSegments];
+    nearestVertex(lngLat) {
+        // Equirectangular distance is plenty to tell the vertices around one click apart
+        const scale = Math.cos(lngLat[1] * Math.PI / 180);
+        let nearest = null;
+        let best = Infinity;
+        for (const vertex of this.vertices) {
+            const dx = (vertex.position[0] - lngLat[0]) * scale;
+            const dy = vertex.position[1] - lngLat[1];
+            const distance = dx * dx + dy * dy;
+            if (distance < best) {
+                best = distance;
+                nearest = vertex;
+            }
+        }
+        return nearest;
     }
 
     /**
      * Get trail statistics
-     * @returns {Object} Trail statistics
+     * @returns {{vertexCount: number, totalDistance: number, duration: number, avgVelocity: number}} Trail statistics, distance in meters, duration in seconds and velocity in m/s
      */
     getStats() {
+        const { vertices } = this;
+        let totalDistance = 0;
+        for (let i = 1; i < vertices.length; i++) {
+            totalDistance += this.calculateDistance(vertices[i - 1].position, vertices[i].position);
+        }
+        const duration = vertices.length > 1 ? vertices[vertices.length - 1].t - vertices[0].t : 0;
         return {
-            segmentCount: this.pathSegments.length,
-            totalDistance: this.pathSegments.reduce((total, segment) => {
-                return total + this.calculateDistance(segment.source, segment.dest);
-            }, 0),
-            avgVelocity: this.pathSegments.length > 0 ? 
-                this.pathSegments.reduce((sum, seg) => sum + (seg.velocity || 0), 0) / this.pathSegments.length : 0
+            vertexCount: vertices.length,
+            totalDistance,
+            duration,
+            avgVelocity: duration > 0 ? totalDistance / duration : 0
         };
     }
 }
 
+/**
+ * Douglas-Peucker simplification in local meters, altitude included
+ * @param {TrailVertex[]} vertices - Path to simplify
+ * @param {number} tolerance - Meters the result may deviate from the path
+ * @returns {TrailVertex[]} Kept vertices, always the first and last
+ */
+export function simplifyPath(vertices, tolerance) {
+    if (vertices.length <= 2) return vertices.slice();
+
+    // Flat projection around the first vertex is plenty over a trail's extent
+    const [lon0, lat0] = vertices[0].position;
+    const metersPerDegree = EARTH_RADIUS * Math.PI / 180;
+    const cosLat = Math.cos(lat0 * Math.PI / 180);
+    const points = vertices.map(({ position: [lon, lat, altitude] }) =>
+        [(lon - lon0) * metersPerDegree * cosLat, (lat - lat0) * metersPerDegree, altitude]);
+
+    const keep = new Uint8Array(vertices.length);
+    keep[0] = keep[vertices.length - 1] = 1;
+    const stack = [[0, vertices.length - 1]];
+    while (stack.length > 0) {
+        const [first, last] = stack.pop();
+        let farthest = -1;
+        let maxDistance = tolerance;
+        for (let i = first + 1; i < last; i++) {
+            const distance = distanceToSegment(points[i], points[first], points[last]);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                farthest = i;
+            }
+        }
+        if (farthest !== -1) {
+            keep[farthest] = 1;
+            stack.push([first, farthest], [farthest, last]);
+        }
+    }
+    return vertices.filter((_, index) => keep[index]);
+}
+
+/**
+ * @param {TrailVertex} vertex
+ * @param {keyof TRAIL_METRICS} metric
+ * @returns {number|null} The vertex's value, null when unknown
+ */
+function metricValue(vertex, metric) {
+    switch (metric) {
+        case 'speed': return vertex.speed;
+        case 'climb': return vertex.verticalSpeed;
+        case 'altitude': return vertex.position[2] - vertex.ground;
+        case 'signal': return vertex.signal;
+        case 'battery': return vertex.battery;
+        default: return null;
+    }
+}
+
+/**
+ * Every metric of a vertex, e.g. to describe a picked point of a trail
+ * @param {TrailVertex} vertex
+ * @returns {Object<string, number|null>} Values by TRAIL_METRICS key, null when unknown
+ */
+export function getVertexMetrics(vertex) {
+    return Object.fromEntries(Object.keys(TRAIL_METRICS).map(metric => [metric, metricValue(vertex, metric)]));
+}
+
+/**
+ * Blend the color at a fraction of a ramp
+ * @param {number[][]} stops - Evenly spaced RGB stops
+ * @param {number} f - 0 for the first stop, 1 for the last, clamped
+ * @returns {number[]} RGB
+ */
+export function rampColor(stops, f) {
+    const position = Math.max(0, Math.min(1, f)) * (stops.length - 1);
+    const index = Math.min(Math.floor(position), stops.length - 2);
+    const local = position - index;
+    const [from, to] = [stops[index], stops[index + 1]];
+    return from.map((channel, i) => Math.round(channel + (to[i] - channel) * local));
+}
+
+function distanceToSegment(p, a, b) {
+    const ab = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+    const ap = [p[0] - a[0], p[1] - a[1], p[2] - a[2]];
+    const lengthSquared = ab[0] ** 2 + ab[1] ** 2 + ab[2] ** 2;
+    const f = lengthSquared > 0 ? Math.max(0, Math.min(1, (ap[0] * ab[0] + ap[1] * ab[1] + ap[2] * ab[2]) / lengthSquared)) : 0;
+    return Math.hypot(ap[0] - ab[0] * f, ap[1] - ab[1] * f, ap[2] - ab[2] * f);
+}
+
 // Global trail manager instance
 const trailManager = new TrailManager();
 
@@ -193,50 +495,78 @@ const trailManager = new TrailManager();
  */
 export function initTrail(map) {
     mapInstance = map;
+    // Terrain toggles and exaggeration changes move the rendered ground
+    map.on('terrain', () => trailManager.invalidateTerrain());
     console.log('Deck.gl 3D Trail system initialized');
 }
 
 /**
- * Add trail point for default drone (maintains compatibility with existing code)
+ * Add trail point for a drone, creating its trail on first use
+ * @param {string} droneId - Id of the drone the point belongs to
  * @param {[number, number]} coordinates - [longitude, latitude]
- * @param {number|null} altitude - Altitude in meters
- * @param {number} velocity - Velocity for color coding
+ * @param {number|null} altitude - Altitude in meters above mean sea level
+ * @param {TrailMetrics} metrics - Values for color coding, see droneMetrics()
+ * @param {number} time - Seconds on the clock moving the drone, wall clock by default
  */
-export function addTrailPoint(coordinates, altitude = null, velocity = 0) {
-    console.log('addTrailPoint called with:', coordinates); 
-    const defaultDroneId = 'default-drone';
-    let trail = trailManager.getTrail(defaultDroneId);
-    
+export function addTrailPoint(droneId, coordinates, altitude = null, metrics = {}, time = performance.now() / 1000) {
+    let trail = trailManager.getTrail(droneId);
+
     if (!trail && mapInstance) {
-        trail = trailManager.createTrailForDrone(defaultDroneId, mapInstance, altitude);
+        trail = trailManager.createTrailForDrone(droneId, mapInstance);
     }
-    
+
     if (trail) {
-        const currentPos = [coordinates[0], coordinates[1], altitude || 0];
-        const segments = trail.getPathSegments();
-        
-        if (segments.length > 0) {
-            const lastSegment = segments[segments.length - 1];
-            trail.addPathSegment(lastSegment.dest, currentPos, velocity);
-        } else {
-            // For the first point, create a minimal segment
-            const startPos = [currentPos[0] - 0.00001, currentPos[1] - 0.00001, currentPos[2]];
-            trail.addPathSegment(startPos, currentPos, velocity);
+        const ground = getGroundElevation(mapInstance, coordinates) ?? 0;
+        if (trail.addVertex([coordinates[0], coordinates[1], altitude || 0], ground, time, metrics)) {
+            trailManager.updateAllLayers();
         }
     }
 }
 
 /**
- * Clear trail for default drone (maintains compatibility)
- * @param {import('maplibre-gl').Map} map - Map instance (unused but kept for compatibility)
+ * Replace the trail of a drone in a single redraw, e.g. when a flight
+ * recording is scrubbed to another moment
+ * @param {string} droneId - Id of the drone the points belong to
+ * @param {{coordinates: [number, number], altitude: number, metrics: TrailMetrics, time: number}[]} points - Oldest first, altitudes AMSL
+ */
+export function setTrailPoints(droneId, points) {
+    let trail = trailManager.getTrail(droneId);
+    if (!trail && mapInstance) {
+        trail = trailManager.createTrailForDrone(droneId, mapInstance);
+    }
+    if (!trail) return;
+
+    trail.vertices = [];
+    trail.simplifiedCount = 0;
+    for (const { coordinates, altitude, metrics, time } of points) {
+        const ground = getGroundElevation(mapInstance, coordinates) ?? 0;
+        trail.addVertex([coordinates[0], coordinates[1], altitude], ground, time, metrics);
+    }
+    trail.version++;
+    trailManager.updateAllLayers();
+}
+
+/**
+ * Clear the trail of a drone
+ * @param {string} droneId - Id of the drone whose trail is cleared
  */
-export function clearTrail(map) {
-    const defaultDroneId = 'default-drone';
-    const trail = trailManager.getTrail(defaultDroneId);
+export function clearTrail(droneId) {
+    const trail = trailManager.getTrail(droneId);
     if (trail) {
         trail.clear();
     }
-    console.log('Default drone trail cleared');
+}
+
+/**
+ * Remove a drone's trail entirely, e.g. when the drone leaves the fleet
+ * @param {string} droneId - Id of the drone whose trail is removed
+ */
+export function removeTrail(droneId) {
+    const trail = trailManager.getTrail(droneId);
+    if (trail) {
+        trail.destroy();
+        trailManager.removeTrail(droneId);
+    }
 }
 
 /**
@@ -249,29 +579,54 @@ export function toggleTrailVisibility(map) {
 }
 
 /**
- * Get trail points (maintains compatibility)
- * @returns {Array} Trail segments as coordinate pairs
+ * Show whole trails or only their tails
+ * @param {'full'|'fade'|'window'} mode - One of TRAIL_MODES
+ * @param {number} tailLength - Seconds of tail in the fade and window modes
+ */
+export function setTrailMode(mode, tailLength) {
+    trailManager.setMode(mode, tailLength);
+}
+
+/**
+ * Color every trail by a metric, see TrailManager.setColoring
+ * @param {keyof TRAIL_METRICS} metric - What the colors show
+ * @param {{domain?: [number, number], ramp?: keyof COLOR_RAMPS}} options - Overrides of the metric's defaults
+ */
+export function setTrailColoring(metric, options) {
+    trailManager.setColoring(metric, options);
+}
+
+/**
+ * The values of a drone that trails can be colored by
+ * @param {import('./drone.js').Drone} drone
+ * @returns {TrailMetrics}
+ */
+export function droneMetrics(drone) {
+    return { speed: drone.speed, verticalSpeed: drone.vertical_velocity, battery: drone.battery, signal: drone.signal };
+}
+
+/**
+ * Get trail points of a drone
+ * @param {string} droneId - Id of the drone
+ * @returns {[number, number, number][]} [lon, lat, altitude AMSL] of every vertex, oldest first
  */
-export function getTrailPoints() {
-    const defaultDroneId = 'default-drone';
-    const trail = trailManager.getTrail(defaultDroneId);
+export function getTrailPoints(droneId) {
+    const trail = trailManager.getTrail(droneId);
     if (trail) {
-        return trail.getPathSegments().map(segment => [
-            segment.dest[0], segment.dest[1], segment.dest[2]
-        ]);
+        return trail.vertices.map(vertex => [...vertex.position]);
     }
     return [];
 }
 
 /**
- * Check if trail is empty (maintains compatibility)
+ * Check if a drone's trail is empty
+ * @param {string} droneId - Id of the drone
  * @returns {boolean}
  */
-export function isTrailEmpty() {
-    const defaultDroneId = 'default-drone';
-    const trail = trailManager.getTrail(defaultDroneId);
-    return !trail || trail.getPathSegments().length === 0;
+export function isTrailEmpty(droneId) {
+    const trail = trailManager.getTrail(droneId);
+    return !trail || trail.vertices.length === 0;
 }
 
 // Export the trail manager for advanced use cases
-export { trailManager };
\ No newline at end of file
+export { trailManager };
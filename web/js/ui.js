@@ -1,91 +1,1269 @@
-import { addTargetMarker } from './markers.js';
-import { clearTrail, toggleTrailVisibility } from './trail.js';
+import { addTargetMarker, removeTargetMarker, renderFenceDraft, removeFenceDraft, renderPlannedPath, removePlannedPath } from './markers.js';
+import { createWaypoint } from './mission.js';
+import { MISSION_FORMATS, RECORDING_FORMATS, parseMissionFile, serializeMission, serializeRecording } from './formats.js';
+import { simulationClock } from './clock.js';
+import { normalizeBearing } from './geo.js';
+import { ALTITUDE_MODES, convertAltitude, getGroundElevation } from './terrain.js';
+import { CLEARANCE_RESPONSES } from './navigation.js';
+import { BREACH_RESPONSES, createGeofence, describeBreach } from './geofence.js';
+import { listRecordings, loadRecording, deleteRecording } from './recording.js';
+import { PLAYBACK_SPEEDS } from './playback.js';
+import { MODEL_FORMATS } from './models.js';
+import { CAMERA_MODES } from './camera.js';
+import { ControlPanel, KeyboardShortcuts } from './panel.js';
+import { ManualPilot } from './pilot.js';
+import { TerrainAnalysis } from './analysis.js';
+import { SurveyOverlay, planSurvey } from './survey.js';
+import { collectObstacles, planPath } from './planner.js';
+import { WindParticles, formatWindLayers, parseWindLayers } from './weather.js';
+import { clearTrail, toggleTrailVisibility, setTrailMode, setTrailColoring, TRAIL_METRICS } from './trail.js';
+
+// Simulation speed choices, 0 pauses the clock
+const TIME_SCALES = [0, 0.5, 1, 2, 10];
+// Minimum terrain clearance choices in meters
+const CLEARANCES = [5, 10, 20, 50, 100];
+const NOTIFICATION_DURATION = 5000; // ms a notification stays on screen
+const BREACH_RESPONSE_LABELS = { hover: "Breach: Hover", rtl: "Breach: Return Home", land: "Breach: Land" };
+const BREACH_ACTIONS = { hover: "hovering", rtl: "returning home", land: "landing" };
+const TRAIL_MODE_LABELS = { full: "Trail: Full", fade: "Trail: Fading Tail", window: "Trail: Last Minute" };
+const TRAIL_TAIL_LENGTH = 60; // seconds of tail in the fade and window modes
+const GIZMO_MODE_LABELS = { translate: "Gizmo: Move", rotate: "Gizmo: Rotate", scale: "Gizmo: Scale" };
+const ANALYSIS_TOOLS = ['measure', 'area', 'sight', 'sightLine']; // tool modes that click terrain analysis points
+const POINT_TOOLS = [...ANALYSIS_TOOLS, 'survey']; // tool modes whose clicks go to addToolPoint
+const SIGHT_HEIGHT = 2; // meters AGL of the points clicked for lines of sight, a standing person's eyes
+// Survey ground sampling distance choices in cm/px, and photo overlap choices in %
+const SURVEY_GSDS = [1, 2, 3, 5];
+const FRONT_OVERLAPS = [60, 70, 75, 80, 85];
+const SIDE_OVERLAPS = [50, 60, 65, 70, 80];
+// Wind speed and gust choices in m/s, and the directions the wind can blow from
+const WIND_SPEEDS = [0, 2, 5, 8, 12];
+const GUST_SPEEDS = [0, 2, 4, 6];
+const WIND_DIRECTIONS = { N: 0, NE: 45, E: 90, SE: 135, S: 180, SW: 225, W: 270, NW: 315 };
+const CAMERA_MODE_LABELS = { free: "Camera: Free", chase: "Camera: Chase", 'first-person': "Camera: First Person", orbit: "Camera: Orbit", 'top-down': "Camera: Top-Down" };
 
 export class UI {
-    constructor(drone, navigation, map) {
-        this.drone = drone;
-        this.navigation = navigation;
+    /**
+     * @param {import('./registry.js').DroneRegistry} registry - Fleet whose selected drone the controls act on
+     * @param {import('maplibre-gl').Map} map - The MapLibre map instance
+     * @param {import('./geofence.js').GeofenceManager} geofences - Fences drawn and loaded from the controls
+     * @param {import('./telemetry.js').TelemetryClient} telemetry - Live feed toggled from the controls
+     * @param {import('./recording.js').FlightRecorder} recorder - Records the flights listed in the controls
+     * @param {import('./playback.js').FlightPlayback} playback - Plays recordings on the timeline
+     * @param {import('./camera.js').CameraController} camera - Follows the selected drone
+     * @param {import('./models.js').ModelManager} models - Models placed and edited from the controls
+     * @param {import('./picking.js').PickingController} picking - Popups for clicked drones, models and trails
+     * @param {import('./weather.js').WindField} wind - Wind set from the controls
+     * @param {import('./battery.js').BatterySimulator} battery - Simulated batteries, swapped from the controls
+     */
+    constructor(registry, map, geofences, telemetry, recorder, playback, camera, models, picking, wind, battery) {
+        this.registry = registry;
         this.map = map;
-        this.isSettingTarget = false;
+        this.geofences = geofences;
+        this.telemetry = telemetry;
+        this.recorder = recorder;
+        this.playback = playback;
+        this.camera = camera;
+        this.models = models;
+        this.picking = picking;
+        this.wind = wind;
+        this.battery = battery;
+        this.toolMode = null;    // what a map click does, see setToolMode()
+        this.fenceDraft = null;  // {type, points} while a geofence is being drawn
+        this.toolPoints = [];    // [lon, lat] clicked so far with the measuring, sight line and survey tools
+        this.missionStarts = new Set(); // bridged drones to start once their mission upload is accepted
         this.targetCoordinates = null;
+        this.plannedPath = null; // {id, waypoints} shown for a drone until it is flown
+        this.waypointPopup = null;
         this.buttons = {};
-        
-        this.createButtons();
+        this.shortcuts = new KeyboardShortcuts();
+
+        this.panel = new ControlPanel("Controls");
+        this.createFlightControls();
+        this.createTelemetryControls();
+        this.createMissionControls();
+        this.createTrailControls();
+        this.createRecordingControls();
+        this.createCameraControls();
+        this.createAnalysisControls();
+        this.createSurveyControls();
+        this.createWeatherControls();
+        this.createGeofenceControls();
+        this.createModelControls();
+        this.createShortcutList();
+        this.map.addControl(this.panel, 'top-left');
+
+        this.createNotifications();
         this.setupEventListeners();
     }
 
-    createButtons() {
-        // Fly to Drone button
-        this.buttons.flyToDrone = this.createButton("Fly to Drone", "10px", "10px");
-        this.buttons.flyToDrone.onclick = () => this.flyToDroneCamera();
-
-        // Move Drone button (preset movement)
-        this.buttons.moveDrone = this.createButton("Move Drone", "50px", "10px");
-        this.buttons.moveDrone.onclick = () => this.moveToPresetLocation();
-
-        // Rotate Drone button
-        this.buttons.rotateDrone = this.createButton("Rotate Drone", "90px", "10px");
-        this.buttons.rotateDrone.onclick = () => this.rotateDrone();
-
-        // Set Target button
-        this.buttons.setTarget = this.createButton("Set Target", "130px", "10px");
-        this.buttons.setTarget.onclick = () => this.toggleTargetSetting();
-
-        // Clear Trail button
-        this.buttons.clearTrail = this.createButton("Clear Trail", "170px", "10px");
-        this.buttons.clearTrail.onclick = () => this.clearDroneTrail();
-
-        // Toggle Trail button
-        this.buttons.toggleTrail = this.createButton("Hide Trail", "210px", "10px");
-        this.buttons.toggleTrail.onclick = () => this.toggleTrailVisibility();
-
-        // Test Orientation button (for debugging drone facing direction)
-        this.buttons.testOrientation = this.createButton("Test Orient", "250px", "10px");
-        this.buttons.testOrientation.onclick = () => this.testDroneOrientation();
-    }
-
-    createButton(text, top, left) {
-        const btn = document.createElement('button');
-        btn.textContent = text;
-        Object.assign(btn.style, {
-            position: "absolute",
-            top: top,
-            left: left,
-            zIndex: 10,
-            padding: "8px 12px",
-            backgroundColor: "#007cbf",
-            color: "white",
-            border: "none",
-            borderRadius: "4px",
-            cursor: "pointer",
-            fontSize: "12px"
+    /** @returns {import('./drone.js').Drone|null} The selected drone */
+    get drone() {
+        const selected = this.registry.getSelected();
+        return selected ? selected.drone : null;
+    }
+
+    /** @returns {import('./navigation.js').Navigation|null} Navigation of the selected drone */
+    get navigation() {
+        const selected = this.registry.getSelected();
+        return selected ? selected.navigation : null;
+    }
+
+    /** @returns {import('./mission.js').MissionRunner|null} Mission runner of the selected drone */
+    get missionRunner() {
+        const selected = this.registry.getSelected();
+        return selected ? selected.missionRunner : null;
+    }
+
+    /**
+     * Get the selected drone, telling the user when none is ready
+     * @returns {import('./drone.js').Drone|null}
+     */
+    requireDrone() {
+        if (!this.drone) {
+            alert("No drone selected!");
+            return null;
+        }
+        if (!this.drone.rtcGroup) {
+            alert("Drone not loaded yet!");
+            return null;
+        }
+        return this.drone;
+    }
+
+    /**
+     * Add a panel button, bound to a key when a shortcut is given
+     * @param {import('./panel.js').PanelSection} section - Section the button goes in
+     * @param {string} name - Key in this.buttons
+     * @param {string} label
+     * @param {() => void} action
+     * @param {string} [shortcut] - KeyboardEvent.key of the shortcut, letters in lower case
+     * @returns {HTMLButtonElement}
+     */
+    addButton(section, name, label, action, shortcut) {
+        this.buttons[name] = section.addButton(label, action, { shortcut });
+        if (shortcut) this.shortcuts.register(shortcut, action, label);
+        return this.buttons[name];
+    }
+
+    createFlightControls() {
+        const flight = this.panel.addSection('flight', "Flight");
+
+        // Active drone selector, the brackets step through the fleet
+        this.droneSelect = flight.addSelect(() => this.registry.select(this.droneSelect.value));
+        this.shortcuts.register('[', () => this.selectAdjacentDrone(-1), "Previous drone");
+        this.shortcuts.register(']', () => this.selectAdjacentDrone(1), "Next drone");
+
+        this.addButton(flight, 'addDrone', "Add Drone", () => this.addDrone());
+        this.addButton(flight, 'removeDrone', "Remove Drone", () => this.removeSelectedDrone());
+        this.addButton(flight, 'flyToDrone', "Fly to Drone", () => this.flyToDroneCamera(), 'f');
+        this.addButton(flight, 'setTarget', "Set Target", () => this.toggleTargetSetting(), 't');
+        // Click a target to plan a path around obstacles, shown until flown as a mission
+        this.addButton(flight, 'planPath', "Plan Path", () => this.togglePathPlanning());
+        this.addButton(flight, 'flyPath', "Fly Planned Path", () => this.flyPlannedPath());
+        this.addButton(flight, 'moveDrone', "Move Drone", () => this.moveToPresetLocation());
+        this.addButton(flight, 'rotateDrone', "Rotate Drone", () => this.rotateDrone());
+
+        // Manual flight from the keyboard or a gamepad, autonomous again when toggled off
+        this.pilot = new ManualPilot(this.map, this.registry, this.telemetry, this.shortcuts);
+        this.addButton(flight, 'manualFlight', "Manual Flight", () => this.toggleManualFlight(), 'm');
+        this.pilot.addEventListener('control', (e) => {
+            this.buttons.manualFlight.textContent = e.detail ? "Autonomous" : "Manual Flight";
+            this.buttons.manualFlight.classList.toggle('active', e.detail !== null);
+            this.notify(e.detail ? `${e.detail.id}: manual control, WASD and arrows or gamepad to fly` : "Autonomous control", 'info');
         });
-        
-        // Add hover effect
-        btn.addEventListener('mouseenter', () => {
-            btn.style.backgroundColor = "#005a87";
+        this.pilot.addEventListener('error', (e) => this.notify(e.detail, 'danger'));
+        this.addButton(flight, 'returnHome', "Return Home", () => this.returnSelectedDrone(), 'h');
+        this.addButton(flight, 'land', "Land", () => this.landSelectedDrone(), 'l');
+
+        // Altitude reference selector for the selected drone
+        this.altitudeModeSelect = flight.addSelect(() => this.setAltitudeMode(this.altitudeModeSelect.value));
+        for (const mode of ALTITUDE_MODES) {
+            this.altitudeModeSelect.add(new Option(`Alt ${mode}`, mode));
+        }
+
+        this.addButton(flight, 'terrainFollow', "Terrain Follow: Off", () => this.toggleTerrainFollowing());
+
+        // Minimum terrain clearance and what to do when the path breaks it
+        this.clearanceSelect = flight.addSelect(() => this.setClearance());
+        for (const clearance of CLEARANCES) {
+            this.clearanceSelect.add(new Option(`Clearance ${clearance} m`, String(clearance)));
+        }
+        this.clearanceResponseSelect = flight.addSelect(() => this.setClearance());
+        for (const response of CLEARANCE_RESPONSES) {
+            this.clearanceResponseSelect.add(new Option(response === 'climb' ? "On terrain: Climb" : "On terrain: Stop", response));
+        }
+
+        // Simulation speed selector
+        this.timeScaleSelect = flight.addSelect(() => this.setTimeScale(parseFloat(this.timeScaleSelect.value)));
+        for (const scale of TIME_SCALES) {
+            this.timeScaleSelect.add(new Option(scale === 0 ? "Paused" : `Sim ${scale}x`, String(scale)));
+        }
+        this.timeScaleSelect.value = String(simulationClock.paused ? 0 : simulationClock.timeScale);
+
+        // Keep the selector in sync with the fleet
+        this.registry.addEventListener('add', () => this.updateDroneSelect());
+        this.registry.addEventListener('remove', () => this.updateDroneSelect());
+        this.registry.addEventListener('select', (e) => this.onDroneSelected(e.detail));
+        this.updateDroneSelect();
+        this.updateAltitudeControls();
+    }
+
+    createTrailControls() {
+        const trail = this.panel.addSection('trail', "Trail", { collapsed: true });
+        this.addButton(trail, 'clearTrail', "Clear Trail", () => this.clearDroneTrail());
+        this.addButton(trail, 'toggleTrail', "Hide Trail", () => this.toggleTrailVisibility(), 'v');
+
+        // Trail mode selector, whole trails or only their tails
+        this.trailModeSelect = trail.addSelect(() => setTrailMode(this.trailModeSelect.value, TRAIL_TAIL_LENGTH));
+        for (const [mode, label] of Object.entries(TRAIL_MODE_LABELS)) {
+            this.trailModeSelect.add(new Option(label, mode));
+        }
+
+        // Trail color selector, the metric the trail colors show
+        this.trailColorSelect = trail.addSelect(() => setTrailColoring(this.trailColorSelect.value));
+        for (const [metric, { label }] of Object.entries(TRAIL_METRICS)) {
+            this.trailColorSelect.add(new Option(`Color: ${label}`, metric));
+        }
+    }
+
+    createCameraControls() {
+        const camera = this.panel.addSection('camera', "Camera", { collapsed: true });
+
+        // Camera follow mode for the selected drone, dropped when the map is dragged
+        this.cameraSelect = camera.addSelect(() => this.followSelectedDrone(this.cameraSelect.value));
+        for (const [mode, label] of Object.entries(CAMERA_MODE_LABELS)) {
+            this.cameraSelect.add(new Option(label, mode));
+        }
+        this.shortcuts.register('c', () => {
+            const next = CAMERA_MODES[(CAMERA_MODES.indexOf(this.camera.mode) + 1) % CAMERA_MODES.length];
+            this.followSelectedDrone(next);
+        }, "Next camera mode");
+        this.camera.addEventListener('mode', (e) => {
+            this.cameraSelect.value = e.detail;
         });
-        btn.addEventListener('mouseleave', () => {
-            btn.style.backgroundColor = "#007cbf";
+    }
+
+    createAnalysisControls() {
+        this.analysis = new TerrainAnalysis(this.map);
+        const analysis = this.panel.addSection('analysis', "Terrain Analysis", { collapsed: true });
+        // Click points on the map, the button again finishes
+        this.addButton(analysis, 'measureDistance', "Measure Distance", () => this.toggleMeasuring('measure'), 'r');
+        this.addButton(analysis, 'measureArea', "Measure Area", () => this.toggleMeasuring('area'));
+        // One click for the ground point the selected drone looks at, or two for two ground points
+        this.addButton(analysis, 'sightFromDrone', "Sight from Drone", () => this.toggleSightTool('sight'));
+        this.addButton(analysis, 'sightLine', "Sight Line", () => this.toggleSightTool('sightLine'));
+        this.addButton(analysis, 'viewshed', "Viewshed", () => this.showViewshed());
+        this.addButton(analysis, 'clearAnalysis', "Clear Analysis", () => {
+            if (ANALYSIS_TOOLS.includes(this.toolMode)) this.setToolMode(null);
+            this.analysis.clear();
         });
-        
-        document.body.appendChild(btn);
-        return btn;
+    }
+
+    createSurveyControls() {
+        this.surveyOverlay = new SurveyOverlay(this.map, this.registry);
+        const survey = this.panel.addSection('survey', "Survey", { collapsed: true });
+        // Click the area's corners, the button again plans the survey as the selected drone's mission
+        this.addButton(survey, 'drawSurvey', "Draw Survey Area", () => this.toggleSurveyDrawing());
+        this.addButton(survey, 'cameraSettings', "Camera Settings", () => this.editCameraSettings());
+
+        this.surveyGsdSelect = survey.addSelect(() => {});
+        for (const gsd of SURVEY_GSDS) {
+            this.surveyGsdSelect.add(new Option(`GSD: ${gsd} cm/px`, gsd));
+        }
+        this.surveyGsdSelect.value = 2;
+        this.frontOverlapSelect = survey.addSelect(() => {});
+        for (const overlap of FRONT_OVERLAPS) {
+            this.frontOverlapSelect.add(new Option(`Front Overlap: ${overlap}%`, overlap));
+        }
+        this.frontOverlapSelect.value = 75;
+        this.sideOverlapSelect = survey.addSelect(() => {});
+        for (const overlap of SIDE_OVERLAPS) {
+            this.sideOverlapSelect.add(new Option(`Side Overlap: ${overlap}%`, overlap));
+        }
+        this.sideOverlapSelect.value = 70;
+
+        // Footprints under every drone, and the ground they cover while shown
+        this.addButton(survey, 'footprints', "Show Footprints", () => {
+            const visible = !this.surveyOverlay.isShowingFootprints();
+            this.surveyOverlay.setFootprintsVisible(visible);
+            this.buttons.footprints.textContent = visible ? "Hide Footprints" : "Show Footprints";
+        });
+        this.addButton(survey, 'clearSurvey', "Clear Coverage", () => {
+            if (this.toolMode === 'survey') this.setToolMode(null);
+            this.surveyOverlay.setArea([]);
+            this.surveyOverlay.clearCoverage();
+        });
+    }
+
+    createWeatherControls() {
+        this.windParticles = new WindParticles(this.map, this.wind);
+        const weather = this.panel.addSection('weather', "Weather", { collapsed: true });
+
+        // Surface wind and gusts, altitude layers above it
+        this.windSpeedSelect = weather.addSelect(() => this.wind.set({ speed: Number(this.windSpeedSelect.value) }));
+        for (const speed of WIND_SPEEDS) {
+            this.windSpeedSelect.add(new Option(speed === 0 ? "Wind: Calm" : `Wind: ${speed} m/s`, speed));
+        }
+        this.windSpeedSelect.value = this.wind.speed;
+        this.windDirectionSelect = weather.addSelect(() => this.wind.set({ direction: Number(this.windDirectionSelect.value) }));
+        for (const [name, direction] of Object.entries(WIND_DIRECTIONS)) {
+            this.windDirectionSelect.add(new Option(`From: ${name}`, direction));
+        }
+        this.windDirectionSelect.value = this.wind.direction;
+        this.gustSelect = weather.addSelect(() => this.wind.set({ gustSpeed: Number(this.gustSelect.value) }));
+        for (const speed of GUST_SPEEDS) {
+            this.gustSelect.add(new Option(speed === 0 ? "Gusts: None" : `Gusts: +${speed} m/s`, speed));
+        }
+        this.gustSelect.value = this.wind.gustSpeed;
+        this.addButton(weather, 'windLayers', "Wind Layers", () => this.editWindLayers());
+
+        this.addButton(weather, 'showWind', "Show Wind", () => {
+            const visible = !this.windParticles.isVisible();
+            this.windParticles.setVisible(visible);
+            this.buttons.showWind.textContent = visible ? "Hide Wind" : "Show Wind";
+        });
+
+        // Simulated batteries: a fresh one on the ground, and word when one runs low
+        this.addButton(weather, 'swapBattery', "Swap Battery", () => this.swapBattery());
+        this.battery.addEventListener('reserve', (e) => {
+            const { id, drone } = e.detail;
+            this.notify(`${id}: battery at ${drone.battery.toFixed(0)}% reserve, returning home`, 'warning');
+        });
+        this.battery.addEventListener('depleted', (e) => {
+            this.notify(`${e.detail.id}: battery depleted, landing`, 'danger');
+        });
+    }
+
+    /**
+     * Ask for the wind higher up as altitude:speed:direction layers
+     */
+    editWindLayers() {
+        const text = prompt("Wind layers as altitude AGL:speed:direction, e.g. 50:8:260, 120:12:290 (empty for none):",
+            formatWindLayers(this.wind.layers));
+        if (text === null) return;
+        try {
+            this.wind.set({ layers: parseWindLayers(text) });
+        } catch (error) {
+            alert(`Invalid wind layers: ${error.message}`);
+        }
+    }
+
+    swapBattery() {
+        const drone = this.requireDrone();
+        if (!drone) return;
+        if (this.telemetry.isTracked(drone.id)) {
+            alert("This drone reports its own battery!");
+            return;
+        }
+        if (this.navigation.isFlying() || this.navigation.isManual() || drone.getAltitude('AGL', this.map) > 0.5) {
+            alert("Land the drone before swapping its battery!");
+            return;
+        }
+        this.battery.recharge(drone.id);
+        this.notify(`${drone.id}: battery swapped`, 'info');
+    }
+
+    toggleSurveyDrawing() {
+        if (this.toolMode !== 'survey') {
+            if (this.requireDrone()) this.setToolMode('survey');
+            return;
+        }
+        const corners = this.toolPoints;
+        this.setToolMode(null);
+        if (corners.length < 3) {
+            alert("A survey area needs at least 3 corners!");
+            return;
+        }
+        this.planSurveyMission(corners);
+    }
+
+    /**
+     * Replace the selected drone's mission with a survey of an area
+     * @param {[number, number][]} corners - Survey area [lon, lat]
+     */
+    planSurveyMission(corners) {
+        if (!this.requireDrone()) return;
+        const entry = this.registry.getSelected();
+        let plan;
+        try {
+            plan = planSurvey(corners, entry.drone, {
+                gsd: Number(this.surveyGsdSelect.value),
+                frontOverlap: Number(this.frontOverlapSelect.value) / 100,
+                sideOverlap: Number(this.sideOverlapSelect.value) / 100,
+                speed: entry.drone.cruise_speed
+            });
+        } catch (error) {
+            alert(`Could not plan the survey: ${error.message}`);
+            return;
+        }
+        if (entry.mission.length > 0 && !confirm(`Replace the ${entry.mission.length} waypoints of ${entry.id} with the survey?`)) {
+            return;
+        }
+        entry.missionRunner.abort();
+        entry.mission.setWaypoints(plan.waypoints);
+        this.surveyOverlay.setArea(corners);
+        console.log(`Survey for ${entry.id}: ${plan.lineCount} lines ${plan.lineSpacing.toFixed(1)} m apart at ${plan.altitude.toFixed(1)} m AGL, ` +
+            `${plan.photoCount} photos every ${plan.photoSpacing.toFixed(1)} m, ${(plan.length / 1000).toFixed(2)} km`);
+        this.notify(`${entry.id}: survey of ${(plan.area / 10000).toFixed(2)} ha, ${plan.lineCount} lines at ${plan.altitude.toFixed(0)} m AGL, ` +
+            `about ${plan.photoCount} photos over ${(plan.length / 1000).toFixed(2)} km`, 'info');
+    }
+
+    /**
+     * Ask for the selected drone's camera, a field left empty keeps its value
+     */
+    editCameraSettings() {
+        const drone = this.requireDrone();
+        if (!drone) return;
+        const ask = (message, current) => {
+            const value = parseFloat(prompt(message, current) ?? "");
+            return Number.isFinite(value) && value !== 0 ? value : current;
+        };
+        drone.sensor_width = ask("Sensor width in mm:", drone.sensor_width);
+        drone.sensor_height = ask("Sensor height in mm:", drone.sensor_height);
+        drone.focal_length = ask("Focal length in mm:", drone.focal_length);
+        drone.image_width = ask("Image width in pixels:", drone.image_width);
+        drone.gimbal_pitch = Math.max(-90, Math.min(0, ask("Gimbal pitch in degrees (-90 looks straight down):", drone.gimbal_pitch)));
+        console.log(`Camera of ${drone.id}: ${drone.sensor_width}×${drone.sensor_height} mm sensor, ` +
+            `${drone.focal_length} mm lens, ${drone.image_width} px wide, gimbal ${drone.gimbal_pitch}°`);
+    }
+
+    /**
+     * Start measuring a line or an area, or finish the measurement
+     * @param {'measure'|'area'} mode
+     */
+    toggleMeasuring(mode) {
+        if (this.toolMode === mode) {
+            this.setToolMode(null);
+            return;
+        }
+        this.analysis.clear(mode);
+        this.setToolMode(mode);
+    }
+
+    /**
+     * @param {'sight'|'sightLine'} mode - From the selected drone, or between two clicked points
+     */
+    toggleSightTool(mode) {
+        if (this.toolMode === mode) {
+            this.setToolMode(null);
+        } else if (mode === 'sightLine' || this.requireDrone()) {
+            this.setToolMode(mode);
+        }
+    }
+
+    /**
+     * Add a clicked point to the active measuring, sight line or survey tool
+     * @param {[number, number]} point - [lon, lat]
+     */
+    addToolPoint(point) {
+        this.toolPoints.push(point);
+        if (this.toolMode === 'measure') {
+            this.analysis.measureLine(this.toolPoints);
+        } else if (this.toolMode === 'area') {
+            this.analysis.measureArea(this.toolPoints);
+        } else if (this.toolMode === 'sight') {
+            const drone = this.requireDrone();
+            this.setToolMode(null);
+            if (!drone) return;
+            this.analysis.lineOfSight([drone.longitude, drone.latitude], drone.getAltitude('AMSL', this.map),
+                point, (getGroundElevation(this.map, point) ?? 0) + SIGHT_HEIGHT);
+        } else if (this.toolMode === 'survey') {
+            this.surveyOverlay.setArea(this.toolPoints);
+        } else if (this.toolMode === 'sightLine' && this.toolPoints.length === 2) {
+            const [from, to] = this.toolPoints;
+            this.setToolMode(null);
+            this.analysis.lineOfSight(from, (getGroundElevation(this.map, from) ?? 0) + SIGHT_HEIGHT,
+                to, (getGroundElevation(this.map, to) ?? 0) + SIGHT_HEIGHT);
+        }
+    }
+
+    /**
+     * Show the ground the selected drone sees from where it is now
+     */
+    showViewshed() {
+        const drone = this.requireDrone();
+        if (!drone) return;
+        if (!this.map.getTerrain()) {
+            alert("Turn the terrain on to compute a viewshed!");
+            return;
+        }
+        this.analysis.viewshed([drone.longitude, drone.latitude], drone.getAltitude('AMSL', this.map), drone.id);
+    }
+
+    /**
+     * Select the drone before or after the selected one, wrapping around
+     * @param {number} step - -1 for the previous drone, 1 for the next
+     */
+    selectAdjacentDrone(step) {
+        const ids = this.registry.ids();
+        if (ids.length === 0) return;
+        const index = ids.indexOf(this.registry.selectedId);
+        this.registry.select(ids[(index + step + ids.length) % ids.length]);
+    }
+
+    updateDroneSelect() {
+        this.droneSelect.replaceChildren(...this.registry.ids().map(id => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = this.telemetry.isStale(id) ? `${id} (stale)` : id;
+            return option;
+        }));
+        this.droneSelect.value = this.registry.selectedId || '';
+    }
+
+    onDroneSelected(entry) {
+        this.droneSelect.value = entry ? entry.id : '';
+        // A pending target, path, waypoint or sight click belongs to the previously selected drone
+        if (['target', 'path', 'waypoints', 'sight'].includes(this.toolMode)) {
+            this.setToolMode(null);
+        }
+        this.clearPlannedPath();
+        this.closeWaypointEditor();
+        this.updateMissionButtons();
+        this.updateAltitudeControls();
+        // The camera follows whichever drone is selected
+        if (this.camera.mode !== 'free') {
+            if (entry) this.camera.follow(this.camera.mode, entry.id);
+            else this.camera.stop();
+        }
+    }
+
+    updateAltitudeControls() {
+        if (this.drone) {
+            this.altitudeModeSelect.value = this.drone.altitude_mode;
+        }
+        const navigation = this.navigation;
+        this.buttons.terrainFollow.textContent = navigation && navigation.terrainFollowing
+            ? `Terrain Follow: ${navigation.terrainClearance.toFixed(0)} m`
+            : "Terrain Follow: Off";
+        if (navigation) {
+            this.clearanceSelect.value = String(navigation.minClearance);
+            this.clearanceResponseSelect.value = navigation.clearanceResponse;
+        }
+    }
+
+    /**
+     * Apply the clearance selectors to the selected drone
+     */
+    setClearance() {
+        if (!this.requireDrone()) return;
+        this.navigation.setClearance(parseFloat(this.clearanceSelect.value), this.clearanceResponseSelect.value);
+        console.log(`Drone ${this.drone.id} minimum clearance: ${this.navigation.minClearance} m, ${this.navigation.clearanceResponse} on conflict`);
+    }
+
+    /**
+     * Change which reference the selected drone's altitudes use
+     * @param {'AGL'|'AMSL'} mode
+     */
+    setAltitudeMode(mode) {
+        if (!this.requireDrone()) return;
+        this.drone.setAltitudeMode(mode, this.map);
+        console.log(`Drone ${this.drone.id} altitude mode: ${mode} (${this.drone.altitude.toFixed(1)} m)`);
+    }
+
+    /**
+     * Hold the selected drone's current height above ground while it flies
+     */
+    toggleTerrainFollowing() {
+        if (!this.requireDrone()) return;
+        const navigation = this.navigation;
+        navigation.setTerrainFollowing(!navigation.terrainFollowing, Math.max(5, this.drone.getAltitude('AGL', this.map)));
+        this.updateAltitudeControls();
+    }
+
+    /**
+     * @param {number} scale - Simulation seconds per real second, 0 pauses
+     */
+    setTimeScale(scale) {
+        if (scale === 0) {
+            simulationClock.pause();
+        } else {
+            simulationClock.setTimeScale(scale);
+            simulationClock.resume();
+        }
+    }
+
+    async addDrone() {
+        // Spawn the new drone at the map center at the selected drone's altitude
+        const { lng, lat } = this.map.getCenter();
+        const altitude = this.drone ? this.drone.getAltitude('AGL', this.map) : 50;
+        try {
+            const entry = await this.registry.add(null, lng, lat, altitude);
+            this.registry.select(entry.id);
+        } catch (error) {
+            console.error("Failed to add drone:", error);
+        }
+    }
+
+    removeSelectedDrone() {
+        if (!this.registry.selectedId) {
+            alert("No drone selected!");
+            return;
+        }
+        this.registry.remove(this.registry.selectedId);
+    }
+
+    createMissionControls() {
+        const mission = this.panel.addSection('mission', "Mission");
+        // Add Waypoints button (click mode appending to the selected drone's mission)
+        this.addButton(mission, 'addWaypoints', "Add Waypoints", () => this.toggleWaypointMode(), 'p');
+        this.addButton(mission, 'startMission', "Start Mission", () => this.startMission(), 'g');
+        this.addButton(mission, 'pauseMission', "Pause Mission", () => this.togglePauseMission(), ' ');
+        this.addButton(mission, 'skipWaypoint', "Skip Waypoint", () => this.missionRunner?.skip());
+        this.addButton(mission, 'abortMission', "Abort Mission", () => this.missionRunner?.abort());
+        this.addButton(mission, 'clearMission', "Clear Mission", () => this.clearMission());
+
+        // Track mission state of every drone, the buttons show the selected one
+        const watchRunner = (entry) => {
+            entry.missionRunner.addEventListener('statechange', () => {
+                if (entry.id === this.registry.selectedId) this.updateMissionButtons();
+            });
+        };
+        for (const entry of this.registry) watchRunner(entry);
+        this.registry.addEventListener('add', (e) => watchRunner(e.detail));
+        this.registry.addEventListener('waypointclick', (e) => this.openWaypointEditor(e.detail.entry, e.detail.index));
+        this.updateMissionButtons();
+
+        // Import Mission button (file picker, files can also be dropped on the map)
+        this.missionFileInput = document.createElement('input');
+        this.missionFileInput.type = 'file';
+        this.missionFileInput.accept = Object.values(MISSION_FORMATS).map(f => `.${f.extension}`).concat('.json', '.txt').join(',');
+        this.missionFileInput.style.display = 'none';
+        this.missionFileInput.onchange = () => {
+            if (this.missionFileInput.files[0]) this.importMissionFile(this.missionFileInput.files[0]);
+            this.missionFileInput.value = '';
+        };
+        document.body.appendChild(this.missionFileInput);
+        this.addButton(mission, 'importMission', "Import Mission", () => this.missionFileInput.click());
+
+        // Export Mission selector, picking a format downloads the file
+        this.exportSelect = mission.addSelect(() => {
+            if (this.exportSelect.value) this.exportMission(this.exportSelect.value);
+            this.exportSelect.value = "";
+        });
+        this.exportSelect.add(new Option("Export Mission...", ""));
+        for (const [format, { label }] of Object.entries(MISSION_FORMATS)) {
+            this.exportSelect.add(new Option(label, format));
+        }
+    }
+
+    createNotifications() {
+        this.notificationList = document.createElement('div');
+        this.notificationList.className = 'notifications';
+        document.body.appendChild(this.notificationList);
+
+        // Terrain warnings from every drone, not only the selected one
+        const watchNavigation = ({ navigation }) => {
+            navigation.addEventListener('terrainconflict', (e) => {
+                const { drone, phase, conflicts, action } = e.detail;
+                const lowest = Math.min(...conflicts.map(c => c.clearance));
+                const clearance = lowest < 0 ? `${(-lowest).toFixed(0)} m below ground` : `${lowest.toFixed(0)} m above ground`;
+                if (phase === 'planned') {
+                    this.notify(`${drone.id}: path passes ${clearance} (minimum ${navigation.minClearance} m)`, 'warning');
+                } else if (action === 'stop') {
+                    this.notify(`${drone.id}: stopped, terrain ahead ${clearance}`, 'danger');
+                } else {
+                    this.notify(`${drone.id}: climbing to clear terrain ahead`, 'warning');
+                }
+            });
+            navigation.addEventListener('terrainclear', (e) => {
+                this.notify(`${e.detail.drone.id}: terrain ahead clear`, 'info');
+            });
+            navigation.addEventListener('geofencerefused', (e) => {
+                const { drone, breach } = e.detail;
+                this.notify(`${drone.id}: target refused, ${describeBreach(breach)}`, 'danger');
+            });
+            navigation.addEventListener('geofencererouted', (e) => {
+                this.notify(`${e.detail.drone.id}: rerouted around geofences`, 'info');
+            });
+            navigation.addEventListener('geofencebreach', (e) => {
+                const { drone, breach, action } = e.detail;
+                this.notify(`${drone.id}: ${describeBreach(breach)}, ${BREACH_ACTIONS[action]}`, 'danger');
+            });
+        };
+        for (const entry of this.registry) watchNavigation(entry);
+        this.registry.addEventListener('add', (e) => watchNavigation(e.detail));
+    }
+
+    createTelemetryControls() {
+        // Telemetry button connects to the live feed, or disconnects
+        this.addButton(this.panel.getSection('flight'), 'telemetry', "Telemetry: Off", () => this.toggleTelemetry());
+
+        // Connection state and the age of each reported drone's data
+        this.telemetryPanel = document.createElement('div');
+        this.telemetryPanel.className = 'telemetry-status';
+        this.telemetryPanel.hidden = true;
+        document.body.appendChild(this.telemetryPanel);
+
+        this.telemetry.addEventListener('status', () => this.updateTelemetryStatus());
+        this.telemetry.addEventListener('stale', (e) => {
+            this.notify(`${e.detail.id}: telemetry lost`, 'danger');
+            this.updateDroneSelect();
+            this.updateTelemetryStatus();
+        });
+        this.telemetry.addEventListener('fresh', (e) => {
+            this.notify(`${e.detail.id}: telemetry resumed`, 'info');
+            this.updateDroneSelect();
+            this.updateTelemetryStatus();
+        });
+        this.telemetry.addEventListener('ack', (e) => {
+            const { id, command, result, message } = e.detail;
+            const accepted = result === 'accepted';
+            this.notify(`${id}: ${command} ${result}${message ? `, ${message}` : ''}`, accepted ? 'info' : 'danger');
+            // Fly an uploaded mission once the vehicle has it
+            if (command === 'mission' && this.missionStarts.delete(id) && accepted) {
+                this.telemetry.command(id, 'start');
+            }
+        });
+        // Ages tick even when no messages arrive
+        setInterval(() => {
+            if (this.telemetry.isActive()) this.updateTelemetryStatus();
+        }, 1000);
+    }
+
+    toggleTelemetry() {
+        if (this.telemetry.isActive()) {
+            this.telemetry.disconnect();
+            this.updateDroneSelect();
+            return;
+        }
+        const url = prompt("Telemetry WebSocket URL:", this.telemetry.url);
+        if (url) this.telemetry.connect(url);
+    }
+
+    updateTelemetryStatus() {
+        const { status } = this.telemetry;
+        const labels = { disconnected: "Off", connecting: "Connecting", connected: "Live", reconnecting: "Reconnecting" };
+        this.buttons.telemetry.textContent = `Telemetry: ${labels[status]}`;
+
+        this.telemetryPanel.hidden = status === 'disconnected';
+        this.telemetryPanel.className = `telemetry-status ${status}`;
+        const rows = [...this.telemetry.tracks].map(([id, track]) => {
+            const drone = this.registry.get(id)?.drone;
+            const age = Math.round((Date.now() - track.lastUpdate) / 1000);
+            const battery = drone && drone.battery !== null ? ` · ${drone.battery.toFixed(0)}%` : '';
+            const row = document.createElement('div');
+            row.className = track.stale ? 'track stale' : 'track';
+            row.textContent = `${id}${battery} · ${track.stale ? `stale ${age} s` : 'live'}`;
+            return row;
+        });
+        const header = document.createElement('strong');
+        header.textContent = `${labels[status]} · ${this.telemetry.url}`;
+        this.telemetryPanel.replaceChildren(header, ...rows);
+    }
+
+    createModelControls() {
+        const layers = this.panel.getSection('layers');
+        // Add Model button, places a model file at the map center
+        this.modelFileInput = document.createElement('input');
+        this.modelFileInput.type = 'file';
+        this.modelFileInput.accept = MODEL_FORMATS.map(format => `.${format}`).join(',');
+        this.modelFileInput.style.display = 'none';
+        this.modelFileInput.onchange = () => {
+            if (this.modelFileInput.files[0]) this.addModelFile(this.modelFileInput.files[0]);
+            this.modelFileInput.value = '';
+        };
+        document.body.appendChild(this.modelFileInput);
+        this.addButton(layers, 'addModel', "Add Model", () => this.modelFileInput.click());
+
+        // Remove Model button
+        this.addButton(layers, 'removeModel', "Remove Model", () => {
+            if (!this.models.selected) {
+                alert("No model selected!");
+                return;
+            }
+            this.models.remove(this.models.selectedId);
+        });
+
+        // Placed model selector, the selected model gets the gizmo
+        this.modelSelect = layers.addSelect(() => this.models.select(this.modelSelect.value || null));
+
+        // Gizmo mode selector
+        this.gizmoModeSelect = layers.addSelect(() => this.models.setGizmoMode(this.gizmoModeSelect.value));
+        for (const [mode, label] of Object.entries(GIZMO_MODE_LABELS)) {
+            this.gizmoModeSelect.add(new Option(label, mode));
+        }
+
+        // Save Scene and Load Scene buttons (JSON)
+        this.addButton(layers, 'saveScene', "Save Scene", () => this.exportModelScene());
+        this.sceneFileInput = document.createElement('input');
+        this.sceneFileInput.type = 'file';
+        this.sceneFileInput.accept = '.json';
+        this.sceneFileInput.style.display = 'none';
+        this.sceneFileInput.onchange = () => {
+            if (this.sceneFileInput.files[0]) this.importModelScene(this.sceneFileInput.files[0]);
+            this.sceneFileInput.value = '';
+        };
+        document.body.appendChild(this.sceneFileInput);
+        this.addButton(layers, 'loadScene', "Load Scene", () => this.sceneFileInput.click());
+
+        for (const type of ['add', 'remove', 'select']) {
+            this.models.addEventListener(type, () => this.updateModelSelect());
+        }
+        this.updateModelSelect();
+    }
+
+    updateModelSelect() {
+        this.modelSelect.replaceChildren(new Option(this.models.models.length ? "Models: None Selected" : "Models: None", ''));
+        for (const model of this.models.models) {
+            this.modelSelect.add(new Option(model.name, model.id));
+        }
+        this.modelSelect.value = this.models.selectedId ?? '';
+    }
+
+    /**
+     * Place a model file at the map center. The file is embedded in saved
+     * scenes, so they load without it.
+     * @param {File} file - GLTF, GLB, OBJ or FBX file
+     */
+    async addModelFile(file) {
+        try {
+            const url = await new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsDataURL(file);
+            });
+            const model = await this.models.add({ url, name: file.name });
+            this.models.select(model.id);
+        } catch (error) {
+            console.error(`Failed to load model ${file.name}:`, error);
+            alert(`Could not load ${file.name}: ${error.message}`);
+        }
+    }
+
+    exportModelScene() {
+        if (this.models.models.length === 0) {
+            alert("No models to save!");
+            return;
+        }
+        this.downloadFile('scene.json', JSON.stringify(this.models.toJSON(), null, 2), 'application/json');
+    }
+
+    /**
+     * @param {File} file - Scene saved by exportModelScene
+     */
+    async importModelScene(file) {
+        try {
+            const models = await this.models.loadScene(JSON.parse(await file.text()));
+            console.log(`Loaded ${models.length} models from ${file.name}`);
+        } catch (error) {
+            console.error(`Failed to load scene from ${file.name}:`, error);
+            alert(`Could not load ${file.name}: ${error.message}`);
+        }
+    }
+
+    createRecordingControls() {
+        // Recordings selector, picking a stored flight opens it on the timeline
+        this.recordingSelect = this.panel.getSection('trail').addSelect(() => {
+            if (this.recordingSelect.value) this.openRecording(this.recordingSelect.value);
+            this.recordingSelect.value = "";
+        });
+        this.updateRecordingSelect();
+        this.recorder.addEventListener('recorded', (e) => {
+            this.notify(`${e.detail.droneId}: flight recorded (${formatDuration(e.detail.duration)})`, 'info');
+            this.updateRecordingSelect();
+        });
+
+        // Timeline bar: play/pause, scrub, speed, export, delete and close
+        this.timeline = document.createElement('div');
+        this.timeline.className = 'timeline';
+        this.timeline.hidden = true;
+
+        const playButton = document.createElement('button');
+        playButton.onclick = () => this.playback.isPlaying() ? this.playback.pause() : this.playback.play();
+
+        const track = document.createElement('div');
+        track.className = 'timeline-track';
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = 0;
+        slider.step = 0.1;
+        slider.oninput = () => this.playback.seek(Number(slider.value));
+        const ticks = document.createElement('div');
+        ticks.className = 'timeline-ticks';
+        track.append(ticks, slider);
+
+        const timeLabel = document.createElement('span');
+        timeLabel.className = 'timeline-time';
+
+        const speedSelect = document.createElement('select');
+        for (const speed of PLAYBACK_SPEEDS) {
+            speedSelect.add(new Option(`${speed}x`, speed));
+        }
+        speedSelect.value = "1";
+        speedSelect.onchange = () => this.playback.setSpeed(Number(speedSelect.value));
+
+        const exportSelect = document.createElement('select');
+        exportSelect.add(new Option("Export...", ""));
+        for (const [format, { label }] of Object.entries(RECORDING_FORMATS)) {
+            exportSelect.add(new Option(label, format));
+        }
+        exportSelect.onchange = () => {
+            if (exportSelect.value) this.exportRecording(exportSelect.value);
+            exportSelect.value = "";
+        };
+
+        const deleteButton = document.createElement('button');
+        deleteButton.textContent = "Delete";
+        deleteButton.onclick = () => this.deleteOpenRecording();
+        const closeButton = document.createElement('button');
+        closeButton.textContent = "Close";
+        closeButton.onclick = () => this.playback.close();
+
+        this.timeline.append(playButton, track, timeLabel, speedSelect, exportSelect, deleteButton, closeButton);
+        document.body.appendChild(this.timeline);
+        this.timelineControls = { playButton, slider, ticks, timeLabel, speedSelect };
+
+        this.playback.addEventListener('time', (e) => {
+            const duration = this.playback.recording.duration;
+            slider.value = e.detail;
+            timeLabel.textContent = `${formatDuration(e.detail)} / ${formatDuration(duration)}`;
+        });
+        this.playback.addEventListener('state', (e) => {
+            playButton.textContent = e.detail === 'playing' ? "Pause" : "Play";
+            if (e.detail === 'closed') {
+                this.timeline.hidden = true;
+                document.body.classList.remove('playback');
+            }
+        });
+        this.playback.addEventListener('event', (e) => {
+            const { type, message } = e.detail;
+            this.notify(`${this.playback.entry.id}: ${message}`, type === 'terrain' || type === 'geofence' ? 'warning' : 'info');
+        });
+    }
+
+    async updateRecordingSelect() {
+        let recordings = [];
+        try {
+            recordings = await listRecordings();
+        } catch (error) {
+            console.warn('Flight recordings are unavailable:', error);
+        }
+        this.recordingSelect.replaceChildren(new Option(`Recordings (${recordings.length})...`, ""));
+        for (const { id, droneId, startedAt, duration } of recordings) {
+            const label = `${droneId} · ${new Date(startedAt).toLocaleString()} · ${formatDuration(duration)}`;
+            this.recordingSelect.add(new Option(label, id));
+        }
+    }
+
+    /**
+     * Load a stored recording onto the timeline, paused at its start
+     * @param {string} id - Recording id
+     */
+    async openRecording(id) {
+        try {
+            const recording = await loadRecording(id);
+            if (!recording) throw new Error("it no longer exists");
+            await this.playback.load(recording);
+
+            const { playButton, slider, ticks, speedSelect } = this.timelineControls;
+            slider.max = recording.duration;
+            playButton.textContent = "Play";
+            this.playback.setSpeed(Number(speedSelect.value));
+            ticks.replaceChildren(...recording.events.map(event => {
+                const tick = document.createElement('span');
+                tick.className = `timeline-tick ${event.type}`;
+                tick.style.left = `${(event.t / recording.duration) * 100}%`;
+                tick.title = `${formatDuration(event.t)} ${event.message}`;
+                return tick;
+            }));
+            this.timeline.hidden = false;
+            document.body.classList.add('playback');
+            this.registry.select(this.playback.entry.id);
+
+            const bounds = new maplibregl.LngLatBounds();
+            recording.samples.forEach(sample => bounds.extend([sample.longitude, sample.latitude]));
+            this.map.fitBounds(bounds, { padding: 80, maxZoom: 17 });
+        } catch (error) {
+            console.error(`Failed to open recording ${id}:`, error);
+            alert(`Could not open the recording: ${error.message}`);
+        }
+    }
+
+    /**
+     * Download the recording on the timeline
+     * @param {keyof RECORDING_FORMATS} format - Output format
+     */
+    exportRecording(format) {
+        const { recording } = this.playback;
+        if (!recording) return;
+        const { extension, mime } = RECORDING_FORMATS[format];
+        const stamp = new Date(recording.startedAt).toISOString().slice(0, 19).replace(/[:T]/g, '-');
+        this.downloadFile(`${recording.droneId}-${stamp}.${extension}`, serializeRecording(format, recording), mime);
+    }
+
+    async deleteOpenRecording() {
+        const { recording } = this.playback;
+        if (!recording || !confirm(`Delete the ${recording.droneId} flight recording?`)) return;
+        this.playback.close();
+        try {
+            await deleteRecording(recording.id);
+        } catch (error) {
+            console.error(`Failed to delete recording ${recording.id}:`, error);
+        }
+        this.updateRecordingSelect();
+    }
+
+    /**
+     * Send a command to a vehicle flown through the telemetry feed
+     * @param {string} id - Drone id
+     * @param {string} command - See TelemetryClient.command()
+     * @param {Object} params - Command parameters
+     * @returns {boolean} Whether it was sent
+     */
+    commandVehicle(id, command, params = {}) {
+        if (this.telemetry.command(id, command, params)) {
+            console.log(`Sent ${command} to ${id}`);
+            return true;
+        }
+        this.notify(`${id}: telemetry not connected, ${command} not sent`, 'danger');
+        return false;
+    }
+
+    /**
+     * Show a short-lived message in the notification list
+     * @param {string} message - Text to show
+     * @param {'info'|'warning'|'danger'} level - Severity, sets the color
+     */
+    notify(message, level = 'info') {
+        const item = document.createElement('div');
+        item.className = `notification ${level}`;
+        item.textContent = message;
+        this.notificationList.appendChild(item);
+        setTimeout(() => item.remove(), NOTIFICATION_DURATION);
+    }
+
+    createGeofenceControls() {
+        const layers = this.panel.addSection('layers', "Layers", { collapsed: true });
+        // Draw No-Fly / Draw Allowed buttons, click to place corners and again to finish
+        this.addButton(layers, 'drawNoFly', "Draw No-Fly", () => this.toggleFenceDrawing('forbid'));
+        this.addButton(layers, 'drawAllowed', "Draw Allowed", () => this.toggleFenceDrawing('allow'));
+
+        // Load Geofences button (GeoJSON polygons)
+        this.fenceFileInput = document.createElement('input');
+        this.fenceFileInput.type = 'file';
+        this.fenceFileInput.accept = '.geojson,.json';
+        this.fenceFileInput.style.display = 'none';
+        this.fenceFileInput.onchange = () => {
+            if (this.fenceFileInput.files[0]) this.importGeofenceFile(this.fenceFileInput.files[0]);
+            this.fenceFileInput.value = '';
+        };
+        document.body.appendChild(this.fenceFileInput);
+        this.addButton(layers, 'loadFences', "Load Geofences", () => this.fenceFileInput.click());
+        this.addButton(layers, 'saveFences', "Save Geofences", () => this.exportGeofences());
+        this.addButton(layers, 'clearFences', "Clear Geofences", () => this.geofences.clear());
+
+        // Breach response selector, shared by the whole fleet
+        this.breachResponseSelect = layers.addSelect(() => this.geofences.setBreachResponse(this.breachResponseSelect.value));
+        for (const response of BREACH_RESPONSES) {
+            this.breachResponseSelect.add(new Option(BREACH_RESPONSE_LABELS[response], response));
+        }
+        this.breachResponseSelect.value = this.geofences.breachResponse;
+    }
+
+    /**
+     * Start drawing a fence of the given type, or finish the one being drawn
+     * @param {'allow'|'forbid'} type
+     */
+    toggleFenceDrawing(type) {
+        if (this.toolMode === 'fence') {
+            const sameType = this.fenceDraft.type === type;
+            this.finishFenceDrawing();
+            if (sameType) return;
+        }
+        this.setToolMode('fence', { type });
+    }
+
+    /**
+     * Ask for the altitude limits and add the drawn fence
+     */
+    finishFenceDrawing() {
+        const draft = this.fenceDraft;
+        this.setToolMode(null);
+        if (draft.points.length < 3) {
+            alert("A geofence needs at least 3 corners!");
+            return;
+        }
+
+        const limit = (message) => {
+            const value = parseFloat(prompt(message, "") ?? "");
+            return Number.isFinite(value) ? value : null;
+        };
+        const floor = limit("Floor in meters AGL (leave empty for the ground):");
+        const ceiling = limit("Ceiling in meters AGL (leave empty for no limit):");
+        const fence = this.geofences.add(createGeofence(draft.points, { type: draft.type, floor, ceiling }));
+        console.log(`Geofence ${fence.id} added (${fence.type}, ${fence.polygon.length} corners)`);
+    }
+
+    /**
+     * @param {File} file - GeoJSON file with Polygon or MultiPolygon features
+     */
+    async importGeofenceFile(file) {
+        try {
+            const fences = this.geofences.loadGeoJSON(JSON.parse(await file.text()));
+            console.log(`Loaded ${fences.length} geofences from ${file.name}`);
+        } catch (error) {
+            console.error(`Failed to load geofences from ${file.name}:`, error);
+            alert(`Could not load ${file.name}: ${error.message}`);
+        }
+    }
+
+    exportGeofences() {
+        if (this.geofences.fences.length === 0) {
+            alert("No geofences to save!");
+            return;
+        }
+        this.downloadFile('geofences.geojson', JSON.stringify(this.geofences.toGeoJSON(), null, 2), 'application/geo+json');
+    }
+
+    returnSelectedDrone() {
+        if (!this.requireDrone()) return;
+        this.missionRunner.abort();
+        removeTargetMarker(this.map, this.drone.id);
+        if (this.telemetry.isTracked(this.drone.id)) {
+            this.commandVehicle(this.drone.id, 'rtl');
+            return;
+        }
+        this.navigation.returnToLaunch();
+    }
+
+    landSelectedDrone() {
+        if (!this.requireDrone()) return;
+        this.missionRunner.abort();
+        removeTargetMarker(this.map, this.drone.id);
+        if (this.telemetry.isTracked(this.drone.id)) {
+            this.commandVehicle(this.drone.id, 'land');
+            return;
+        }
+        this.navigation.land();
+    }
+
+    updateMissionButtons() {
+        const runner = this.missionRunner;
+        this.buttons.pauseMission.textContent = runner && runner.state === 'paused' ? "Resume Mission" : "Pause Mission";
+    }
+
+    /**
+     * Switch what a click on the map does. One tool is active at a time:
+     * entering one leaves the others, and leaving one drops its draft and
+     * resets its button and the cursor.
+     * @param {'target'|'path'|'waypoints'|'fence'|'measure'|'area'|'sight'|'sightLine'|'survey'|null} mode - Tool, null
+     *   for none (clicks pick objects)
+     * @param {Object} options
+     * @param {'allow'|'forbid'} [options.type] - Type of the fence to draw
+     */
+    setToolMode(mode, { type } = {}) {
+        if (this.fenceDraft) removeFenceDraft(this.map);
+        // A new survey area replaces the last one, an unfinished one goes
+        if (this.toolMode === 'survey' || mode === 'survey') this.surveyOverlay.setArea([]);
+        this.toolMode = mode;
+        this.fenceDraft = mode === 'fence' ? { type, points: [] } : null;
+        this.toolPoints = [];
+
+        const active = mode === 'fence' ? type : mode;
+        for (const [tool, { button, label, activeLabel }] of Object.entries(this.toolButtons())) {
+            button.textContent = tool === active ? activeLabel : label;
+            button.classList.toggle('active', tool === active);
+        }
+        this.map.getCanvas().style.cursor = mode ? "crosshair" : "";
+    }
+
+    /**
+     * @returns {Object<string, {button: HTMLButtonElement, label: string, activeLabel: string}>}
+     *   Buttons of the tools by tool, fences by type
+     * @private
+     */
+    toolButtons() {
+        return {
+            target: { button: this.buttons.setTarget, label: "Set Target", activeLabel: "Cancel Target" },
+            path: { button: this.buttons.planPath, label: "Plan Path", activeLabel: "Cancel Path" },
+            waypoints: { button: this.buttons.addWaypoints, label: "Add Waypoints", activeLabel: "Done Adding" },
+            forbid: { button: this.buttons.drawNoFly, label: "Draw No-Fly", activeLabel: "Finish Fence" },
+            allow: { button: this.buttons.drawAllowed, label: "Draw Allowed", activeLabel: "Finish Fence" },
+            measure: { button: this.buttons.measureDistance, label: "Measure Distance", activeLabel: "Finish Measuring" },
+            area: { button: this.buttons.measureArea, label: "Measure Area", activeLabel: "Finish Area" },
+            sight: { button: this.buttons.sightFromDrone, label: "Sight from Drone", activeLabel: "Cancel Sight" },
+            sightLine: { button: this.buttons.sightLine, label: "Sight Line", activeLabel: "Cancel Sight" },
+            survey: { button: this.buttons.drawSurvey, label: "Draw Survey Area", activeLabel: "Plan Survey" }
+        };
+    }
+
+    /**
+     * List the keyboard shortcuts in the panel, "?" opens the list
+     */
+    createShortcutList() {
+        this.shortcuts.register('Escape', () => this.setToolMode(null), "Leave the active tool");
+        const help = this.panel.addSection('shortcuts', "Keyboard Shortcuts", { collapsed: true });
+        this.shortcuts.register('?', () => {
+            this.panel.setCollapsed(false);
+            help.setCollapsed(!help.collapsed);
+        }, "Show these shortcuts");
+
+        const list = document.createElement('dl');
+        list.className = 'shortcut-list';
+        for (const { label, description } of this.shortcuts.list()) {
+            const key = document.createElement('dt');
+            key.append(document.createElement('kbd'));
+            key.firstChild.textContent = label;
+            const action = document.createElement('dd');
+            action.textContent = description;
+            list.append(key, action);
+        }
+        help.body.appendChild(list);
     }
 
     setupEventListeners() {
-        // Map click handler for setting target
+        // Mission files dropped onto the map replace the selected drone's mission
+        const container = this.map.getContainer();
+        container.addEventListener('dragover', (e) => {
+            if (e.dataTransfer.types.includes('Files')) {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'copy';
+            }
+        });
+        container.addEventListener('drop', (e) => {
+            const [file] = e.dataTransfer.files;
+            if (!file) return;
+            e.preventDefault();
+            this.importMissionFile(file);
+        });
+
+        // Clicks that place targets, waypoints, fence corners, analysis points or survey corners do not pick
+        this.picking.canPick = () => this.toolMode === null;
+
+        // Map clicks go to the active tool
         this.map.on('click', (e) => {
-            if (!this.isSettingTarget) return;
+            if (this.toolMode === 'fence') {
+                this.fenceDraft.points.push([e.lngLat.lng, e.lngLat.lat]);
+                renderFenceDraft(this.map, this.fenceDraft.points, this.fenceDraft.type);
+                return;
+            }
+            if (this.toolMode === 'waypoints') {
+                this.appendWaypoint(e.lngLat);
+                return;
+            }
+            if (this.toolMode === 'path') {
+                this.setToolMode(null);
+                this.planPathTo([e.lngLat.lng, e.lngLat.lat]);
+                return;
+            }
+            if (POINT_TOOLS.includes(this.toolMode)) {
+                this.addToolPoint([e.lngLat.lng, e.lngLat.lat]);
+                return;
+            }
+            if (this.toolMode !== 'target') return;
             
+            if (!this.requireDrone()) return;
+
             const { lng, lat } = e.lngLat;
             this.targetCoordinates = [lng, lat];
             
             // Add target marker to map
-            addTargetMarker(this.map, [lng, lat]);
+            addTargetMarker(this.map, [lng, lat], this.drone.id);
             
             // Exit target setting mode
-            this.exitTargetSettingMode();
+            this.setToolMode(null);
             
             console.log(`Target set at: [${lng.toFixed(6)}, ${lat.toFixed(6)}]`);
             
@@ -95,58 +1273,126 @@ export class UI {
     }
 
     flyToDroneCamera() {
+        if (!this.requireDrone()) return;
+
+        this.camera.stop();
         this.map.flyTo({
             center: [this.drone.longitude, this.drone.latitude],
-            zoom: 19,
-            pitch: -90,
-            bearing: 0,
+            zoom: 18,
+            pitch: 60,
+            bearing: this.drone.heading,
             speed: 0.8,
             curve: 1.2
         });
     }
 
-    moveToPresetLocation() {
-        if (!this.drone.rtcGroup) {
-            alert("Drone not loaded yet!");
+    /**
+     * @param {'free'|'chase'|'first-person'|'orbit'|'top-down'} mode - Camera mode, 'free' stops following
+     */
+    followSelectedDrone(mode) {
+        if (mode === 'free' || !this.requireDrone()) {
+            this.camera.stop();
             return;
         }
+        this.camera.follow(mode, this.drone.id);
+    }
+
+    moveToPresetLocation() {
+        if (!this.requireDrone()) return;
         
+        this.missionRunner.abort();
+
         const target = [33.3835, 35.1865];   // preset target lon/lat
         const targetAlt = 100;               // target altitude
-        const stepDist = 2;                  // meters per step
-        this.navigation.moveDroneToward(target, targetAlt, stepDist);
+        const speed = this.drone.cruise_speed; // m/s
+        this.navigation.moveDroneToward(target, targetAlt, speed);
     }
 
-    rotateDrone() {
-        if (!this.drone.rtcGroup) {
-            alert("Drone not loaded yet!");
-            return;
+    toggleManualFlight() {
+        if (!this.pilot.isActive() && !this.requireDrone()) return;
+        try {
+            this.pilot.toggle();
+        } catch (error) {
+            alert(`Could not take manual control: ${error.message}`);
         }
+    }
+
+    rotateDrone() {
+        if (!this.requireDrone()) return;
         
-        this.drone.rotate(45); // Rotate 45 degrees
-        this.map.triggerRepaint();
+        this.navigation.turnTo(this.drone.heading + 45);
     }
 
     toggleTargetSetting() {
-        if (this.isSettingTarget) {
-            this.exitTargetSettingMode();
+        this.setToolMode(this.toolMode === 'target' ? null : 'target');
+    }
+
+    togglePathPlanning() {
+        if (this.toolMode === 'path') {
+            this.setToolMode(null);
+        } else if (this.requireDrone()) {
+            this.setToolMode('path');
+        }
+    }
+
+    /**
+     * Plan a path from the selected drone to a location, at the drone's
+     * height above the ground there, around terrain, buildings and no-fly
+     * zones, and show it until it is flown
+     * @param {[number, number]} target - [lon, lat]
+     */
+    planPathTo(target) {
+        const drone = this.requireDrone();
+        if (!drone) return;
+        const groundAt = (lngLat) => getGroundElevation(this.map, lngLat) ?? 0;
+        const from = [drone.longitude, drone.latitude, drone.getAltitude('AMSL', this.map)];
+        const to = [...target, groundAt(target) + drone.getAltitude('AGL', this.map)];
+        const { obstacles, allowed, buildings } = collectObstacles(this.map, this.geofences, groundAt);
+        const plan = planPath(from, to, { groundAt, obstacles, allowed, clearance: this.navigation.minClearance });
+
+        this.clearPlannedPath();
+        if (!plan) {
+            this.notify(`${drone.id}: no path to the target clear of terrain and obstacles`, 'danger');
+            return;
+        }
+        this.plannedPath = {
+            id: drone.id,
+            waypoints: plan.path.slice(1).map(([longitude, latitude, altitude]) =>
+                createWaypoint(longitude, latitude, { altitude, altitudeMode: 'AMSL', speed: drone.cruise_speed }))
+        };
+        renderPlannedPath(this.map, drone.id, plan.path);
+        console.log(`Path planned for ${drone.id}: ${plan.length.toFixed(0)} m through ${plan.path.length - 2} turn(s), ` +
+            `${obstacles.length} obstacles, ${plan.expanded} nodes searched`);
+        if (buildings) {
+            this.notify(`${drone.id}: ${plan.length.toFixed(0)} m path planned, Fly Planned Path to go`, 'info');
         } else {
-            this.enterTargetSettingMode();
+            this.notify(`${drone.id}: ${plan.length.toFixed(0)} m path planned around terrain and geofences only, ` +
+                'this map has no building data', 'warning');
         }
     }
 
-    enterTargetSettingMode() {
-        this.isSettingTarget = true;
-        this.buttons.setTarget.textContent = "Cancel Target";
-        this.buttons.setTarget.style.backgroundColor = "#ff6b6b";
-        this.map.getCanvas().style.cursor = "crosshair";
+    /**
+     * Fly the path planned for the selected drone as its mission
+     */
+    flyPlannedPath() {
+        const entry = this.registry.getSelected();
+        if (!entry || this.plannedPath?.id !== entry.id) {
+            alert("Plan a path for the selected drone first!");
+            return;
+        }
+        if (entry.mission.length > 0 && !confirm(`Replace the ${entry.mission.length} waypoints of ${entry.id} with the planned path?`)) {
+            return;
+        }
+        entry.missionRunner.abort();
+        entry.mission.setWaypoints(this.plannedPath.waypoints);
+        this.clearPlannedPath();
+        this.startMission();
     }
 
-    exitTargetSettingMode() {
-        this.isSettingTarget = false;
-        this.buttons.setTarget.textContent = "Set Target";
-        this.buttons.setTarget.style.backgroundColor = "#007cbf";
-        this.map.getCanvas().style.cursor = "";
+    clearPlannedPath() {
+        if (!this.plannedPath) return;
+        removePlannedPath(this.plannedPath.id);
+        this.plannedPath = null;
     }
 
     navigateToTarget() {
@@ -155,37 +1401,249 @@ export class UI {
             return;
         }
         
-        if (!this.drone.rtcGroup) {
-            alert("Drone not loaded yet!");
-            return;
-        }
+        if (!this.requireDrone()) return;
         
+        // A direct target replaces any mission in progress
+        this.missionRunner.abort();
+
         console.log(`Navigating to target: [${this.targetCoordinates[0].toFixed(6)}, ${this.targetCoordinates[1].toFixed(6)}]`);
 
         const targetAlt = this.drone.altitude; // Same altitude
-        const stepDist = 2;    // 2 meters per step
+        const speed = this.drone.cruise_speed; // m/s
+
+        // A vehicle on the telemetry feed flies there itself
+        if (this.telemetry.isTracked(this.drone.id)) {
+            const [longitude, latitude] = this.targetCoordinates;
+            const altitude = this.drone.getAltitude('AMSL', this.map);
+            this.commandVehicle(this.drone.id, 'goto', { longitude, latitude, altitude, altitudeMode: 'AMSL', speed });
+            return;
+        }
         
-        this.navigation.moveDroneToward(this.targetCoordinates, targetAlt, stepDist);
+        if (!this.navigation.moveDroneToward(this.targetCoordinates, targetAlt, speed)) {
+            // Refused by the geofences
+            removeTargetMarker(this.map, this.drone.id);
+        }
+    }
+
+    toggleWaypointMode() {
+        if (this.toolMode === 'waypoints') {
+            this.setToolMode(null);
+        } else if (this.requireDrone()) {
+            this.setToolMode('waypoints');
+        }
+    }
+
+    /**
+     * Append a waypoint at the clicked location, inheriting altitude and
+     * speed from the previous waypoint (or the drone's current altitude)
+     * @param {{lng: number, lat: number}} lngLat - Clicked location
+     */
+    appendWaypoint({ lng, lat }) {
+        const entry = this.registry.getSelected();
+        if (!entry) return;
+
+        const last = entry.mission.waypoints[entry.mission.length - 1];
+        const waypoint = createWaypoint(lng, lat, {
+            altitude: last ? last.altitude : entry.drone.altitude,
+            speed: last ? last.speed : undefined
+        });
+        const index = entry.mission.addWaypoint(waypoint);
+        console.log(`Waypoint ${index + 1} added for ${entry.id} at: [${lng.toFixed(6)}, ${lat.toFixed(6)}]`);
+    }
+
+    startMission() {
+        if (!this.requireDrone()) return;
+        const entry = this.registry.getSelected();
+        if (entry.mission.length === 0) {
+            alert("Add waypoints first!");
+            return;
+        }
+        if (this.toolMode === 'waypoints') {
+            this.setToolMode(null);
+        }
+        removeTargetMarker(this.map, entry.id);
+
+        // A vehicle on the telemetry feed gets the mission uploaded, started when accepted
+        if (this.telemetry.isTracked(entry.id)) {
+            const items = entry.mission.waypoints.map(waypoint => ({
+                longitude: waypoint.longitude,
+                latitude: waypoint.latitude,
+                altitude: convertAltitude(this.map, [waypoint.longitude, waypoint.latitude], waypoint.altitude,
+                    waypoint.altitudeMode ?? entry.drone.altitude_mode, 'AMSL'),
+                speed: waypoint.speed,
+                hold: waypoint.hold
+            }));
+            if (this.commandVehicle(entry.id, 'mission', { items })) this.missionStarts.add(entry.id);
+            return;
+        }
+        entry.missionRunner.start();
+    }
+
+    togglePauseMission() {
+        const runner = this.missionRunner;
+        if (!runner) return;
+        if (runner.state === 'paused') {
+            runner.resume();
+        } else {
+            runner.pause();
+        }
+    }
+
+    clearMission() {
+        const entry = this.registry.getSelected();
+        if (!entry) return;
+        entry.missionRunner.abort();
+        entry.mission.clear();
+        this.closeWaypointEditor();
+    }
+
+    /**
+     * Load a mission file into the selected drone's mission
+     * @param {File} file - GeoJSON, KML, .plan or waypoint text file
+     */
+    async importMissionFile(file) {
+        const entry = this.registry.getSelected();
+        if (!entry) {
+            alert("No drone selected!");
+            return;
+        }
+
+        try {
+            const waypoints = parseMissionFile(file.name, await file.text());
+            entry.missionRunner.abort();
+            entry.mission.setWaypoints(waypoints);
+            console.log(`Imported ${waypoints.length} waypoints for ${entry.id} from ${file.name}`);
+
+            const bounds = new maplibregl.LngLatBounds();
+            waypoints.forEach(wp => bounds.extend([wp.longitude, wp.latitude]));
+            this.map.fitBounds(bounds, { padding: 80, maxZoom: 17 });
+        } catch (error) {
+            console.error(`Failed to import ${file.name}:`, error);
+            alert(`Could not import ${file.name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Download the selected drone's mission
+     * @param {keyof MISSION_FORMATS} format - Output format
+     */
+    exportMission(format) {
+        const entry = this.registry.getSelected();
+        if (!entry || entry.mission.length === 0) {
+            alert("No mission to export!");
+            return;
+        }
+
+        const { extension, mime } = MISSION_FORMATS[format];
+        const content = serializeMission(format, entry.mission.waypoints, {
+            name: `${entry.id} mission`,
+            home: [entry.drone.longitude, entry.drone.latitude, entry.drone.getAltitude('AMSL', this.map)],
+            altitudeMode: entry.drone.altitude_mode
+        });
+        this.downloadFile(`${entry.id}-mission.${extension}`, content, mime);
+    }
+
+    downloadFile(filename, content, mime) {
+        const url = URL.createObjectURL(new Blob([content], { type: mime }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Show a popup for editing one waypoint's altitude, speed, hold and heading
+     * @param {import('./registry.js').FleetEntry} entry - Drone the mission belongs to
+     * @param {number} index - Waypoint index
+     */
+    openWaypointEditor(entry, index) {
+        const waypoint = entry.mission.waypoints[index];
+        if (!waypoint) return;
+        this.closeWaypointEditor();
+
+        const form = document.createElement('form');
+        form.className = 'waypoint-editor';
+        const fields = [
+            ['altitude', 'Altitude (m)', waypoint.altitude],
+            ['speed', 'Speed (m/s)', waypoint.speed],
+            ['hold', 'Hold (s)', waypoint.hold],
+            ['heading', 'Heading (°)', waypoint.heading ?? '']
+        ];
+        const title = document.createElement('strong');
+        title.textContent = `${entry.id} · Waypoint ${index + 1}`;
+        form.append(title);
+        for (const [name, label, value] of fields) {
+            const field = document.createElement('label');
+            const input = document.createElement('input');
+            input.name = name;
+            input.type = 'number';
+            input.step = 'any';
+            input.value = value;
+            field.append(label, input);
+            form.append(field);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'actions';
+        const saveButton = document.createElement('button');
+        saveButton.type = 'submit';
+        saveButton.textContent = "Save";
+        const deleteButton = document.createElement('button');
+        deleteButton.type = 'button';
+        deleteButton.textContent = "Delete";
+        actions.append(saveButton, deleteButton);
+        form.append(actions);
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const number = (name) => parseFloat(form.elements[name].value);
+            const heading = parseFloat(form.elements.heading.value);
+            entry.mission.updateWaypoint(index, {
+                altitude: Number.isFinite(number('altitude')) ? number('altitude') : waypoint.altitude,
+                speed: number('speed') > 0 ? number('speed') : waypoint.speed,
+                hold: Math.max(0, number('hold') || 0),
+                heading: Number.isFinite(heading) ? normalizeBearing(heading) : null
+            });
+            this.closeWaypointEditor();
+        });
+        deleteButton.addEventListener('click', () => {
+            entry.mission.removeWaypoint(index);
+            this.closeWaypointEditor();
+        });
+
+        this.waypointPopup = new maplibregl.Popup({ offset: 14, closeOnClick: false })
+            .setLngLat([waypoint.longitude, waypoint.latitude])
+            .setDOMContent(form)
+            .addTo(this.map);
+    }
+
+    closeWaypointEditor() {
+        if (this.waypointPopup) {
+            this.waypointPopup.remove();
+            this.waypointPopup = null;
+        }
     }
 
     clearDroneTrail() {
-        clearTrail(this.map);
+        if (!this.drone) return;
+        clearTrail(this.drone.id);
     }
 
     toggleTrailVisibility() {
         const isVisible = toggleTrailVisibility(this.map);
         this.buttons.toggleTrail.textContent = isVisible ? "Hide Trail" : "Show Trail";
     }
+}
 
-    testDroneOrientation() {
-        if (!this.drone.rtcGroup) {
-            alert("Drone not loaded yet!");
-            return;
-        }
-        
-        // Cycle through different orientations to find the correct one
-        const orientations = 90;
-        
-        this.drone.testOrientation(orientations);
-    }
-}
\ No newline at end of file
+/**
+ * @param {number} seconds
+ * @returns {string} m:ss, or h:mm:ss from an hour
+ */
+function formatDuration(seconds) {
+    const total = Math.floor(seconds);
+    const pad = (value) => String(value).padStart(2, '0');
+    const minutes = Math.floor(total / 60) % 60;
+    const hours = Math.floor(total / 3600);
+    return hours > 0 ? `${hours}:${pad(minutes)}:${pad(total % 60)}` : `${minutes}:${pad(total % 60)}`;
+}
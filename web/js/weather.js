@@ -0,0 +1,282 @@
+/**
+ * Wind: a field of air velocity over the map that simulated flights fly
+ * through, and the particles that show it.
+ *
+ * The wind has a surface speed and direction, gusts that travel downwind
+ * with it, and optional altitude layers that it changes toward with height
+ * above the ground. Directions are where the wind blows from, as weather
+ * reports give them: a 270° wind blows toward the east.
+ */
+import { setDeckLayers } from './main.js';
+import { EARTH_RADIUS, destinationPoint, normalizeBearing } from './geo.js';
+import { simulationClock } from './clock.js';
+import { getGroundElevation, renderAltitudeFromGround } from './terrain.js';
+
+const GUST_PERIODS = [11, 17, 29];   // seconds, mixed so gusts do not repeat regularly
+const GUST_VEER = 20;                // degrees the wind swings at the gusts' peak
+const PARTICLE_COUNT = 600;
+const PARTICLE_LIFETIME = 8;         // simulation seconds before a particle starts over elsewhere
+const PARTICLE_HEIGHTS = [10, 150];  // meters AGL particles are spread over
+const STREAK_TIME = 2;               // seconds of travel a particle's streak shows
+const CALM_SPEED = 0.2;              // m/s below which there is no wind to show
+
+// Particle colors by wind speed, from calm to strong
+const SPEED_COLORS = [[0, [120, 200, 255]], [5, [90, 255, 160]], [10, [255, 220, 80]], [15, [255, 90, 60]]];
+
+/**
+ * @typedef {Object} WindLayer
+ * @property {number} altitude - Meters AGL
+ * @property {number} speed - m/s
+ * @property {number} direction - Degrees the wind blows from
+ */
+
+/**
+ * The wind over the map. Dispatches `change` (detail: the field) when its
+ * settings change.
+ */
+export class WindField extends EventTarget {
+    constructor() {
+        super();
+        this.speed = 0;          // m/s at the surface
+        this.direction = 270;    // degrees the surface wind blows from
+        this.gustSpeed = 0;      // m/s the gusts add at their peak
+        /** @type {WindLayer[]} Higher up, by altitude */
+        this.layers = [];
+    }
+
+    /**
+     * @param {Object} settings - Fields to change
+     * @param {number} [settings.speed]
+     * @param {number} [settings.direction]
+     * @param {number} [settings.gustSpeed]
+     * @param {WindLayer[]} [settings.layers]
+     */
+    set({ speed = this.speed, direction = this.direction, gustSpeed = this.gustSpeed, layers = this.layers }) {
+        this.speed = Math.max(0, speed);
+        this.direction = normalizeBearing(direction);
+        this.gustSpeed = Math.max(0, gustSpeed);
+        this.layers = [...layers].sort((a, b) => a.altitude - b.altitude);
+        console.log(`Wind ${this.describe()}`);
+        this.dispatchEvent(new CustomEvent('change', { detail: this }));
+    }
+
+    isCalm() {
+        return this.speed === 0 && this.gustSpeed === 0 && this.layers.every(layer => layer.speed === 0);
+    }
+
+    /**
+     * @returns {string} E.g. "270° 5.0 m/s, gusts +3.0 m/s, 2 layers"
+     */
+    describe() {
+        if (this.isCalm()) return "calm";
+        let text = `${this.direction.toFixed(0)}° ${this.speed.toFixed(1)} m/s`;
+        if (this.gustSpeed > 0) text += `, gusts +${this.gustSpeed.toFixed(1)} m/s`;
+        if (this.layers.length > 0) text += `, ${this.layers.length} layer${this.layers.length > 1 ? 's' : ''}`;
+        return text;
+    }
+
+    /**
+     * Air velocity at a place and time
+     * @param {[number, number]} lngLat - [lon, lat]
+     * @param {number} height - Meters AGL
+     * @param {number} time - Simulation seconds, see simulationClock.time
+     * @returns {[number, number]} [east, north] m/s the air moves
+     */
+    velocityAt(lngLat, height, time) {
+        if (this.isCalm()) return [0, 0];
+        let { speed, direction } = this.steadyAt(height);
+
+        if (this.gustSpeed > 0) {
+            // Gust fronts are carried downwind, so a place downwind gets them later
+            const toward = (direction + 180) * Math.PI / 180;
+            const east = lngLat[0] * Math.PI / 180 * EARTH_RADIUS * Math.cos(lngLat[1] * Math.PI / 180);
+            const north = lngLat[1] * Math.PI / 180 * EARTH_RADIUS;
+            const phase = time - (east * Math.sin(toward) + north * Math.cos(toward)) / Math.max(speed, 1);
+            const gust = gustStrength(phase);
+            speed += this.gustSpeed * gust;
+            direction += GUST_VEER * gust * Math.sin(phase * 2 * Math.PI / GUST_PERIODS[2]);
+        }
+
+        const toward = (direction + 180) * Math.PI / 180;
+        return [speed * Math.sin(toward), speed * Math.cos(toward)];
+    }
+
+    /**
+     * The wind without gusts at a height, between the surface and the
+     * layers, and as the top layer above it
+     * @private
+     */
+    steadyAt(height) {
+        let below = { altitude: 0, speed: this.speed, direction: this.direction };
+        for (const layer of this.layers) {
+            if (height <= layer.altitude) {
+                const f = (height - below.altitude) / Math.max(layer.altitude - below.altitude, 1e-6);
+                // Turn the short way round between the directions
+                const turn = ((layer.direction - below.direction) % 360 + 540) % 360 - 180;
+                return {
+                    speed: below.speed + (layer.speed - below.speed) * Math.max(0, f),
+                    direction: below.direction + turn * Math.max(0, f)
+                };
+            }
+            below = layer;
+        }
+        return { speed: below.speed, direction: below.direction };
+    }
+}
+
+/**
+ * @param {number} phase - Seconds
+ * @returns {number} 0 in a lull to 1 at the peak of a gust
+ */
+function gustStrength(phase) {
+    const mean = GUST_PERIODS.reduce((total, period) => total + Math.sin(phase * 2 * Math.PI / period), 0) / GUST_PERIODS.length;
+    // Squared, so gusts are short and lulls long
+    return ((mean + 1) / 2) ** 2;
+}
+
+/**
+ * @param {string} text - Layers as "altitude:speed:direction" separated by commas, e.g. "50:8:260, 120:12:290"
+ * @returns {WindLayer[]}
+ */
+export function parseWindLayers(text) {
+    return text.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+        const [altitude, speed, direction] = part.split(':').map(Number);
+        if (![altitude, speed, direction].every(Number.isFinite) || altitude <= 0 || speed < 0) {
+            throw new Error(`"${part}" is not altitude:speed:direction`);
+        }
+        return { altitude, speed, direction };
+    });
+}
+
+/**
+ * @param {WindLayer[]} layers
+ * @returns {string} The layers as parseWindLayers reads them
+ */
+export function formatWindLayers(layers) {
+    return layers.map(({ altitude, speed, direction }) => `${altitude}:${speed}:${direction}`).join(', ');
+}
+
+/**
+ * Particles carried by the wind over the part of the map in view, drawn as
+ * streaks through the deck.gl overlay. They move on the simulation clock,
+ * so they speed up, slow down and stop with it.
+ */
+export class WindParticles {
+    /**
+     * @param {import('maplibre-gl').Map} map - The MapLibre map instance
+     * @param {WindField} wind - The wind they show
+     */
+    constructor(map, wind) {
+        this.map = map;
+        this.wind = wind;
+        this.particles = [];
+        this.visible = false;
+        this.renderFrame = null;
+        this.step = this.step.bind(this);
+        this.onMoveEnd = () => this.particles.forEach(particle => this.respawn(particle));
+    }
+
+    isVisible() {
+        return this.visible;
+    }
+
+    /**
+     * @param {boolean} visible
+     */
+    setVisible(visible) {
+        if (visible === this.visible) return;
+        this.visible = visible;
+        if (visible) {
+            this.particles = Array.from({ length: PARTICLE_COUNT }, () => this.respawn({}));
+            simulationClock.addListener(this.step);
+            // Particles left behind by a pan start over in view
+            this.map.on('moveend', this.onMoveEnd);
+            this.render();
+        } else {
+            simulationClock.removeListener(this.step);
+            this.map.off('moveend', this.onMoveEnd);
+            this.particles = [];
+            setDeckLayers('wind', []);
+        }
+    }
+
+    /**
+     * Put a particle somewhere in view, at a random height and age
+     * @private
+     */
+    respawn(particle) {
+        const bounds = this.map.getBounds();
+        particle.position = [
+            bounds.getWest() + Math.random() * (bounds.getEast() - bounds.getWest()),
+            bounds.getSouth() + Math.random() * (bounds.getNorth() - bounds.getSouth())
+        ];
+        particle.height = PARTICLE_HEIGHTS[0] + Math.random() * (PARTICLE_HEIGHTS[1] - PARTICLE_HEIGHTS[0]);
+        particle.age = Math.random() * PARTICLE_LIFETIME;
+        particle.velocity = [0, 0];
+        return particle;
+    }
+
+    /** @private */
+    step(dt, time) {
+        for (const particle of this.particles) {
+            particle.age += dt;
+            if (particle.age > PARTICLE_LIFETIME) {
+                this.respawn(particle);
+                particle.age = 0;
+            }
+            particle.velocity = this.wind.velocityAt(particle.position, particle.height, time);
+            const [east, north] = particle.velocity;
+            const speed = Math.hypot(east, north);
+            if (speed > 0) {
+                particle.position = destinationPoint(particle.position, Math.atan2(east, north) * 180 / Math.PI, speed * dt);
+            }
+        }
+        if (this.renderFrame === null) {
+            this.renderFrame = requestAnimationFrame(() => {
+                this.renderFrame = null;
+                if (this.visible) this.render();
+            });
+        }
+    }
+
+    /** @private */
+    render() {
+        const streaks = [];
+        for (const particle of this.particles) {
+            const [east, north] = particle.velocity;
+            const speed = Math.hypot(east, north);
+            if (speed < CALM_SPEED) continue;
+            const ground = getGroundElevation(this.map, particle.position) ?? 0;
+            const altitude = renderAltitudeFromGround(this.map, particle.height, 'AGL', ground);
+            const tail = destinationPoint(particle.position, Math.atan2(east, north) * 180 / Math.PI + 180, speed * STREAK_TIME);
+            // Fade in after starting over and out before it
+            const fade = Math.min(1, particle.age, PARTICLE_LIFETIME - particle.age);
+            streaks.push({ from: [...tail, altitude], to: [...particle.position, altitude], color: [...speedColor(speed), 220 * fade] });
+        }
+        setDeckLayers('wind', [new LineLayer({
+            id: 'wind-particles',
+            data: streaks,
+            getSourcePosition: d => d.from,
+            getTargetPosition: d => d.to,
+            getColor: d => d.color,
+            getWidth: 2,
+            widthUnits: 'pixels'
+        })]);
+    }
+}
+
+/**
+ * @param {number} speed - m/s
+ * @returns {[number, number, number]} RGB along SPEED_COLORS
+ */
+function speedColor(speed) {
+    for (let i = 1; i < SPEED_COLORS.length; i++) {
+        const [high, to] = SPEED_COLORS[i];
+        const [low, from] = SPEED_COLORS[i - 1];
+        if (speed <= high) {
+            const f = (speed - low) / (high - low);
+            return from.map((channel, index) => Math.round(channel + (to[index] - channel) * f));
+        }
+    }
+    return SPEED_COLORS[SPEED_COLORS.length - 1][1];
+}
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { simulationClock } from '../js/clock.js';
+import { Navigation } from '../js/navigation.js';
+import { Mission, MissionRunner, createWaypoint } from '../js/mission.js';
+import { BatterySimulator } from '../js/battery.js';
+import { WindField } from '../js/weather.js';
+import { fakeDrone, fakeMap } from './support/fakes.js';
+
+let now = 0;
+
+/** Run the simulation clock for a number of 100 ms frames */
+function runFrames(count) {
+    for (let i = 0; i < count; i++) {
+        now += 100;
+        simulationClock.frame(now);
+    }
+}
+
+function fleet(map, drone) {
+    const navigation = new Navigation(drone, map);
+    const mission = new Mission();
+    const entry = { id: drone.id, drone, navigation, mission, missionRunner: new MissionRunner(navigation, mission) };
+    const registry = new EventTarget();
+    registry[Symbol.iterator] = () => [entry][Symbol.iterator]();
+    registry.get = (id) => id === entry.id ? entry : null;
+    const battery = new BatterySimulator(map, registry, { isTracked: () => false }, { entry: null }, new WindField());
+    return { entry, battery };
+}
+
+test('reserve reached while flying manually returns to launch', () => {
+    const map = fakeMap();
+    const drone = fakeDrone({ battery: 25.001 });
+    const { entry, battery } = fleet(map, drone);
+    const reserves = [];
+    battery.addEventListener('reserve', (e) => reserves.push(e.detail.id));
+
+    entry.navigation.startManual();
+    entry.navigation.setManualInput({ forward: 1 });
+    try {
+        // The battery's return to launch removes manualStep from the running clock
+        assert.doesNotThrow(() => runFrames(5));
+        assert.deepEqual(reserves, [drone.id]);
+        assert.equal(entry.navigation.isManual(), false);
+        assert.equal(entry.navigation.isFlying(), true);
+        assert.equal(entry.navigation.flight.recovery, true);
+    } finally {
+        entry.navigation.stop();
+        simulationClock.removeListener(battery.step);
+    }
+});
+
+test('a flat battery lands the drone and aborts its hold', () => {
+    const map = fakeMap();
+    // Flat a fraction of a second into the hold at the first waypoint
+    const drone = fakeDrone({ battery: 0.02, battery_reserve: 0 });
+    const { entry, battery } = fleet(map, drone);
+    entry.mission.setWaypoints([
+        createWaypoint(drone.longitude, drone.latitude, { altitude: 50, hold: 30 }),
+        createWaypoint(drone.longitude + 0.01, drone.latitude, { altitude: 50 })
+    ]);
+    entry.missionRunner.start();
+    try {
+        runFrames(2);
+        assert.equal(entry.missionRunner.state, 'holding');
+        runFrames(10);
+        assert.equal(entry.missionRunner.state, 'aborted');
+        assert.equal(entry.navigation.flight?.landing, true);
+    } finally {
+        entry.navigation.stop();
+        simulationClock.removeListener(battery.step);
+    }
+});
+
+test('the battery is on the clock only while a drone is in the air', () => {
+    const map = fakeMap();
+    const drone = fakeDrone({ altitude: 4 });
+    const { entry, battery } = fleet(map, drone);
+    try {
+        assert.equal(simulationClock.listeners.has(battery.step), true);
+        entry.navigation.land();
+        runFrames(40);
+        assert.equal(drone.altitude, 0);
+        assert.equal(simulationClock.listeners.has(battery.step), false);
+
+        const charge = drone.battery;
+        entry.navigation.moveDroneToward([drone.longitude, drone.latitude], 10);
+        runFrames(10);
+        assert.equal(simulationClock.listeners.has(battery.step), true);
+        assert.ok(drone.battery < charge);
+    } finally {
+        entry.navigation.stop();
+        simulationClock.removeListener(battery.step);
+    }
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimulationClock } from '../js/clock.js';
+
+/** Run a clock for frames the given milliseconds apart, after a first frame at 0 */
+function runFrames(clock, ...gaps) {
+    let now = 0;
+    clock.frame(now);
+    for (const gap of gaps) {
+        now += gap;
+        clock.frame(now);
+    }
+}
+
+test('steps are split at maxStep and scaled by the time scale', () => {
+    const clock = new SimulationClock({ maxStep: 0.1 });
+    const steps = [];
+    clock.addListener((dt) => steps.push(dt));
+    clock.setTimeScale(2);
+    runFrames(clock, 125);
+    assert.deepEqual(steps.map(dt => +dt.toFixed(6)), [0.1, 0.1, 0.05]);
+    assert.equal(+clock.time.toFixed(6), 0.25);
+});
+
+test('a paused clock keeps its time', () => {
+    const clock = new SimulationClock();
+    let calls = 0;
+    clock.addListener(() => calls++);
+    clock.pause();
+    runFrames(clock, 100, 100);
+    assert.equal(calls, 0);
+    assert.equal(clock.time, 0);
+});
+
+test('long gaps between frames are capped', () => {
+    const clock = new SimulationClock({ maxFrameDelta: 1 });
+    clock.addListener(() => {});
+    runFrames(clock, 60000);
+    assert.equal(+clock.time.toFixed(6), 1);
+});
+
+test('the clock skips listeners removed earlier in the same step', () => {
+    const clock = new SimulationClock();
+    const calls = [];
+    const second = () => calls.push('second');
+    const first = () => {
+        calls.push('first');
+        clock.removeListener(second);
+    };
+    clock.addListener(first);
+    clock.addListener(second);
+    runFrames(clock, 100);
+    assert.deepEqual(calls, ['first']);
+});
+
+test('the clock runs only while it has listeners', () => {
+    const clock = new SimulationClock();
+    const listener = () => {};
+    clock.addListener(listener);
+    assert.notEqual(clock.frameId, null);
+    clock.removeListener(listener);
+    assert.equal(clock.frameId, null);
+});
@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parseMissionFile, serializeMission, parsePlan, parseWaypointsText, toWaypointsText, serializeRecording
+} from '../js/formats.js';
+import { createWaypoint } from '../js/mission.js';
+
+const ROUTE = [
+    createWaypoint(33.3823, 35.1856, { altitude: 50, speed: 5, hold: 10, heading: 0 }),
+    createWaypoint(33.3833, 35.1866, { altitude: 60, altitudeMode: 'AMSL', speed: 5, heading: 90 }),
+    createWaypoint(33.3843, 35.1876, { altitude: 70, speed: 8 })
+];
+
+const FILENAMES = { geojson: 'mission.geojson', plan: 'mission.plan', waypoints: 'mission.waypoints' };
+
+/** Waypoints back from a file written in a format */
+function roundTrip(format, waypoints = ROUTE) {
+    return parseMissionFile(FILENAMES[format], serializeMission(format, waypoints, { altitudeMode: 'AGL' }));
+}
+
+for (const format of Object.keys(FILENAMES)) {
+    test(`${format} keeps positions, altitudes, speeds, holds and headings`, () => {
+        const waypoints = roundTrip(format);
+        assert.equal(waypoints.length, ROUTE.length);
+        waypoints.forEach((wp, index) => {
+            const original = ROUTE[index];
+            assert.equal(wp.longitude, original.longitude);
+            assert.equal(wp.latitude, original.latitude);
+            assert.equal(wp.altitude, original.altitude);
+            assert.equal(wp.altitudeMode, original.altitudeMode ?? 'AGL');
+            assert.equal(wp.speed, original.speed);
+            assert.equal(wp.hold, original.hold);
+            assert.equal(wp.heading, original.heading, `heading of waypoint ${index + 1}`);
+        });
+    });
+}
+
+test('waypoint text writes a missing heading as NaN, unchanged for the autopilot', () => {
+    const rows = toWaypointsText([createWaypoint(33.3823, 35.1856)]).trim().split('\n');
+    const waypoint = rows.at(-1).split('\t');
+    assert.equal(waypoint[3], '16');
+    assert.equal(waypoint[7], 'NaN');
+});
+
+test('waypoint text skips home, speed changes and takeoffs without a position', () => {
+    const waypoints = parseWaypointsText([
+        'QGC WPL 110',
+        '0\t1\t0\t16\t0\t0\t0\t0\t33.3\t35.1\t20\t1',
+        '1\t0\t3\t22\t0\t0\t0\t0\t0\t0\t30\t1',
+        '2\t0\t3\t178\t1\t7\t-1\t0\t0\t0\t0\t1',
+        '3\t0\t0\t19\t15\t0\t0\t0\t33.4\t35.2\t120\t1'
+    ].join('\n'));
+    assert.equal(waypoints.length, 1);
+    assert.deepEqual(waypoints[0], {
+        longitude: 35.2, latitude: 33.4, altitude: 120, altitudeMode: 'AMSL', speed: 7, hold: 15, heading: null
+    });
+});
+
+test('a waypoint text file needs its header', () => {
+    assert.throws(() => parseWaypointsText('1\t0\t3\t16\t0\t0\t0\t0\t33.4\t35.2\t120\t1'), /QGC WPL/);
+});
+
+test('plans take the cruise speed and skip complex items', () => {
+    const waypoints = parsePlan({
+        fileType: 'Plan',
+        mission: {
+            cruiseSpeed: 6,
+            items: [
+                { type: 'ComplexItem', complexItemType: 'survey' },
+                { type: 'SimpleItem', command: 16, frame: 3, params: [0, 0, 0, null, 33.4, 35.2, 40] }
+            ]
+        }
+    });
+    assert.equal(waypoints.length, 1);
+    assert.equal(waypoints[0].speed, 6);
+    assert.equal(waypoints[0].heading, null);
+    // Relative to home has no fixed reference, the drone's own mode applies
+    assert.equal(waypoints[0].altitudeMode, null);
+});
+
+test('GeoJSON lines become waypoints when there are no points', () => {
+    const waypoints = parseMissionFile('route.json', JSON.stringify({
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: [[35.1, 33.3, 20], [35.2, 33.4]] },
+        properties: { altitude: 45, altitudeMode: 'AMSL', speed: 3 }
+    }));
+    assert.deepEqual(waypoints.map(wp => [wp.longitude, wp.latitude, wp.altitude, wp.altitudeMode, wp.speed]), [
+        [35.1, 33.3, 20, 'AMSL', 3],
+        [35.2, 33.4, 45, 'AMSL', 3]
+    ]);
+});
+
+test('unknown and empty mission files are rejected', () => {
+    assert.throws(() => parseMissionFile('mission.txt', 'waypoints'), /Unsupported mission file/);
+    assert.throws(() => parseMissionFile('empty.geojson', '{"type": "FeatureCollection", "features": []}'), /No waypoints/);
+    assert.throws(() => serializeMission('shp', ROUTE), /Unknown mission format/);
+});
+
+const RECORDING = {
+    id: 'rec-1',
+    droneId: 'drone <1>',
+    source: 'simulation',
+    startedAt: Date.UTC(2024, 0, 1),
+    duration: 2,
+    samples: [
+        { t: 0, longitude: 35.1, latitude: 33.3, altitude: 100, heading: 0, speed: 0, verticalSpeed: 0, roll: 0, pitch: 0, battery: null, signal: null },
+        { t: 2, longitude: 35.2, latitude: 33.4, altitude: 110, heading: 45, speed: 5, verticalSpeed: 1, roll: 2, pitch: -3, battery: 98, signal: null }
+    ],
+    events: [{ t: 1.8, type: 'mission', message: 'Reached waypoint 1, "Tower"' }]
+};
+
+test('CSV has a row per sample and event, in time order', () => {
+    const [header, ...rows] = serializeRecording('csv', RECORDING).trim().split('\n');
+    assert.equal(header, 'time,longitude,latitude,altitude,heading,speed,verticalSpeed,roll,pitch,battery,signal,event');
+    assert.deepEqual(rows, [
+        '2024-01-01T00:00:00.000Z,35.1,33.3,100,0,0,0,0,0,,,',
+        '2024-01-01T00:00:01.800Z,,,,,,,,,,,"mission: Reached waypoint 1, ""Tower"""',
+        '2024-01-01T00:00:02.000Z,35.2,33.4,110,45,5,1,2,-3,98,,'
+    ]);
+});
+
+test('GPX puts events at the nearest sample and escapes names', () => {
+    const gpx = serializeRecording('gpx', RECORDING);
+    assert.equal(gpx.match(/<trkpt /g).length, 2);
+    assert.match(gpx, /<wpt lat="33.4" lon="35.2">/);
+    assert.match(gpx, /<name>drone &lt;1&gt;<\/name>/);
+    assert.match(gpx, /<name>Reached waypoint 1, &quot;Tower&quot;<\/name>/);
+});
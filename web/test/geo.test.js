@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    EARTH_RADIUS, normalizeBearing, bearingDifference, haversineDistance, vincentyDistance, initialBearing,
+    finalBearing, destinationPoint, interpolateGreatCircle, polygonArea, toLocalMeters, fromLocalMeters,
+    normalizeLongitude, toUTM, formatUTM, formatMGRS
+} from '../js/geo.js';
+
+const ORIGIN = [33.3823, 35.1856];
+const DEGREE = EARTH_RADIUS * Math.PI / 180;    // meters of a degree of latitude
+
+function assertClose(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, message ?? `${actual} is not within ${tolerance} of ${expected}`);
+}
+
+test('bearings are normalized and differences take the shorter turn', () => {
+    assert.equal(normalizeBearing(-90), 270);
+    assert.equal(normalizeBearing(720), 0);
+    assert.equal(bearingDifference(350, 10), 20);
+    assert.equal(bearingDifference(10, 350), -20);
+    assert.equal(bearingDifference(0, 180), -180);
+    assert.equal(normalizeLongitude(190), -170);
+    assert.equal(normalizeLongitude(-190), 170);
+});
+
+test('a degree of latitude is the mean radius times pi over 180', () => {
+    assertClose(haversineDistance([0, 0], [0, 1]), DEGREE, 1e-6);
+    assertClose(haversineDistance([10, 60], [11, 60]), DEGREE * Math.cos(Math.PI / 3), 1);
+    assert.equal(haversineDistance(ORIGIN, ORIGIN), 0);
+});
+
+test('Vincenty matches the Flinders Peak to Buninyong geodesic', () => {
+    const flindersPeak = [144 + 25 / 60 + 29.5244 / 3600, -(37 + 57 / 60 + 3.7203 / 3600)];
+    const buninyong = [143 + 55 / 60 + 35.3839 / 3600, -(37 + 39 / 60 + 10.1561 / 3600)];
+    assertClose(vincentyDistance(flindersPeak, buninyong), 54972.271, 0.001);
+    assert.equal(vincentyDistance(ORIGIN, ORIGIN), 0);
+    // Along the equator the ellipsoid is wider than the mean sphere
+    assertClose(vincentyDistance([0, 0], [1, 0]), 111319.491, 0.001);
+});
+
+test('initial and final bearings follow the great circle', () => {
+    assert.equal(initialBearing([0, 0], [0, 1]), 0);
+    assertClose(initialBearing([0, 0], [1, 0]), 90, 1e-9);
+    assertClose(initialBearing([0, 1], [0, 0]), 180, 1e-9);
+    // Flying east at 60°N the great circle curves south of the parallel
+    assert.ok(initialBearing([0, 60], [10, 60]) < 90);
+    assert.ok(finalBearing([0, 60], [10, 60]) > 90);
+});
+
+test('destination points agree with distances and bearings', () => {
+    for (const bearing of [0, 45, 135, 270]) {
+        const point = destinationPoint(ORIGIN, bearing, 2500);
+        assertClose(haversineDistance(ORIGIN, point), 2500, 1e-6);
+        assertClose(bearingDifference(bearing, initialBearing(ORIGIN, point)), 0, 1e-6);
+    }
+    const [longitude] = destinationPoint([179.99, 0], 90, 5000);
+    assert.ok(longitude < -179.9, `${longitude} did not wrap past the antimeridian`);
+});
+
+test('great circle interpolation stays on the circle', () => {
+    const to = [33.5, 35.3];
+    assert.deepEqual(interpolateGreatCircle(ORIGIN, to, 0).map(v => +v.toFixed(9)), ORIGIN);
+    assert.deepEqual(interpolateGreatCircle(ORIGIN, to, 1).map(v => +v.toFixed(9)), to);
+    const middle = interpolateGreatCircle(ORIGIN, to, 0.5);
+    assertClose(haversineDistance(ORIGIN, middle), haversineDistance(middle, to), 1e-6);
+    assertClose(haversineDistance(ORIGIN, middle) * 2, haversineDistance(ORIGIN, to), 1e-6);
+    assert.deepEqual(interpolateGreatCircle(ORIGIN, ORIGIN, 0.5), ORIGIN);
+});
+
+test('polygon areas are exact for latitude-longitude rectangles', () => {
+    const square = [[0, 0], [1, 0], [1, 1], [0, 1]];
+    const expected = EARTH_RADIUS ** 2 * (Math.PI / 180) * Math.sin(Math.PI / 180);
+    assertClose(polygonArea(square), expected, 1);
+    assertClose(polygonArea([...square].reverse()), expected, 1);
+    // A 100 m square near the origin
+    const corners = [[0, 0], [100, 0], [100, 100], [0, 100]].map(offset => fromLocalMeters(ORIGIN, offset));
+    assertClose(polygonArea(corners), 10000, 1);
+});
+
+test('local meters round trip and agree with haversine nearby', () => {
+    const point = fromLocalMeters(ORIGIN, [300, -400]);
+    const [east, north] = toLocalMeters(ORIGIN, point);
+    assertClose(east, 300, 1e-6);
+    assertClose(north, -400, 1e-6);
+    assertClose(haversineDistance(ORIGIN, point), 500, 0.01);
+});
+
+test('UTM zones, including the Norway and Svalbard exceptions', () => {
+    assert.deepEqual(toUTM([3, 0]), { zone: 31, band: 'N', hemisphere: 'N', easting: 500000, northing: 0 });
+    assert.equal(toUTM(ORIGIN).zone, 36);
+    assert.equal(toUTM(ORIGIN).band, 'S');
+    assert.equal(toUTM([5, 60]).zone, 32);
+    assert.equal(toUTM([10, 78]).zone, 33);
+    assert.equal(toUTM([10, 84]).band, 'X');
+    assert.equal(toUTM([0, 85]), null);
+    assert.equal(formatUTM([0, -81]), null);
+
+    // Mirrored about the central meridian, and north from 10 000 km south of the equator
+    const west = toUTM([2, -10]);
+    const east = toUTM([4, -10]);
+    assert.equal(west.hemisphere, 'S');
+    assertClose(west.easting + east.easting, 1000000, 1e-6);
+    assertClose(west.northing, east.northing, 1e-6);
+    assert.ok(west.northing > 8000000 && west.northing < 10000000);
+});
+
+test('MGRS references name the 100 km square and truncate to the precision', () => {
+    assert.equal(formatMGRS([3, 0]), '31N EA 00000 00000');
+    assert.equal(formatMGRS([3, 0], 1), '31N EA 0 0');
+    const utm = toUTM(ORIGIN);
+    const reference = formatMGRS(ORIGIN);
+    assert.match(reference, /^36S [A-HJ-NP-Z]{2} \d{5} \d{5}$/);
+    const digits = (meters) => String(Math.floor(meters % 100000)).padStart(5, '0');
+    assert.ok(reference.endsWith(`${digits(utm.easting)} ${digits(utm.northing)}`));
+    assert.equal(formatMGRS(ORIGIN, 3).split(' ')[2], reference.split(' ')[2].slice(0, 3));
+});
@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { collectObstacles, planPath } from '../js/planner.js';
+import { fromLocalMeters, toLocalMeters } from '../js/geo.js';
+import { fakeMap } from './support/fakes.js';
+
+const ORIGIN = [33.3823, 35.1856];
+const GROUND = 100;       // meters AMSL of the flat fixtures
+const ALTITUDE = 130;     // meters AMSL flown at
+const CLEARANCE = 10;     // meters
+
+/** [lon, lat] of a point east and north of the origin in meters */
+const at = (east, north) => fromLocalMeters(ORIGIN, [east, north]);
+
+/** Obstacle over a rectangle in meters from the origin */
+function block(west, south, east, north, floor = null, ceiling = null) {
+    return { polygon: [at(west, south), at(east, south), at(east, north), at(west, north)], floor, ceiling };
+}
+
+/** Path points every meter, [east, north, meters AMSL] */
+function sample(path) {
+    const local = path.map(([lon, lat, altitude]) => [...toLocalMeters(ORIGIN, [lon, lat]), altitude]);
+    const points = [local[0]];
+    for (let i = 1; i < local.length; i++) {
+        const [a, b] = [local[i - 1], local[i]];
+        const steps = Math.ceil(Math.hypot(b[0] - a[0], b[1] - a[1], b[2] - a[2]));
+        for (let step = 1; step <= steps; step++) {
+            points.push(a.map((value, axis) => value + (b[axis] - value) * step / steps));
+        }
+    }
+    return points;
+}
+
+/** Horizontal meters from a point to a rectangle, 0 inside */
+function distanceToRectangle([x, y], [west, south, east, north]) {
+    return Math.hypot(Math.max(west - x, 0, x - east), Math.max(south - y, 0, y - north));
+}
+
+test('detours around a wall too high to climb over', () => {
+    const wall = [400, -300, 420, 300];
+    const result = planPath([...at(0, 0), ALTITUDE], [...at(800, 0), ALTITUDE], {
+        groundAt: () => GROUND,
+        obstacles: [block(...wall, GROUND, GROUND + 500)],
+        clearance: CLEARANCE
+    });
+    assert.ok(result, 'a path is found');
+    const points = sample(result.path);
+    assert.ok(points.some(([, north]) => Math.abs(north) > 300), 'the path goes round an end of the wall');
+    for (const point of points) {
+        assert.ok(distanceToRectangle(point, wall) >= CLEARANCE, `${point.map(v => v.toFixed(1))} keeps the clearance from the wall`);
+    }
+});
+
+test('climbs over a hill in the way', () => {
+    // A ridge 80 m high running north to south across the route
+    const groundAt = (lngLat) => {
+        const [east] = toLocalMeters(ORIGIN, lngLat);
+        return GROUND + 80 * Math.max(0, 1 - Math.abs(east - 400) / 100);
+    };
+    const result = planPath([...at(0, 0), ALTITUDE], [...at(800, 0), ALTITUDE], { groundAt, clearance: CLEARANCE });
+    assert.ok(result, 'a path is found');
+    const points = sample(result.path);
+    const top = Math.max(...points.map(point => point[2]));
+    assert.ok(top >= GROUND + 80 + CLEARANCE, `climbs to ${top.toFixed(1)} m, over the ridge`);
+    for (const point of points) {
+        const ground = groundAt(at(point[0], point[1]));
+        assert.ok(point[2] >= ground + CLEARANCE - 0.01, `${point.map(v => v.toFixed(1))} stays clear of the ground`);
+    }
+});
+
+test('keeps out of a no-fly zone', () => {
+    const zone = [300, -100, 500, 100];
+    const result = planPath([...at(0, 0), ALTITUDE], [...at(800, 0), ALTITUDE], {
+        groundAt: () => GROUND,
+        obstacles: [block(...zone)],
+        clearance: CLEARANCE
+    });
+    assert.ok(result, 'a path is found');
+    for (const point of sample(result.path)) {
+        assert.ok(distanceToRectangle(point, zone) >= CLEARANCE, `${point.map(v => v.toFixed(1))} keeps out of the zone`);
+    }
+});
+
+test('avoids a building smaller than a cell on a long route', () => {
+    // 10 km make cells about 70 m across
+    const building = [4990, -7, 5004, 5];
+    const result = planPath([...at(0, 0), ALTITUDE], [...at(10000, 0), ALTITUDE], {
+        groundAt: () => GROUND,
+        obstacles: [block(...building, GROUND, GROUND + 500)],
+        clearance: CLEARANCE
+    });
+    assert.ok(result, 'a path is found');
+    for (const point of sample(result.path)) {
+        assert.ok(distanceToRectangle(point, building) >= CLEARANCE, `${point.map(v => v.toFixed(1))} keeps clear of the building`);
+    }
+});
+
+test('returns null for a target inside a no-fly zone', () => {
+    const result = planPath([...at(0, 0), ALTITUDE], [...at(400, 0), ALTITUDE], {
+        groundAt: () => GROUND,
+        obstacles: [block(300, -100, 500, 100)],
+        clearance: CLEARANCE
+    });
+    assert.equal(result, null);
+});
+
+test('collects buildings from the vector tiles and says when there are none', () => {
+    const map = fakeMap();
+    const groundAt = () => GROUND;
+    const fences = { fences: [{ type: 'forbid', altitudeMode: 'AGL', floor: null, ceiling: 120, polygon: block(0, 0, 10, 10).polygon }] };
+    const withoutTiles = collectObstacles(map, fences, groundAt);
+    assert.equal(withoutTiles.buildings, false);
+    assert.deepEqual(withoutTiles.obstacles.map(o => o.ceiling), [GROUND + 120]);
+
+    const footprint = block(50, 50, 60, 60).polygon;
+    map.addSource('openmaptiles', { type: 'vector' });
+    map.querySourceFeatures = () => [{
+        geometry: { type: 'Polygon', coordinates: [[...footprint, footprint[0]]] },
+        properties: { render_height: 25 }
+    }];
+    const withTiles = collectObstacles(map, null, groundAt);
+    assert.equal(withTiles.buildings, true);
+    assert.deepEqual(withTiles.obstacles, [{ polygon: footprint, floor: GROUND, ceiling: GROUND + 25 }]);
+});
@@ -0,0 +1,63 @@
+/**
+ * A map without terrain: the ground is at sea level everywhere and
+ * layers and sources are only remembered
+ */
+export function fakeMap() {
+    const sources = new Map();
+    const layers = new Map();
+    return {
+        getTerrain: () => null,
+        queryTerrainElevation: () => null,
+        getSource: (id) => sources.get(id),
+        addSource: (id, source) => sources.set(id, { ...source, setData() {} }),
+        removeSource: (id) => sources.delete(id),
+        getLayer: (id) => layers.get(id),
+        addLayer: (layer) => layers.set(layer.id, layer),
+        removeLayer: (id) => layers.delete(id),
+        setPaintProperty() {},
+        triggerRepaint() {},
+        on() {},
+        off() {}
+    };
+}
+
+/**
+ * The flight state of a Drone without its 3D model
+ * @param {Object} fields - Fields to change from the defaults
+ */
+export function fakeDrone(fields = {}) {
+    return {
+        id: 'drone-1',
+        longitude: 33.3823,
+        latitude: 35.1856,
+        altitude: 50,
+        altitude_mode: 'AGL',
+        vertical_speed: 2,
+        cruise_speed: 5,
+        max_speed: 15,
+        acceleration: 3,
+        turn_rate: 90,
+        mass: 1.4,
+        hover_power: 180,
+        battery_capacity: 90,
+        battery_reserve: 25,
+        heading: 0,
+        roll: 0,
+        pitch: 0,
+        speed: 0,
+        airspeed: 0,
+        vertical_velocity: 0,
+        battery: null,
+        getAltitude(mode) {
+            return this.altitude;
+        },
+        setHeading(degrees) {
+            this.heading = ((degrees % 360) + 360) % 360;
+        },
+        updatePosition() {},
+        toString() {
+            return `Drone ${this.id}`;
+        },
+        ...fields
+    };
+}
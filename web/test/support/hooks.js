@@ -0,0 +1,8 @@
+const MAIN_STUB = new URL('./main.js', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+    if (specifier === './main.js' && context.parentURL?.includes('/js/')) {
+        return { url: MAIN_STUB, shortCircuit: true };
+    }
+    return nextResolve(specifier, context);
+}
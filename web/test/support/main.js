@@ -0,0 +1,5 @@
+// Stands in for js/main.js, which needs a browser and the map libraries
+export const TILE_SERVER = 'http://localhost:9999';
+export const OFFLINE = false;
+
+export function setDeckLayers() {}
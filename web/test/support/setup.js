@@ -0,0 +1,11 @@
+/**
+ * Runs the browser modules under Node for the tests: main.js, which builds
+ * the map, is swapped for a stub, and the few browser globals the
+ * simulation touches are filled in.
+ */
+import { register } from 'node:module';
+
+register('./hooks.js', import.meta.url);
+
+globalThis.requestAnimationFrame ??= () => 0;
+globalThis.cancelAnimationFrame ??= () => {};
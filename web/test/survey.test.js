@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planSurvey } from '../js/survey.js';
+import { fromLocalMeters, toLocalMeters } from '../js/geo.js';
+
+const ORIGIN = [33.3823, 35.1856];
+const CAMERA = { sensor_width: 13.2, sensor_height: 8.8, focal_length: 8.8, image_width: 5472, gimbal_pitch: -90 };
+const OPTIONS = { gsd: 2, frontOverlap: 0.75, sideOverlap: 0.65, course: 0 };
+const RANGE = 0.02 * 8.8 * 5472 / 13.2;     // meters to the image center for a 2 cm GSD
+
+// 400 m east by 300 m north, lines run north
+const AREA = [[0, 0], [400, 0], [400, 300], [0, 300]].map(offset => fromLocalMeters(ORIGIN, offset));
+
+function assertClose(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, message ?? `${actual} is not within ${tolerance} of ${expected}`);
+}
+
+/** Meters north of the origin of each waypoint */
+const northings = (plan) => plan.waypoints.map(wp => toLocalMeters(ORIGIN, [wp.longitude, wp.latitude])[1]);
+
+test('nadir lines run edge to edge at the GSD height, above the ground', () => {
+    const plan = planSurvey(AREA, CAMERA, OPTIONS);
+    assertClose(plan.altitude, RANGE, 1e-9);
+    assertClose(plan.lead, 0, 1e-9);
+    assert.ok(plan.waypoints.every(wp => wp.altitudeMode === 'AGL' && wp.altitude === plan.altitude));
+    assert.equal(plan.waypoints.length, plan.lineCount * 2);
+    assert.ok(plan.lineSpacing * plan.lineCount >= 400);
+
+    const [start, end, back, backEnd] = northings(plan);
+    assertClose(start, 0, 0.01);
+    assertClose(end, 300, 0.01);
+    assertClose(back, 300, 0.01);
+    assertClose(backEnd, 0, 0.01);
+});
+
+test('a tilted camera trails its lines behind the area by the lead', () => {
+    const plan = planSurvey(AREA, { ...CAMERA, gimbal_pitch: -60 }, OPTIONS);
+    assertClose(plan.altitude, RANGE * Math.sin(Math.PI / 3), 1e-9);
+    assertClose(plan.lead, RANGE / 2, 1e-9);
+
+    // Northbound, then southbound
+    const [start, end, back, backEnd] = northings(plan);
+    assertClose(start, -plan.lead, 0.01);
+    assertClose(end, 300 - plan.lead, 0.01);
+    assertClose(back, 300 + plan.lead, 0.01);
+    assertClose(backEnd, plan.lead, 0.01);
+});
+
+test('cameras looking too far forward cannot map', () => {
+    assert.throws(() => planSurvey(AREA, { ...CAMERA, gimbal_pitch: -30 }, OPTIONS), /at least 45°/);
+    assert.throws(() => planSurvey(AREA.slice(0, 2), CAMERA, OPTIONS), /at least 3 corners/);
+});